@@ -0,0 +1,256 @@
+// Analysis Cache
+// Persists analyses in IndexedDB, keyed by normalized policy URL plus a hash of the extracted text
+
+const DB_NAME = "privacy-policy-parser";
+const DB_VERSION = 1;
+const STORE_NAME = "analyses";
+
+export const DEFAULT_CACHE_MAX_SIZE_MB = 25;
+
+// Query parameters that never change the policy text
+const TRACKING_PARAMS = [
+  /^utm_/i,
+  /^fbclid$/i,
+  /^gclid$/i,
+  /^mc_(cid|eid)$/i,
+  /^ref$/i,
+  /^source$/i,
+];
+
+let dbPromise = null;
+
+// Open (and create on first use) the cache database
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        const store = db.createObjectStore(STORE_NAME, { keyPath: "key" });
+        store.createIndex("url", "url", { unique: false });
+        store.createIndex("lastAccessedAt", "lastAccessedAt", { unique: false });
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+}
+
+// Run `operation` against the object store inside a transaction
+async function withStore(mode, operation) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const store = transaction.objectStore(STORE_NAME);
+    let result;
+
+    Promise.resolve(operation(store))
+      .then((value) => {
+        result = value;
+      })
+      .catch(reject);
+
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+// Wrap an IDBRequest in a promise
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Normalize a policy URL so trivial variations share a cache entry
+// (fragment, tracking parameters, trailing slash, "www." and host case are ignored)
+export function normalizePolicyUrl(url) {
+  try {
+    const parsed = new URL(url);
+    const host = parsed.hostname.toLowerCase().replace(/^www\./, "");
+    const path = parsed.pathname.replace(/\/+$/, "") || "/";
+
+    const params = [...parsed.searchParams.entries()]
+      .filter(([name]) => !TRACKING_PARAMS.some((pattern) => pattern.test(name)))
+      .sort(([a], [b]) => a.localeCompare(b));
+    const query = params.length
+      ? "?" + new URLSearchParams(params).toString()
+      : "";
+
+    return `${parsed.protocol}//${host}${path}${query}`;
+  } catch {
+    return url;
+  }
+}
+
+// SHA-256 of the policy text, ignoring whitespace differences
+export async function hashContent(text) {
+  const normalized = (text || "").replace(/\s+/g, " ").trim();
+  const digest = await crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(normalized)
+  );
+  return Array.from(new Uint8Array(digest))
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+function buildKey(url, contentHash) {
+  return `${normalizePolicyUrl(url)}#${contentHash}`;
+}
+
+// Look up a cached analysis for this exact URL and text
+export async function getCachedAnalysis(url, contentHash) {
+  const key = buildKey(url, contentHash);
+  const entry = await withStore("readonly", (store) =>
+    requestToPromise(store.get(key))
+  );
+  if (!entry) return null;
+
+  // Record the hit for least-recently-used eviction
+  entry.lastAccessedAt = Date.now();
+  await withStore("readwrite", (store) => store.put(entry));
+  return entry;
+}
+
+// Save an analysis, then evict old entries if the cache is over its size limit
+export async function putCachedAnalysis({
+  url,
+  contentHash,
+  title,
+  documentType,
+  analysis,
+  conversation,
+  passages,
+  lastUpdated,
+  changes,
+}) {
+  const now = Date.now();
+  const entry = {
+    key: buildKey(url, contentHash),
+    url: normalizePolicyUrl(url),
+    originalUrl: url,
+    contentHash,
+    title,
+    // privacy, terms, eula or cookie (see policy-metadata.js)
+    documentType,
+    analysis,
+    conversation,
+    // The policy text split for retrieval (see retrieval.js)
+    passages,
+    // The date the policy says it was last updated (see policy-metadata.js)
+    lastUpdated,
+    // What changed since the previous version of the policy, if one was stored
+    changes,
+    createdAt: now,
+    lastAccessedAt: now,
+  };
+  entry.size = JSON.stringify(entry).length;
+
+  await withStore("readwrite", (store) => store.put(entry));
+  await enforceSizeLimit();
+  return entry;
+}
+
+// List cached entries (without the bulky analysis bodies), newest first
+export async function listCachedAnalyses() {
+  const entries = await withStore("readonly", (store) =>
+    requestToPromise(store.getAll())
+  );
+
+  return entries
+    .map(({ key, url, originalUrl, title, analysis, createdAt, lastAccessedAt, size }) => ({
+      key,
+      url,
+      originalUrl,
+      title,
+      overallRating: analysis?.overallRating || null,
+      createdAt,
+      lastAccessedAt,
+      size,
+    }))
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+// Every cached entry with its analysis and passages, newest first
+export async function getAllCachedAnalyses() {
+  const entries = await withStore("readonly", (store) =>
+    requestToPromise(store.getAll())
+  );
+  return entries.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+// The newest stored analysis of the same policy URL with different text, if any
+export async function getPreviousCachedAnalysis(url, contentHash) {
+  const entries = await withStore("readonly", (store) =>
+    requestToPromise(store.index("url").getAll(normalizePolicyUrl(url)))
+  );
+  return (
+    entries
+      .filter((entry) => entry.contentHash !== contentHash)
+      .sort((a, b) => b.createdAt - a.createdAt)[0] || null
+  );
+}
+
+// A stored entry by its cache key (as returned by listCachedAnalyses)
+export async function getCachedAnalysisByKey(key) {
+  return withStore("readonly", (store) => requestToPromise(store.get(key)));
+}
+
+export async function deleteCachedAnalysis(key) {
+  await withStore("readwrite", (store) => store.delete(key));
+}
+
+// Delete several entries in one transaction
+export async function deleteCachedAnalyses(keys) {
+  await withStore("readwrite", (store) => {
+    keys.forEach((key) => store.delete(key));
+  });
+}
+
+export async function clearCache() {
+  await withStore("readwrite", (store) => store.clear());
+}
+
+// Total size and entry count
+export async function getCacheStats() {
+  const entries = await listCachedAnalyses();
+  return {
+    count: entries.length,
+    totalSize: entries.reduce((sum, entry) => sum + (entry.size || 0), 0),
+  };
+}
+
+// Evict least-recently-used entries until the cache fits its configured size
+async function enforceSizeLimit() {
+  const { cacheMaxSizeMB } = await chrome.storage.local.get(["cacheMaxSizeMB"]);
+  const maxBytes = (cacheMaxSizeMB || DEFAULT_CACHE_MAX_SIZE_MB) * 1024 * 1024;
+
+  const entries = await listCachedAnalyses();
+  let totalSize = entries.reduce((sum, entry) => sum + (entry.size || 0), 0);
+  if (totalSize <= maxBytes) return;
+
+  const oldestFirst = entries.sort((a, b) => a.lastAccessedAt - b.lastAccessedAt);
+  const toDelete = [];
+  for (const entry of oldestFirst) {
+    if (totalSize <= maxBytes) break;
+    toDelete.push(entry.key);
+    totalSize -= entry.size || 0;
+  }
+
+  await withStore("readwrite", (store) => {
+    toDelete.forEach((key) => store.delete(key));
+  });
+  console.log(`[Analysis Cache] Evicted ${toDelete.length} entries`);
+}
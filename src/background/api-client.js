@@ -0,0 +1,255 @@
+// API Client
+// Shared request layer for LLM calls: retries with backoff, rate-limit awareness and typed errors
+
+// Error categories, each with its own recovery message and action in the side panel
+export const ERROR_CATEGORIES = {
+  INVALID_KEY: "invalid_key",
+  QUOTA_EXHAUSTED: "quota_exhausted",
+  RATE_LIMITED: "rate_limited",
+  CONTEXT_TOO_LONG: "context_too_long",
+  NETWORK_OFFLINE: "network_offline",
+  SERVER_ERROR: "server_error",
+  STREAM_INTERRUPTED: "stream_interrupted",
+  BUDGET_EXCEEDED: "budget_exceeded",
+  REQUEST_FAILED: "request_failed",
+};
+
+const MAX_RETRIES = 3;
+const BASE_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 30000;
+
+// Waiting longer than this for a rate limit to reset fails the request instead
+const MAX_RATE_LIMIT_WAIT_MS = 60000;
+
+// Statuses worth retrying: timeouts, rate limits, server errors and Anthropic's "overloaded"
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504, 529];
+
+// Earliest time the next request may be sent, per provider (from x-ratelimit-* headers)
+const rateLimitResets = new Map();
+
+// An API failure with a category the side panel can act on
+export class ApiError extends Error {
+  constructor(message, { category, status = null, retryable = false, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.category = category || ERROR_CATEGORIES.REQUEST_FAILED;
+    this.status = status;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// Pull a readable message and error code out of a provider error body (JSON or plain text)
+function parseErrorBody(body) {
+  try {
+    const parsed = JSON.parse(body);
+    return {
+      message: parsed.error?.message || parsed.message || body,
+      code: parsed.error?.code || parsed.error?.type || null,
+    };
+  } catch {
+    return { message: body, code: null };
+  }
+}
+
+// Work out the category of a failure from its status and provider message
+function categorize(status, message, code) {
+  const text = `${code || ""} ${message || ""}`.toLowerCase();
+
+  if (/insufficient_quota|credit balance|billing|quota exceeded|exceeded your current quota/.test(text)) {
+    return ERROR_CATEGORIES.QUOTA_EXHAUSTED;
+  }
+  if (/context_length_exceeded|context length|context window|prompt is too long|too many tokens|maximum context/.test(text)) {
+    return ERROR_CATEGORIES.CONTEXT_TOO_LONG;
+  }
+  if (status === 401 || status === 403 || /invalid_api_key|invalid x-api-key|authentication/.test(text)) {
+    return ERROR_CATEGORIES.INVALID_KEY;
+  }
+  if (status === 429 || /rate_limit|rate limit/.test(text)) {
+    return ERROR_CATEGORIES.RATE_LIMITED;
+  }
+  if ((status && status >= 500) || /overloaded|server_error|internal error/.test(text)) {
+    return ERROR_CATEGORIES.SERVER_ERROR;
+  }
+  return ERROR_CATEGORIES.REQUEST_FAILED;
+}
+
+// Turn a non-OK response into an ApiError
+export async function createHttpError(response) {
+  const body = await response.text().catch(() => "");
+  const { message, code } = parseErrorBody(body);
+  const category = categorize(response.status, message, code);
+  return new ApiError(`API request failed: ${response.status} - ${message}`, {
+    category,
+    status: response.status,
+    // A used-up quota also comes back as 429, but waiting won't fix it
+    retryable:
+      RETRYABLE_STATUSES.includes(response.status) &&
+      category !== ERROR_CATEGORIES.QUOTA_EXHAUSTED,
+    retryAfterMs: getRetryAfterMs(response.headers),
+  });
+}
+
+// Turn an error event reported inside a stream into an ApiError
+export function createStreamError(error) {
+  const message = error?.message || "Stream error";
+  const category = categorize(null, message, error?.code || error?.type);
+  return new ApiError(message, {
+    category,
+    retryable:
+      category === ERROR_CATEGORIES.SERVER_ERROR ||
+      category === ERROR_CATEGORIES.RATE_LIMITED,
+  });
+}
+
+// Convert anything thrown during a request into an ApiError (abort errors pass through)
+export function toApiError(error) {
+  if (error instanceof ApiError || error?.name === "AbortError") return error;
+
+  // fetch() and stream reads reject with a TypeError when the connection fails
+  if (error instanceof TypeError) {
+    const offline = typeof navigator !== "undefined" && navigator.onLine === false;
+    return new ApiError(
+      offline
+        ? "You appear to be offline."
+        : `Network error: ${error.message}`,
+      { category: ERROR_CATEGORIES.NETWORK_OFFLINE, retryable: true }
+    );
+  }
+
+  return new ApiError(error?.message || String(error));
+}
+
+// Parse durations like "20ms", "1s" or "6m0s" (OpenAI's x-ratelimit-reset-* format)
+function parseDuration(value) {
+  let total = 0;
+  let matched = false;
+  const units = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+  for (const [, amount, unit] of value.matchAll(/(\d+(?:\.\d+)?)(ms|s|m|h)/g)) {
+    total += parseFloat(amount) * units[unit];
+    matched = true;
+  }
+  return matched ? total : null;
+}
+
+// Milliseconds until a reset header value: a duration, a number of seconds or a timestamp
+function parseResetHeader(value) {
+  if (!value) return null;
+  if (/^\d+(\.\d+)?$/.test(value)) return parseFloat(value) * 1000;
+
+  const duration = parseDuration(value);
+  if (duration !== null) return duration;
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// How long the server asked us to wait (Retry-After, or OpenAI's retry-after-ms)
+function getRetryAfterMs(headers) {
+  const retryAfterMs = headers.get("retry-after-ms");
+  if (retryAfterMs && !Number.isNaN(Number(retryAfterMs))) {
+    return Number(retryAfterMs);
+  }
+  return parseResetHeader(headers.get("retry-after"));
+}
+
+// Remember when a used-up rate limit window resets so the next request waits for it.
+// Reads OpenAI/Azure (x-ratelimit-*) and Anthropic (anthropic-ratelimit-*) headers.
+function recordRateLimits(key, headers) {
+  const windows = [
+    ["x-ratelimit-remaining-requests", "x-ratelimit-reset-requests"],
+    ["x-ratelimit-remaining-tokens", "x-ratelimit-reset-tokens"],
+    ["anthropic-ratelimit-requests-remaining", "anthropic-ratelimit-requests-reset"],
+    ["anthropic-ratelimit-tokens-remaining", "anthropic-ratelimit-tokens-reset"],
+  ];
+
+  let waitMs = 0;
+  for (const [remainingHeader, resetHeader] of windows) {
+    if (headers.get(remainingHeader) === "0") {
+      waitMs = Math.max(waitMs, parseResetHeader(headers.get(resetHeader)) || 0);
+    }
+  }
+
+  if (waitMs > 0) {
+    rateLimitResets.set(key, Date.now() + waitMs);
+  }
+}
+
+// Exponential backoff with full jitter, or the server's requested delay if it gave one
+function getRetryDelay(attempt, retryAfterMs) {
+  if (retryAfterMs !== null && retryAfterMs !== undefined) {
+    return Math.min(retryAfterMs, MAX_RATE_LIMIT_WAIT_MS);
+  }
+  const ceiling = Math.min(MAX_RETRY_DELAY_MS, BASE_RETRY_DELAY_MS * 2 ** attempt);
+  return Math.random() * ceiling;
+}
+
+// Sleep that ends early (rejecting) when the signal aborts
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+// Wait out a rate limit window that an earlier response reported as used up
+async function waitForRateLimit(key, signal) {
+  const resetAt = rateLimitResets.get(key);
+  if (!resetAt) return;
+
+  const waitMs = resetAt - Date.now();
+  if (waitMs <= 0) {
+    rateLimitResets.delete(key);
+    return;
+  }
+  if (waitMs > MAX_RATE_LIMIT_WAIT_MS) {
+    throw new ApiError("Rate limit reached. Please wait a minute and try again.", {
+      category: ERROR_CATEGORIES.RATE_LIMITED,
+      retryAfterMs: waitMs,
+    });
+  }
+
+  console.log(`[API Client] Waiting ${Math.round(waitMs)}ms for the ${key} rate limit to reset`);
+  await sleep(waitMs, signal);
+}
+
+// POST to an LLM API, retrying transient failures with backoff.
+// `key` groups requests that share rate limits (the provider id).
+// Resolves with the OK response; rejects with an ApiError (or AbortError).
+export async function fetchWithRetry(key, url, init, { signal, maxRetries = MAX_RETRIES } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    await waitForRateLimit(key, signal);
+
+    let error;
+    try {
+      const response = await fetch(url, { ...init, signal });
+      recordRateLimits(key, response.headers);
+      if (response.ok) return response;
+      error = await createHttpError(response);
+    } catch (fetchError) {
+      if (signal?.aborted) throw fetchError;
+      error = toApiError(fetchError);
+    }
+
+    if (!error.retryable || attempt >= maxRetries) {
+      throw error;
+    }
+
+    const delay = getRetryDelay(attempt, error.retryAfterMs);
+    console.warn(
+      `[API Client] ${error.message} - retrying in ${Math.round(delay)}ms (attempt ${attempt + 1} of ${maxRetries})`
+    );
+    await sleep(delay, signal);
+  }
+}
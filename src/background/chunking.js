@@ -0,0 +1,218 @@
+// Policy Chunking
+// Splits long policies on section boundaries and merges per-chunk analyses back together
+
+// Roughly 10k tokens per chunk, which keeps each request fast
+export const CHUNK_MAX_LENGTH = 40000;
+
+// How many chunks are analyzed at the same time
+export const CHUNK_CONCURRENCY = 3;
+
+const RISK_LEVEL_ORDER = { HIGH: 3, MEDIUM: 2, LOW: 1 };
+
+// Lines that look like section headings ("3. Sharing", "HOW WE USE DATA", "Your Rights")
+const HEADING_PATTERNS = [
+  /^(section\s+)?\d+(\.\d+)*[.)]?\s+\S/i,
+  /^[A-Z][A-Z0-9 ,&'()/-]{3,80}$/,
+  /^[IVX]+\.\s+\S/,
+];
+
+export function isHeadingLine(line) {
+  const trimmed = line.trim();
+  if (trimmed.length < 3 || trimmed.length > 100) return false;
+  if (/[.;:,]$/.test(trimmed)) return false;
+  if (HEADING_PATTERNS.some((pattern) => pattern.test(trimmed))) return true;
+  // Short title-case lines with no sentence punctuation
+  return trimmed.split(/\s+/).length <= 8 && /^[A-Z]/.test(trimmed);
+}
+
+// Break text into sections that each start at a heading.
+// Offsets refer to positions in the original text.
+export function splitIntoSections(text) {
+  const sections = [];
+  let current = { heading: null, start: 0 };
+  let offset = 0;
+
+  for (const line of text.split("\n")) {
+    if (isHeadingLine(line) && offset > current.start) {
+      sections.push({ ...current, end: offset });
+      current = { heading: line.trim(), start: offset };
+    } else if (current.heading === null && offset === current.start && isHeadingLine(line)) {
+      current.heading = line.trim();
+    }
+    offset += line.length + 1;
+  }
+  sections.push({ ...current, end: text.length });
+
+  return sections.filter((section) => text.slice(section.start, section.end).trim());
+}
+
+// Split an oversized span at paragraph, then sentence, then hard boundaries
+function splitOversized(text, start, end, maxLength) {
+  const pieces = [];
+  let pieceStart = start;
+
+  while (end - pieceStart > maxLength) {
+    const window = text.slice(pieceStart, pieceStart + maxLength);
+    let cut = window.lastIndexOf("\n\n");
+    if (cut < maxLength / 2) cut = window.lastIndexOf("\n");
+    if (cut < maxLength / 2) cut = window.search(/[.!?]\s[^.!?]*$/) + 1;
+    if (cut < maxLength / 2) cut = maxLength;
+
+    pieces.push({ start: pieceStart, end: pieceStart + cut });
+    pieceStart += cut;
+  }
+  pieces.push({ start: pieceStart, end });
+
+  return pieces;
+}
+
+// Split policy text into chunks no longer than `maxLength`, keeping sections together
+export function splitIntoChunks(text, maxLength = CHUNK_MAX_LENGTH) {
+  if (text.length <= maxLength) {
+    return [{ index: 0, heading: null, start: 0, end: text.length, text }];
+  }
+
+  const chunks = [];
+  let current = null;
+
+  const pushCurrent = () => {
+    if (current) chunks.push(current);
+    current = null;
+  };
+
+  for (const section of splitIntoSections(text)) {
+    const length = section.end - section.start;
+
+    if (length > maxLength) {
+      pushCurrent();
+      for (const piece of splitOversized(text, section.start, section.end, maxLength)) {
+        chunks.push({ heading: section.heading, ...piece });
+      }
+      continue;
+    }
+
+    if (current && section.end - current.start > maxLength) {
+      pushCurrent();
+    }
+
+    if (!current) {
+      current = { heading: section.heading, start: section.start, end: section.end };
+    } else {
+      current.end = section.end;
+    }
+  }
+  pushCurrent();
+
+  return chunks.map((chunk, index) => ({
+    ...chunk,
+    index,
+    text: text.slice(chunk.start, chunk.end),
+  }));
+}
+
+// Run `task` over `items` with at most `limit` tasks in flight.
+// Results keep the input order; failures are returned as { error }.
+export async function mapWithConcurrency(items, limit, task) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { value: await task(items[index], index) };
+      } catch (error) {
+        results[index] = { error };
+      }
+    }
+  }
+
+  const workers = [];
+  for (let i = 0; i < Math.min(limit, items.length); i++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+
+  return results;
+}
+
+// Normalize a label so near-identical findings from different chunks collapse together
+function normalizeKey(text) {
+  return (text || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9 ]/g, " ")
+    .replace(/\b(the|a|an|your|our|of|and|or|to|for|with)\b/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Merge one list of findings, deduplicating on `keyField`
+function mergeFindings(chunkAnalyses, listName, keyField) {
+  const merged = new Map();
+
+  for (const { analysis, chunkIndex } of chunkAnalyses) {
+    for (const item of analysis[listName] || []) {
+      const key = normalizeKey(item[keyField]) || normalizeKey(item.quote);
+      if (!key) continue;
+
+      const existing = merged.get(key);
+      if (!existing) {
+        merged.set(key, { ...item, sourceChunks: [chunkIndex] });
+        continue;
+      }
+
+      if (!existing.sourceChunks.includes(chunkIndex)) {
+        existing.sourceChunks.push(chunkIndex);
+      }
+
+      // Keep the most severe rating for risks
+      if (
+        item.level &&
+        (RISK_LEVEL_ORDER[item.level] || 0) > (RISK_LEVEL_ORDER[existing.level] || 0)
+      ) {
+        existing.level = item.level;
+        existing.description = item.description || existing.description;
+        existing.quote = item.quote || existing.quote;
+      }
+
+      if (!existing.quote && item.quote) {
+        existing.quote = item.quote;
+      }
+    }
+  }
+
+  return Array.from(merged.values());
+}
+
+// Lists only some kinds of document have (see schemas.js), with the field they
+// deduplicate on
+const DOCUMENT_TYPE_LISTS = { clauses: "title", cookies: "name", consentMethods: "method" };
+
+// Combine per-chunk analyses into one deduplicated analysis.
+// Each finding records the chunks it came from in `sourceChunks`.
+export function mergeChunkAnalyses(chunkAnalyses) {
+  const risks = mergeFindings(chunkAnalyses, "risks", "title").sort(
+    (a, b) => (RISK_LEVEL_ORDER[b.level] || 0) - (RISK_LEVEL_ORDER[a.level] || 0)
+  );
+
+  const merged = {
+    risks,
+    dataCollection: mergeFindings(chunkAnalyses, "dataCollection", "type"),
+    dataSharing: mergeFindings(chunkAnalyses, "dataSharing", "recipient"),
+    userRights: mergeFindings(chunkAnalyses, "userRights", "right"),
+  };
+
+  for (const [listName, keyField] of Object.entries(DOCUMENT_TYPE_LISTS)) {
+    if (chunkAnalyses.some(({ analysis }) => analysis[listName])) {
+      merged[listName] = mergeFindings(chunkAnalyses, listName, keyField);
+    }
+  }
+
+  // Usually only the part about consent says how it is asked for
+  const consentModels = chunkAnalyses.map(({ analysis }) => analysis.consentModel).filter(Boolean);
+  if (consentModels.length > 0) {
+    merged.consentModel = consentModels.find((model) => model !== "not_stated") || "not_stated";
+  }
+
+  return merged;
+}
@@ -0,0 +1,296 @@
+// Heuristic Analyzer
+// Fills the analysis JSON from curated phrase patterns, without a model: the offline fallback and the instant preview while the model runs
+
+import { DOCUMENT_TYPE_LABELS, findRetentionPeriods } from "./policy-metadata.js";
+import { computePrivacyScore } from "./privacy-score.js";
+
+// Sentences longer than this are quoted around the matched phrase
+const MAX_QUOTE_LENGTH = 300;
+
+// Sentences that deny rather than state a practice ("we do not sell ...")
+const NEGATION = /\b(?:do not|does not|don't|doesn't|never|not knowingly|will not|won't|shall not|cannot|no longer)\b/i;
+
+// Sentences about the service itself doing something with data
+const COLLECTION_VERBS = /\b(?:collect|gather|obtain|receive|record|process|store|ask (?:you )?for|you (?:provide|give|submit))/i;
+const SHARING_VERBS = /\b(?:share|disclose|provide|transfer|make available|sell|sold|rent)/i;
+const RIGHTS_VERBS = /\b(?:you (?:may|can|have the right|are entitled|have a right)|right to|request (?:that|to|access|deletion)|opt.?out|unsubscribe)/i;
+
+// Kinds of personal data, labeled so the history filters and the privacy
+// score (DATA_CATEGORIES) recognize them
+const DATA_TYPE_PATTERNS = [
+  { type: "Contact details", pattern: /\b(?:e-?mail address|phone number|telephone number|mailing address|postal address|your name|contact (?:details|information))/i },
+  { type: "Location", pattern: /\b(?:precise location|geolocation|gps|location (?:data|information))/i },
+  { type: "Device & usage data", pattern: /\b(?:device (?:identifiers?|information)|ip address|browser type|operating system|usage (?:data|information)|log (?:data|files|information)|advertising id)/i },
+  { type: "Financial information", pattern: /\b(?:payment (?:information|details)|credit card|debit card|bank account|billing (?:information|address)|purchase history|transaction (?:history|data))/i },
+  { type: "Health & biometric data", pattern: /\b(?:health (?:data|information)|medical|biometric|fingerprint|face ?print|facial (?:geometry|recognition)|genetic)/i },
+  { type: "Sensitive personal data", pattern: /\b(?:racial or ethnic|ethnic origin|religious (?:or philosophical )?beliefs|sexual orientation|political opinions|trade union)/i },
+  { type: "Children's data", pattern: /\b(?:children(?:'s)? (?:data|information)|from children|under (?:the age of )?1[36])\b/i },
+  { type: "Messages & content", pattern: /\b(?:messages|photos|videos|voice recordings|audio recordings|content you (?:upload|post|submit|create))/i },
+];
+
+// Kinds of recipients, labeled so the comparison and the privacy score
+// (RECIPIENT_CATEGORIES) recognize them
+const RECIPIENT_PATTERNS = [
+  { recipient: "Advertisers & ad networks", purpose: "Advertising", pattern: /\b(?:advertis\w*|ad networks?|ad partners|marketing partners)/i },
+  { recipient: "Analytics providers", purpose: "Analytics and measurement", pattern: /\b(?:analytics (?:providers|partners|services)|google analytics|measurement)/i },
+  { recipient: "Service providers", purpose: "Running the service on the company's behalf", pattern: /\b(?:service providers|vendors|processors|contractors|hosting providers)/i },
+  { recipient: "Affiliates", purpose: "Within the corporate group", pattern: /\b(?:affiliates|subsidiaries|parent company|corporate group)/i },
+  { recipient: "Law enforcement & government", purpose: "Legal requests and obligations", pattern: /\b(?:law enforcement|government (?:authorities|agencies)|courts?|legal process|subpoena)/i },
+  { recipient: "Buyers in a merger or sale", purpose: "Business transfers", pattern: /\b(?:merger|acquisition|bankruptcy|sale of (?:all or )?(?:a portion of )?(?:our|the company's) (?:business|assets))/i },
+];
+
+// Selling personal data, and sentences saying it isn't sold
+const SALE_PATTERN = /\b(?:sell|sells|sold|sale of)\b.{0,60}\b(?:personal (?:data|information)|your (?:data|information))|\b(?:personal (?:data|information)|your (?:data|information))\b.{0,60}\b(?:sell|sold)\b/i;
+
+// Rights, labeled like the comparison's USER_RIGHTS
+const RIGHT_PATTERNS = [
+  { right: "Access your data", pattern: /\b(?:access (?:to )?(?:your|the) (?:personal )?(?:data|information)|copy of (?:your|the) (?:personal )?(?:data|information)|right to know)/i },
+  { right: "Delete your data", pattern: /\b(?:delet\w* (?:your|the|of)|erasure|to be forgotten)/i },
+  { right: "Correct your data", pattern: /\b(?:correct\w*|rectif\w*|amend\w*) (?:your|any|inaccurate)/i },
+  { right: "Data portability", pattern: /\b(?:portab\w*|machine-readable)/i },
+  { right: "Opt out of sale or sharing", pattern: /\b(?:do not (?:sell|share)|opt.?out of (?:the )?(?:sale|selling|sharing|targeted))/i },
+  { right: "Opt out of marketing", pattern: /\b(?:unsubscribe|opt.?out of (?:marketing|promotional))/i },
+  { right: "Withdraw consent", pattern: /\b(?:withdraw|revoke) (?:your )?consent/i },
+  { right: "Complain to a regulator", pattern: /\b(?:lodge a complaint|supervisory authority|data protection authority)/i },
+];
+
+// Practices worth flagging in any policy
+const RISK_PATTERNS = [
+  { level: "MEDIUM", title: "Targeted advertising", description: "Your data may be used to show you personalized ads.", pattern: /\b(?:targeted|interest-based|personali[sz]ed|behavioral) (?:advertising|ads)\b|cross-context behavioral/i },
+  { level: "MEDIUM", title: "Data from other sources", description: "Data about you may be combined with data bought or received from others.", pattern: /\b(?:from|obtain\w*) (?:third parties|data brokers|other sources|publicly available sources)/i, requires: COLLECTION_VERBS },
+  { level: "LOW", title: "International transfers", description: "Your data may be moved to other countries with different protections.", pattern: /\btransfer\w*\b.{0,80}\b(?:outside|other countries|another country|internationally|united states)/i },
+  { level: "MEDIUM", title: "Policy can change at any time", description: "The company may change these terms, possibly without telling you directly.", pattern: /\b(?:change|modify|update|amend)\w* (?:this|these|our) (?:policy|terms|notice|agreement)\b.{0,60}\b(?:at any time|without (?:prior )?notice)/i },
+];
+
+// Clauses in terms of service and license agreements, by category
+const CLAUSE_PATTERNS = [
+  { category: "arbitration", level: "HIGH", title: "Binding arbitration", description: "Disputes go to private arbitration instead of court.", pattern: /\bbinding arbitration|\barbitration\b/i },
+  { category: "class_action_waiver", level: "HIGH", title: "Class action waiver", description: "You give up joining class actions against the company.", pattern: /\bclass (?:action|arbitration)|representative (?:action|proceeding)/i },
+  { category: "liability_limit", level: "MEDIUM", title: "Limited liability", description: "The company limits what it owes you if something goes wrong.", pattern: /\blimitation of liability|(?:shall|will) not be liable|in no event (?:shall|will)/i },
+  { category: "content_license", level: "HIGH", title: "License to your content", description: "You grant the company broad rights to content you post.", pattern: /\b(?:worldwide|royalty-free|perpetual|irrevocable|sublicensable)\b.{0,80}\blicen[cs]e/i },
+  { category: "termination", level: "MEDIUM", title: "Account termination", description: "Your account can be suspended or closed, possibly without notice.", pattern: /\b(?:terminate|suspend)\w*\b.{0,40}\b(?:your )?(?:account|access)/i },
+  { category: "auto_renewal", level: "MEDIUM", title: "Automatic renewal", description: "Subscriptions renew and charge you until cancelled.", pattern: /\bautomatic(?:ally)? renew|auto-?renew/i },
+  { category: "license_scope", level: "LOW", title: "License, not ownership", description: "You get a limited license to use the software rather than owning it.", pattern: /\blicensed,? not sold|non-exclusive,? non-transferable|limited licen[cs]e/i },
+  { category: "usage_restrictions", level: "LOW", title: "Usage restrictions", description: "You may not reverse engineer, modify or redistribute the software.", pattern: /\breverse engineer|decompile|disassemble/i },
+  { category: "automatic_updates", level: "MEDIUM", title: "Forced updates", description: "The software may update itself without asking.", pattern: /\bautomatic(?:ally)?\b.{0,30}\b(?:updates?|download|install)|updates? (?:may be|will be) (?:automatically )?installed/i },
+];
+
+// Clause categories each kind of document is checked for (schemas.js)
+const CLAUSE_CATEGORIES = {
+  terms: ["arbitration", "class_action_waiver", "liability_limit", "content_license", "termination", "auto_renewal"],
+  eula: [
+    "arbitration", "class_action_waiver", "liability_limit", "content_license", "termination", "auto_renewal",
+    "license_scope", "usage_restrictions", "automatic_updates",
+  ],
+};
+
+// Well-known cookies, looked up by name in cookie policies
+const KNOWN_COOKIES = [
+  { name: "_ga", category: "analytics", provider: "Google Analytics", purpose: "Distinguishes visitors for analytics" },
+  { name: "_gid", category: "analytics", provider: "Google Analytics", purpose: "Distinguishes visitors for analytics" },
+  { name: "_gat", category: "analytics", provider: "Google Analytics", purpose: "Throttles analytics requests" },
+  { name: "_gcl_au", category: "advertising", provider: "Google Ads", purpose: "Measures ad conversions" },
+  { name: "IDE", category: "advertising", provider: "Google DoubleClick", purpose: "Targets and measures ads" },
+  { name: "NID", category: "advertising", provider: "Google", purpose: "Remembers preferences and personalizes ads" },
+  { name: "_fbp", category: "advertising", provider: "Meta (Facebook)", purpose: "Delivers and measures ads" },
+  { name: "fr", category: "advertising", provider: "Meta (Facebook)", purpose: "Delivers and measures ads" },
+  { name: "_hjid", category: "analytics", provider: "Hotjar", purpose: "Records how visitors use the site" },
+  { name: "__utma", category: "analytics", provider: "Google Analytics", purpose: "Distinguishes visitors for analytics" },
+  { name: "bcookie", category: "social_media", provider: "LinkedIn", purpose: "Identifies browsers for LinkedIn features" },
+  { name: "personalization_id", category: "social_media", provider: "X (Twitter)", purpose: "Personalizes ads and content" },
+];
+
+// How a cookie policy asks for consent, checked in order
+const CONSENT_PATTERNS = [
+  { model: "opt_in", pattern: /\b(?:only (?:with|after)|with) your (?:prior )?consent|(?:accept|allow) all cookies|before (?:we )?(?:set|place)\w* (?:any )?(?:non-essential )?cookies/i },
+  { model: "notice_only", pattern: /\bby (?:continuing to (?:use|browse)|using (?:this|our) (?:site|website|services))\b.{0,60}\b(?:agree|consent|accept)/i },
+  { model: "opt_out", pattern: /\b(?:you (?:can|may) (?:disable|opt out of|reject|refuse|block) (?:these |non-essential )?cookies|opt.?out of (?:these |analytics |advertising )?cookies)/i },
+];
+
+const CONSENT_METHOD_PATTERNS = [
+  { method: "Cookie settings", description: "Choose which cookies are allowed in the site's cookie settings.", pattern: /\bcookie (?:settings|preferences|consent (?:tool|manager|banner))|manage (?:your )?cookies/i },
+  { method: "Browser settings", description: "Block or delete cookies in your browser's settings.", pattern: /\bbrowser(?:'s)? settings|settings (?:of|in) your browser/i },
+  { method: "Industry opt-out pages", description: "Opt out of interest-based ads through industry pages.", pattern: /\baboutads\.info|youronlinechoices|networkadvertising\.org|optout\.aboutads/i },
+];
+
+// Email addresses given for privacy questions and requests
+const EMAIL_PATTERN = /\b[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}\b/gi;
+
+// The text split into sentences (lines, then sentence ends), skipping fragments
+// too short to be a statement
+function splitSentences(text) {
+  return text
+    .split(/\n|(?<=[.!?])\s+/)
+    .map((sentence) => sentence.trim())
+    .filter((sentence) => sentence.length >= 20);
+}
+
+// The sentence, or the part of it around `index` when it is too long to quote
+function quoteAround(sentence, index = 0) {
+  if (sentence.length <= MAX_QUOTE_LENGTH) return sentence;
+  const start = Math.max(0, Math.min(index - MAX_QUOTE_LENGTH / 3, sentence.length - MAX_QUOTE_LENGTH));
+  return sentence
+    .slice(start, start + MAX_QUOTE_LENGTH)
+    .replace(start > 0 ? /^\S*\s+/ : /^/, "")
+    .replace(/\s+\S*$/, "");
+}
+
+// The first affirmative sentence matching a pattern (and `requires`, when
+// given), as { sentence, quote }
+function findSentence(sentences, pattern, requires) {
+  for (const sentence of sentences) {
+    const match = sentence.match(pattern);
+    if (!match || NEGATION.test(sentence)) continue;
+    if (requires && !requires.test(sentence)) continue;
+    return { sentence, quote: quoteAround(sentence, match.index) };
+  }
+  return null;
+}
+
+function listPhrase(items) {
+  if (items.length <= 1) return items.join("");
+  return `${items.slice(0, -1).join(", ")} and ${items[items.length - 1]}`;
+}
+
+function findDataCollection(sentences) {
+  return DATA_TYPE_PATTERNS.flatMap(({ type, pattern }) => {
+    const found = findSentence(sentences, pattern, COLLECTION_VERBS);
+    return found ? [{ type, description: `The policy mentions collecting ${type.toLowerCase()}.`, quote: found.quote }] : [];
+  });
+}
+
+function findDataSharing(sentences) {
+  const sharing = RECIPIENT_PATTERNS.flatMap(({ recipient, purpose, pattern }) => {
+    const found = findSentence(sentences, pattern, SHARING_VERBS);
+    return found ? [{ recipient, purpose, quote: found.quote }] : [];
+  });
+
+  const sale = findSentence(sentences, SALE_PATTERN);
+  if (sale) {
+    sharing.unshift({ recipient: "Data buyers", purpose: "Sale of personal data", quote: sale.quote });
+  }
+  return sharing;
+}
+
+function findUserRights(sentences, text) {
+  const rights = RIGHT_PATTERNS.flatMap(({ right, pattern }) => {
+    const found = findSentence(sentences, pattern, RIGHTS_VERBS);
+    return found ? [{ right, description: "The policy describes how to use this right.", quote: found.quote }] : [];
+  });
+
+  // Where to send requests: the first sentence giving a privacy email address
+  const emails = Array.from(new Set(text.match(EMAIL_PATTERN) || []));
+  const contactSentence = sentences.find((sentence) => emails.some((email) => sentence.includes(email)));
+  if (contactSentence) {
+    const email = emails.find((address) => contactSentence.includes(address));
+    rights.push({
+      right: "Contact the company",
+      description: `Questions and requests can be sent to ${email}.`,
+      quote: quoteAround(contactSentence, contactSentence.indexOf(email)),
+    });
+  }
+  return rights;
+}
+
+// Selling data, sensitive data and how long data is kept are left out: the
+// privacy score has factors of their own for them (dataSale, sensitiveData,
+// retention), and a risk as well would count them twice
+function findRisks(sentences) {
+  return RISK_PATTERNS.flatMap(({ level, title, description, pattern, requires }) => {
+    const found = findSentence(sentences, pattern, requires);
+    return found ? [{ level, title, description, quote: found.quote }] : [];
+  });
+}
+
+function findClauses(sentences, documentType) {
+  const categories = CLAUSE_CATEGORIES[documentType];
+  return CLAUSE_PATTERNS.filter(({ category }) => categories.includes(category)).flatMap(
+    ({ category, level, title, description, pattern }) => {
+      // Clauses are often phrased as negations ("we will not be liable"), so they aren't skipped here
+      const sentence = sentences.find((candidate) => pattern.test(candidate));
+      return sentence
+        ? [{ category, title, description, level, quote: quoteAround(sentence, sentence.search(pattern)) }]
+        : [];
+    }
+  );
+}
+
+function findCookieDetails(sentences, text) {
+  const cookies = KNOWN_COOKIES.flatMap((cookie) => {
+    const pattern = new RegExp(`(?:^|[\\s"'(])${cookie.name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}(?=[\\s"',;:)]|$)`, "m");
+    const sentence = sentences.find((candidate) => pattern.test(candidate));
+    return sentence ? [{ ...cookie, duration: "", quote: quoteAround(sentence, sentence.indexOf(cookie.name)) }] : [];
+  });
+
+  const consent = CONSENT_PATTERNS.find(({ pattern }) => pattern.test(text));
+  const consentMethods = CONSENT_METHOD_PATTERNS.flatMap(({ method, description, pattern }) => {
+    const found = findSentence(sentences, pattern);
+    return found ? [{ method, description, quote: found.quote }] : [];
+  });
+
+  return { cookies, consentModel: consent ? consent.model : "not_stated", consentMethods };
+}
+
+// How long the policy says data is kept, as a sentence of the summary (which
+// the privacy score's retention factor reads), or null when it doesn't say
+function describeRetention(text) {
+  const { periods, openEnded } = findRetentionPeriods(text);
+  if (periods.length > 0) {
+    return `It says some data is kept for up to ${periods[periods.length - 1].label}.`;
+  }
+  return openEnded ? "It says data is kept as long as necessary, without a fixed period." : null;
+}
+
+function buildSummary(label, { dataCollection, dataSharing, userRights, documentType }, text) {
+  const parts = [`This summary of the ${label.toLowerCase()} was put together by matching common phrases, without AI, so it can miss or misread things.`];
+  if (dataCollection.length > 0) {
+    parts.push(`It mentions collecting ${listPhrase(dataCollection.map(({ type }) => type.toLowerCase()))}.`);
+  }
+  const recipients = dataSharing.filter(({ recipient }) => recipient !== "Data buyers");
+  if (recipients.length > 0) {
+    parts.push(`It mentions sharing data with ${listPhrase(recipients.map(({ recipient }) => recipient.toLowerCase()))}.`);
+  }
+  if (dataSharing.some(({ recipient }) => recipient === "Data buyers")) {
+    parts.push("It mentions selling personal information.");
+  } else if (/\b(?:do not|does not|don't|never|will not)\s+(?:\w+\s+){0,2}sell\b/i.test(text)) {
+    parts.push("It says personal information is not sold.");
+  }
+  const rights = userRights.filter(({ right }) => right !== "Contact the company");
+  if (rights.length > 0) {
+    parts.push(`Rights described: ${listPhrase(rights.map(({ right }) => right.toLowerCase()))}.`);
+  }
+  // How long data is kept only matters in a privacy policy
+  const retention = documentType === "privacy" ? describeRetention(text) : null;
+  if (retention) parts.push(retention);
+  return parts.join(" ");
+}
+
+// Analyze a policy's text with phrase patterns alone. Returns the same shape
+// as a model analysis for `documentType` (privacy, terms, eula or cookie),
+// marked with `source: "heuristic"`. Every quote is copied from the text.
+// The rating comes from the privacy score's default rubric.
+export function analyzeHeuristically(text, { documentType = "privacy" } = {}) {
+  const sentences = splitSentences(text);
+  const label = DOCUMENT_TYPE_LABELS[documentType] || DOCUMENT_TYPE_LABELS.policy;
+
+  const dataCollection = findDataCollection(sentences);
+  const dataSharing = findDataSharing(sentences);
+  const userRights = findUserRights(sentences, text);
+  const analysis = {
+    summary: "",
+    risks: findRisks(sentences),
+    dataCollection,
+    dataSharing,
+    userRights,
+    ...(CLAUSE_CATEGORIES[documentType] && { clauses: findClauses(sentences, documentType) }),
+    ...(documentType === "cookie" && findCookieDetails(sentences, text)),
+    documentType,
+    source: "heuristic",
+  };
+  analysis.summary = buildSummary(label, analysis, text);
+
+  const { score, rating } = computePrivacyScore(analysis);
+  analysis.overallRating = rating;
+  analysis.ratingExplanation = `Estimated from the phrases found (score ${score}/100). An AI analysis reads the whole ${label.toLowerCase()} and is more reliable.`;
+  return analysis;
+}
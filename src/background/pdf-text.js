@@ -0,0 +1,96 @@
+// PDF Text
+// Reads PDF policies with PDF.js (in an offscreen document, since the service worker can't start workers) and maps text offsets to pages
+
+// Addresses that name a PDF file
+const PDF_URL_PATTERN = /\.pdf(?:$|[?#])/i;
+
+const OFFSCREEN_URL = "src/offscreen/offscreen.html";
+
+// The extension's own PDF viewer, which can jump to a page and highlight a quote
+const PDF_VIEWER_URL = "src/pdf-viewer/viewer.html";
+
+// Pages are joined with a blank line so passages never span two pages
+const PAGE_SEPARATOR = "\n\n";
+
+// Set while the offscreen document is being created, so concurrent calls wait for it
+let creatingOffscreen = null;
+
+export function isPdfUrl(url) {
+  try {
+    return PDF_URL_PATTERN.test(new URL(url).pathname);
+  } catch {
+    return false;
+  }
+}
+
+// Whether a URL serves a PDF, by its address or else its content type
+export async function isPdfDocument(url) {
+  if (isPdfUrl(url)) return true;
+  try {
+    const response = await fetch(url, { method: "HEAD" });
+    return /application\/pdf/i.test(response.headers.get("content-type") || "");
+  } catch {
+    return false;
+  }
+}
+
+async function ensureOffscreenDocument() {
+  const existing = await chrome.runtime.getContexts({
+    contextTypes: ["OFFSCREEN_DOCUMENT"],
+    documentUrls: [chrome.runtime.getURL(OFFSCREEN_URL)],
+  });
+  if (existing.length > 0) return;
+
+  // Kept open afterwards: it holds nothing but the PDF.js module
+  if (!creatingOffscreen) {
+    creatingOffscreen = chrome.offscreen
+      .createDocument({
+        url: OFFSCREEN_URL,
+        reasons: ["WORKERS"],
+        justification: "Extract the text of PDF policies with PDF.js",
+      })
+      .finally(() => {
+        creatingOffscreen = null;
+      });
+  }
+  await creatingOffscreen;
+}
+
+// Download a PDF and extract its text. Returns { title, text, pageOffsets,
+// pageCount }, where pageOffsets[i] is the offset in `text` where page i + 1
+// starts. Throws when the PDF can't be read or has no text layer (a scan).
+export async function extractPdfText(url) {
+  await ensureOffscreenDocument();
+  const response = await chrome.runtime.sendMessage({ target: "offscreen", type: "EXTRACT_PDF_TEXT", url });
+  if (!response?.success) {
+    throw new Error(response?.error || "Could not read the PDF");
+  }
+
+  const pageOffsets = [];
+  let text = "";
+  response.pages.forEach((pageText, index) => {
+    if (index > 0) text += PAGE_SEPARATOR;
+    pageOffsets.push(text.length);
+    text += pageText;
+  });
+
+  if (!text.trim()) {
+    throw new Error("This PDF has no selectable text (it may be a scanned image)");
+  }
+  return { title: response.title, text, pageOffsets, pageCount: pageOffsets.length };
+}
+
+// The page (1-based) a text offset falls on
+export function pageForOffset(pageOffsets, offset) {
+  let page = 1;
+  while (page < pageOffsets.length && pageOffsets[page] <= offset) page++;
+  return page;
+}
+
+// Where to open a PDF in the extension's viewer, scrolled to `page` with `quote` highlighted
+export function pdfViewerUrl(url, { quote, page } = {}) {
+  const params = new URLSearchParams({ file: url });
+  if (page) params.set("page", String(page));
+  if (quote) params.set("quote", quote);
+  return `${chrome.runtime.getURL(PDF_VIEWER_URL)}?${params}`;
+}
@@ -0,0 +1,197 @@
+// Policy Comparison
+// Lines stored analyses of different policies up under shared row keys (data categories, recipients, retention, rights, score and rating) for a side-by-side grid
+
+import { DATA_CATEGORIES } from "./policy-library.js";
+import { passagesToText } from "./policy-diff.js";
+import { findRetentionPeriods } from "./policy-metadata.js";
+import { siteFromUrl } from "./usage-ledger.js";
+
+// How many policies fit side by side in the grid
+export const MIN_COMPARED_POLICIES = 2;
+export const MAX_COMPARED_POLICIES = 4;
+
+// Kinds of recipients, matched against each sharing finding's recipient and purpose
+export const RECIPIENT_CATEGORIES = [
+  { id: "service-providers", label: "Service providers", pattern: /service provider|processor|vendor|contractor|hosting|cloud|supplier/i },
+  { id: "advertisers", label: "Advertisers & ad networks", pattern: /advertis|ad network|ad partner|marketing partner/i },
+  { id: "analytics", label: "Analytics providers", pattern: /analytic|measurement/i },
+  { id: "affiliates", label: "Affiliates & corporate group", pattern: /affiliate|subsidiar|parent company|corporate group|group compan/i },
+  { id: "social", label: "Social networks", pattern: /social (?:media|network)|facebook|\bmeta\b|twitter|linkedin|tiktok/i },
+  { id: "data-buyers", label: "Data brokers & buyers", pattern: /data broker|\bsell\b|\bsold\b|sale of (?:your |personal )?(?:data|information)/i },
+  { id: "authorities", label: "Law enforcement & government", pattern: /law enforcement|government|authorit|regulator|court|legal (?:process|request|obligation)|police/i },
+  { id: "business-transfers", label: "Buyers in a merger or sale", pattern: /merger|acquisition|acquir|bankruptcy|business transfer|successor/i },
+];
+
+// Rights, matched against each right's name (its description only when the name matches none)
+export const USER_RIGHTS = [
+  { id: "access", label: "Access your data", pattern: /access|copy of|right to know/i },
+  { id: "deletion", label: "Delete your data", pattern: /delet|erase|erasure/i },
+  { id: "correction", label: "Correct your data", pattern: /correct|rectif|amend/i },
+  { id: "portability", label: "Take your data elsewhere", pattern: /portab|machine-readable/i },
+  { id: "opt-out-sale", label: "Opt out of sale or sharing", pattern: /do not (?:sell|share)|opt.?out of (?:the )?(?:sale|selling|sharing)/i },
+  { id: "marketing", label: "Opt out of marketing", pattern: /marketing|unsubscribe|promotional/i },
+  { id: "object", label: "Object to or restrict processing", pattern: /object|restrict|limit (?:the )?(?:use|processing)/i },
+  { id: "withdraw-consent", label: "Withdraw consent", pattern: /withdraw|revoke/i },
+  { id: "complaint", label: "Complain to a regulator", pattern: /complain|supervisory authority|data protection authority|lodge/i },
+];
+
+const RATING_LABELS = { GOOD: "Good", MODERATE: "Moderate", CONCERNING: "Concerning" };
+
+// Quotes shown for a retention cell
+const MAX_RETENTION_QUOTES = 3;
+
+function quoteOf(item) {
+  return item.quoteCheck?.matchedText || item.quote || "";
+}
+
+// A cell for a row that says whether a policy mentions something. An absent
+// finding means the analysis didn't report it, not that the policy rules it out.
+function presenceCell(matches, labelOf) {
+  if (matches.length === 0) {
+    return { text: "Not stated", detail: "", evidence: [] };
+  }
+  const evidence = matches.map((item) => ({ label: labelOf(item), quote: quoteOf(item) }));
+  return {
+    text: "Yes",
+    detail: Array.from(new Set(evidence.map(({ label }) => label))).join("; "),
+    evidence,
+  };
+}
+
+function makeRow(id, label, cells) {
+  return { id, label, cells, differs: new Set(cells.map((cell) => cell.text)).size > 1 };
+}
+
+// One row per category that at least one policy mentions, plus "Other" for
+// findings no category covers
+function categoryRows(analyses, listName, categories, { textOf, fallbackTextOf, labelOf }) {
+  const lists = analyses.map((analysis) => analysis[listName] || []);
+  const matches = (item, category) =>
+    category.pattern.test(textOf(item)) ||
+    (fallbackTextOf && !categories.some(({ pattern }) => pattern.test(textOf(item))) && category.pattern.test(fallbackTextOf(item)));
+
+  const rows = categories.map((category) =>
+    makeRow(
+      category.id,
+      category.label,
+      lists.map((items) => presenceCell(items.filter((item) => matches(item, category)), labelOf))
+    )
+  );
+  rows.push(
+    makeRow(
+      "other",
+      "Other",
+      lists.map((items) =>
+        presenceCell(items.filter((item) => !categories.some((category) => matches(item, category))), labelOf)
+      )
+    )
+  );
+  return rows.filter((row) => row.cells.some((cell) => cell.evidence.length > 0));
+}
+
+// The retention periods a policy states, from its text when it was kept and
+// otherwise from its findings
+function retentionCell(entry) {
+  const policyText = entry.passages
+    ? passagesToText(entry.passages)
+    : ["dataCollection", "dataSharing", "userRights", "risks"]
+        .flatMap((listName) => entry.analysis?.[listName] || [])
+        .map((item) => `${item.description || item.purpose || ""} ${item.quote || ""}`)
+        .join("\n");
+
+  const { periods, openEnded, sentences } = findRetentionPeriods(policyText);
+  const parts = periods.map(({ label }) => label);
+  if (openEnded) parts.push("as long as necessary");
+  if (parts.length === 0) {
+    return { text: "Not stated", detail: "", evidence: [] };
+  }
+  const evidence = sentences
+    .slice(0, MAX_RETENTION_QUOTES)
+    .map(({ sentence, labels }) => ({ label: labels.join(", "), quote: sentence }));
+  const summary = parts.join(", ");
+  return { text: summary.charAt(0).toUpperCase() + summary.slice(1), detail: "", evidence };
+}
+
+function ratingCell(analysis) {
+  return {
+    text: RATING_LABELS[analysis.overallRating] || "Unrated",
+    detail: analysis.ratingExplanation || "",
+    rating: analysis.overallRating || null,
+    evidence: [],
+  };
+}
+
+function scoreCell(score) {
+  return {
+    text: `${score.score}/100`,
+    detail: score.factors
+      .filter((factor) => factor.points > 0)
+      .map((factor) => `${factor.label} -${factor.points}`)
+      .join("; "),
+    rating: score.rating,
+    evidence: [],
+  };
+}
+
+// Compare stored analyses side by side. Returns { columns, groups } where each
+// column is one policy and each group's rows hold one cell per column:
+// { text, detail, evidence: [{ label, quote }] }. `differs` marks rows whose
+// cells don't all say the same thing. `scores` are each entry's privacy score
+// (see privacy-score.js), in the same order.
+export function buildComparison(entries, scores) {
+  const columns = entries.map((entry) => {
+    const url = entry.originalUrl || entry.url;
+    return {
+      key: entry.key,
+      site: siteFromUrl(url),
+      title: entry.title || url,
+      url,
+      createdAt: entry.createdAt,
+    };
+  });
+  const analyses = entries.map((entry) => entry.analysis || {});
+
+  return {
+    columns,
+    groups: [
+      {
+        id: "data",
+        label: "Data collected",
+        rows: categoryRows(analyses, "dataCollection", DATA_CATEGORIES, {
+          textOf: (item) => `${item.type || ""} ${item.description || ""}`,
+          labelOf: (item) => item.type,
+        }),
+      },
+      {
+        id: "sharing",
+        label: "Shared with",
+        rows: categoryRows(analyses, "dataSharing", RECIPIENT_CATEGORIES, {
+          textOf: (item) => `${item.recipient || ""} ${item.purpose || ""}`,
+          labelOf: (item) => item.recipient,
+        }),
+      },
+      {
+        id: "retention",
+        label: "Retention",
+        rows: [makeRow("retention", "How long data is kept", entries.map(retentionCell))],
+      },
+      {
+        id: "rights",
+        label: "Your rights",
+        rows: categoryRows(analyses, "userRights", USER_RIGHTS, {
+          textOf: (item) => item.right || "",
+          fallbackTextOf: (item) => item.description || "",
+          labelOf: (item) => item.right,
+        }),
+      },
+      {
+        id: "rating",
+        label: "Overall",
+        rows: [
+          makeRow("score", "Privacy score", scores.map(scoreCell)),
+          makeRow("rating", "Overall rating", analyses.map(ratingCell)),
+        ],
+      },
+    ],
+  };
+}
@@ -0,0 +1,213 @@
+// Policy Diff
+// Compares two versions of a policy section by section, down to the sentences that were added and removed
+
+import { splitIntoSections, isHeadingLine } from "./chunking.js";
+import { tokenize } from "./retrieval.js";
+
+// Sections whose headings changed still count as the same section when they
+// share at least this much of their wording
+const MIN_SECTION_SIMILARITY = 0.5;
+
+// Sentence diffs take time proportional to the product of the section lengths;
+// longer sections are reported as replaced wholesale
+const MAX_DIFF_SENTENCES = 1500;
+
+// Default size of the change description sent to the model
+const DEFAULT_DESCRIPTION_LENGTH = 24000;
+
+function normalizeWhitespace(text) {
+  return text.replace(/\s+/g, " ").trim();
+}
+
+// "3. How We Share Data" and "How we share data:" are the same heading
+function normalizeHeading(heading) {
+  return (heading || "")
+    .toLowerCase()
+    .replace(/^(?:section\s+)?(?:[\d.]+|[ivx]+\.|[a-z]\))\s*/, "")
+    .replace(/[^a-z0-9 ]/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// The sentences of a section's body. Heading lines are left out: a renamed
+// heading on unchanged text isn't a change worth reporting.
+function splitSentences(text) {
+  return text
+    .split("\n")
+    .filter((line) => !isHeadingLine(line))
+    .flatMap((line) => line.split(/(?<=[.!?])\s+/))
+    .map(normalizeWhitespace)
+    .filter(Boolean);
+}
+
+function toSections(text) {
+  return splitIntoSections(text).map(({ heading, start, end }) => {
+    const sectionText = text.slice(start, end);
+    return {
+      heading,
+      key: normalizeHeading(heading),
+      sentences: splitSentences(sectionText),
+      terms: new Set(tokenize(sectionText)),
+    };
+  });
+}
+
+// Share of terms two sections have in common (Jaccard similarity)
+function similarity(a, b) {
+  if (a.terms.size === 0 || b.terms.size === 0) return 0;
+  let shared = 0;
+  for (const term of a.terms) {
+    if (b.terms.has(term)) shared++;
+  }
+  return shared / (a.terms.size + b.terms.size - shared);
+}
+
+// Pair each new section with the old section it replaces: same heading first,
+// then the most similar remaining section. Returns [{ before, after }] in the
+// new version's order, with unmatched old sections (removed) at the end.
+function alignSections(oldSections, newSections) {
+  const unmatched = new Set(oldSections);
+  const pairs = newSections.map((after) => {
+    const before = oldSections.find((section) => unmatched.has(section) && section.key === after.key);
+    if (before) unmatched.delete(before);
+    return { before: before || null, after };
+  });
+
+  for (const pair of pairs) {
+    if (pair.before) continue;
+    let best = null;
+    let bestScore = MIN_SECTION_SIMILARITY;
+    for (const section of unmatched) {
+      const score = similarity(section, pair.after);
+      if (score >= bestScore) {
+        best = section;
+        bestScore = score;
+      }
+    }
+    if (best) {
+      unmatched.delete(best);
+      pair.before = best;
+    }
+  }
+
+  for (const before of oldSections) {
+    if (unmatched.has(before)) pairs.push({ before, after: null });
+  }
+  return pairs;
+}
+
+// Sentences only in `before` (removed) and only in `after` (added), from the
+// longest common subsequence of the two
+function diffSentences(before, after) {
+  let start = 0;
+  while (start < before.length && start < after.length && before[start] === after[start]) {
+    start++;
+  }
+  let endBefore = before.length;
+  let endAfter = after.length;
+  while (endBefore > start && endAfter > start && before[endBefore - 1] === after[endAfter - 1]) {
+    endBefore--;
+    endAfter--;
+  }
+
+  const oldPart = before.slice(start, endBefore);
+  const newPart = after.slice(start, endAfter);
+  if (oldPart.length === 0 || newPart.length === 0 || oldPart.length + newPart.length > MAX_DIFF_SENTENCES) {
+    return { removed: oldPart, added: newPart };
+  }
+
+  // lengths[i][j]: LCS length of oldPart[i:] and newPart[j:]
+  const lengths = Array.from({ length: oldPart.length + 1 }, () => new Uint16Array(newPart.length + 1));
+  for (let i = oldPart.length - 1; i >= 0; i--) {
+    for (let j = newPart.length - 1; j >= 0; j--) {
+      lengths[i][j] =
+        oldPart[i] === newPart[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const removed = [];
+  const added = [];
+  let i = 0;
+  let j = 0;
+  while (i < oldPart.length && j < newPart.length) {
+    if (oldPart[i] === newPart[j]) {
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      removed.push(oldPart[i++]);
+    } else {
+      added.push(newPart[j++]);
+    }
+  }
+  removed.push(...oldPart.slice(i));
+  added.push(...newPart.slice(j));
+  return { removed, added };
+}
+
+// Compare two versions of a policy. Returns
+// { sections: [{ heading, status, removed, added }], unchangedSections }
+// where status is "added", "removed" or "modified" and `removed` / `added` are
+// sentences. Sentences that only moved to another section are left out.
+export function diffPolicyVersions(oldText, newText) {
+  const sections = [];
+  let unchangedSections = 0;
+
+  for (const { before, after } of alignSections(toSections(oldText), toSections(newText))) {
+    const { removed, added } = diffSentences(before?.sentences || [], after?.sentences || []);
+    if (removed.length === 0 && added.length === 0) {
+      unchangedSections++;
+      continue;
+    }
+    sections.push({
+      heading: after?.heading || before?.heading || null,
+      status: !before ? "added" : !after ? "removed" : "modified",
+      removed,
+      added,
+    });
+  }
+
+  const allRemoved = new Set(sections.flatMap((section) => section.removed));
+  const allAdded = new Set(sections.flatMap((section) => section.added));
+  const changed = [];
+  for (const section of sections) {
+    section.removed = section.removed.filter((sentence) => !allAdded.has(sentence));
+    section.added = section.added.filter((sentence) => !allRemoved.has(sentence));
+    if (section.removed.length > 0 || section.added.length > 0) {
+      changed.push(section);
+    } else {
+      unchangedSections++;
+    }
+  }
+
+  return { sections: changed, unchangedSections };
+}
+
+// The changed sections as text for a model, cut off at about `maxLength` characters
+export function describePolicyChanges(diff, maxLength = DEFAULT_DESCRIPTION_LENGTH) {
+  let description = "";
+  for (const section of diff.sections) {
+    const lines = [`## ${section.heading || "Introduction"} (${section.status} section)`];
+    if (section.removed.length > 0) {
+      lines.push("Removed:", ...section.removed.map((sentence) => `- ${sentence}`));
+    }
+    if (section.added.length > 0) {
+      lines.push("Added:", ...section.added.map((sentence) => `- ${sentence}`));
+    }
+
+    const block = lines.join("\n") + "\n\n";
+    if (description.length + block.length > maxLength) {
+      description += `(${diff.sections.length - diff.sections.indexOf(section)} more changed sections not shown)\n`;
+      break;
+    }
+    description += block;
+  }
+  return description.trim();
+}
+
+// Stored analyses keep their policy's text as passages (see retrieval.js);
+// joined back up they give the text to compare against
+export function passagesToText(passages) {
+  return passages.map((passage) => passage.text).join("\n");
+}
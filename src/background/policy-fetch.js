@@ -0,0 +1,81 @@
+// Policy Fetch
+// Downloads a policy page outside of any tab and extracts its text (external policies and monitored policies)
+
+import { isPdfUrl, extractPdfText } from "./pdf-text.js";
+
+// Pages with less text than this are error pages or scripts-only shells
+const MIN_POLICY_LENGTH = 200;
+
+// Closing tags (and line breaks) that end a block of text
+const BLOCK_BOUNDARY = /<\/(?:p|div|h[1-6]|li|dt|dd|tr|section|article|header|footer|ul|ol|table|blockquote)>|<br\s*\/?>/gi;
+
+// Extract text content from HTML, one line per block so section headings
+// stay on lines of their own
+export function extractTextFromHtml(html) {
+  // Remove script and style tags
+  let text = html.replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, " ");
+  text = text.replace(/<style\b[^<]*(?:(?!<\/style>)<[^<]*)*<\/style>/gi, " ");
+
+  // Remove HTML tags
+  text = text.replace(BLOCK_BOUNDARY, "\n");
+  text = text.replace(/<[^>]+>/g, " ");
+
+  // Decode HTML entities
+  text = text.replace(/&nbsp;/g, " ");
+  text = text.replace(/&amp;/g, "&");
+  text = text.replace(/&lt;/g, "<");
+  text = text.replace(/&gt;/g, ">");
+  text = text.replace(/&quot;/g, '"');
+  text = text.replace(/&#39;/g, "'");
+
+  // Clean up whitespace
+  text = text.replace(/[^\S\n]+/g, " ");
+  text = text.replace(/ ?\n[\s]*/g, "\n").trim();
+
+  return text;
+}
+
+// Fetch a policy and return { text, pdf }. HTML pages are reduced to text;
+// PDFs (by address or content type) are read with PDF.js and `pdf` holds
+// { pageOffsets, pageCount } for them (null otherwise). Throws when the policy
+// can't be fetched or has too little text to be a policy.
+export async function fetchPolicyDocument(url, { signal } = {}) {
+  if (isPdfUrl(url)) {
+    return readPdf(url);
+  }
+
+  const response = await fetch(url, {
+    headers: {
+      "User-Agent": "Mozilla/5.0 (compatible; PrivacyPolicyHelper/1.0)",
+      Accept: "text/html,application/xhtml+xml,application/xml;q=0.9,application/pdf;q=0.8,*/*;q=0.7",
+    },
+    signal,
+  });
+
+  if (!response.ok) {
+    throw new Error(`Failed to fetch policy: HTTP ${response.status}`);
+  }
+
+  if (/application\/pdf/i.test(response.headers.get("content-type") || "")) {
+    return readPdf(url);
+  }
+
+  const text = extractTextFromHtml(await response.text());
+  if (!text || text.length < MIN_POLICY_LENGTH) {
+    throw new Error("Could not extract sufficient content from the policy page");
+  }
+  return { text, pdf: null };
+}
+
+async function readPdf(url) {
+  const { text, pageOffsets, pageCount } = await extractPdfText(url);
+  if (text.length < MIN_POLICY_LENGTH) {
+    throw new Error("Could not extract sufficient content from the policy PDF");
+  }
+  return { text, pdf: { pageOffsets, pageCount } };
+}
+
+// Fetch a policy (page or PDF) and return just its text
+export async function fetchPolicyText(url, { signal } = {}) {
+  return (await fetchPolicyDocument(url, { signal })).text;
+}
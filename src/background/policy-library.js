@@ -0,0 +1,155 @@
+// Policy Library
+// Searches every stored analysis (findings and policy passages) to answer questions across sites
+
+import { createPassageIndex } from "./retrieval.js";
+import { QUOTED_LISTS } from "./quote-verifier.js";
+import { siteFromUrl } from "./usage-ledger.js";
+import { findLastUpdated, guessDocumentType } from "./policy-metadata.js";
+
+// Results considered before narrowing down to a few per site
+const SEARCH_LIMIT = 60;
+const PASSAGES_PER_SITE = 2;
+const MAX_SITES = 12;
+
+// Data categories for the history filters and comparison rows, matched against
+// the collected data types
+export const DATA_CATEGORIES = [
+  { id: "contact", label: "Contact details", pattern: /contact|e-?mail|phone|name|address book/i },
+  { id: "location", label: "Location", pattern: /location|gps|geolocation|postal|home address|ip address/i },
+  { id: "financial", label: "Financial", pattern: /payment|financial|credit|card|bank|billing|purchase|transaction/i },
+  { id: "device", label: "Device & usage", pattern: /device|browser|cookie|identifier|log|usage|analytics|ip\b/i },
+  { id: "health", label: "Health & biometrics", pattern: /health|medical|fitness|biometric|genetic/i },
+  { id: "sensitive", label: "Sensitive traits", pattern: /sensitive|racial|ethnic|religio|sexual|political|union/i },
+  { id: "children", label: "Children's data", pattern: /child|minor|under 1[36]/i },
+  { id: "content", label: "Messages & content", pattern: /content|message|photo|video|audio|voice|upload|communication/i },
+];
+
+// Only the newest analysis of each policy URL counts; older ones describe text that has changed
+function latestPerUrl(entries) {
+  const latest = new Map();
+  for (const entry of entries) {
+    const current = latest.get(entry.url);
+    if (!current || entry.createdAt > current.createdAt) {
+      latest.set(entry.url, entry);
+    }
+  }
+  return Array.from(latest.values());
+}
+
+// Searchable documents for one stored analysis: its overall assessment, each
+// finding with its quote, and each passage of the policy text when it was kept
+function entryDocuments(entry) {
+  const url = entry.originalUrl || entry.url;
+  const source = { site: siteFromUrl(url), url, title: entry.title };
+  const analysis = entry.analysis || {};
+
+  const documents = [
+    {
+      ...source,
+      heading: "Overall assessment",
+      text: [analysis.summary, analysis.overallRating, analysis.ratingExplanation]
+        .filter(Boolean)
+        .join(" "),
+      quote: null,
+    },
+  ];
+
+  for (const listName of QUOTED_LISTS) {
+    for (const item of analysis[listName] || []) {
+      const label = item.title || item.type || item.recipient || item.right || item.name || item.method;
+      documents.push({
+        ...source,
+        heading: label,
+        text: [label, item.description || item.purpose, item.quote].filter(Boolean).join(" - "),
+        quote: item.quoteCheck?.matchedText || item.quote || null,
+      });
+    }
+  }
+
+  for (const passage of entry.passages || []) {
+    documents.push({ ...source, heading: passage.heading, text: passage.text, quote: null });
+  }
+
+  return documents;
+}
+
+// Rank findings and passages from every stored analysis against a question.
+// Keeps the best couple of matches per site so comparisons cover many sites.
+// Returns [{ site, url, title, heading, text, quote }], best sites first.
+export function searchLibrary(entries, question) {
+  const documents = latestPerUrl(entries).flatMap(entryDocuments);
+  const results = createPassageIndex(documents).search(question, { limit: SEARCH_LIMIT });
+
+  const bySite = new Map();
+  for (const { passage, quote } of results) {
+    const matches = bySite.get(passage.site) || [];
+    if (matches.length < PASSAGES_PER_SITE) {
+      matches.push({ ...passage, quote: passage.quote || quote });
+      bySite.set(passage.site, matches);
+    }
+  }
+
+  return Array.from(bySite.values()).slice(0, MAX_SITES).flat();
+}
+
+// One line per stored policy, so the model knows which sites had no matching passage
+export function describeLibrary(entries) {
+  return latestPerUrl(entries)
+    .map((entry) => {
+      const url = entry.originalUrl || entry.url;
+      const rating = entry.analysis?.overallRating || "unrated";
+      const date = new Date(entry.createdAt).toISOString().slice(0, 10);
+      return `- ${siteFromUrl(url)}: ${entry.title || url} (rated ${rating}, analyzed ${date})`;
+    })
+    .join("\n");
+}
+
+// Categories of data a stored analysis says the policy collects
+function dataCategories(analysis) {
+  const categories = new Set();
+  for (const item of analysis.dataCollection || []) {
+    const text = `${item.type || ""} ${item.description || ""}`;
+    for (const { id, pattern } of DATA_CATEGORIES) {
+      if (pattern.test(text)) categories.add(id);
+    }
+  }
+  return Array.from(categories);
+}
+
+// The history page's view of a stored analysis: what it lists, filters and sorts on
+export function summarizeLibraryEntry(entry) {
+  const url = entry.originalUrl || entry.url;
+  const analysis = entry.analysis || {};
+  const riskCounts = { HIGH: 0, MEDIUM: 0, LOW: 0 };
+  for (const risk of analysis.risks || []) {
+    if (risk.level in riskCounts) riskCounts[risk.level]++;
+  }
+
+  return {
+    key: entry.key,
+    url,
+    site: siteFromUrl(url),
+    title: entry.title || url,
+    documentType: entry.documentType || guessDocumentType(entry.title, url),
+    overallRating: analysis.overallRating || null,
+    riskCounts,
+    dataCategories: dataCategories(analysis),
+    createdAt: entry.createdAt,
+    lastUpdated:
+      entry.lastUpdated ||
+      findLastUpdated((entry.passages || []).map((passage) => passage.text).join("\n")),
+  };
+}
+
+// Whether a stored analysis contains every word of a search, in its findings
+// or anywhere in the policy text
+export function entryMatchesQuery(entry, query) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return true;
+
+  const text = [entry.title, entry.originalUrl || entry.url]
+    .concat(entryDocuments(entry).map((document) => `${document.heading || ""} ${document.text}`))
+    .join("\n")
+    .toLowerCase();
+  return words.every((word) => text.includes(word));
+}
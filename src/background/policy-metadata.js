@@ -0,0 +1,127 @@
+// Policy Metadata
+// Reads facts about a policy document from its text and address: the date it was last updated and what kind of document it is
+
+// The date line is normally near the top (or the very bottom) of a policy
+const DATE_SEARCH_LENGTH = 3000;
+
+// "Last updated: March 3, 2024", "Effective date 3 March 2024", "Revised on 2024-03-03", ...
+const DATE_LABEL = String.raw`(?:last\s+(?:updated|modified|revised|changed)|(?:date\s+)?(?:updated|revised)(?:\s+on)?|effective(?:\s+(?:date|as\s+of|from|on))?|(?:this\s+)?(?:policy|version)\s+(?:was\s+)?(?:updated|dated))`;
+const DATE_VALUE = String.raw`([A-Z][a-z]{2,8}\.?\s+\d{1,2}(?:st|nd|rd|th)?,?\s+\d{4}|\d{1,2}(?:st|nd|rd|th)?\s+(?:of\s+)?[A-Z][a-z]{2,8}\.?,?\s+\d{4}|\d{4}-\d{2}-\d{2}|\d{1,2}[/.]\d{1,2}[/.]\d{4})`;
+const LAST_UPDATED_PATTERN = new RegExp(
+  String.raw`\b${DATE_LABEL}\s*(?:on|as\s+of)?\s*[:\-–—]?\s*${DATE_VALUE}`,
+  "i"
+);
+
+// Turn a matched date into YYYY-MM-DD, or null when it can't be read unambiguously
+function normalizeDate(value) {
+  const iso = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (iso) return value;
+
+  // 03/04/2024 could be March 4 or 3 April; only keep it when one reading is impossible
+  const numeric = value.match(/^(\d{1,2})[/.](\d{1,2})[/.](\d{4})$/);
+  if (numeric) {
+    const [, first, second, year] = numeric.map(Number);
+    if (first > 12 && second <= 12) return formatDate(year, second, first);
+    if (second > 12 && first <= 12) return formatDate(year, first, second);
+    return null;
+  }
+
+  const cleaned = value.replace(/(\d)(st|nd|rd|th)\b/, "$1").replace(/\bof\s+/, "");
+  const parsed = new Date(cleaned);
+  if (Number.isNaN(parsed.getTime())) return null;
+  return formatDate(parsed.getFullYear(), parsed.getMonth() + 1, parsed.getDate());
+}
+
+function formatDate(year, month, day) {
+  return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+}
+
+// The "last updated" / "effective" date a policy states about itself.
+// Returns { text, date } (date as YYYY-MM-DD, or null if unreadable) or null if none is stated.
+export function findLastUpdated(text) {
+  if (!text) return null;
+
+  const candidates = [text.slice(0, DATE_SEARCH_LENGTH), text.slice(-DATE_SEARCH_LENGTH)];
+  for (const candidate of candidates) {
+    const match = candidate.match(LAST_UPDATED_PATTERN);
+    if (match) {
+      return { text: match[1], date: normalizeDate(match[1]) };
+    }
+  }
+  return null;
+}
+
+// Document types, checked in order: the first whose pattern matches wins
+const DOCUMENT_TYPE_PATTERNS = [
+  { type: "cookie", pattern: /cookie/i },
+  { type: "eula", pattern: /\beula\b|licen[cs]e[-_ ]agreement|end[-_ ]user[-_ ]licen[cs]e/i },
+  { type: "terms", pattern: /terms|conditions|\btos\b|user agreement/i },
+  { type: "privacy", pattern: /privacy|data (?:policy|protection)|gdpr|ccpa/i },
+];
+
+export const DOCUMENT_TYPE_LABELS = {
+  privacy: "Privacy Policy",
+  terms: "Terms of Service",
+  eula: "License Agreement",
+  cookie: "Cookie Policy",
+  policy: "Policy",
+};
+
+// Best guess at the kind of document from its title, then its URL. Analyses are
+// privacy-focused, so anything unrecognized counts as a privacy policy.
+export function guessDocumentType(title, url) {
+  for (const text of [title, url]) {
+    const match = DOCUMENT_TYPE_PATTERNS.find(({ pattern }) => pattern.test(text || ""));
+    if (match) return match.type;
+  }
+  return "privacy";
+}
+
+// Sentences about keeping data, and the periods they give
+const RETENTION_SENTENCE = /\b(?:retain|retention|keep|kept|store|stored|delete[sd]?)\b/i;
+const RETENTION_PERIOD = /\b(\d+|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|eighteen|twenty-four|thirty)\s+(day|week|month|year)s?\b/gi;
+const RETENTION_OPEN_ENDED = /as long as (?:is |it is )?(?:reasonably )?(?:necessary|needed|required)|indefinitely|until you delete/i;
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+  ten: 10, eleven: 11, twelve: 12, eighteen: 18, "twenty-four": 24, thirty: 30,
+};
+const UNIT_DAYS = { day: 1, week: 7, month: 30, year: 365 };
+
+// The retention periods a policy states. Returns { periods, openEnded, sentences }:
+// periods are [{ label, days }] shortest first, openEnded is whether it keeps
+// anything "as long as necessary", and sentences are [{ sentence, labels }]
+// for each sentence that states a period.
+export function findRetentionPeriods(text) {
+  const periods = new Map();
+  const sentences = [];
+  let openEnded = false;
+
+  const candidates = (text || "")
+    .split(/\n|(?<=[.!?])\s+/)
+    .map((sentence) => sentence.trim())
+    .filter((sentence) => RETENTION_SENTENCE.test(sentence));
+
+  for (const sentence of candidates) {
+    const labels = [];
+    for (const [, amount, unit] of sentence.matchAll(RETENTION_PERIOD)) {
+      const count = Number(amount) || NUMBER_WORDS[amount.toLowerCase()];
+      const normalizedUnit = unit.toLowerCase();
+      const label = `${count} ${normalizedUnit}${count === 1 ? "" : "s"}`;
+      periods.set(label, count * UNIT_DAYS[normalizedUnit]);
+      labels.push(label);
+    }
+    if (RETENTION_OPEN_ENDED.test(sentence)) {
+      openEnded = true;
+      labels.push("as long as necessary");
+    }
+    if (labels.length > 0) {
+      sentences.push({ sentence, labels });
+    }
+  }
+
+  return {
+    periods: Array.from(periods, ([label, days]) => ({ label, days })).sort((a, b) => a.days - b.days),
+    openEnded,
+    sentences,
+  };
+}
@@ -0,0 +1,265 @@
+// Policy Monitor
+// Re-fetches watched policies on a chrome.alarms schedule and notifies when one changes
+
+import { fetchPolicyText } from "./policy-fetch.js";
+import { hashContent, normalizePolicyUrl } from "./analysis-cache.js";
+import { diffPolicyVersions } from "./policy-diff.js";
+import { siteFromUrl } from "./usage-ledger.js";
+
+const MONITOR_ALARM = "policy-monitor";
+const QUIET_HOURS_ALARM = "policy-monitor-quiet-hours";
+
+// Notification IDs carry the policy URL so a click can open it
+const NOTIFICATION_PREFIX = "policy-change:";
+
+export const DEFAULT_MONITOR_FREQUENCY_HOURS = 24;
+export const DEFAULT_QUIET_HOURS = { start: "22:00", end: "08:00" };
+
+// Give up on a policy page that hasn't answered in this long
+const FETCH_TIMEOUT_MS = 30000;
+
+// Longest sentence quoted in a change notification
+const NOTIFICATION_QUOTE_LENGTH = 120;
+
+// Watched policies live in chrome.storage.local under "watchedPolicies":
+// [{ url, title, site, contentHash, text, watchedAt, lastCheckedAt, lastChangedAt,
+//    lastChangeSummary, lastError }]. `text` is the version last seen, kept for diffs.
+async function loadWatchedPolicies() {
+  const { watchedPolicies } = await chrome.storage.local.get(["watchedPolicies"]);
+  return watchedPolicies || [];
+}
+
+function saveWatchedPolicies(watchedPolicies) {
+  return chrome.storage.local.set({ watchedPolicies });
+}
+
+// Watched policies without their stored text, for the side panel and options page
+export async function listWatchedPolicies() {
+  return (await loadWatchedPolicies()).map(({ text, ...policy }) => policy);
+}
+
+export async function isWatched(url) {
+  const key = normalizePolicyUrl(url);
+  return (await loadWatchedPolicies()).some((policy) => normalizePolicyUrl(policy.url) === key);
+}
+
+// Start watching a policy. Its current text is fetched the same way later checks
+// will fetch it, so the first check compares like with like.
+export async function watchPolicy({ url, title }) {
+  const text = await fetchPolicyText(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+  const now = Date.now();
+  const policy = {
+    url,
+    title: title || siteFromUrl(url),
+    site: siteFromUrl(url),
+    contentHash: await hashContent(text),
+    text,
+    watchedAt: now,
+    lastCheckedAt: now,
+    lastChangedAt: null,
+    lastChangeSummary: null,
+    lastError: null,
+  };
+
+  const key = normalizePolicyUrl(url);
+  const watchedPolicies = (await loadWatchedPolicies()).filter(
+    (existing) => normalizePolicyUrl(existing.url) !== key
+  );
+  watchedPolicies.push(policy);
+  await saveWatchedPolicies(watchedPolicies);
+  await scheduleMonitoring();
+}
+
+export async function unwatchPolicy(url) {
+  const key = normalizePolicyUrl(url);
+  const watchedPolicies = (await loadWatchedPolicies()).filter(
+    (policy) => normalizePolicyUrl(policy.url) !== key
+  );
+  await saveWatchedPolicies(watchedPolicies);
+  await scheduleMonitoring();
+}
+
+// Create (or replace) the periodic alarm at the configured frequency; none is
+// needed while nothing is watched
+export async function scheduleMonitoring() {
+  const [watchedPolicies, { monitorFrequencyHours }] = await Promise.all([
+    loadWatchedPolicies(),
+    chrome.storage.local.get(["monitorFrequencyHours"]),
+  ]);
+
+  if (watchedPolicies.length === 0) {
+    await chrome.alarms.clear(MONITOR_ALARM);
+    return;
+  }
+
+  const periodInMinutes = (monitorFrequencyHours || DEFAULT_MONITOR_FREQUENCY_HOURS) * 60;
+  const existing = await chrome.alarms.get(MONITOR_ALARM);
+  if (existing?.periodInMinutes === periodInMinutes) return;
+
+  await chrome.alarms.create(MONITOR_ALARM, {
+    delayInMinutes: periodInMinutes,
+    periodInMinutes,
+  });
+  console.log(`[Policy Monitor] Checking watched policies every ${periodInMinutes / 60} hour(s)`);
+}
+
+// A short description of what changed, for the notification
+function summarizeChange(oldText, newText) {
+  const diff = diffPolicyVersions(oldText, newText);
+  if (diff.sections.length === 0) {
+    return "Only dates or formatting changed.";
+  }
+
+  const added = diff.sections.reduce((sum, section) => sum + section.added.length, 0);
+  const removed = diff.sections.reduce((sum, section) => sum + section.removed.length, 0);
+  const headings = diff.sections.map((section) => section.heading).filter(Boolean);
+
+  let summary = `${added} sentence(s) added and ${removed} removed in ${diff.sections.length} section(s)`;
+  if (headings.length > 0) {
+    summary += `, including "${headings[0]}"`;
+  }
+  summary += ".";
+
+  const firstAdded = diff.sections.find((section) => section.added.length > 0)?.added[0];
+  if (firstAdded) {
+    const quote =
+      firstAdded.length > NOTIFICATION_QUOTE_LENGTH
+        ? firstAdded.slice(0, NOTIFICATION_QUOTE_LENGTH) + "..."
+        : firstAdded;
+    summary += ` New: "${quote}"`;
+  }
+  return summary;
+}
+
+// Fetch every watched policy and compare it with the version last seen.
+// Returns the number of policies that changed.
+export async function checkWatchedPolicies() {
+  const watchedPolicies = await loadWatchedPolicies();
+  const changed = [];
+
+  for (const policy of watchedPolicies) {
+    policy.lastCheckedAt = Date.now();
+    try {
+      const text = await fetchPolicyText(policy.url, {
+        signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+      });
+      policy.lastError = null;
+
+      const contentHash = await hashContent(text);
+      if (contentHash === policy.contentHash) continue;
+
+      policy.lastChangeSummary = summarizeChange(policy.text, text);
+      policy.lastChangedAt = policy.lastCheckedAt;
+      policy.contentHash = contentHash;
+      policy.text = text;
+      changed.push(policy);
+    } catch (error) {
+      console.warn(`[Policy Monitor] Could not check ${policy.url}:`, error.message);
+      policy.lastError = error.message;
+    }
+  }
+
+  // Keep policies watched or unwatched while the checks ran
+  const checked = new Map(watchedPolicies.map((policy) => [normalizePolicyUrl(policy.url), policy]));
+  const current = await loadWatchedPolicies();
+  await saveWatchedPolicies(
+    current.map((policy) => checked.get(normalizePolicyUrl(policy.url)) || policy)
+  );
+
+  console.log(`[Policy Monitor] Checked ${watchedPolicies.length} policies, ${changed.length} changed`);
+  for (const policy of changed) {
+    await notifyChange(policy);
+  }
+  return changed.length;
+}
+
+function minutesOfDay(time) {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+}
+
+// Quiet hours may wrap past midnight (22:00-08:00). Returns the Date they
+// end, or null when it isn't quiet time now.
+async function getQuietHoursEnd(now = new Date()) {
+  const { quietHoursEnabled, quietHoursStart, quietHoursEnd } = await chrome.storage.local.get([
+    "quietHoursEnabled",
+    "quietHoursStart",
+    "quietHoursEnd",
+  ]);
+  if (!quietHoursEnabled) return null;
+
+  const start = minutesOfDay(quietHoursStart || DEFAULT_QUIET_HOURS.start);
+  const end = minutesOfDay(quietHoursEnd || DEFAULT_QUIET_HOURS.end);
+  const current = now.getHours() * 60 + now.getMinutes();
+  const quiet = start <= end ? current >= start && current < end : current >= start || current < end;
+  if (!quiet) return null;
+
+  const endDate = new Date(now);
+  endDate.setHours(Math.floor(end / 60), end % 60, 0, 0);
+  if (endDate <= now) endDate.setDate(endDate.getDate() + 1);
+  return endDate;
+}
+
+// Show a change notification, or hold it until quiet hours are over
+async function notifyChange(policy) {
+  const quietHoursEnd = await getQuietHoursEnd();
+  if (quietHoursEnd) {
+    const { heldChangeNotifications } = await chrome.storage.local.get(["heldChangeNotifications"]);
+    const held = (heldChangeNotifications || []).filter((url) => url !== policy.url);
+    held.push(policy.url);
+    await chrome.storage.local.set({ heldChangeNotifications: held });
+    await chrome.alarms.create(QUIET_HOURS_ALARM, { when: quietHoursEnd.getTime() });
+    return;
+  }
+
+  chrome.notifications.create(NOTIFICATION_PREFIX + policy.url, {
+    type: "basic",
+    iconUrl: chrome.runtime.getURL("assets/icons/icon128.png"),
+    title: `Policy changed: ${policy.site}`,
+    message: policy.lastChangeSummary,
+    contextMessage: policy.title,
+  });
+}
+
+// Show the notifications held back during quiet hours
+async function releaseHeldNotifications() {
+  const { heldChangeNotifications } = await chrome.storage.local.get(["heldChangeNotifications"]);
+  if (!heldChangeNotifications?.length) return;
+  await chrome.storage.local.remove("heldChangeNotifications");
+
+  const watchedPolicies = await loadWatchedPolicies();
+  for (const url of heldChangeNotifications) {
+    const policy = watchedPolicies.find((watched) => watched.url === url);
+    if (policy) await notifyChange(policy);
+  }
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === MONITOR_ALARM) {
+    checkWatchedPolicies().catch((error) =>
+      console.error("[Policy Monitor] Check failed:", error)
+    );
+  } else if (alarm.name === QUIET_HOURS_ALARM) {
+    releaseHeldNotifications().catch((error) =>
+      console.error("[Policy Monitor] Could not show held notifications:", error)
+    );
+  }
+});
+
+// Open the changed policy; analyzing it shows what changed since the last analysis
+chrome.notifications.onClicked.addListener((notificationId) => {
+  if (!notificationId.startsWith(NOTIFICATION_PREFIX)) return;
+  chrome.tabs.create({ url: notificationId.slice(NOTIFICATION_PREFIX.length) });
+  chrome.notifications.clear(notificationId);
+});
+
+// A new check frequency takes effect right away
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === "local" && changes.monitorFrequencyHours) {
+    chrome.alarms.clear(MONITOR_ALARM).then(scheduleMonitoring);
+  }
+});
+
+// Alarms can be lost on update or browser restart
+chrome.runtime.onInstalled.addListener(() => scheduleMonitoring());
+chrome.runtime.onStartup.addListener(() => scheduleMonitoring());
@@ -0,0 +1,149 @@
+// Policy Sections
+// Places a policy's sections in its text, marks them with their IDs for the model, and labels findings with the section they quote
+
+import { splitIntoSections } from "./chunking.js";
+import { QUOTED_LISTS } from "./quote-verifier.js";
+
+// Leading numbering of a heading: "4.2 Sharing", "Section 3: Rights", "IV. Choices", "b) Cookies"
+const SECTION_NUMBER_PATTERN =
+  /^(?:(?:section|article|§)\s*)?(\d{1,2}(?:\.\d{1,2})*|[IVXLC]+(?=[.)])|[a-z](?=[.)]))[.):]?\s+(\S.*)$/i;
+
+// Headings are looked up by their first words, which is enough to tell them apart
+const LOCATE_WORDS = 12;
+
+// Split a heading into its number (or null) and title
+export function parseSectionHeading(heading) {
+  const trimmed = (heading || "").trim();
+  const match = trimmed.match(SECTION_NUMBER_PATTERN);
+  return match ? { number: match[1], title: match[2].trim() } : { number: null, title: trimmed || null };
+}
+
+function outlineEntry(id, heading, level, anchor = null) {
+  const { number, title } = parseSectionHeading(heading);
+  return { id, heading: heading || null, number, title, level, anchor };
+}
+
+// A section tree from the content script (see PolicyExtractor.extractStructure)
+// in reading order, with the text to find each section by
+function flattenSectionTree(tree, entries = []) {
+  for (const section of tree || []) {
+    entries.push({
+      ...outlineEntry(section.id, section.heading, section.level, section.anchor),
+      firstText: section.blocks?.[0]?.text || "",
+    });
+    flattenSectionTree(section.children, entries);
+  }
+  return entries;
+}
+
+// Where `needle` first appears in `text` from `from` on, ignoring differences
+// in whitespace. Returns { index, length } or null.
+function findLoosely(text, needle, from) {
+  const words = needle.trim().split(/\s+/).filter(Boolean).slice(0, LOCATE_WORDS);
+  if (words.length === 0) return null;
+
+  const pattern = new RegExp(
+    words.map((word) => word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("\\s+"),
+    "g"
+  );
+  pattern.lastIndex = from;
+  const match = pattern.exec(text);
+  return match ? { index: match.index, length: match[0].length } : null;
+}
+
+// Give each section its `start` offset in the policy text. Sections are looked
+// up in order, by heading or else by their first paragraph; sections that
+// can't be found are left out and their text counts as the previous section's.
+export function locateSections(text, tree) {
+  const located = [];
+  let cursor = 0;
+
+  for (const { firstText, ...section } of flattenSectionTree(tree)) {
+    const found =
+      (section.heading && findLoosely(text, section.heading, cursor)) ||
+      (firstText && findLoosely(text, firstText, cursor)) ||
+      (located.length === 0 && !section.heading ? { index: 0, length: 0 } : null);
+    if (!found) continue;
+
+    located.push({ ...section, start: found.index });
+    cursor = found.index + found.length;
+  }
+
+  return located.length > 0 ? located : sectionsFromText(text);
+}
+
+// Sections from heading-like lines, for text that doesn't come from a page
+// (PDFs, fetched policies). IDs count up in order: "s0" for any text before
+// the first heading, then "s1", "s2", ...
+export function sectionsFromText(text) {
+  let count = 0;
+  return splitIntoSections(text).map(({ heading, start }) => {
+    const id = heading === null ? "s0" : `s${++count}`;
+    const entry = outlineEntry(id, heading, 1);
+    if (entry.number) entry.level = entry.number.split(".").length;
+    return { ...entry, start };
+  });
+}
+
+// The section a text offset falls in
+export function sectionAt(sections, offset) {
+  let found = null;
+  for (const section of sections) {
+    if (section.start > offset) break;
+    found = section;
+  }
+  return found;
+}
+
+// Text for the model, with "[§id]" in front of every section that starts in
+// it. `offset` is where `text` starts in the policy (for chunks); a chunk
+// that starts inside a section opens with that section's marker.
+export function withSectionMarkers(text, sections, offset = 0) {
+  if (!sections?.length) return text;
+
+  const end = offset + text.length;
+  const opening = sectionAt(sections, offset);
+  let result = opening && opening.start < offset ? `[§${opening.id}] ` : "";
+  let position = offset;
+
+  for (const section of sections) {
+    if (section.start < offset || section.start >= end) continue;
+    result += `${text.slice(position - offset, section.start - offset)}[§${section.id}] `;
+    position = section.start;
+  }
+  return result + text.slice(position - offset);
+}
+
+// Set each finding's `sectionId` and store the outline as `analysis.sections`.
+// A quote found in the text settles which section it is from; otherwise the
+// section the model cited is kept if it exists.
+export function assignSections(analysis, sections) {
+  if (!sections?.length) return;
+  const ids = new Set(sections.map(({ id }) => id));
+
+  for (const listName of QUOTED_LISTS) {
+    for (const item of analysis[listName] || []) {
+      const check = item.quoteCheck;
+      const located = check && check.offset >= 0 ? sectionAt(sections, check.offset) : null;
+      const cited = String(item.sectionId || "").replace(/[[\]§\s]/g, "");
+
+      if (located) {
+        item.sectionId = located.id;
+      } else if (ids.has(cited)) {
+        item.sectionId = cited;
+      } else {
+        delete item.sectionId;
+      }
+    }
+  }
+
+  analysis.sections = sections.map(({ id, heading, number, title, level, anchor, start }) => ({
+    id,
+    heading,
+    number,
+    title,
+    level,
+    anchor,
+    start,
+  }));
+}
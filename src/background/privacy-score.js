@@ -0,0 +1,211 @@
+// Privacy Score
+// Turns a structured analysis into a 0-100 score with a published rubric, so the same findings always score the same
+
+import { DATA_CATEGORIES } from "./policy-library.js";
+import { RECIPIENT_CATEGORIES, USER_RIGHTS } from "./policy-comparison.js";
+import { DOCUMENT_TYPE_LABELS, findRetentionPeriods } from "./policy-metadata.js";
+
+// Every policy starts here and loses points for what its analysis found
+const PERFECT_SCORE = 100;
+
+// Scores at or above these get the rating's band
+const SCORE_BANDS = [
+  { rating: "GOOD", min: 70 },
+  { rating: "MODERATE", min: 40 },
+  { rating: "CONCERNING", min: 0 },
+];
+
+// Highest weight a user can give one factor
+export const MAX_SCORE_WEIGHT = 50;
+
+// Data categories that count as sensitive (ids from DATA_CATEGORIES)
+const SENSITIVE_CATEGORIES = ["health", "sensitive", "children", "location", "financial"];
+
+// Rights that let someone stop their data being sold, shared or used for marketing (ids from USER_RIGHTS)
+const OPT_OUT_RIGHTS = ["opt-out-sale", "marketing", "object", "withdraw-consent"];
+
+// The rubric. `weight` is the points one occurrence costs; factors with
+// `maxCount` count occurrences up to that many, the rest apply once.
+// `privacyOnly` factors are about things only a privacy policy is expected to say.
+export const SCORE_FACTORS = [
+  {
+    id: "highRisks",
+    label: "High risks",
+    description: "Points per high-level risk (or clause), up to 3",
+    weight: 12,
+    maxCount: 3,
+  },
+  {
+    id: "mediumRisks",
+    label: "Medium risks",
+    description: "Points per medium-level risk (or clause), up to 4",
+    weight: 5,
+    maxCount: 4,
+  },
+  {
+    id: "lowRisks",
+    label: "Low risks",
+    description: "Points per low-level risk (or clause), up to 5",
+    weight: 1,
+    maxCount: 5,
+  },
+  {
+    id: "sensitiveData",
+    label: "Sensitive data",
+    description: "Points per sensitive category collected (health, sensitive traits, children, location, financial)",
+    weight: 4,
+    maxCount: SENSITIVE_CATEGORIES.length,
+  },
+  {
+    id: "dataSale",
+    label: "Sells data",
+    description: "Points if data is sold or shared with data brokers",
+    weight: 15,
+  },
+  {
+    id: "advertisingSharing",
+    label: "Shares for advertising",
+    description: "Points if data is shared with advertisers or ad networks",
+    weight: 8,
+  },
+  {
+    id: "retention",
+    label: "Vague retention",
+    description: "Points if no retention period is stated; half if data is only kept \"as long as necessary\"",
+    weight: 8,
+    privacyOnly: true,
+  },
+  {
+    id: "noDeletion",
+    label: "No right to delete",
+    description: "Points if the policy doesn't say you can delete your data",
+    weight: 8,
+    privacyOnly: true,
+  },
+  {
+    id: "noOptOut",
+    label: "No way to opt out",
+    description: "Points if the policy doesn't say you can opt out of sale, sharing or marketing",
+    weight: 6,
+    privacyOnly: true,
+  },
+];
+
+export const DEFAULT_SCORE_WEIGHTS = Object.fromEntries(SCORE_FACTORS.map(({ id, weight }) => [id, weight]));
+
+// Stored weights over the defaults, dropping anything that isn't a usable number
+export function normalizeScoreWeights(weights) {
+  const normalized = { ...DEFAULT_SCORE_WEIGHTS };
+  for (const { id } of SCORE_FACTORS) {
+    const value = Number(weights?.[id]);
+    if (weights?.[id] !== undefined && weights[id] !== "" && Number.isFinite(value)) {
+      normalized[id] = Math.min(MAX_SCORE_WEIGHT, Math.max(0, value));
+    }
+  }
+  return normalized;
+}
+
+// How many of each thing the rubric counts, with a note on where it came from
+function measureFactors(analysis) {
+  const levels = { HIGH: [], MEDIUM: [], LOW: [] };
+  for (const item of [...(analysis.risks || []), ...(analysis.clauses || [])]) {
+    if (item.level in levels) levels[item.level].push(item.title);
+  }
+  const riskMeasure = (level) => ({
+    count: levels[level].length,
+    detail: levels[level].length ? levels[level].join("; ") : "None found",
+  });
+
+  const sensitive = DATA_CATEGORIES.filter(
+    ({ id, pattern }) =>
+      SENSITIVE_CATEGORIES.includes(id) &&
+      (analysis.dataCollection || []).some((item) => pattern.test(`${item.type || ""} ${item.description || ""}`))
+  );
+
+  const sharingText = (analysis.dataSharing || []).map((item) => `${item.recipient || ""} ${item.purpose || ""}`);
+  const recipientsIn = (id) => {
+    const { pattern } = RECIPIENT_CATEGORIES.find((category) => category.id === id);
+    return (analysis.dataSharing || []).filter((item, index) => pattern.test(sharingText[index]));
+  };
+  const sold = recipientsIn("data-buyers");
+  const advertisers = recipientsIn("advertisers");
+
+  const rightIn = (ids) =>
+    (analysis.userRights || []).find((item) =>
+      USER_RIGHTS.some(({ id, pattern }) => ids.includes(id) && (pattern.test(item.right || "") || pattern.test(item.description || "")))
+    );
+  const deletion = rightIn(["deletion"]);
+  const optOut = rightIn(OPT_OUT_RIGHTS);
+
+  const retentionText = ["dataCollection", "dataSharing", "userRights", "risks"]
+    .flatMap((listName) => analysis[listName] || [])
+    .map((item) => `${item.description || item.purpose || ""} ${item.quote || ""}`)
+    .concat(analysis.summary || "")
+    .join("\n");
+  const { periods, openEnded } = findRetentionPeriods(retentionText);
+
+  return {
+    highRisks: riskMeasure("HIGH"),
+    mediumRisks: riskMeasure("MEDIUM"),
+    lowRisks: riskMeasure("LOW"),
+    sensitiveData: {
+      count: sensitive.length,
+      detail: sensitive.length ? sensitive.map(({ label }) => label).join(", ") : "None found",
+    },
+    dataSale: {
+      count: sold.length ? 1 : 0,
+      detail: sold.length ? sold.map((item) => item.recipient).join("; ") : "No sale found",
+    },
+    advertisingSharing: {
+      count: advertisers.length ? 1 : 0,
+      detail: advertisers.length ? advertisers.map((item) => item.recipient).join("; ") : "No advertising sharing found",
+    },
+    retention: periods.length
+      ? { count: 0, detail: `Kept for ${periods.map(({ label }) => label).join(", ")}` }
+      : openEnded
+        ? { count: 0.5, detail: "Only kept \"as long as necessary\"" }
+        : { count: 1, detail: "No retention period stated" },
+    noDeletion: deletion
+      ? { count: 0, detail: deletion.right }
+      : { count: 1, detail: "No deletion right found" },
+    noOptOut: optOut
+      ? { count: 0, detail: optOut.right }
+      : { count: 1, detail: "No opt-out found" },
+  };
+}
+
+// Score an analysis against the rubric. Returns { score, rating, factors },
+// where factors are [{ id, label, points, detail }] in rubric order and
+// points is what the factor took off (0 when it didn't apply).
+export function computePrivacyScore(analysis, weights) {
+  const normalizedWeights = normalizeScoreWeights(weights);
+  const documentType = analysis.documentType || "privacy";
+  const measures = measureFactors(analysis);
+
+  const factors = SCORE_FACTORS.map((factor) => {
+    if (factor.privacyOnly && documentType !== "privacy") {
+      return {
+        id: factor.id,
+        label: factor.label,
+        points: 0,
+        detail: `Not scored for a ${DOCUMENT_TYPE_LABELS[documentType] || "document"}`,
+      };
+    }
+    const { count, detail } = measures[factor.id];
+    const counted = factor.maxCount ? Math.min(count, factor.maxCount) : count;
+    return {
+      id: factor.id,
+      label: factor.label,
+      points: Math.round(counted * normalizedWeights[factor.id]),
+      detail,
+    };
+  });
+
+  const deducted = factors.reduce((total, factor) => total + factor.points, 0);
+  const score = Math.max(0, PERFECT_SCORE - deducted);
+  return {
+    score,
+    rating: SCORE_BANDS.find(({ min }) => score >= min).rating,
+    factors,
+  };
+}
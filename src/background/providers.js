@@ -0,0 +1,493 @@
+// LLM Provider Layer
+// Puts OpenAI, Anthropic, Azure OpenAI and OpenAI-compatible local servers behind one streaming interface
+
+import {
+  fetchWithRetry,
+  createStreamError,
+  toApiError,
+  ApiError,
+  ERROR_CATEGORIES,
+} from "./api-client.js";
+import {
+  recordUsage,
+  reserveBudget,
+  releaseBudget,
+  estimateCallCost,
+  estimatePromptTokens,
+  estimateTokens,
+} from "./usage-ledger.js";
+
+// How many times an interrupted stream is resumed or restarted before giving up
+const MAX_STREAM_RESTARTS = 2;
+
+// Provider definitions. Each one knows how to build a streaming request and
+// how to read a single server-sent event from its response.
+// `signalsStreamEnd` providers always send an end-of-stream event, so a stream
+// that stops without one was cut off. `supportsPrefill` providers can continue
+// a cut-off response from where it stopped.
+export const PROVIDERS = {
+  openai: {
+    label: "OpenAI",
+    requiresApiKey: true,
+    signalsStreamEnd: true,
+    defaults: {
+      model: "gpt-4o-mini",
+      chatModel: "gpt-5-mini-2025-08-07",
+    },
+    buildRequest(settings, { system, messages, maxTokens, model, responseSchema }) {
+      return {
+        url: "https://api.openai.com/v1/chat/completions",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${settings.apiKey}`,
+        },
+        body: buildOpenAIBody({
+          system,
+          messages,
+          maxTokens,
+          model,
+          responseSchema,
+          includeUsage: true,
+        }),
+      };
+    },
+    parseEvent: parseOpenAIEvent,
+  },
+
+  anthropic: {
+    label: "Anthropic",
+    requiresApiKey: true,
+    signalsStreamEnd: true,
+    supportsPrefill: true,
+    defaults: {
+      model: "claude-3-5-haiku-latest",
+      chatModel: "claude-3-5-haiku-latest",
+    },
+    buildRequest(settings, { system, messages, maxTokens, model, responseSchema }) {
+      const body = {
+        model,
+        system,
+        messages,
+        // Anthropic requires an explicit output limit
+        max_tokens: maxTokens || 4096,
+        stream: true,
+      };
+
+      // Structured output: force a single tool call whose input follows the schema.
+      // The tool input streams back as JSON text (see parseEvent).
+      if (responseSchema) {
+        body.tools = [
+          {
+            name: responseSchema.name,
+            description: "Return the response in this format.",
+            input_schema: responseSchema.schema,
+          },
+        ];
+        body.tool_choice = { type: "tool", name: responseSchema.name };
+      }
+
+      return {
+        url: "https://api.anthropic.com/v1/messages",
+        headers: {
+          "Content-Type": "application/json",
+          "x-api-key": settings.apiKey,
+          "anthropic-version": "2023-06-01",
+          // Required for requests made directly from an extension context
+          "anthropic-dangerous-direct-browser-access": "true",
+        },
+        body,
+      };
+    },
+    parseEvent(data) {
+      const parsed = JSON.parse(data);
+      // Input tokens arrive at the start of the stream, output tokens at the end
+      if (parsed.type === "message_start") {
+        return { usage: { promptTokens: parsed.message?.usage?.input_tokens } };
+      }
+      if (parsed.type === "message_delta") {
+        return { usage: { completionTokens: parsed.usage?.output_tokens } };
+      }
+      if (parsed.type === "content_block_delta") {
+        return { text: parsed.delta?.text || parsed.delta?.partial_json || "" };
+      }
+      if (parsed.type === "message_stop") {
+        return { done: true };
+      }
+      if (parsed.type === "error") {
+        throw createStreamError(parsed.error);
+      }
+      return {};
+    },
+  },
+
+  azure: {
+    label: "Azure OpenAI",
+    requiresApiKey: true,
+    signalsStreamEnd: true,
+    defaults: {
+      apiVersion: "2024-10-21",
+    },
+    buildRequest(settings, { system, messages, maxTokens, model, responseSchema }) {
+      // On Azure the "model" is the deployment name
+      const endpoint = (settings.endpoint || "").replace(/\/+$/, "");
+      return {
+        url: `${endpoint}/openai/deployments/${encodeURIComponent(
+          model
+        )}/chat/completions?api-version=${settings.apiVersion}`,
+        headers: {
+          "Content-Type": "application/json",
+          "api-key": settings.apiKey,
+        },
+        body: buildOpenAIBody({
+          system,
+          messages,
+          maxTokens,
+          responseSchema,
+          includeUsage: true,
+        }),
+      };
+    },
+    parseEvent: parseOpenAIEvent,
+  },
+
+  local: {
+    label: "Local (OpenAI-compatible)",
+    requiresApiKey: false,
+    defaults: {
+      baseUrl: "http://localhost:11434/v1",
+      model: "llama3.1",
+      chatModel: "llama3.1",
+    },
+    // Local servers vary in structured-output support, so responses are only
+    // validated (and repaired) after the fact
+    buildRequest(settings, { system, messages, maxTokens, model }) {
+      const baseUrl = (settings.baseUrl || "").replace(/\/+$/, "");
+      const headers = { "Content-Type": "application/json" };
+      if (settings.apiKey) {
+        headers.Authorization = `Bearer ${settings.apiKey}`;
+      }
+
+      const body = buildOpenAIBody({ system, messages, model });
+      // Ollama and llama.cpp server only understand the older field name
+      if (maxTokens) body.max_tokens = maxTokens;
+
+      return { url: `${baseUrl}/chat/completions`, headers, body };
+    },
+    parseEvent: parseOpenAIEvent,
+  },
+};
+
+export const DEFAULT_PROVIDER = "openai";
+
+// Build a Chat Completions request body (shared by OpenAI, Azure and local servers).
+// `includeUsage` asks for token counts in the final stream event; not every local
+// server accepts it, so their usage is estimated instead.
+function buildOpenAIBody({ system, messages, maxTokens, model, responseSchema, includeUsage }) {
+  const body = {
+    messages: [{ role: "system", content: system }, ...messages],
+    stream: true,
+  };
+  if (includeUsage) body.stream_options = { include_usage: true };
+  if (model) body.model = model;
+  if (maxTokens) body.max_completion_tokens = maxTokens;
+  if (responseSchema) {
+    body.response_format = {
+      type: "json_schema",
+      json_schema: {
+        name: responseSchema.name,
+        schema: responseSchema.schema,
+        strict: true,
+      },
+    };
+  }
+  return body;
+}
+
+// Read one Chat Completions stream event
+function parseOpenAIEvent(data) {
+  if (data === "[DONE]") return { done: true };
+  const parsed = JSON.parse(data);
+  if (parsed.error) {
+    throw createStreamError(parsed.error);
+  }
+  return {
+    text: parsed.choices?.[0]?.delta?.content || "",
+    usage: parsed.usage
+      ? {
+          promptTokens: parsed.usage.prompt_tokens,
+          completionTokens: parsed.usage.completion_tokens,
+        }
+      : undefined,
+  };
+}
+
+// Load the selected provider and its settings from storage
+export async function getProviderSettings() {
+  const result = await chrome.storage.local.get([
+    "llmProvider",
+    "providerSettings",
+    "openaiApiKey",
+  ]);
+
+  const providerId = PROVIDERS[result.llmProvider]
+    ? result.llmProvider
+    : DEFAULT_PROVIDER;
+  const stored = (result.providerSettings || {})[providerId] || {};
+  const settings = { ...PROVIDERS[providerId].defaults, ...stripEmpty(stored) };
+
+  // The OpenAI key predates per-provider settings and is still kept at the top level
+  if (providerId === "openai" && !settings.apiKey) {
+    settings.apiKey = result.openaiApiKey || "";
+  }
+
+  return { providerId, provider: PROVIDERS[providerId], settings };
+}
+
+// Drop blank values so they fall back to the provider defaults
+function stripEmpty(settings) {
+  const cleaned = {};
+  for (const [key, value] of Object.entries(settings)) {
+    if (value !== "" && value !== null && value !== undefined) {
+      cleaned[key] = value;
+    }
+  }
+  return cleaned;
+}
+
+// Check whether the selected provider has everything it needs to make a request
+export function getConfigurationError({ providerId, provider, settings }) {
+  if (provider.requiresApiKey && !settings.apiKey) {
+    return `${provider.label} API key not configured. Please set it in the extension options.`;
+  }
+  if (providerId === "azure" && (!settings.endpoint || !settings.model)) {
+    return "Azure OpenAI endpoint and deployment are not configured. Please set them in the extension options.";
+  }
+  if (providerId === "local" && !settings.baseUrl) {
+    return "Local model server URL is not configured. Please set it in the extension options.";
+  }
+  return null;
+}
+
+// Stream a completion from the configured provider.
+// `purpose` picks the model: "chat" uses the chat model, everything else the analysis model.
+// `responseSchema` ({ name, schema }) requests native structured output where supported.
+// `onChunk` is called with each text delta; the full text is returned once the stream ends.
+// Aborting `signal` cancels the request mid-stream (the promise rejects with an AbortError).
+// Transient failures are retried (see api-client.js). A stream that is cut off is
+// resumed where the provider supports it, otherwise restarted; `onRestart` is
+// called first so the caller can discard the text it already received.
+// Failures reject with an ApiError carrying a `category`.
+// Every request is recorded in the usage ledger under `usage` ({ feature, site }),
+// and calls that could take the month over the budget (counting calls still in
+// flight) are refused up front.
+export async function streamCompletion({
+  system,
+  messages,
+  maxTokens,
+  purpose = "analysis",
+  responseSchema,
+  signal,
+  usage = {},
+  onChunk,
+  onRestart,
+}) {
+  const config = await getProviderSettings();
+  const configError = getConfigurationError(config);
+  if (configError) {
+    throw new Error(configError);
+  }
+
+  const { providerId, provider, settings } = config;
+  const model =
+    purpose === "chat" ? settings.chatModel || settings.model : settings.model;
+  // Tool-call output (Anthropic structured output) can't be continued with a prefill
+  const canResume = provider.supportsPrefill && !responseSchema;
+
+  const reservationId = await checkBudget(providerId, model, system, messages, maxTokens);
+  try {
+    return await streamWithRestarts({
+      providerId,
+      provider,
+      settings,
+      model,
+      system,
+      messages,
+      maxTokens,
+      responseSchema,
+      signal,
+      usage,
+      onChunk,
+      onRestart,
+      canResume,
+    });
+  } finally {
+    releaseBudget(reservationId);
+  }
+}
+
+// Send the request, resuming or restarting it when the stream is cut off
+async function streamWithRestarts({
+  providerId,
+  provider,
+  settings,
+  model,
+  system,
+  messages,
+  maxTokens,
+  responseSchema,
+  signal,
+  usage,
+  onChunk,
+  onRestart,
+  canResume,
+}) {
+  let content = "";
+  for (let restarts = 0; ; restarts++) {
+    // Resume by replaying the partial answer as the start of the assistant turn.
+    // Anthropic rejects a prefill that ends in whitespace.
+    content = canResume ? content.trimEnd() : "";
+    let streaming = false;
+    const requestMessages = content
+      ? [...messages, { role: "assistant", content }]
+      : messages;
+    const attempt = { text: "", usage: {} };
+
+    const request = provider.buildRequest(settings, {
+      system,
+      messages: requestMessages,
+      maxTokens,
+      model,
+      responseSchema,
+    });
+
+    try {
+      const response = await fetchWithRetry(
+        providerId,
+        request.url,
+        {
+          method: "POST",
+          headers: request.headers,
+          body: JSON.stringify(request.body),
+        },
+        { signal }
+      );
+      streaming = true;
+
+      let ended = false;
+      await readEventStream(response, (data) => {
+        let event;
+        try {
+          event = provider.parseEvent(data);
+        } catch (e) {
+          // Skip unparseable chunks, but surface errors the provider reported
+          if (e instanceof SyntaxError) return;
+          throw e;
+        }
+
+        if (event.done) ended = true;
+        if (event.usage) {
+          for (const [key, value] of Object.entries(event.usage)) {
+            if (value !== undefined) attempt.usage[key] = value;
+          }
+        }
+        if (event.text) {
+          content += event.text;
+          attempt.text += event.text;
+          if (onChunk) onChunk(event.text);
+        }
+      });
+
+      if (provider.signalsStreamEnd && !ended) {
+        throw new ApiError("The response stream ended unexpectedly", {
+          category: ERROR_CATEGORIES.STREAM_INTERRUPTED,
+          retryable: true,
+        });
+      }
+
+      return { content, provider: providerId, model };
+    } catch (error) {
+      if (signal?.aborted) throw error;
+
+      // Failed requests were already retried; only a broken stream is restarted here
+      const apiError = toApiError(error);
+      if (!streaming || !apiError.retryable || restarts >= MAX_STREAM_RESTARTS) {
+        throw apiError;
+      }
+
+      const resuming = canResume && content.trim() !== "";
+      console.warn(
+        `[Providers] Stream interrupted (${apiError.message}), ${
+          resuming ? "resuming" : "restarting"
+        }`
+      );
+      if (!resuming && content && onRestart) {
+        onRestart();
+      }
+    } finally {
+      // A request that got a response was billed, even if the stream broke or was stopped
+      if (streaming) {
+        recordAttemptUsage(providerId, model, usage, system, requestMessages, attempt);
+      }
+    }
+  }
+}
+
+// Refuse a call whose worst-case cost would take this month's spending (and
+// that of calls still running) over the budget; otherwise hold that cost until
+// the call is recorded. Returns the reservation ID for releaseBudget.
+async function checkBudget(providerId, model, system, messages, maxTokens) {
+  const estimate = estimateCallCost(providerId, model, system, messages, maxTokens) || 0;
+  const { allowed, reservationId, spent, budget } = await reserveBudget(estimate);
+  if (!allowed) {
+    throw new ApiError(
+      `Monthly budget of $${budget.toFixed(2)} reached ($${spent.toFixed(2)} spent or in progress this month).`,
+      { category: ERROR_CATEGORIES.BUDGET_EXCEEDED }
+    );
+  }
+  return reservationId;
+}
+
+// Add one request to the usage ledger, estimating any token counts the provider didn't report
+function recordAttemptUsage(providerId, model, usage, system, messages, attempt) {
+  const { promptTokens, completionTokens } = attempt.usage;
+  const estimated = promptTokens === undefined || completionTokens === undefined;
+
+  recordUsage({
+    providerId,
+    model,
+    feature: usage.feature,
+    site: usage.site,
+    promptTokens: promptTokens ?? estimatePromptTokens(system, messages),
+    completionTokens: completionTokens ?? estimateTokens(attempt.text),
+    estimated,
+  });
+}
+
+// Read a server-sent event stream and hand each `data:` payload to `onData`
+async function readEventStream(response, onData) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+
+    // Process complete SSE lines
+    const lines = buffer.split("\n");
+    buffer = lines.pop() || ""; // Keep incomplete line in buffer
+
+    for (const line of lines) {
+      if (line.startsWith("data:")) {
+        onData(line.slice(5).trim());
+      }
+    }
+  }
+
+  // Flush a trailing event that wasn't newline-terminated
+  if (buffer.startsWith("data:")) {
+    onData(buffer.slice(5).trim());
+  }
+}
@@ -0,0 +1,39 @@
+// Quote Anchors
+// Persistent anchors for quoted findings, in the style of W3C Web Annotation selectors, so the page can find them again
+
+import { QUOTED_LISTS } from "./quote-verifier.js";
+
+// Characters of context kept on each side of a quote to tell repeated wording apart
+const ANCHOR_CONTEXT_LENGTH = 32;
+
+// A TextPositionSelector and a TextQuoteSelector for text[start, end). The
+// position is an offset into the extracted text (`textLength` long), so on the
+// page it is only a hint; the quote and its context decide.
+export function buildQuoteAnchor(text, start, end) {
+  return {
+    id: `q${start}-${end}`,
+    textLength: text.length,
+    position: { type: "TextPositionSelector", start, end },
+    quote: {
+      type: "TextQuoteSelector",
+      exact: text.slice(start, end),
+      prefix: text.slice(Math.max(0, start - ANCHOR_CONTEXT_LENGTH), start),
+      suffix: text.slice(end, end + ANCHOR_CONTEXT_LENGTH),
+    },
+  };
+}
+
+// Give every finding whose quote was found in the text (see quote-verifier.js)
+// an `anchor` on the passage it matched
+export function addQuoteAnchors(analysis, text) {
+  for (const listName of QUOTED_LISTS) {
+    for (const item of analysis[listName] || []) {
+      const check = item.quoteCheck;
+      if (check && check.offset >= 0 && check.length > 0) {
+        item.anchor = buildQuoteAnchor(text, check.offset, check.offset + check.length);
+      } else {
+        delete item.anchor;
+      }
+    }
+  }
+}
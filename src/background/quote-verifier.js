@@ -0,0 +1,238 @@
+// Quote Verifier
+// Checks that quotes returned by the model actually appear in the extracted policy text
+
+// Finding lists that carry a `quote` field. The last three only appear in
+// terms of service / license agreements (clauses) and cookie policies.
+export const QUOTED_LISTS = [
+  "risks",
+  "dataCollection",
+  "dataSharing",
+  "userRights",
+  "clauses",
+  "cookies",
+  "consentMethods",
+];
+
+// Fuzzy matches at or above this share of matching words count as "approximate"
+const APPROXIMATE_THRESHOLD = 0.7;
+
+// Quotes shorter than this (in words) must match exactly or after normalization
+const MIN_FUZZY_WORDS = 4;
+
+// Words this common carry no location information and are skipped when voting
+const MAX_WORD_OCCURRENCES = 200;
+
+// Normalize one character the same way for quotes and the document
+function normalizeChar(ch) {
+  if (/[“”„«»]/.test(ch)) return '"';
+  if (/[‘’‚]/.test(ch)) return "'";
+  if (/[–—―]/.test(ch)) return "-";
+  return ch.toLowerCase();
+}
+
+// Lowercase, unify quotes/dashes and collapse whitespace, keeping a map from
+// each normalized character back to its offset in the original text
+function normalizeWithMap(text) {
+  let normalized = "";
+  const map = [];
+  let lastWasSpace = true;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (/\s/.test(ch)) {
+      if (lastWasSpace) continue;
+      normalized += " ";
+      map.push(i);
+      lastWasSpace = true;
+    } else {
+      normalized += normalizeChar(ch);
+      map.push(i);
+      lastWasSpace = false;
+    }
+  }
+
+  return { normalized, map };
+}
+
+function normalize(text) {
+  return normalizeWithMap(text).normalized.trim();
+}
+
+// Split normalized text into words with their positions
+function tokenize(normalized) {
+  const words = [];
+  const pattern = /[a-z0-9]+/g;
+  let match;
+  while ((match = pattern.exec(normalized))) {
+    words.push({ word: match[0], start: match.index, end: match.index + match[0].length });
+  }
+  return words;
+}
+
+// Length of the longest common subsequence of two word lists, plus the
+// first and last matched positions in `b`
+function longestCommonSubsequence(a, b) {
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const table = Array.from({ length: rows }, () => new Uint16Array(cols));
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      table[i][j] =
+        a[i - 1] === b[j - 1]
+          ? table[i - 1][j - 1] + 1
+          : Math.max(table[i - 1][j], table[i][j - 1]);
+    }
+  }
+
+  // Walk back to find the span of `b` that was matched
+  let i = a.length;
+  let j = b.length;
+  let first = -1;
+  let last = -1;
+  while (i > 0 && j > 0) {
+    if (a[i - 1] === b[j - 1]) {
+      if (last === -1) last = j - 1;
+      first = j - 1;
+      i--;
+      j--;
+    } else if (table[i - 1][j] >= table[i][j - 1]) {
+      i--;
+    } else {
+      j--;
+    }
+  }
+
+  return { length: table[a.length][b.length], first, last };
+}
+
+// Build a verifier for one document. The document is indexed once so that
+// checking many quotes stays fast.
+export function createQuoteVerifier(text) {
+  const { normalized, map } = normalizeWithMap(text);
+  const docWords = tokenize(normalized);
+
+  const positions = new Map();
+  docWords.forEach(({ word }, index) => {
+    if (!positions.has(word)) positions.set(word, []);
+    positions.get(word).push(index);
+  });
+
+  // Convert a normalized span back to original offsets
+  const toOriginal = (start, end) => {
+    const offset = map[start];
+    const originalEnd = map[end - 1] + 1;
+    return { offset, length: originalEnd - offset, matchedText: text.slice(offset, originalEnd) };
+  };
+
+  // Find the best word-level alignment for a quote. Each quote word votes for
+  // where the quote would start in the document; the top-voted starts are then
+  // scored with a longest-common-subsequence comparison.
+  function fuzzyMatch(quoteWords) {
+    const votes = new Map();
+    quoteWords.forEach((word, quoteIndex) => {
+      const occurrences = positions.get(word);
+      if (!occurrences || occurrences.length > MAX_WORD_OCCURRENCES) return;
+      for (const docIndex of occurrences) {
+        // Bucket nearby starts so small insertions/deletions still agree
+        const bucket = Math.floor((docIndex - quoteIndex) / 4);
+        votes.set(bucket, (votes.get(bucket) || 0) + 1);
+      }
+    });
+
+    const candidates = [...votes.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 5)
+      .map(([bucket]) => bucket * 4);
+
+    let best = null;
+    const slack = Math.ceil(quoteWords.length * 0.3);
+    for (const candidate of candidates) {
+      const windowStart = Math.max(0, candidate - slack);
+      const windowEnd = Math.min(docWords.length, candidate + quoteWords.length + slack);
+      const windowWords = docWords.slice(windowStart, windowEnd).map((w) => w.word);
+      const lcs = longestCommonSubsequence(quoteWords, windowWords);
+      const score = lcs.length / quoteWords.length;
+
+      if (lcs.first !== -1 && (!best || score > best.score)) {
+        best = {
+          score,
+          start: docWords[windowStart + lcs.first].start,
+          end: docWords[windowStart + lcs.last].end,
+        };
+      }
+    }
+
+    return best;
+  }
+
+  // Check one quote: exact, then normalized, then fuzzy.
+  // Returns { status, score, offset, length, matchedText }, where status is
+  // "verified", "approximate" or "not_found". For "not_found", `offset` points
+  // at the closest passage (if any) so callers can show it to the model.
+  function verify(quote) {
+    if (!quote || !quote.trim()) {
+      return { status: "not_found", score: 0, offset: -1, length: 0 };
+    }
+
+    const exactOffset = text.indexOf(quote);
+    if (exactOffset !== -1) {
+      return {
+        status: "verified",
+        score: 1,
+        offset: exactOffset,
+        length: quote.length,
+        matchedText: quote,
+      };
+    }
+
+    const normalizedQuote = normalize(quote);
+    const normalizedOffset = normalized.indexOf(normalizedQuote);
+    if (normalizedQuote && normalizedOffset !== -1) {
+      return {
+        status: "verified",
+        score: 0.95,
+        ...toOriginal(normalizedOffset, normalizedOffset + normalizedQuote.length),
+      };
+    }
+
+    const quoteWords = tokenize(normalizedQuote).map((w) => w.word);
+    const match = quoteWords.length ? fuzzyMatch(quoteWords) : null;
+    if (!match) {
+      return { status: "not_found", score: 0, offset: -1, length: 0 };
+    }
+
+    const score = Math.round(match.score * 100) / 100;
+    const location = toOriginal(match.start, match.end);
+    const isApproximate =
+      quoteWords.length >= MIN_FUZZY_WORDS && match.score >= APPROXIMATE_THRESHOLD;
+
+    return {
+      status: isApproximate ? "approximate" : "not_found",
+      score,
+      ...location,
+      // Only expose the document text when it's a usable stand-in for the quote
+      matchedText: isApproximate ? location.matchedText : undefined,
+    };
+  }
+
+  return { verify };
+}
+
+// Annotate every quoted finding in an analysis with a `quoteCheck` result.
+// Returns the findings whose quotes could not be found.
+export function annotateQuotes(analysis, verifier) {
+  const unverified = [];
+
+  for (const listName of QUOTED_LISTS) {
+    (analysis[listName] || []).forEach((item, index) => {
+      if (!item.quote) return;
+      item.quoteCheck = verifier.verify(item.quote);
+      if (item.quoteCheck.status === "not_found") {
+        unverified.push({ listName, index, item });
+      }
+    });
+  }
+
+  return unverified;
+}
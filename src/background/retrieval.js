@@ -0,0 +1,198 @@
+// Policy Retrieval
+// Splits policy text into passages and ranks them against a question with BM25
+
+import { isHeadingLine } from "./chunking.js";
+
+// Passages are built from whole lines up to about this many characters
+const PASSAGE_TARGET_LENGTH = 800;
+const PASSAGE_MAX_LENGTH = 1500;
+
+// Standard BM25 parameters: term frequency saturation and length normalization
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Passages scoring below this share of the best match are left out as noise
+const MIN_RELATIVE_SCORE = 0.25;
+
+// Longest sentence offered as a passage's highlight text
+const MAX_QUOTE_LENGTH = 300;
+
+const STOP_WORDS = new Set([
+  "a", "about", "all", "also", "an", "and", "any", "are", "as", "at", "be",
+  "been", "but", "by", "can", "could", "did", "do", "does", "for", "from",
+  "has", "have", "how", "i", "if", "in", "into", "is", "it", "its", "may",
+  "me", "my", "no", "not", "of", "on", "or", "our", "should", "so", "such",
+  "than", "that", "the", "their", "them", "then", "there", "these", "they",
+  "this", "those", "to", "us", "was", "we", "were", "what", "when", "where",
+  "which", "who", "why", "will", "with", "would", "you", "your",
+]);
+
+// Light suffix stripping so "share", "shared", "shares" and "sharing" match
+function stem(word) {
+  if (word.length <= 3) return word;
+  let stemmed = word;
+  if (stemmed.endsWith("ies")) {
+    stemmed = stemmed.slice(0, -3) + "i";
+  } else {
+    const suffix = stemmed.match(/(ing|ed|es|s)$/)?.[0];
+    if (suffix && !stemmed.endsWith("ss") && stemmed.length - suffix.length >= 3) {
+      stemmed = stemmed.slice(0, -suffix.length);
+    }
+  }
+  return stemmed.replace(/e$/, "").replace(/y$/, "i");
+}
+
+// Lowercase terms with stop words removed, stemmed
+export function tokenize(text) {
+  return (text.toLowerCase().match(/[a-z0-9]+/g) || [])
+    .filter((word) => word.length > 1 && !STOP_WORDS.has(word))
+    .map(stem);
+}
+
+// Split an overlong line at sentence ends into pieces of about the target length
+function splitLongLine(line, lineStart) {
+  if (line.length <= PASSAGE_TARGET_LENGTH) {
+    return [{ start: lineStart, end: lineStart + line.length }];
+  }
+
+  const pieces = [];
+  let pieceStart = 0;
+  const sentenceEnd = /[.!?]\s+/g;
+  let match;
+  while ((match = sentenceEnd.exec(line))) {
+    const end = match.index + match[0].length;
+    if (end - pieceStart >= PASSAGE_TARGET_LENGTH) {
+      pieces.push({ start: lineStart + pieceStart, end: lineStart + end });
+      pieceStart = end;
+    }
+  }
+  if (pieceStart < line.length) {
+    pieces.push({ start: lineStart + pieceStart, end: lineStart + line.length });
+  }
+  return pieces;
+}
+
+// Split policy text into passages of a few paragraphs that don't cross section
+// headings. Each passage keeps its section heading and offsets into the text.
+export function splitIntoPassages(text) {
+  const passages = [];
+  let heading = null;
+  let current = null;
+
+  const flush = () => {
+    if (!current) return;
+    const passageText = text.slice(current.start, current.end).trim();
+    if (passageText) {
+      passages.push({
+        id: passages.length,
+        heading: current.heading,
+        start: current.start,
+        end: current.end,
+        text: passageText,
+      });
+    }
+    current = null;
+  };
+
+  let offset = 0;
+  for (const line of text.split("\n")) {
+    const lineStart = offset;
+    offset += line.length + 1;
+    if (!line.trim()) continue;
+
+    if (isHeadingLine(line)) {
+      flush();
+      heading = line.trim();
+    }
+
+    for (const piece of splitLongLine(line, lineStart)) {
+      if (current && piece.end - current.start > PASSAGE_MAX_LENGTH) flush();
+      if (!current) current = { heading, start: piece.start, end: piece.end };
+      current.end = piece.end;
+      if (current.end - current.start >= PASSAGE_TARGET_LENGTH) flush();
+    }
+  }
+  flush();
+
+  return passages;
+}
+
+// The sentence of a passage sharing the most terms with the question, used to
+// highlight the passage on the page
+function bestSentence(text, queryTerms) {
+  const sentences = text.split(/(?<=[.!?])\s+|\n+/).filter((sentence) => sentence.trim());
+  let best = sentences[0] || text;
+  let bestScore = -1;
+
+  for (const sentence of sentences) {
+    const terms = new Set(tokenize(sentence));
+    const score = queryTerms.filter((term) => terms.has(term)).length;
+    if (score > bestScore) {
+      best = sentence;
+      bestScore = score;
+    }
+  }
+
+  best = best.trim();
+  return best.length > MAX_QUOTE_LENGTH ? best.slice(0, MAX_QUOTE_LENGTH) : best;
+}
+
+// Build a BM25 index over passages. `search(question)` returns the best
+// matches as { passage, score, quote }, best first.
+export function createPassageIndex(passages) {
+  const documents = passages.map((passage) => {
+    const terms = tokenize(`${passage.heading || ""} ${passage.text}`);
+    const frequencies = new Map();
+    for (const term of terms) {
+      frequencies.set(term, (frequencies.get(term) || 0) + 1);
+    }
+    return { passage, frequencies, length: terms.length };
+  });
+
+  const documentFrequencies = new Map();
+  for (const { frequencies } of documents) {
+    for (const term of frequencies.keys()) {
+      documentFrequencies.set(term, (documentFrequencies.get(term) || 0) + 1);
+    }
+  }
+
+  const count = documents.length;
+  const averageLength =
+    documents.reduce((sum, document) => sum + document.length, 0) / (count || 1);
+
+  const idf = (term) => {
+    const frequency = documentFrequencies.get(term) || 0;
+    return Math.log(1 + (count - frequency + 0.5) / (frequency + 0.5));
+  };
+
+  function search(question, { limit = 5 } = {}) {
+    const queryTerms = [...new Set(tokenize(question))];
+    if (queryTerms.length === 0) return [];
+
+    const scored = documents
+      .map(({ passage, frequencies, length }) => {
+        let score = 0;
+        for (const term of queryTerms) {
+          const frequency = frequencies.get(term);
+          if (!frequency) continue;
+          score +=
+            (idf(term) * frequency * (BM25_K1 + 1)) /
+            (frequency + BM25_K1 * (1 - BM25_B + (BM25_B * length) / (averageLength || 1)));
+        }
+        return { passage, score };
+      })
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => b.score - a.score);
+
+    const topScore = scored[0]?.score || 0;
+    return scored
+      .filter(({ score }) => score >= topScore * MIN_RELATIVE_SCORE)
+      .slice(0, limit)
+      .map((result) => ({
+        ...result,
+        quote: bestSentence(result.passage.text, queryTerms),
+      }));
+  }
+
+  return { search };
+}
@@ -0,0 +1,369 @@
+// Response Schemas
+// JSON Schemas for structured model output, plus a small validator for them
+
+// Objects are closed and list every property as required so the same schemas
+// can be sent as OpenAI strict structured output.
+function objectSchema(properties) {
+  return {
+    type: "object",
+    properties,
+    required: Object.keys(properties),
+    additionalProperties: false,
+  };
+}
+
+const string = { type: "string" };
+
+const RISK_LEVELS = ["HIGH", "MEDIUM", "LOW"];
+const OVERALL_RATINGS = ["GOOD", "MODERATE", "CONCERNING"];
+const CHANGE_DIRECTIONS = ["WORSE", "BETTER"];
+const KEY_POINT_CATEGORIES = [
+  "data_collection",
+  "data_sharing",
+  "data_retention",
+  "user_rights",
+  "security",
+  "cookies",
+  "third_party",
+];
+
+// Clauses looked for in terms of service; license agreements add their own
+const TERMS_CLAUSE_CATEGORIES = [
+  "arbitration",
+  "class_action_waiver",
+  "liability_limit",
+  "content_license",
+  "termination",
+  "auto_renewal",
+];
+const EULA_CLAUSE_CATEGORIES = [
+  ...TERMS_CLAUSE_CATEGORIES,
+  "license_scope",
+  "usage_restrictions",
+  "automatic_updates",
+];
+const COOKIE_CATEGORIES = [
+  "strictly_necessary",
+  "functional",
+  "analytics",
+  "advertising",
+  "social_media",
+  "other",
+];
+const CONSENT_MODELS = ["opt_in", "opt_out", "notice_only", "not_stated"];
+
+// Every quoted finding also cites the section its quote is from by `sectionId`
+// (the IDs are marked in the policy text, see policy-sections.js)
+const ANALYSIS_PROPERTIES = {
+  summary: string,
+  risks: {
+    type: "array",
+    items: objectSchema({
+      level: { type: "string", enum: RISK_LEVELS },
+      title: string,
+      description: string,
+      quote: string,
+      sectionId: string,
+    }),
+  },
+  dataCollection: {
+    type: "array",
+    items: objectSchema({ type: string, description: string, quote: string, sectionId: string }),
+  },
+  dataSharing: {
+    type: "array",
+    items: objectSchema({ recipient: string, purpose: string, quote: string, sectionId: string }),
+  },
+  userRights: {
+    type: "array",
+    items: objectSchema({ right: string, description: string, quote: string, sectionId: string }),
+  },
+  overallRating: { type: "string", enum: OVERALL_RATINGS },
+  ratingExplanation: string,
+};
+
+function clausesProperty(categories) {
+  return {
+    type: "array",
+    items: objectSchema({
+      category: { type: "string", enum: categories },
+      title: string,
+      description: string,
+      level: { type: "string", enum: RISK_LEVELS },
+      quote: string,
+      sectionId: string,
+    }),
+  };
+}
+
+// What each kind of document adds to the common analysis properties
+const DOCUMENT_PROPERTIES = {
+  privacy: {},
+  terms: { clauses: clausesProperty(TERMS_CLAUSE_CATEGORIES) },
+  eula: { clauses: clausesProperty(EULA_CLAUSE_CATEGORIES) },
+  cookie: {
+    cookies: {
+      type: "array",
+      items: objectSchema({
+        name: string,
+        category: { type: "string", enum: COOKIE_CATEGORIES },
+        provider: string,
+        duration: string,
+        purpose: string,
+        quote: string,
+        sectionId: string,
+      }),
+    },
+    consentModel: { type: "string", enum: CONSENT_MODELS },
+    consentMethods: {
+      type: "array",
+      items: objectSchema({ method: string, description: string, quote: string, sectionId: string }),
+    },
+  },
+};
+
+const SCHEMA_NAMES = {
+  privacy: "policy_analysis",
+  terms: "terms_analysis",
+  eula: "eula_analysis",
+  cookie: "cookie_policy_analysis",
+};
+
+function buildAnalysisSchemas(prefix = "") {
+  return Object.fromEntries(
+    Object.entries(DOCUMENT_PROPERTIES).map(([documentType, properties]) => [
+      documentType,
+      {
+        name: prefix + SCHEMA_NAMES[documentType],
+        schema: objectSchema({ ...ANALYSIS_PROPERTIES, ...properties }),
+      },
+    ])
+  );
+}
+
+// Full analysis of each kind of document, by document type (also used for
+// each chunk of a long document)
+export const ANALYSIS_SCHEMAS = buildAnalysisSchemas();
+
+// Simplified analysis keeps the analysis structure with plainer text
+export const SIMPLIFIED_ANALYSIS_SCHEMAS = buildAnalysisSchemas("simplified_");
+
+export const KEY_POINTS_SCHEMA = {
+  name: "policy_key_points",
+  schema: objectSchema({
+    importantPoints: {
+      type: "array",
+      items: objectSchema({
+        title: string,
+        description: string,
+        category: { type: "string", enum: KEY_POINT_CATEGORIES },
+      }),
+    },
+    standoutPoints: {
+      type: "array",
+      items: objectSchema({
+        title: string,
+        description: string,
+        isConcerning: { type: "boolean" },
+      }),
+    },
+  }),
+};
+
+// Overall assessment written from the merged chunk analyses
+export const OVERVIEW_SCHEMA = {
+  name: "policy_overview",
+  schema: objectSchema({
+    summary: string,
+    overallRating: { type: "string", enum: OVERALL_RATINGS },
+    ratingExplanation: string,
+  }),
+};
+
+// Replacement quotes from the quote verification re-ask
+export const QUOTE_REPAIR_SCHEMA = {
+  name: "quote_repairs",
+  schema: objectSchema({
+    quotes: {
+      type: "array",
+      items: objectSchema({ id: { type: "integer" }, quote: string }),
+    },
+  }),
+};
+
+// Answer to a question asked across every stored analysis. `comparison` has
+// no columns when the question isn't comparative.
+export const LIBRARY_ANSWER_SCHEMA = {
+  name: "library_answer",
+  schema: objectSchema({
+    answer: string,
+    notAddressed: { type: "boolean" },
+    comparison: objectSchema({
+      columns: { type: "array", items: string },
+      rows: {
+        type: "array",
+        items: objectSchema({
+          site: string,
+          values: { type: "array", items: string },
+        }),
+      },
+    }),
+  }),
+};
+
+// What the changed sections of a new policy version mean for users. Quotes come
+// from the removed (`oldQuote`) and added (`newQuote`) sentences of the diff.
+export const POLICY_CHANGES_SCHEMA = {
+  name: "policy_changes",
+  schema: objectSchema({
+    summary: string,
+    addedDataTypes: {
+      type: "array",
+      items: objectSchema({ type: string, quote: string }),
+    },
+    removedDataTypes: {
+      type: "array",
+      items: objectSchema({ type: string, quote: string }),
+    },
+    newRecipients: {
+      type: "array",
+      items: objectSchema({ recipient: string, purpose: string, quote: string }),
+    },
+    removedRecipients: {
+      type: "array",
+      items: objectSchema({ recipient: string, quote: string }),
+    },
+    riskChanges: {
+      type: "array",
+      items: objectSchema({
+        title: string,
+        direction: { type: "string", enum: CHANGE_DIRECTIONS },
+        level: { type: "string", enum: RISK_LEVELS },
+        description: string,
+        oldQuote: string,
+        newQuote: string,
+      }),
+    },
+  }),
+};
+
+// A site's documents assessed together, with the places they contradict each
+// other. Each contradiction quotes the documents involved.
+export const SITE_PROFILE_SCHEMA = {
+  name: "site_profile",
+  schema: objectSchema({
+    summary: string,
+    overallRating: { type: "string", enum: OVERALL_RATINGS },
+    ratingExplanation: string,
+    contradictions: {
+      type: "array",
+      items: objectSchema({
+        title: string,
+        description: string,
+        severity: { type: "string", enum: RISK_LEVELS },
+        quotes: {
+          type: "array",
+          items: objectSchema({
+            documentType: { type: "string", enum: ["privacy", "terms", "cookie"] },
+            quote: string,
+          }),
+        },
+      }),
+    },
+  }),
+};
+
+// Validate a value against a schema (the subset used above: type, enum,
+// properties, required, additionalProperties and items).
+// Returns a list of error messages; an empty list means the value is valid.
+export function validateAgainstSchema(value, schema, path = "$") {
+  const errors = [];
+
+  if (!matchesType(value, schema.type)) {
+    errors.push(`${path} should be ${schema.type}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} should be one of ${schema.enum.join(", ")}`);
+  }
+
+  if (schema.type === "object") {
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push(`${path}.${key} is required`);
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (key in value) {
+        errors.push(...validateAgainstSchema(value[key], propertySchema, `${path}.${key}`));
+      }
+    }
+    if (schema.additionalProperties === false) {
+      for (const key of Object.keys(value)) {
+        if (!schema.properties?.[key]) {
+          errors.push(`${path}.${key} is not allowed`);
+        }
+      }
+    }
+  }
+
+  if (schema.type === "array" && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`));
+    });
+  }
+
+  return errors;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case "object":
+      return value !== null && typeof value === "object" && !Array.isArray(value);
+    case "array":
+      return Array.isArray(value);
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number";
+    default:
+      return typeof value === type;
+  }
+}
+
+// Fix trivial enum mismatches in place ("High" -> "HIGH") so they don't cost a repair request
+export function coerceEnums(value, schema) {
+  if (schema.type === "object" && value && typeof value === "object") {
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (key in value) {
+        value[key] = coerceEnums(value[key], propertySchema);
+      }
+    }
+  } else if (schema.type === "array" && Array.isArray(value) && schema.items) {
+    return value.map((item) => coerceEnums(item, schema.items));
+  } else if (schema.enum && typeof value === "string") {
+    const match = schema.enum.find(
+      (option) => option.toLowerCase() === value.trim().toLowerCase()
+    );
+    if (match) return match;
+  }
+  return value;
+}
+
+// A copy of a value with only what a schema describes, leaving out annotations
+// added after parsing (quote checks, anchors, sections, ...), so it can be sent
+// back to a model that is told to keep the schema's structure
+export function projectOntoSchema(value, schema) {
+  if (schema.type === "object" && matchesType(value, "object")) {
+    return Object.fromEntries(
+      Object.entries(schema.properties || {})
+        .filter(([key]) => key in value)
+        .map(([key, propertySchema]) => [key, projectOntoSchema(value[key], propertySchema)])
+    );
+  }
+  if (schema.type === "array" && Array.isArray(value) && schema.items) {
+    return value.map((item) => projectOntoSchema(item, schema.items));
+  }
+  return value;
+}
@@ -1,20 +1,406 @@
 // Service Worker
-// Handles API calls to OpenAI, message routing, and side panel management
-
-// Store conversation history per tab
-const conversations = new Map();
+// Handles LLM API calls, message routing, and side panel management
+
+import {
+  streamCompletion,
+  getProviderSettings,
+  getConfigurationError,
+} from "./providers.js";
+import {
+  splitIntoChunks,
+  mapWithConcurrency,
+  mergeChunkAnalyses,
+  CHUNK_MAX_LENGTH,
+  CHUNK_CONCURRENCY,
+} from "./chunking.js";
+import {
+  hashContent,
+  getCachedAnalysis,
+  putCachedAnalysis,
+  listCachedAnalyses,
+  getAllCachedAnalyses,
+  getCachedAnalysisByKey,
+  getPreviousCachedAnalysis,
+  deleteCachedAnalysis,
+  deleteCachedAnalyses,
+  clearCache,
+  getCacheStats,
+} from "./analysis-cache.js";
+import { ERROR_CATEGORIES } from "./api-client.js";
+import {
+  getBudgetStatus,
+  summarizeUsage,
+  clearUsage,
+  siteFromUrl,
+} from "./usage-ledger.js";
+import {
+  createQuoteVerifier,
+  annotateQuotes,
+  QUOTED_LISTS,
+} from "./quote-verifier.js";
+import {
+  ANALYSIS_SCHEMAS,
+  SIMPLIFIED_ANALYSIS_SCHEMAS,
+  KEY_POINTS_SCHEMA,
+  OVERVIEW_SCHEMA,
+  QUOTE_REPAIR_SCHEMA,
+  LIBRARY_ANSWER_SCHEMA,
+  POLICY_CHANGES_SCHEMA,
+  SITE_PROFILE_SCHEMA,
+  validateAgainstSchema,
+  coerceEnums,
+  projectOntoSchema,
+} from "./schemas.js";
+import {
+  SessionMap,
+  SessionSet,
+  SessionEntryMap,
+  restoreSessionState,
+  forgetClosedTabs,
+  saveCheckpoint,
+  loadCheckpoint,
+  clearCheckpoint,
+  holdKeepAlive,
+} from "./session-state.js";
+import { publishToTab, forgetTabStream } from "./tab-streams.js";
+import { splitIntoPassages, createPassageIndex } from "./retrieval.js";
+import {
+  searchLibrary,
+  describeLibrary,
+  summarizeLibraryEntry,
+  entryMatchesQuery,
+} from "./policy-library.js";
+import {
+  findLastUpdated,
+  guessDocumentType,
+  DOCUMENT_TYPE_LABELS,
+} from "./policy-metadata.js";
+import { fetchPolicyText, fetchPolicyDocument } from "./policy-fetch.js";
+import {
+  isPdfUrl,
+  isPdfDocument,
+  extractPdfText,
+  pageForOffset,
+  pdfViewerUrl,
+} from "./pdf-text.js";
+import {
+  locateSections,
+  sectionsFromText,
+  withSectionMarkers,
+  assignSections,
+} from "./policy-sections.js";
+import { addQuoteAnchors } from "./quote-anchors.js";
+import {
+  watchPolicy,
+  unwatchPolicy,
+  isWatched,
+  listWatchedPolicies,
+  checkWatchedPolicies,
+} from "./policy-monitor.js";
+import {
+  diffPolicyVersions,
+  describePolicyChanges,
+  passagesToText,
+} from "./policy-diff.js";
+import {
+  chooseProfileDocuments,
+  findUnlistedVendors,
+  describeProfileDocument,
+} from "./site-profile.js";
+import {
+  buildComparison,
+  MIN_COMPARED_POLICIES,
+  MAX_COMPARED_POLICIES,
+} from "./policy-comparison.js";
+import {
+  computePrivacyScore,
+  SCORE_FACTORS,
+  DEFAULT_SCORE_WEIGHTS,
+  MAX_SCORE_WEIGHT,
+} from "./privacy-score.js";
+import { analyzeHeuristically } from "./heuristic-analyzer.js";
+
+// Per-tab state below is mirrored to chrome.storage.session (see session-state.js)
+// so it survives the service worker being stopped while idle
+
+// Store conversation history per tab (each tab's under its own storage key, as
+// the opening request holds the whole policy text)
+const conversations = new SessionEntryMap("conversations");
 
 // Store analysis results per tab (includes the policy URL that was analyzed)
-const analysisResults = new Map();
+const analysisResults = new SessionMap("analysisResults");
 
 // Store the URL of the policy that was analyzed (may differ from tab URL for external policies)
-const analyzedPolicyUrls = new Map();
+const analyzedPolicyUrls = new SessionMap("analyzedPolicyUrls");
 
 // Store tabs that have been notified about policy detection
-const notifiedTabs = new Set();
+const notifiedTabs = new SessionSet("notifiedTabs");
 
 // Store tabs with analysis in progress
-const analysisInProgress = new Set();
+const analysisInProgress = new SessionSet("analysisInProgress");
+
+// Store pending highlights for new tabs ({ quote, anchor } to highlight when the page loads)
+const pendingHighlights = new SessionMap("pendingHighlights");
+
+// Store the analyzed policy text per tab, split into passages for chat retrieval
+// (each tab's under its own storage key, as policy texts are large)
+const policyPassages = new SessionEntryMap("policyPassages");
+
+// Store what changed since the previously analyzed version of each tab's policy
+const policyChanges = new SessionMap("policyChanges");
+
+// Store the profile built from each tab's site's privacy policy, terms and cookie policy
+const siteProfiles = new SessionMap("siteProfiles");
+
+// Smallest chunk size tried when a model's context window is too small for the default
+const MIN_CHUNK_LENGTH = 5000;
+
+// Running analyses per tab: { controller, analysis, chunkAnalyses, totalChunks, partialResponse }
+// so they can be stopped and their partial output kept or discarded
+const activeAnalyses = new Map();
+
+// Abort controllers for chat replies that are still streaming, per tab
+const activeChats = new Map();
+
+// Abort controllers for site profiles being built, per tab
+const activeProfiles = new Map();
+
+// Set once the state saved before the worker was last stopped is back in memory.
+// Message and tab handlers wait for it so they never see (or overwrite) half-restored state.
+let stateRestored = false;
+const stateReady = restoreState();
+
+// Changed sections (and sentences per section) kept for the "What changed" view
+const MAX_CHANGED_SECTIONS = 20;
+const MAX_CHANGED_SENTENCES = 8;
+
+// Chat replies start with this when the retrieved passages don't answer the question
+const NOT_ADDRESSED_MARKER = "[NOT ADDRESSED]";
+
+// Passages sent with each chat question, and earlier messages kept as context
+const CHAT_PASSAGE_LIMIT = 5;
+const CHAT_HISTORY_MESSAGES = 6;
+
+// Analysis prompt, used for whole policies and for each chunk of a long one
+const ANALYSIS_SYSTEM_PROMPT = `You are a privacy policy analyst helping users understand complex legal documents. Your goal is to make privacy policies accessible and highlight important information that users should know before accepting terms.
+
+Analyze the provided privacy policy and respond with a JSON object in the following format:
+{
+  "summary": "A clear, jargon-free 2-3 paragraph summary of what this policy means for users",
+  "risks": [
+    {
+      "level": "HIGH|MEDIUM|LOW",
+      "title": "Brief risk title",
+      "description": "What this means for the user",
+      "quote": "Exact quote from the policy that supports this risk",
+      "sectionId": "ID of the section the quote is from, e.g. s4.2"
+    }
+  ],
+  "dataCollection": [
+    {
+      "type": "Type of data",
+      "description": "How it's collected and used",
+      "quote": "Supporting quote from policy",
+      "sectionId": "Section ID"
+    }
+  ],
+  "dataSharing": [
+    {
+      "recipient": "Who data is shared with",
+      "purpose": "Why it's shared",
+      "quote": "Supporting quote",
+      "sectionId": "Section ID"
+    }
+  ],
+  "userRights": [
+    {
+      "right": "Right name",
+      "description": "How to exercise it",
+      "quote": "Supporting quote",
+      "sectionId": "Section ID"
+    }
+  ],
+  "overallRating": "GOOD|MODERATE|CONCERNING",
+  "ratingExplanation": "Brief explanation of the overall rating"
+}
+
+Important guidelines:
+- Be objective and factual
+- Include exact quotes that can be found in the document for each risk/item
+- The content marks where each section starts with its ID in brackets, like [§s4.2]. Give the ID of the section each quote is from as its "sectionId", and never copy the markers into quotes
+- Highlight any unusual or concerning clauses
+- Note any missing standard protections
+- Consider GDPR, CCPA, and other privacy regulations
+- Rate risks as HIGH (significant privacy concern), MEDIUM (notable but common), or LOW (minor or standard practice)
+- Return ONLY the JSON object, no additional text`;
+
+// Format of the "clauses" list in terms of service and license agreements
+function clauseFormat(categories) {
+  return `"clauses": [
+  {
+    "category": "${categories.join("|")}",
+    "title": "Brief clause title",
+    "description": "What the clause means for the user",
+    "level": "HIGH|MEDIUM|LOW",
+    "quote": "Exact quote from the document",
+    "sectionId": "Section ID"
+  }
+]`;
+}
+
+// What to look for in each kind of document besides the privacy findings above,
+// with the fields its schema adds (see schemas.js)
+const DOCUMENT_FOCUS = {
+  privacy: "",
+  terms: `This document is a website's terms of service, not its privacy policy. Also list under "clauses" each of these clauses the terms contain: mandatory arbitration (arbitration), class action waivers (class_action_waiver), limits on the site's liability (liability_limit), licenses the user grants over their content (content_license), account termination or suspension at the site's discretion (termination) and subscriptions or charges that renew automatically (auto_renewal):
+${clauseFormat(["arbitration", "class_action_waiver", "liability_limit", "content_license", "termination", "auto_renewal"])}
+
+Leave out clauses the terms don't contain, and keep "risks" for concerns that aren't one of these clauses. Report any data collection, sharing or user rights the terms mention as usual, and leave those lists empty otherwise.`,
+  eula: `This document is a software license agreement (EULA), not a privacy policy. Also list under "clauses" each of these clauses the agreement contains: what the license lets the user do and whether it can be revoked (license_scope), restrictions such as no reverse engineering, transfer or use on other devices (usage_restrictions), updates installed without asking (automatic_updates), mandatory arbitration (arbitration), class action waivers (class_action_waiver), limits on the vendor's liability (liability_limit), licenses the user grants over their content (content_license), termination of the license (termination) and subscriptions that renew automatically (auto_renewal):
+${clauseFormat(["license_scope", "usage_restrictions", "automatic_updates", "arbitration", "class_action_waiver", "liability_limit", "content_license", "termination", "auto_renewal"])}
+
+Leave out clauses the agreement doesn't contain, and keep "risks" for concerns that aren't one of these clauses. Report any data the software collects or shares (telemetry, crash reports) as usual.`,
+  cookie: `This document is a website's cookie policy. Also list each cookie or tracker (or group the policy names together) under "cookies", say how consent is asked for in "consentModel", and list under "consentMethods" each way the user can give, refuse or withdraw consent:
+"cookies": [
+  {
+    "name": "Cookie or tracker name",
+    "category": "strictly_necessary|functional|analytics|advertising|social_media|other",
+    "provider": "Company that sets it, or the site itself",
+    "duration": "How long it lasts as the policy states it, or an empty string",
+    "purpose": "What it is used for",
+    "quote": "Exact quote from the policy",
+    "sectionId": "Section ID"
+  }
+],
+"consentModel": "opt_in|opt_out|notice_only|not_stated",
+"consentMethods": [
+  {
+    "method": "e.g. Cookie banner, Preference center, Browser settings",
+    "description": "How the user uses it",
+    "quote": "Exact quote from the policy",
+    "sectionId": "Section ID"
+  }
+]
+
+Use "opt_in" when non-essential cookies wait for the user's consent, "opt_out" when they are set until the user refuses, and "notice_only" when the user is only told about them. Also report each company that sets cookies or receives data through them under dataSharing, with its name exactly as the policy writes it.`,
+};
+
+// The analysis prompt for a kind of document
+function analysisSystemPrompt(documentType) {
+  return `${ANALYSIS_SYSTEM_PROMPT}\n\n${DOCUMENT_FOCUS[documentType] || ""}`.trim();
+}
+
+// Prompt for combining the chunk analyses of a long policy into one assessment
+const REDUCE_SYSTEM_PROMPT = `You are a privacy policy analyst. A long privacy policy was analyzed in several parts. Using the per-part summaries and the merged findings, write the overall assessment.
+
+Respond with a JSON object in the following format:
+{
+  "summary": "A clear, jargon-free 2-3 paragraph summary of what the whole policy means for users",
+  "overallRating": "GOOD|MODERATE|CONCERNING",
+  "ratingExplanation": "Brief explanation of the overall rating"
+}
+
+Return ONLY the JSON object, no additional text.`;
+
+// Prompt for replacing quotes that could not be found in the policy text
+const QUOTE_REPAIR_SYSTEM_PROMPT = `You are checking citations in a privacy policy analysis. Some quotes given for findings do not appear in the policy. For each finding, copy the sentence(s) from its passage that support it, exactly as written, character for character.
+
+Respond with a JSON object in the following format:
+{
+  "quotes": [
+    { "id": 0, "quote": "Exact text copied from the passage, or an empty string if nothing in the passage supports the finding" }
+  ]
+}
+
+Return ONLY the JSON object, no additional text.`;
+
+// Prompt for summarizing the differences between two versions of a policy
+const CHANGES_SYSTEM_PROMPT = `You are a privacy policy analyst. A privacy policy was updated. You are given only the sections that changed, with the sentences removed from the old version and the sentences added in the new one.
+
+Respond with a JSON object in the following format:
+{
+  "summary": "1-2 sentences on what the update means for users",
+  "addedDataTypes": [{ "type": "Data the policy now collects", "quote": "Added sentence saying so" }],
+  "removedDataTypes": [{ "type": "Data the policy no longer collects", "quote": "Removed sentence that said so" }],
+  "newRecipients": [{ "recipient": "Who data is now shared with", "purpose": "Why", "quote": "Added sentence saying so" }],
+  "removedRecipients": [{ "recipient": "Who data is no longer shared with", "quote": "Removed sentence that said so" }],
+  "riskChanges": [
+    {
+      "title": "Brief risk title",
+      "direction": "WORSE|BETTER",
+      "level": "HIGH|MEDIUM|LOW",
+      "description": "How this is worse or better for the user",
+      "oldQuote": "Removed sentence, or an empty string for a new risk",
+      "newQuote": "Added sentence, or an empty string for a risk that went away"
+    }
+  ]
+}
+
+Guidelines:
+- Copy quotes exactly from the Removed and Added sentences.
+- Ignore rewording, renumbering and formatting that doesn't change what the policy allows.
+- "level" is how serious the risk is in the new version (or was, if it went away).
+- Leave lists empty when nothing of that kind changed.
+- Return ONLY the JSON object, no additional text.`;
+
+// Chat prompt: answers come from passages retrieved for each question (see retrieval.js)
+const CHAT_SYSTEM_PROMPT = `You are a helpful assistant answering follow-up questions about a privacy policy that was just analyzed. Each question comes with numbered passages from the policy that were found to be relevant.
+
+Guidelines:
+- Answer only from the passages. Do not rely on what policies usually say.
+- Cite the passages behind each statement with their numbers in square brackets, like [1] or [2][3].
+- Be very concise and specific to the policy: 2-3 sentences.
+- If the passages don't answer the question, start your reply with "${NOT_ADDRESSED_MARKER}" and say in one sentence what the policy doesn't cover. Don't guess.`;
+
+// Prompt for questions asked across every stored analysis
+const LIBRARY_SYSTEM_PROMPT = `You answer questions about the privacy policies a user has analyzed, using numbered passages retrieved from those policies. Each passage names the site it comes from.
+
+Respond with a JSON object in the following format:
+{
+  "answer": "A concise answer naming the sites it applies to, citing passages by number like [1] or [2][3]",
+  "notAddressed": false,
+  "comparison": {
+    "columns": ["Column heading"],
+    "rows": [{ "site": "example.com", "values": ["Cell text with citations like [1]"] }]
+  }
+}
+
+Guidelines:
+- Use only the passages. A site with no passage on the topic is "not stated", not a "no".
+- Cite the passages behind every claim about a site.
+- When the question compares sites or asks which sites do something, fill "comparison" with one row per relevant site and one value per column. Otherwise leave "columns" and "rows" empty.
+- Set "notAddressed" to true when none of the passages answer the question.
+- Return ONLY the JSON object, no additional text.`;
+
+// Prompt for combining the analyses of a site's documents into one profile
+const SITE_PROFILE_SYSTEM_PROMPT = `You are a privacy analyst. A website's legal documents (some of: privacy policy, terms of service, cookie policy) were each analyzed. Using their findings, assess what the documents mean together and find where they contradict each other.
+
+Respond with a JSON object in the following format:
+{
+  "summary": "A clear, jargon-free 2-3 paragraph summary of what using this site means for users, across all of its documents",
+  "overallRating": "GOOD|MODERATE|CONCERNING",
+  "ratingExplanation": "Brief explanation of the overall rating",
+  "contradictions": [
+    {
+      "title": "Brief title",
+      "description": "What each document says and why it matters to the user",
+      "severity": "HIGH|MEDIUM|LOW",
+      "quotes": [{ "documentType": "privacy|terms|cookie", "quote": "Quote copied from that document's findings" }]
+    }
+  ]
+}
+
+Guidelines:
+- A contradiction is one document allowing, promising or disclosing something another document denies or leaves out, e.g. terms that claim rights over user data the privacy policy says the user keeps.
+- Quote each document involved, copying quotes exactly from its findings.
+- Named cookie vendors missing from the privacy policy are checked separately; don't list them.
+- Leave "contradictions" empty when the documents agree.
+- Return ONLY the JSON object, no additional text.`;
+
+// Prompt for fixing a response that didn't match its schema
+const JSON_REPAIR_SYSTEM_PROMPT = `You fix JSON documents so they match a JSON Schema. Keep all of the original content and wording; only change what is needed to satisfy the schema (add missing fields, remove extra ones, fix types and allowed values).
+
+Return ONLY the corrected JSON object, no additional text.`;
 
 // Configure side panel behavior
 chrome.sidePanel
@@ -61,8 +447,49 @@ async function tryOpenSidePanel(tabId, reason = "detection") {
   }
 }
 
+// Restore per-tab state after the worker restarts and drop what belongs to closed tabs
+async function restoreState() {
+  try {
+    await restoreSessionState();
+    const tabs = await chrome.tabs.query({});
+    await forgetClosedTabs(new Set(tabs.map((tab) => tab.id)));
+    failInterruptedAnalyses();
+  } catch (error) {
+    console.warn("[Service Worker] Could not restore session state:", error);
+  } finally {
+    stateRestored = true;
+  }
+}
+
+// An analysis that was running when the worker stopped can't go on (its requests
+// stopped with it). Report it so the side panel offers a retry; the retry reuses
+// any chunks that were checkpointed.
+function failInterruptedAnalyses() {
+  for (const tabId of Array.from(analysisInProgress)) {
+    if (activeAnalyses.has(tabId)) continue;
+
+    console.log("[Service Worker] Analysis on tab", tabId, "was interrupted");
+    analysisInProgress.delete(tabId);
+    publishToTab(tabId, {
+      type: "ANALYSIS_ERROR",
+      error:
+        "The analysis was interrupted when the browser suspended the extension. Try again to pick up where it left off.",
+    });
+  }
+}
+
 // Handle messages from content scripts and side panel
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  // Opening the side panel must happen within the user gesture, so it can't wait
+  if (stateRestored || message.type === "OPEN_SIDE_PANEL") {
+    return routeMessage(message, sender, sendResponse);
+  }
+  stateReady.then(() => routeMessage(message, sender, sendResponse));
+  return true;
+});
+
+// Dispatch a message by type. Returns true when the response is sent asynchronously.
+function routeMessage(message, sender, sendResponse) {
   console.log("[Service Worker] Received message:", message.type);
 
   switch (message.type) {
@@ -118,6 +545,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         inProgress,
         success: !!existingAnalysis,
         analysis: existingAnalysis || null,
+        changes: policyChanges.get(tabIdForStatus) || null,
       });
       break;
 
@@ -125,6 +553,26 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       handleChatMessage(message, sendResponse);
       return true;
 
+    case "LIBRARY_QUESTION":
+      handleLibraryQuestion(message, sendResponse);
+      return true;
+
+    case "CANCEL_ANALYSIS":
+      sendResponse({
+        success: cancelAnalysis(message.tabId, {
+          keepPartial: message.keepPartial === true,
+        }),
+      });
+      break;
+
+    case "CANCEL_CHAT":
+      sendResponse({
+        success: cancelChat(message.tabId, {
+          keepPartial: message.keepPartial === true,
+        }),
+      });
+      break;
+
     case "GET_CONVERSATION":
       const conv = conversations.get(message.tabId) || [];
       sendResponse({ conversation: conv });
@@ -133,6 +581,8 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     case "CLEAR_CONVERSATION":
       conversations.delete(message.tabId);
       analysisResults.delete(message.tabId);
+      policyPassages.delete(message.tabId);
+      policyChanges.delete(message.tabId);
       sendResponse({ success: true });
       break;
 
@@ -148,12 +598,127 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       handleAnalyzeExternalPolicy(message, sender, sendResponse);
       return true;
 
+    case "BUILD_SITE_PROFILE":
+      handleBuildSiteProfile(message, sendResponse);
+      return true;
+
+    case "CANCEL_SITE_PROFILE":
+      sendResponse({ success: cancelSiteProfile(message.tabId) });
+      break;
+
+    case "GET_SITE_PROFILE":
+      sendResponse({
+        success: true,
+        profile: siteProfiles.get(message.tabId) || null,
+        inProgress: activeProfiles.has(message.tabId),
+      });
+      break;
+
     case "GET_POLICY_URL":
       // Return the URL of the policy that was analyzed for this tab
       const policyUrl = analyzedPolicyUrls.get(message.tabId);
       sendResponse({ success: !!policyUrl, url: policyUrl || null });
       break;
 
+    case "LIST_CACHE":
+      Promise.all([listCachedAnalyses(), getCacheStats()])
+        .then(([entries, stats]) => sendResponse({ success: true, entries, stats }))
+        .catch((error) => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case "DELETE_CACHE_ENTRY":
+      deleteCachedAnalysis(message.key)
+        .then(() => sendResponse({ success: true }))
+        .catch((error) => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case "LIST_HISTORY":
+      handleListHistory(message, sendResponse);
+      return true;
+
+    case "DELETE_CACHE_ENTRIES":
+      deleteCachedAnalyses(message.keys || [])
+        .then(() => sendResponse({ success: true }))
+        .catch((error) => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case "COMPARE_ANALYSES":
+      handleCompareAnalyses(message, sendResponse);
+      return true;
+
+    case "SCORE_ANALYSIS":
+      getScoreWeights()
+        .then((weights) => sendResponse({ success: true, score: computePrivacyScore(message.analysis || {}, weights) }))
+        .catch((error) => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case "GET_SCORE_RUBRIC":
+      sendResponse({
+        success: true,
+        factors: SCORE_FACTORS,
+        defaults: DEFAULT_SCORE_WEIGHTS,
+        maxWeight: MAX_SCORE_WEIGHT,
+      });
+      break;
+
+    case "OPEN_STORED_ANALYSIS":
+      handleOpenStoredAnalysis(message, sendResponse);
+      return true;
+
+    case "WATCH_POLICY":
+      watchPolicy({ url: message.url, title: message.title })
+        .then(() => sendResponse({ success: true }))
+        .catch((error) => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case "UNWATCH_POLICY":
+      unwatchPolicy(message.url)
+        .then(() => sendResponse({ success: true }))
+        .catch((error) => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case "GET_WATCH_STATUS":
+      isWatched(message.url)
+        .then((watched) => sendResponse({ success: true, watched }))
+        .catch((error) => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case "LIST_WATCHED":
+      listWatchedPolicies()
+        .then((policies) => sendResponse({ success: true, policies }))
+        .catch((error) => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case "CHECK_WATCHED_NOW":
+      checkWatchedPolicies()
+        .then((changed) => sendResponse({ success: true, changed }))
+        .catch((error) => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case "GET_BUDGET_STATUS":
+      getBudgetStatus()
+        .then((status) => sendResponse({ success: true, ...status }))
+        .catch((error) => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case "GET_USAGE_SUMMARY":
+      summarizeUsage({ groupBy: message.groupBy, since: message.since })
+        .then((summary) => sendResponse({ success: true, ...summary }))
+        .catch((error) => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case "CLEAR_USAGE":
+      clearUsage()
+        .then(() => sendResponse({ success: true }))
+        .catch((error) => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case "CLEAR_CACHE":
+      clearCache()
+        .then(() => sendResponse({ success: true }))
+        .catch((error) => sendResponse({ success: false, error: error.message }));
+      return true;
+
     case "OPEN_POLICY_WITH_HIGHLIGHT":
       // Open the policy URL in a new tab and highlight a quote
       handleOpenPolicyWithHighlight(message, sendResponse);
@@ -162,15 +727,15 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     default:
       sendResponse({ error: "Unknown message type" });
   }
-});
+}
 
 // Handle content script ready
 async function handleContentScriptReady(tab) {
   console.log("[Service Worker] Content script ready on tab:", tab.id, tab.url);
 
   // Check if there's a pending highlight for this tab
-  const pendingQuote = pendingHighlights.get(tab.id);
-  if (pendingQuote) {
+  const pending = pendingHighlights.get(tab.id);
+  if (pending) {
     console.log("[Service Worker] Sending pending highlight to tab:", tab.id);
 
     // Wait a moment for the page to fully render
@@ -179,7 +744,9 @@ async function handleContentScriptReady(tab) {
     try {
       await chrome.tabs.sendMessage(tab.id, {
         type: "HIGHLIGHT_CLAUSE",
-        quote: pendingQuote,
+        quote: pending.quote,
+        anchor: pending.anchor,
+        level: pending.level,
       });
       console.log("[Service Worker] Pending highlight sent successfully");
     } catch (error) {
@@ -282,29 +849,11 @@ async function handleAnalyzePolicy(message, tab, sendResponse) {
       return;
     }
 
-    // Mark analysis as in progress
-    analysisInProgress.add(tabId);
+    // Mark analysis as in progress (this also stops an earlier run on the tab)
+    startAnalysisRun(tabId);
 
     // Notify side panel that analysis is starting
-    chrome.runtime
-      .sendMessage({
-        type: "ANALYSIS_STARTED",
-        tabId,
-      })
-      .catch(() => {});
-
-    // Get API key
-    const apiKey = await getApiKey();
-    if (!apiKey) {
-      analysisInProgress.delete(tabId);
-      sendResponse({
-        error:
-          "API key not configured. Please set your OpenAI API key in the extension options.",
-      });
-      // Open options page
-      chrome.runtime.openOptionsPage();
-      return;
-    }
+    publishToTab(tabId, { type: "ANALYSIS_STARTED" });
 
     try {
       const window = await chrome.windows.getCurrent();
@@ -317,14 +866,12 @@ async function handleAnalyzePolicy(message, tab, sendResponse) {
       );
     }
 
-    // Get policy content from content script
+    // Get policy content from content script (or the PDF the tab shows)
     console.log("[Service Worker] Requesting content from tab:", tabId);
-    const contentResponse = await chrome.tabs.sendMessage(tabId, {
-      type: "GET_POLICY_CONTENT",
-    });
+    const contentResponse = await getTabPolicyContent(tabId);
 
     if (!contentResponse.success) {
-      analysisInProgress.delete(tabId);
+      finishAnalysisRun(tabId);
       sendResponse({
         error:
           "Failed to extract policy content: " +
@@ -345,349 +892,1226 @@ async function handleAnalyzePolicy(message, tab, sendResponse) {
     sendResponse({ status: "started", tabId });
 
     // Perform analysis
-    await analyzeWithOpenAI(
+    await analyzeWithLLM(
       tabId,
       contentResponse.content,
       contentResponse.title,
-      contentResponse.url
+      contentResponse.url,
+      {
+        forceRefresh: message.forceRefresh,
+        documentType: contentResponse.documentType,
+        structure: contentResponse.sections,
+        pdf: contentResponse.pdf,
+      }
     );
   } catch (error) {
     console.error("[Service Worker] Analysis error:", error);
-    analysisInProgress.delete(tabId);
+    finishAnalysisRun(tabId);
     sendResponse({ error: error.message });
 
     // Send error to side panel
-    chrome.runtime
-      .sendMessage({
-        type: "ANALYSIS_ERROR",
-        tabId,
-        error: error.message,
-      })
-      .catch(() => {});
+    publishToTab(tabId, {
+      type: "ANALYSIS_ERROR",
+      error: error.message,
+      errorCategory: error.category,
+    });
+  }
+}
+
+// The policy text in a tab, as the content script extracts it. PDFs (the tab
+// itself, or one embedded in the page) are read with PDF.js instead, and the
+// response gets `pdf` ({ pageOffsets, pageCount }). Chrome's PDF viewer may
+// have no content script to ask, so a PDF address or content type is enough.
+async function getTabPolicyContent(tabId) {
+  const tab = await chrome.tabs.get(tabId);
+  let response = null;
+  if (!isPdfUrl(tab.url)) {
+    try {
+      response = await chrome.tabs.sendMessage(tabId, { type: "GET_POLICY_CONTENT" });
+    } catch (error) {
+      if (!(await isPdfDocument(tab.url))) throw error;
+    }
+  }
+
+  const pdfUrl = response ? response.pdfUrl : tab.url;
+  if (!pdfUrl) return response;
+
+  console.log("[Service Worker] Reading PDF:", pdfUrl);
+  try {
+    const { title, text, pageOffsets, pageCount } = await extractPdfText(pdfUrl);
+    return {
+      success: true,
+      content: text,
+      title: title || tab.title,
+      url: pdfUrl,
+      documentType: response?.documentType,
+      pdf: { pageOffsets, pageCount },
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
   }
 }
 
-// Analyze policy with OpenAI API
-async function analyzeWithOpenAI(tabId, content, title, url) {
-  const apiKey = await getApiKey();
+// Note which page of a PDF each verified quote (and each section) is on, for
+// the side panel and for jumping to it in the PDF viewer
+function addPdfPages(analysis, { pageOffsets, pageCount }) {
+  analysis.sourceFormat = "pdf";
+  analysis.pageCount = pageCount;
+  for (const listName of QUOTED_LISTS) {
+    for (const item of analysis[listName] || []) {
+      if (item.quoteCheck?.offset >= 0) {
+        item.page = pageForOffset(pageOffsets, item.quoteCheck.offset);
+      }
+    }
+  }
+  for (const section of analysis.sections || []) {
+    section.page = pageForOffset(pageOffsets, section.start);
+  }
+}
 
-  // Truncate content if too long - keep it reasonable for faster responses
-  const maxLength = 50000; // ~12k tokens - balances speed and completeness
-  const truncatedContent =
-    content.length > maxLength
-      ? content.substring(0, maxLength) +
-        "\n\n[Content truncated due to length...]"
-      : content;
+// Analyze policy with the configured LLM provider.
+// `documentType` (privacy, terms, eula or cookie) picks the prompt and schema;
+// without it the type is guessed from the title and URL.
+// A cached analysis of the same URL and text is reused unless `forceRefresh` is set.
+// A heuristic analysis (see heuristic-analyzer.js) is sent first as a preview,
+// and becomes the result when no provider is set up or the network is down.
+// `structure` is the page's section tree from the content script; the model sees
+// each section's ID in the text and findings cite it (see policy-sections.js).
+// `pdf` ({ pageOffsets, pageCount }) marks text read from a PDF, whose findings get page numbers.
+// Short policies are analyzed in one streamed request; longer ones are split on
+// section boundaries, analyzed in parallel and merged (see analyzeInChunks).
+// The run can be stopped at any point with CANCEL_ANALYSIS.
+async function analyzeWithLLM(
+  tabId,
+  content,
+  title,
+  url,
+  { forceRefresh = false, documentType, structure = null, pdf = null } = {}
+) {
+  const run = activeAnalyses.get(tabId) || startAnalysisRun(tabId);
+  const { signal } = run.controller;
+  run.usage = { feature: "analysis", site: siteFromUrl(url) };
+  run.documentType = ANALYSIS_SCHEMAS[documentType] ? documentType : guessDocumentType(title, url);
+  run.pdf = pdf;
+  const releaseKeepAlive = holdKeepAlive();
+  let heuristicAnalysis = null;
 
   console.log(
-    `[Service Worker] Analyzing policy: ${title} (${content.length} chars, truncated to ${truncatedContent.length})`
+    `[Service Worker] Analyzing ${run.documentType} document: ${title} (${content.length} chars)`
   );
 
-  const systemPrompt = `You are a privacy policy analyst helping users understand complex legal documents. Your goal is to make privacy policies accessible and highlight important information that users should know before accepting terms.
+  try {
+    // Stopped while the page content was being extracted
+    signal.throwIfAborted();
+
+    const contentHash = await hashContent(content);
+    run.contentHash = contentHash;
 
-Analyze the provided privacy policy and respond with a JSON object in the following format:
-{
-  "summary": "A clear, jargon-free 2-3 paragraph summary of what this policy means for users",
-  "risks": [
-    {
-      "level": "HIGH|MEDIUM|LOW",
-      "title": "Brief risk title",
-      "description": "What this means for the user",
-      "quote": "Exact quote from the policy that supports this risk"
-    }
-  ],
-  "dataCollection": [
-    {
-      "type": "Type of data",
-      "description": "How it's collected and used",
-      "quote": "Supporting quote from policy"
+    // Chat answers are grounded in passages of this text
+    const passages = splitIntoPassages(content);
+    policyPassages.set(tabId, passages);
+    policyChanges.delete(tabId);
+
+    // Sections of a page come from its headings; other text is split on heading-like lines
+    run.sections = structure?.length ? locateSections(content, structure) : sectionsFromText(content);
+
+    if (forceRefresh) {
+      await clearCheckpoint(tabId);
+    } else if (await restoreCachedAnalysis(tabId, url, contentHash)) {
+      return;
     }
-  ],
-  "dataSharing": [
-    {
-      "recipient": "Who data is shared with",
-      "purpose": "Why it's shared",
-      "quote": "Supporting quote"
+
+    // Instant and offline; the model's analysis replaces it when it can be reached
+    heuristicAnalysis = analyzeHeuristically(content, { documentType: run.documentType });
+    if (await getProviderError()) {
+      finishWithHeuristicAnalysis(tabId, run, heuristicAnalysis, content, "no_provider");
+      return;
     }
-  ],
-  "userRights": [
-    {
-      "right": "Right name",
-      "description": "How to exercise it",
-      "quote": "Supporting quote"
+    if (!navigator.onLine) {
+      finishWithHeuristicAnalysis(tabId, run, heuristicAnalysis, content, "offline");
+      return;
     }
-  ],
-  "overallRating": "GOOD|MODERATE|CONCERNING",
-  "ratingExplanation": "Brief explanation of the overall rating"
-}
+    publishToTab(tabId, { type: "HEURISTIC_PREVIEW", analysis: heuristicAnalysis });
 
-Important guidelines:
-- Be objective and factual
-- Include exact quotes that can be found in the document for each risk/item
-- Highlight any unusual or concerning clauses
-- Note any missing standard protections
-- Consider GDPR, CCPA, and other privacy regulations
-- Rate risks as HIGH (significant privacy concern), MEDIUM (notable but common), or LOW (minor or standard practice)
-- Return ONLY the JSON object, no additional text`;
+    // Compared with the last stored version of the policy alongside the analysis
+    const changesPromise = trackPolicyChanges(tabId, url, contentHash, passages, run);
 
-  const userPrompt = `Please analyze this privacy policy:
+    const fullResponse = await analyzeContent(tabId, content, title, url, run);
 
-Title: ${title}
-URL: ${url}
+    // Check every quote against the extracted text before showing the result
+    const analysis = analysisResults.get(tabId);
+    if (analysis) {
+      await verifyAnalysisQuotes(tabId, analysis, content, {
+        passages,
+        signal,
+        usage: run.usage,
+      });
+      assignSections(analysis, run.sections);
+      addQuoteAnchors(analysis, content);
+      if (pdf) addPdfPages(analysis, pdf);
+      // Save the quote annotations added in place
+      analysisResults.set(tabId, analysis);
+    }
+    signal.throwIfAborted();
 
-Content:
-${truncatedContent}`;
+    const changes = await changesPromise;
+    signal.throwIfAborted();
+    if (changes) {
+      policyChanges.set(tabId, changes);
+    }
+
+    // Clear in-progress status
+    finishAnalysisRun(tabId, run);
+    clearCheckpoint(tabId);
+
+    // Save for the next visit
+    if (analysis) {
+      putCachedAnalysis({
+        url,
+        contentHash,
+        title,
+        documentType: run.documentType,
+        analysis,
+        conversation: conversations.get(tabId),
+        passages,
+        lastUpdated: findLastUpdated(content),
+        changes,
+      }).catch((error) =>
+        console.warn("[Service Worker] Could not cache analysis:", error)
+      );
+    }
+
+    // Notify completion
+    publishToTab(tabId, {
+      type: "STREAM_COMPLETE",
+      fullResponse,
+      analysis: analysis || null,
+      changes,
+    });
+  } catch (error) {
+    if (signal.aborted) {
+      reportCancelledAnalysis(tabId, run);
+      return;
+    }
+
+    // Lost the connection along the way: the heuristic analysis is better than nothing
+    if (error.category === ERROR_CATEGORIES.NETWORK_OFFLINE && heuristicAnalysis) {
+      console.warn("[Service Worker] Network unavailable, showing the heuristic analysis");
+      finishWithHeuristicAnalysis(tabId, run, heuristicAnalysis, content, "offline");
+      return;
+    }
+
+    console.error("[Service Worker] LLM API error:", error);
+    finishAnalysisRun(tabId, run);
+    publishToTab(tabId, {
+      type: "ANALYSIS_ERROR",
+      error: error.message,
+      errorCategory: error.category,
+    });
+  } finally {
+    releaseKeepAlive();
+  }
+}
+
+// Show the heuristic analysis as the result. `offlineReason` ("no_provider" or
+// "offline") tells the side panel why there is no AI analysis. It isn't saved:
+// the next visit should get a real analysis.
+function finishWithHeuristicAnalysis(tabId, run, analysis, content, offlineReason) {
+  const result = { ...analysis, offlineReason };
+  annotateQuotes(result, createQuoteVerifier(content));
+  assignSections(result, run.sections);
+  addQuoteAnchors(result, content);
+  if (run.pdf) addPdfPages(result, run.pdf);
+
+  analysisResults.set(tabId, result);
+  conversations.delete(tabId);
+  finishAnalysisRun(tabId, run);
+  clearCheckpoint(tabId);
+
+  publishToTab(tabId, {
+    type: "STREAM_COMPLETE",
+    fullResponse: JSON.stringify(result),
+    analysis: result,
+    changes: null,
+  });
+}
+
+// Analyze in one pass or in chunks depending on length. If the model's context
+// window turns out to be smaller than the chunk size, retry with smaller chunks.
+async function analyzeContent(tabId, content, title, url, run, chunkLength = CHUNK_MAX_LENGTH) {
+  const chunks = splitIntoChunks(content, chunkLength);
+  console.log(`[Service Worker] Analyzing in ${chunks.length} chunk(s)`);
 
   try {
-    // Initialize conversation for this tab
+    return chunks.length > 1
+      ? await analyzeInChunks(tabId, chunks, title, url, run)
+      : await analyzeSinglePass(tabId, content, title, url, run);
+  } catch (error) {
+    const smallerLength = Math.floor(chunkLength / 2);
+    if (
+      error.category !== ERROR_CATEGORIES.CONTEXT_TOO_LONG ||
+      smallerLength < MIN_CHUNK_LENGTH
+    ) {
+      throw error;
+    }
+
+    console.warn(
+      `[Service Worker] Policy too long for the model, retrying with ${smallerLength}-character chunks`
+    );
+    run.partialResponse = "";
+    sendStreamReset(tabId, "STREAM_RESET");
+    return analyzeContent(tabId, content, title, url, run, smallerLength);
+  }
+}
+
+// Tell the side panel to drop streamed text that is about to be sent again
+// (STREAM_RESET for the analysis preview, CHAT_RESET for a chat reply)
+function sendStreamReset(tabId, type) {
+  publishToTab(tabId, { type });
+}
+
+// Register a new analysis run for a tab, stopping any run already in progress there
+function startAnalysisRun(tabId) {
+  cancelAnalysis(tabId, { reason: "superseded" });
+
+  const run = {
+    controller: new AbortController(),
+    usage: { feature: "analysis" },
+    documentType: "privacy",
+    analysis: null,
+    chunkAnalyses: [],
+    totalChunks: 1,
+    partialResponse: "",
+  };
+  activeAnalyses.set(tabId, run);
+  analysisInProgress.add(tabId);
+  return run;
+}
+
+// Clear the in-progress state, unless a newer run has already taken over the tab
+function finishAnalysisRun(tabId, run = activeAnalyses.get(tabId)) {
+  if (activeAnalyses.get(tabId) !== run) return;
+  activeAnalyses.delete(tabId);
+  analysisInProgress.delete(tabId);
+}
+
+// Stop a running analysis. `reason` is "user", "navigated", "closed" or "superseded".
+// Returns false if nothing was running.
+function cancelAnalysis(tabId, { keepPartial = false, reason = "user" } = {}) {
+  const run = activeAnalyses.get(tabId);
+  if (!run) return false;
+
+  console.log(`[Service Worker] Cancelling analysis on tab ${tabId} (${reason})`);
+  run.keepPartial = keepPartial;
+  run.cancelReason = reason;
+  run.controller.abort();
+  return true;
+}
+
+// Tell the side panel an analysis was stopped, with its partial output if it was kept
+function reportCancelledAnalysis(tabId, run) {
+  finishAnalysisRun(tabId, run);
+  // The replacement run reports for itself
+  if (run.cancelReason === "superseded") return;
+  clearCheckpoint(tabId);
+
+  // A complete analysis (stopped while checking quotes) is already stored and
+  // in the chat; finished chunks or streamed text still need to be added
+  const partial = run.keepPartial ? buildPartialAnalysis(run) : null;
+  if (!partial) {
+    analysisResults.delete(tabId);
+    conversations.delete(tabId);
+  } else if (partial.analysis && !run.analysis) {
+    analysisResults.set(tabId, partial.analysis);
     conversations.set(tabId, [
       {
         role: "user",
-        content: userPrompt,
+        content: `Please analyze this privacy policy. (It was analyzed in parts and stopped after ${run.chunkAnalyses.length} of ${run.totalChunks}.)`,
       },
+      { role: "assistant", content: partial.fullResponse },
     ]);
+  } else if (!partial.analysis) {
+    // Single-pass analysis: the conversation already holds the request
+    const conversation = conversations.get(tabId) || [];
+    conversation.push({ role: "assistant", content: partial.fullResponse });
+    conversations.set(tabId, conversation);
+  }
 
-    // Call OpenAI API with streaming
-    const response = await fetch("https://api.openai.com/v1/chat/completions", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${apiKey}`,
-      },
-      body: JSON.stringify({
-        model: "gpt-4o-mini",
-        max_tokens: 4096,
+  publishToTab(tabId, {
+    type: "ANALYSIS_CANCELLED",
+    reason: run.cancelReason,
+    partial,
+  });
+}
+
+// Whatever a stopped run produced: the full (unverified) analysis, the chunks
+// finished so far, or failing both the raw text streamed so far
+function buildPartialAnalysis(run) {
+  if (run.analysis) {
+    return { analysis: run.analysis, fullResponse: JSON.stringify(run.analysis) };
+  }
+
+  if (run.chunkAnalyses.length > 0) {
+    const analysis = {
+      summary: run.chunkAnalyses.map(({ analysis }) => analysis.summary).join("\n\n"),
+      ...mergeChunkAnalyses(run.chunkAnalyses),
+      overallRating: worstRating(run.chunkAnalyses),
+      ratingExplanation: `The analysis was stopped after ${run.chunkAnalyses.length} of ${run.totalChunks} parts, so this only covers part of the policy.`,
+      documentType: run.documentType,
+      partial: true,
+    };
+    return { analysis, fullResponse: JSON.stringify(analysis) };
+  }
+
+  if (run.partialResponse) {
+    return { analysis: null, fullResponse: run.partialResponse };
+  }
+
+  return null;
+}
+
+// Serve an analysis from the persistent cache. Returns true on a hit.
+async function restoreCachedAnalysis(tabId, url, contentHash) {
+  const { cacheEnabled } = await chrome.storage.local.get(["cacheEnabled"]);
+  if (cacheEnabled === false) return false;
+
+  let entry;
+  try {
+    entry = await getCachedAnalysis(url, contentHash);
+  } catch (error) {
+    console.warn("[Service Worker] Cache lookup failed:", error);
+    return false;
+  }
+  if (!entry) return false;
+
+  console.log("[Service Worker] Using cached analysis for:", url);
+
+  analysisResults.set(tabId, entry.analysis);
+  conversations.set(tabId, entry.conversation || []);
+  if (entry.changes) {
+    policyChanges.set(tabId, entry.changes);
+  }
+  finishAnalysisRun(tabId);
+
+  publishToTab(tabId, {
+    type: "STREAM_COMPLETE",
+    fullResponse: JSON.stringify(entry.analysis),
+    analysis: entry.analysis,
+    changes: entry.changes || null,
+    fromCache: true,
+    cachedAt: entry.createdAt,
+  });
+  return true;
+}
+
+// When an earlier version of the policy was analyzed, diff the two section by
+// section and have the model explain only the changed sections. Resolves to
+// { previousAnalyzedAt, previousLastUpdated, changedSections, unchangedSections,
+// sections, report, error } or null when there is no earlier version to compare
+// with. Never rejects: a failed comparison shouldn't fail the analysis.
+async function trackPolicyChanges(tabId, url, contentHash, passages, run) {
+  const { signal } = run.controller;
+
+  let previous;
+  try {
+    previous = await getPreviousCachedAnalysis(url, contentHash);
+  } catch (error) {
+    console.warn("[Service Worker] Could not look up the previous version:", error);
+    return null;
+  }
+  // Analyses saved before passages were kept have no text to compare with
+  if (!previous?.passages) return null;
+
+  const diff = diffPolicyVersions(passagesToText(previous.passages), passagesToText(passages));
+  console.log(
+    `[Service Worker] Policy changed since ${new Date(previous.createdAt).toISOString()}: ${diff.sections.length} section(s)`
+  );
+
+  const changes = {
+    previousAnalyzedAt: previous.createdAt,
+    previousLastUpdated: previous.lastUpdated || null,
+    changedSections: diff.sections.length,
+    unchangedSections: diff.unchangedSections,
+    sections: diff.sections.slice(0, MAX_CHANGED_SECTIONS).map((section) => ({
+      ...section,
+      removed: section.removed.slice(0, MAX_CHANGED_SENTENCES),
+      added: section.added.slice(0, MAX_CHANGED_SENTENCES),
+    })),
+    report: null,
+    error: null,
+  };
+  publishToTab(tabId, {
+    type: "POLICY_CHANGE_DETECTED",
+    previousAnalyzedAt: previous.createdAt,
+    changedSections: diff.sections.length,
+  });
+
+  // Only dates or formatting changed
+  if (diff.sections.length === 0) return changes;
+
+  const usage = { feature: "changes", site: siteFromUrl(url) };
+  try {
+    const { content: response } = await streamCompletion({
+      system: CHANGES_SYSTEM_PROMPT,
+      messages: [
+        {
+          role: "user",
+          content: `Changed sections of the privacy policy at ${url}:\n\n${describePolicyChanges(diff)}`,
+        },
+      ],
+      maxTokens: 2048,
+      responseSchema: POLICY_CHANGES_SCHEMA,
+      signal,
+      usage,
+    });
+    changes.report = await parseStructuredResponse(response, POLICY_CHANGES_SCHEMA, {
+      signal,
+      usage,
+    });
+  } catch (error) {
+    if (!signal.aborted) {
+      console.warn("[Service Worker] Could not summarize policy changes:", error);
+      changes.error = error.message;
+    }
+  }
+  return changes;
+}
+
+// Analyze a policy that fits in a single request, streaming the response to the side panel
+async function analyzeSinglePass(tabId, content, title, url, run) {
+  const schema = ANALYSIS_SCHEMAS[run.documentType];
+  const userPrompt = `Please analyze this ${DOCUMENT_TYPE_LABELS[run.documentType].toLowerCase()}:
+
+Title: ${title}
+URL: ${url}
+
+Content:
+${withSectionMarkers(content, run.sections)}`;
+
+  // Initialize conversation for this tab
+  conversations.set(tabId, [
+    {
+      role: "user",
+      content: userPrompt,
+    },
+  ]);
+
+  // Stream the analysis, forwarding each chunk to the side panel
+  const { content: fullResponse } = await streamCompletion({
+    system: analysisSystemPrompt(run.documentType),
+    messages: [{ role: "user", content: userPrompt }],
+    maxTokens: 4096,
+    responseSchema: schema,
+    signal: run.controller.signal,
+    usage: run.usage,
+    onRestart: () => {
+      run.partialResponse = "";
+      sendStreamReset(tabId, "STREAM_RESET");
+    },
+    onChunk: (chunk) => {
+      run.partialResponse += chunk;
+      publishToTab(tabId, {
+        type: "STREAM_CHUNK",
+        content: chunk,
+      });
+    },
+  });
+
+  // Store the full response
+  const conversation = conversations.get(tabId) || [];
+  conversation.push({
+    role: "assistant",
+    content: fullResponse,
+  });
+  conversations.set(tabId, conversation);
+
+  // Validate (and if needed repair) the analysis before storing it.
+  // On failure the panel falls back to showing the raw response.
+  try {
+    const analysis = await parseStructuredResponse(fullResponse, schema, {
+      signal: run.controller.signal,
+      usage: run.usage,
+    });
+    analysis.documentType = run.documentType;
+    analysisResults.set(tabId, analysis);
+    run.analysis = analysis;
+  } catch (error) {
+    if (run.controller.signal.aborted) throw error;
+    console.warn("[Service Worker] Could not parse analysis:", error);
+  }
+
+  return fullResponse;
+}
+
+// Map-reduce analysis for long policies: analyze each chunk in parallel (map),
+// merge and deduplicate the findings, then write one summary and rating (reduce).
+async function analyzeInChunks(tabId, chunks, title, url, run) {
+  const { signal } = run.controller;
+  const { documentType } = run;
+  const schema = ANALYSIS_SCHEMAS[documentType];
+  const label = DOCUMENT_TYPE_LABELS[documentType].toLowerCase();
+  const totalChunks = chunks.length;
+  let completedChunks = 0;
+  run.totalChunks = totalChunks;
+  run.chunkAnalyses = [];
+
+  // Chunks finished by an earlier run on the same text that was interrupted
+  const checkpoint = await loadCheckpoint(tabId);
+  const resumable =
+    checkpoint?.contentHash === run.contentHash && checkpoint.totalChunks === totalChunks
+      ? new Map(checkpoint.chunkAnalyses.map((entry) => [entry.chunkIndex, entry.analysis]))
+      : new Map();
+  if (resumable.size > 0) {
+    console.log(`[Service Worker] Resuming analysis with ${resumable.size} finished chunk(s)`);
+  }
+
+  const sendProgress = (details) => {
+    publishToTab(tabId, {
+      type: "ANALYSIS_PROGRESS",
+      totalChunks,
+      completedChunks,
+      ...details,
+    });
+  };
+
+  sendProgress({
+    phase: "map",
+    chunks: chunks.map(({ index, heading }) => ({ index, heading })),
+  });
+
+  const results = await mapWithConcurrency(
+    chunks,
+    CHUNK_CONCURRENCY,
+    async (chunk) => {
+      if (resumable.has(chunk.index)) {
+        const analysis = resumable.get(chunk.index);
+        run.chunkAnalyses.push({ analysis, chunkIndex: chunk.index });
+        completedChunks++;
+        sendProgress({ phase: "map", chunkIndex: chunk.index, chunkStatus: "done" });
+        return analysis;
+      }
+
+      sendProgress({ phase: "map", chunkIndex: chunk.index, chunkStatus: "running" });
+
+      const { content } = await streamCompletion({
+        system: analysisSystemPrompt(documentType),
         messages: [
-          { role: "system", content: systemPrompt },
-          { role: "user", content: userPrompt },
+          {
+            role: "user",
+            content: `Please analyze part ${chunk.index + 1} of ${totalChunks} of this ${label}. Only report findings supported by this part, and keep the summary to 2-3 sentences about this part.
+
+Title: ${title}
+URL: ${url}
+
+Content (part ${chunk.index + 1} of ${totalChunks}):
+${withSectionMarkers(chunk.text, run.sections, chunk.start)}`,
+          },
         ],
-        stream: true,
-      }),
-    });
+        maxTokens: 4096,
+        responseSchema: schema,
+        signal,
+        usage: run.usage,
+      });
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`API request failed: ${response.status} - ${errorText}`);
+      const analysis = await parseStructuredResponse(content, schema, {
+        signal,
+        usage: run.usage,
+      });
+      run.chunkAnalyses.push({ analysis, chunkIndex: chunk.index });
+      saveCheckpoint(tabId, {
+        contentHash: run.contentHash,
+        totalChunks,
+        chunkAnalyses: run.chunkAnalyses,
+      });
+
+      completedChunks++;
+      sendProgress({ phase: "map", chunkIndex: chunk.index, chunkStatus: "done" });
+      return analysis;
     }
+  );
 
-    // Process streaming response
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
-    let fullResponse = "";
-    let buffer = "";
-
-    while (true) {
-      const { done, value } = await reader.read();
-      if (done) break;
-
-      buffer += decoder.decode(value, { stream: true });
-
-      // Process complete SSE events
-      const lines = buffer.split("\n");
-      buffer = lines.pop() || ""; // Keep incomplete line in buffer
-
-      for (const line of lines) {
-        if (line.startsWith("data: ")) {
-          const data = line.slice(6);
-          if (data === "[DONE]") continue;
-
-          try {
-            const parsed = JSON.parse(data);
-            const chunk = parsed.choices?.[0]?.delta?.content;
-
-            if (chunk) {
-              fullResponse += chunk;
-
-              // Send chunk to side panel
-              chrome.runtime
-                .sendMessage({
-                  type: "STREAM_CHUNK",
-                  tabId,
-                  content: chunk,
-                })
-                .catch(() => {});
-            }
-          } catch (e) {
-            // Skip unparseable chunks
-          }
-        }
-      }
+  // Every remaining chunk fails once the run is stopped
+  signal.throwIfAborted();
+
+  const chunkAnalyses = [];
+  const failedChunks = [];
+  results.forEach((result, index) => {
+    if (result.error) {
+      console.warn(`[Service Worker] Chunk ${index + 1} failed:`, result.error);
+      failedChunks.push(index);
+      sendProgress({ phase: "map", chunkIndex: index, chunkStatus: "failed" });
+    } else {
+      chunkAnalyses.push({ analysis: result.value, chunkIndex: index });
     }
+  });
 
-    // Store the full response
-    const conversation = conversations.get(tabId) || [];
-    conversation.push({
-      role: "assistant",
-      content: fullResponse,
+  if (chunkAnalyses.length === 0) {
+    throw results[0].error;
+  }
+
+  const merged = mergeChunkAnalyses(chunkAnalyses);
+
+  // Reduce step: one overall summary and rating from the merged findings
+  sendProgress({ phase: "reduce" });
+
+  const partSummaries = chunkAnalyses
+    .map(({ analysis, chunkIndex }) => `Part ${chunkIndex + 1}: ${analysis.summary || ""}`)
+    .join("\n\n");
+  const findingsOutline = [
+    "Risks:",
+    ...merged.risks.map((risk) => `- [${risk.level}] ${risk.title}`),
+    "Data collected:",
+    ...merged.dataCollection.map((item) => `- ${item.type}`),
+    "Shared with:",
+    ...merged.dataSharing.map((item) => `- ${item.recipient}`),
+    "User rights:",
+    ...merged.userRights.map((item) => `- ${item.right}`),
+    ...(merged.clauses ? ["Clauses:", ...merged.clauses.map((clause) => `- [${clause.level}] ${clause.title}`)] : []),
+    ...(merged.cookies ? ["Cookies:", ...merged.cookies.map((cookie) => `- ${cookie.name} (${cookie.category})`)] : []),
+  ].join("\n");
+
+  const { content: reduceResponse } = await streamCompletion({
+    system: REDUCE_SYSTEM_PROMPT,
+    messages: [
+      {
+        role: "user",
+        content: `${DOCUMENT_TYPE_LABELS[documentType]}: ${title} (${url})
+
+Summaries of each part:
+${partSummaries}
+
+Merged findings:
+${findingsOutline}`,
+      },
+    ],
+    maxTokens: 2048,
+    responseSchema: OVERVIEW_SCHEMA,
+    signal,
+    usage: run.usage,
+    onRestart: () => sendStreamReset(tabId, "STREAM_RESET"),
+    onChunk: (chunk) => {
+      publishToTab(tabId, {
+        type: "STREAM_CHUNK",
+        content: chunk,
+      });
+    },
+  });
+
+  // A failed reduce step still leaves usable findings, so fall back to the chunk summaries
+  const overview = await parseStructuredResponse(reduceResponse, OVERVIEW_SCHEMA, {
+    signal,
+    usage: run.usage,
+  }).catch((error) => {
+    if (signal.aborted) throw error;
+    console.warn("[Service Worker] Could not parse overall assessment:", error);
+    return {};
+  });
+  const analysis = {
+    summary:
+      overview.summary ||
+      chunkAnalyses.map(({ analysis }) => analysis.summary).join("\n\n"),
+    ...merged,
+    overallRating: overview.overallRating || worstRating(chunkAnalyses),
+    ratingExplanation: overview.ratingExplanation || "",
+    documentType,
+    // Which chunks the analysis was built from; findings point here via sourceChunks
+    chunking: {
+      totalChunks,
+      failedChunks,
+      chunks: chunks.map(({ index, heading, start, end }) => ({
+        index,
+        heading,
+        start,
+        end,
+      })),
+    },
+  };
+
+  analysisResults.set(tabId, analysis);
+  run.analysis = analysis;
+
+  // Seed the chat with the merged analysis (the full text is too long to replay)
+  const fullResponse = JSON.stringify(analysis);
+  conversations.set(tabId, [
+    {
+      role: "user",
+      content: `Please analyze this ${label}:
+
+Title: ${title}
+URL: ${url}
+
+(The policy was too long to include here, so it was analyzed in ${totalChunks} parts.)`,
+    },
+    { role: "assistant", content: fullResponse },
+  ]);
+
+  return fullResponse;
+}
+
+// Annotate each finding's quote with a quoteCheck (verified / approximate / not_found).
+// Quotes that can't be found get one re-ask to the model with the closest passage:
+// the text around a near match, or for a quote that matches nothing (most likely
+// made up), the passage of `passages` that best matches the finding itself.
+async function verifyAnalysisQuotes(
+  tabId,
+  analysis,
+  content,
+  { passages = splitIntoPassages(content), signal, usage } = {}
+) {
+  const verifier = createQuoteVerifier(content);
+  const unverified = annotateQuotes(analysis, verifier);
+
+  let passageIndex = null;
+  const repairable = [];
+  for (const { item } of unverified) {
+    const { offset } = item.quoteCheck;
+    if (offset >= 0) {
+      repairable.push({ item, excerpt: content.slice(Math.max(0, offset - 1200), offset + 1200) });
+      continue;
+    }
+
+    passageIndex = passageIndex || createPassageIndex(passages);
+    const [best] = passageIndex.search(
+      `${findingTitle(item)} ${item.description || item.purpose || ""} ${item.quote}`,
+      { limit: 1 }
+    );
+    // Nothing in the policy is about this finding, so there is nothing to quote
+    if (best) repairable.push({ item, excerpt: best.passage.text });
+  }
+  if (repairable.length === 0) return;
+
+  console.log(`[Service Worker] Re-asking for ${repairable.length} unverified quote(s)`);
+  publishToTab(tabId, { type: "ANALYSIS_PROGRESS", phase: "verify" });
+
+  const requests = repairable.map(
+    ({ item, excerpt }, id) => `Finding ${id}: ${findingTitle(item)}
+Quote given: "${item.quote}"
+Passage:
+"""
+${excerpt}
+"""`
+  );
+
+  try {
+    const { content: response } = await streamCompletion({
+      system: QUOTE_REPAIR_SYSTEM_PROMPT,
+      messages: [{ role: "user", content: requests.join("\n\n") }],
+      maxTokens: 2048,
+      responseSchema: QUOTE_REPAIR_SCHEMA,
+      signal,
+      usage,
     });
-    conversations.set(tabId, conversation);
 
-    // Try to parse and store the analysis result
-    try {
-      // Extract JSON from the response (it might have markdown formatting)
-      const jsonMatch = fullResponse.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        const analysis = JSON.parse(jsonMatch[0]);
-        analysisResults.set(tabId, analysis);
+    const { quotes: repaired } = await parseStructuredResponse(
+      response,
+      QUOTE_REPAIR_SCHEMA,
+      { signal, usage }
+    );
+    for (const { id, quote } of repaired) {
+      const target = repairable[id];
+      if (!target || !quote) continue;
+
+      const check = verifier.verify(quote);
+      if (check.status !== "not_found") {
+        target.item.quote = quote;
+        target.item.quoteCheck = { ...check, repaired: true };
       }
-    } catch (e) {
-      console.warn("Could not parse analysis as JSON:", e);
     }
+  } catch (error) {
+    console.warn("[Service Worker] Quote re-ask failed:", error);
+  }
+}
 
-    // Clear in-progress status
-    analysisInProgress.delete(tabId);
+// What a finding is called, whichever list it is from
+function findingTitle(item) {
+  return item.title || item.type || item.recipient || item.right || item.name || item.method;
+}
 
-    // Notify completion
-    chrome.runtime
-      .sendMessage({
-        type: "STREAM_COMPLETE",
-        tabId,
-        fullResponse,
-      })
-      .catch(() => {});
-  } catch (error) {
-    console.error("[Service Worker] OpenAI API error:", error);
-    analysisInProgress.delete(tabId);
-    chrome.runtime
-      .sendMessage({
-        type: "ANALYSIS_ERROR",
-        tabId,
-        error: error.message,
-      })
-      .catch(() => {});
+// Fall back to the most severe per-chunk rating when the reduce step gives none
+function worstRating(chunkAnalyses) {
+  const order = ["GOOD", "MODERATE", "CONCERNING"];
+  let worst = "GOOD";
+  for (const { analysis } of chunkAnalyses) {
+    if (order.indexOf(analysis.overallRating) > order.indexOf(worst)) {
+      worst = analysis.overallRating;
+    }
+  }
+  return worst;
+}
+
+// Extract a JSON object from a model response (it might have markdown formatting)
+function parseJsonResponse(text) {
+  const jsonMatch = (text || "").match(/\{[\s\S]*\}/);
+  if (!jsonMatch) return null;
+  try {
+    return JSON.parse(jsonMatch[0]);
+  } catch (e) {
+    return null;
+  }
+}
+
+// Parse a model response and validate it against `schemaDef` ({ name, schema }).
+// A response that doesn't parse or validate gets one repair request that sends
+// back the errors; if that still fails, an error is thrown.
+// `signal` and `usage` are passed on to the repair request.
+async function parseStructuredResponse(text, schemaDef, { signal, usage } = {}) {
+  const check = (responseText) => {
+    const value = parseJsonResponse(responseText);
+    if (value === null) {
+      return { value, errors: ["response is not a JSON object"] };
+    }
+    const coerced = coerceEnums(value, schemaDef.schema);
+    return { value: coerced, errors: validateAgainstSchema(coerced, schemaDef.schema) };
+  };
+
+  const first = check(text);
+  if (first.errors.length === 0) return first.value;
+
+  console.warn(
+    `[Service Worker] ${schemaDef.name} response failed validation, requesting repair:`,
+    first.errors
+  );
+
+  const { content: repairedText } = await streamCompletion({
+    system: JSON_REPAIR_SYSTEM_PROMPT,
+    messages: [
+      {
+        role: "user",
+        content: `Schema:
+${JSON.stringify(schemaDef.schema)}
+
+Problems found:
+${first.errors.slice(0, 20).map((error) => `- ${error}`).join("\n")}
+
+Response to fix:
+${text}`,
+      },
+    ],
+    maxTokens: 4096,
+    responseSchema: schemaDef,
+    signal,
+    usage,
+  });
+
+  const second = check(repairedText);
+  if (second.errors.length > 0) {
+    throw new Error(
+      `Response did not match the expected format: ${second.errors.slice(0, 3).join("; ")}`
+    );
   }
+  return second.value;
 }
 
-// Handle chat messages
+// Handle chat messages. A reply can be stopped with CANCEL_CHAT.
 async function handleChatMessage(message, sendResponse) {
   const { tabId, userMessage } = message;
+  let partialResponse = "";
+
+  // Only one reply streams per tab at a time
+  cancelChat(tabId, { keepPartial: true, reason: "superseded" });
+  const controller = new AbortController();
+  activeChats.set(tabId, controller);
+  const releaseKeepAlive = holdKeepAlive();
 
   try {
-    const apiKey = await getApiKey();
-    if (!apiKey) {
-      sendResponse({ error: "API key not configured" });
+    const configError = await getProviderError();
+    if (configError) {
+      sendResponse({ error: configError });
       return;
     }
 
     // Get existing conversation
     const conversation = conversations.get(tabId) || [];
+    const request = buildChatRequest(tabId, conversation, userMessage);
 
     // Add user message
     conversation.push({
       role: "user",
       content: userMessage,
     });
+    conversations.set(tabId, conversation);
 
-    // Build messages array for OpenAI
-    const messages = [
-      {
-        role: "system",
-        content:
-          "You are a helpful assistant answering follow-up questions about a privacy policy that was just analyzed. Be very concise and specific to the policy. Do not respond in more than 2-3 sentences.",
+    sendResponse({ status: "streaming" });
+
+    const { content: rawResponse } = await streamCompletion({
+      system: request.system,
+      messages: request.messages,
+      purpose: "chat",
+      signal: controller.signal,
+      usage: { feature: "chat", site: siteFromUrl(analyzedPolicyUrls.get(tabId)) },
+      onRestart: () => {
+        partialResponse = "";
+        sendStreamReset(tabId, "CHAT_RESET");
       },
-      ...conversation,
-    ];
-
-    // Send to OpenAI
-    const response = await fetch("https://api.openai.com/v1/chat/completions", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${apiKey}`,
+      onChunk: (chunk) => {
+        partialResponse += chunk;
+        publishToTab(tabId, {
+          type: "CHAT_CHUNK",
+          content: chunk,
+        });
       },
-      body: JSON.stringify({
-        model: "gpt-5-mini-2025-08-07",
-        messages: messages,
-        stream: true,
-      }),
     });
 
-    if (!response.ok) {
-      throw new Error(`API request failed: ${response.status}`);
-    }
-
-    // Process streaming response
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
-    let fullResponse = "";
-    let buffer = "";
-
-    sendResponse({ status: "streaming" });
-
-    while (true) {
-      const { done, value } = await reader.read();
-      if (done) break;
-
-      buffer += decoder.decode(value, { stream: true });
-      const lines = buffer.split("\n");
-      buffer = lines.pop() || "";
-
-      for (const line of lines) {
-        if (line.startsWith("data: ")) {
-          const data = line.slice(6);
-          if (data === "[DONE]") continue;
-
-          try {
-            const parsed = JSON.parse(data);
-            const chunk = parsed.choices?.[0]?.delta?.content;
-
-            if (chunk) {
-              fullResponse += chunk;
-
-              chrome.runtime
-                .sendMessage({
-                  type: "CHAT_CHUNK",
-                  tabId,
-                  content: chunk,
-                })
-                .catch(() => {});
-            }
-          } catch (e) {}
-        }
-      }
-    }
+    const { answer: fullResponse, notAddressed, citations } = parseChatAnswer(
+      rawResponse,
+      request.citations
+    );
 
     // Update conversation
     conversation.push({
       role: "assistant",
       content: fullResponse,
+      citations,
+      notAddressed,
     });
     conversations.set(tabId, conversation);
 
-    chrome.runtime
-      .sendMessage({
-        type: "CHAT_COMPLETE",
-        tabId,
-        fullResponse,
-      })
-      .catch(() => {});
+    publishToTab(tabId, {
+      type: "CHAT_COMPLETE",
+      fullResponse,
+      citations,
+      notAddressed,
+    });
   } catch (error) {
+    if (controller.signal.aborted) {
+      reportCancelledChat(tabId, controller, partialResponse);
+      return;
+    }
+
     console.error("[Service Worker] Chat error:", error);
     sendResponse({ error: error.message });
+    publishToTab(tabId, {
+      type: "CHAT_ERROR",
+      error: error.message,
+      errorCategory: error.category,
+    });
+  } finally {
+    releaseKeepAlive();
+    if (activeChats.get(tabId) === controller) {
+      activeChats.delete(tabId);
+    }
+  }
+}
+
+// Build the request for a chat question. With the policy's passages available,
+// only the passages that best match the question are sent, numbered for citing,
+// along with the analysis summary and the last few messages. Otherwise (policies
+// analyzed before passages were stored) the whole conversation is replayed.
+function buildChatRequest(tabId, conversation, userMessage) {
+  const passages = policyPassages.get(tabId);
+  if (!passages) {
+    return {
+      system:
+        "You are a helpful assistant answering follow-up questions about a privacy policy that was just analyzed. Be very concise and specific to the policy. Do not respond in more than 2-3 sentences.",
+      messages: [
+        ...conversation.map(({ role, content }) => ({ role, content })),
+        { role: "user", content: userMessage },
+      ],
+      citations: [],
+    };
+  }
+
+  const results = createPassageIndex(passages).search(userMessage, {
+    limit: CHAT_PASSAGE_LIMIT,
+  });
+  const citations = results.map(({ passage, quote }, index) => ({
+    number: index + 1,
+    heading: passage.heading,
+    quote,
+    start: passage.start,
+    end: passage.end,
+  }));
+
+  const passageText = results.length
+    ? results
+        .map(
+          ({ passage }, index) =>
+            `[${index + 1}]${passage.heading ? ` (${passage.heading})` : ""}\n${passage.text}`
+        )
+        .join("\n\n")
+    : "(No passages in the policy matched this question.)";
+
+  // Skip the opening analysis exchange; it holds the whole policy. Old citation
+  // numbers refer to other passages, so they're dropped from the history.
+  const history = conversation
+    .slice(2)
+    .slice(-CHAT_HISTORY_MESSAGES)
+    .map(({ role, content }) => ({
+      role,
+      content: content.replace(/\[\d+\]/g, ""),
+    }));
+
+  const summary = analysisResults.get(tabId)?.summary;
+  return {
+    system: summary
+      ? `${CHAT_SYSTEM_PROMPT}\n\nSummary of the analysis (for context only, not citable):\n${summary}`
+      : CHAT_SYSTEM_PROMPT,
+    messages: [
+      ...history,
+      {
+        role: "user",
+        content: `Passages from the policy:\n\n${passageText}\n\nQuestion: ${userMessage}`,
+      },
+    ],
+    citations,
+  };
+}
+
+// Split a chat reply into the answer text, whether the policy addresses the
+// question, and the citations that the answer actually uses
+function parseChatAnswer(response, citations) {
+  let answer = response.trim();
+  const notAddressed = answer.startsWith(NOT_ADDRESSED_MARKER);
+  if (notAddressed) {
+    answer = answer.slice(NOT_ADDRESSED_MARKER.length).trim();
   }
+
+  const used = new Set(
+    Array.from(answer.matchAll(/\[(\d+)\]/g), (match) => Number(match[1]))
+  );
+  return {
+    answer,
+    notAddressed,
+    citations: citations.filter((citation) => used.has(citation.number)),
+  };
+}
+
+// Answer a question across every stored analysis, citing passages by site
+async function handleLibraryQuestion(message, sendResponse) {
+  const { question } = message;
+  const usage = { feature: "library", site: "all sites" };
+  const releaseKeepAlive = holdKeepAlive();
+
+  try {
+    const configError = await getProviderError();
+    if (configError) {
+      sendResponse({ success: false, error: configError });
+      return;
+    }
+
+    const entries = await getAllCachedAnalyses();
+    if (entries.length === 0) {
+      sendResponse({
+        success: false,
+        error: "There are no saved analyses yet. Analyze a few policies first.",
+      });
+      return;
+    }
+
+    const matches = searchLibrary(entries, question);
+    const citations = matches.map((match, index) => ({
+      number: index + 1,
+      site: match.site,
+      url: match.url,
+      title: match.title,
+      heading: match.heading,
+      quote: match.quote,
+    }));
+    const passageText = matches.length
+      ? matches
+          .map(
+            (match, index) =>
+              `[${index + 1}] ${match.site}${match.heading ? ` (${match.heading})` : ""}\n${match.text}`
+          )
+          .join("\n\n")
+      : "(No passages matched this question.)";
+
+    const { content } = await streamCompletion({
+      system: LIBRARY_SYSTEM_PROMPT,
+      messages: [
+        {
+          role: "user",
+          content: `Policies analyzed:\n${describeLibrary(entries)}\n\nPassages:\n\n${passageText}\n\nQuestion: ${question}`,
+        },
+      ],
+      maxTokens: 2048,
+      purpose: "chat",
+      responseSchema: LIBRARY_ANSWER_SCHEMA,
+      usage,
+    });
+    const answer = await parseStructuredResponse(content, LIBRARY_ANSWER_SCHEMA, { usage });
+
+    // Only pass on the citations the answer and table actually use
+    const citedText = [
+      answer.answer,
+      ...answer.comparison.rows.flatMap((row) => row.values),
+    ].join(" ");
+    const used = new Set(
+      Array.from(citedText.matchAll(/\[(\d+)\]/g), (match) => Number(match[1]))
+    );
+
+    sendResponse({
+      success: true,
+      answer: answer.answer,
+      notAddressed: answer.notAddressed,
+      comparison: answer.comparison,
+      citations: citations.filter((citation) => used.has(citation.number)),
+    });
+  } catch (error) {
+    console.error("[Service Worker] Library question error:", error);
+    sendResponse({ success: false, error: error.message, errorCategory: error.category });
+  } finally {
+    releaseKeepAlive();
+  }
+}
+
+// Stop a streaming chat reply. Returns false if nothing was streaming.
+function cancelChat(tabId, { keepPartial = false, reason = "user" } = {}) {
+  const controller = activeChats.get(tabId);
+  if (!controller) return false;
+
+  controller.keepPartial = keepPartial;
+  controller.cancelReason = reason;
+  controller.abort();
+  activeChats.delete(tabId);
+  return true;
+}
+
+// Keep the partial reply in the conversation, or drop the question along with it
+function reportCancelledChat(tabId, controller, partialResponse) {
+  const conversation = conversations.get(tabId) || [];
+  const kept = controller.keepPartial && partialResponse.length > 0;
+  if (kept) {
+    conversation.push({ role: "assistant", content: partialResponse });
+  } else if (conversation[conversation.length - 1]?.role === "user") {
+    conversation.pop();
+  }
+  // The tab may have been closed, which is what stopped the reply
+  if (conversations.has(tabId)) {
+    conversations.set(tabId, conversation);
+  }
+
+  if (controller.cancelReason === "superseded") return;
+
+  publishToTab(tabId, {
+    type: "CHAT_CANCELLED",
+    reason: controller.cancelReason,
+    kept,
+  });
 }
 
 // Handle simplify analysis request
 async function handleSimplifyAnalysis(message, sendResponse) {
   const { tabId, analysis } = message;
+  const usage = { feature: "simplify", site: siteFromUrl(analyzedPolicyUrls.get(tabId)) };
+  const documentType = SIMPLIFIED_ANALYSIS_SCHEMAS[analysis.documentType] ? analysis.documentType : "privacy";
+  const schema = SIMPLIFIED_ANALYSIS_SCHEMAS[documentType];
+  const label = DOCUMENT_TYPE_LABELS[documentType].toLowerCase();
 
   try {
-    const apiKey = await getApiKey();
-    if (!apiKey) {
-      sendResponse({ error: "API key not configured" });
-      chrome.runtime
-        .sendMessage({
-          type: "SIMPLIFY_ERROR",
-          tabId,
-          error: "API key not configured",
-        })
-        .catch(() => {});
+    const configError = await getProviderError();
+    if (configError) {
+      sendResponse({ error: configError });
+      publishToTab(tabId, {
+        type: "SIMPLIFY_ERROR",
+        error: configError,
+      });
       return;
     }
 
     sendResponse({ status: "processing" });
 
-    const systemPrompt = `You are an expert at making complex legal language accessible to everyone. Your task is to simplify a privacy policy analysis so that it can be understood by a 5th grader (10-11 years old).
+    const systemPrompt = `You are an expert at making complex legal language accessible to everyone. Your task is to simplify a ${label} analysis so that it can be understood by a 5th grader (10-11 years old).
 
 Rules for simplification:
 1. Use simple, everyday words (no legal jargon)
@@ -696,93 +2120,99 @@ Rules for simplification:
 4. Explain what things mean for the reader personally
 5. Keep the same JSON structure as the input
 6. Maintain accuracy while simplifying
+7. Copy every "quote" field unchanged - quotes must stay exact text from the policy
 
 Return ONLY a valid JSON object with the same structure as the input, but with simplified text.`;
 
-    const userPrompt = `Please simplify this privacy policy analysis for a 5th grade reading level:
+    // Only the fields the schema has: carryOverAnnotations puts the rest back
+    const userPrompt = `Please simplify this ${label} analysis for a 5th grade reading level:
 
-${JSON.stringify(analysis, null, 2)}
+${JSON.stringify(projectOntoSchema(analysis, schema.schema), null, 2)}
 
 Remember: Return ONLY the JSON object with simplified text, keeping the exact same structure.`;
 
-    const response = await fetch("https://api.openai.com/v1/chat/completions", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${apiKey}`,
-      },
-      body: JSON.stringify({
-        model: "gpt-4o-mini",
-        messages: [
-          { role: "system", content: systemPrompt },
-          { role: "user", content: userPrompt },
-        ],
-        max_tokens: 4096,
-      }),
+    const { content } = await streamCompletion({
+      system: systemPrompt,
+      messages: [{ role: "user", content: userPrompt }],
+      maxTokens: 4096,
+      responseSchema: schema,
+      usage,
     });
 
-    if (!response.ok) {
-      throw new Error(`API request failed: ${response.status}`);
-    }
-
-    const data = await response.json();
-    const content = data.choices?.[0]?.message?.content || "";
-
-    // Parse the simplified analysis
-    const jsonMatch = content.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      const simplifiedAnalysis = JSON.parse(jsonMatch[0]);
-      chrome.runtime
-        .sendMessage({
-          type: "SIMPLIFY_COMPLETE",
-          tabId,
-          simplifiedAnalysis,
-        })
-        .catch(() => {});
-    } else {
-      throw new Error("Could not parse simplified analysis");
-    }
+    const simplifiedAnalysis = carryOverAnnotations(
+      await parseStructuredResponse(content, schema, { usage }),
+      analysis
+    );
+    publishToTab(tabId, {
+      type: "SIMPLIFY_COMPLETE",
+      simplifiedAnalysis,
+    });
   } catch (error) {
     console.error("[Service Worker] Simplify error:", error);
-    chrome.runtime
-      .sendMessage({
-        type: "SIMPLIFY_ERROR",
-        tabId,
-        error: error.message,
-      })
-      .catch(() => {});
+    publishToTab(tabId, {
+      type: "SIMPLIFY_ERROR",
+      error: error.message,
+      errorCategory: error.category,
+    });
+  }
+}
+
+// The simplify schema only covers the analysis text, so copy the quote checks
+// and anchors, source chunks, sections, PDF pages, chunking details and
+// document type over from the original
+function carryOverAnnotations(simplified, original) {
+  for (const listName of QUOTED_LISTS) {
+    (simplified[listName] || []).forEach((item, index) => {
+      const source = original[listName]?.[index];
+      if (!source) return;
+      if (source.sourceChunks) item.sourceChunks = source.sourceChunks;
+      if (source.sectionId) item.sectionId = source.sectionId;
+      if (source.quoteCheck && item.quote === source.quote) {
+        item.quoteCheck = source.quoteCheck;
+        if (source.anchor) item.anchor = source.anchor;
+        if (source.page) item.page = source.page;
+      }
+    });
+  }
+  if (original.chunking) simplified.chunking = original.chunking;
+  if (original.documentType) simplified.documentType = original.documentType;
+  if (original.sections) simplified.sections = original.sections;
+  if (original.sourceFormat) {
+    simplified.sourceFormat = original.sourceFormat;
+    simplified.pageCount = original.pageCount;
   }
+  return simplified;
 }
 
 // Handle key points extraction request
 async function handleExtractKeyPoints(message, sendResponse) {
   const { tabId, analysis } = message;
+  const usage = { feature: "keypoints", site: siteFromUrl(analyzedPolicyUrls.get(tabId)) };
+  const documentType = ANALYSIS_SCHEMAS[analysis.documentType] ? analysis.documentType : "privacy";
+  const label = DOCUMENT_TYPE_LABELS[documentType].toLowerCase();
 
   try {
-    const apiKey = await getApiKey();
-    if (!apiKey) {
-      sendResponse({ error: "API key not configured" });
-      chrome.runtime
-        .sendMessage({
-          type: "KEYPOINTS_ERROR",
-          tabId,
-          error: "API key not configured",
-        })
-        .catch(() => {});
+    const configError = await getProviderError();
+    if (configError) {
+      sendResponse({ error: configError });
+      publishToTab(tabId, {
+        type: "KEYPOINTS_ERROR",
+        error: configError,
+      });
       return;
     }
 
     sendResponse({ status: "processing" });
 
-    const systemPrompt = `You are an expert at distilling complex privacy policies into their most essential points. Your task is to extract two types of information from a privacy policy analysis:
+    const systemPrompt = `You are an expert at distilling complex legal documents into their most essential points. Your task is to extract two types of information from a ${label} analysis:
 
-1. **Most Important Points**: The 3-5 things every user MUST know before accepting this policy. Focus on:
+1. **Most Important Points**: The 3-5 things every user MUST know before accepting this ${label}. Focus on:
    - What data is collected
    - How data is used/shared
    - Key rights users have or don't have
    - Important limitations or conditions
 
-2. **Unusual or Standout Clauses**: 2-4 things that are unusual, surprising, or different from typical privacy policies. These could be:
+2. **Unusual or Standout Clauses**: 2-4 things that are unusual, surprising, or different from a typical ${label}. These could be:
    - Unusually broad data collection
    - Surprising third-party sharing
    - Uncommon restrictions on user rights
@@ -809,58 +2239,32 @@ Return a JSON object in this exact format:
 
 Be concise. Each description should be ONE sentence maximum. Focus on what actually matters to users.`;
 
-    const userPrompt = `Extract the key points and standout clauses from this privacy policy analysis:
+    const userPrompt = `Extract the key points and standout clauses from this ${label} analysis:
 
-${JSON.stringify(analysis, null, 2)}
+${JSON.stringify(projectOntoSchema(analysis, ANALYSIS_SCHEMAS[documentType].schema), null, 2)}
 
 Remember: Return ONLY the JSON object. Be very concise - one sentence per description maximum.`;
 
-    const response = await fetch("https://api.openai.com/v1/chat/completions", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${apiKey}`,
-      },
-      body: JSON.stringify({
-        model: "gpt-4o-mini",
-        messages: [
-          { role: "system", content: systemPrompt },
-          { role: "user", content: userPrompt },
-        ],
-        max_tokens: 2048,
-      }),
+    const { content } = await streamCompletion({
+      system: systemPrompt,
+      messages: [{ role: "user", content: userPrompt }],
+      maxTokens: 2048,
+      responseSchema: KEY_POINTS_SCHEMA,
+      usage,
     });
 
-    if (!response.ok) {
-      throw new Error(`API request failed: ${response.status}`);
-    }
-
-    const data = await response.json();
-    const content = data.choices?.[0]?.message?.content || "";
-
-    // Parse the key points
-    const jsonMatch = content.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      const keyPoints = JSON.parse(jsonMatch[0]);
-      chrome.runtime
-        .sendMessage({
-          type: "KEYPOINTS_COMPLETE",
-          tabId,
-          keyPoints,
-        })
-        .catch(() => {});
-    } else {
-      throw new Error("Could not parse key points");
-    }
+    const keyPoints = await parseStructuredResponse(content, KEY_POINTS_SCHEMA, { usage });
+    publishToTab(tabId, {
+      type: "KEYPOINTS_COMPLETE",
+      keyPoints,
+    });
   } catch (error) {
     console.error("[Service Worker] Key points error:", error);
-    chrome.runtime
-      .sendMessage({
-        type: "KEYPOINTS_ERROR",
-        tabId,
-        error: error.message,
-      })
-      .catch(() => {});
+    publishToTab(tabId, {
+      type: "KEYPOINTS_ERROR",
+      error: error.message,
+      errorCategory: error.category,
+    });
   }
 }
 
@@ -889,171 +2293,539 @@ async function handleAnalyzeExternalPolicy(message, sender, sendResponse) {
   console.log("[Service Worker] Analyzing external policy:", url, policyType);
 
   try {
-    const apiKey = await getApiKey();
-    if (!apiKey) {
-      sendResponse({ error: "API key not configured" });
-      chrome.runtime.sendMessage({
-        type: "ANALYSIS_ERROR",
-        tabId,
-        error: "API key not configured. Please set your OpenAI API key in the extension settings.",
-      }).catch(() => {});
-      return;
-    }
-
     sendResponse({ status: "fetching" });
 
     // Notify side panel that we're fetching the external policy
-    chrome.runtime.sendMessage({
+    publishToTab(tabId, {
       type: "EXTERNAL_POLICY_LOADING",
-      tabId,
       url,
       policyType,
-    }).catch(() => {});
+    });
 
-    // Fetch the external policy page content
+    // Fetch the external policy page (or PDF) content
     let policyContent;
+    let pdf;
     try {
-      const response = await fetch(url, {
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (compatible; PrivacyPolicyHelper/1.0)',
-          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-        }
-      });
-
-      if (!response.ok) {
-        throw new Error(`Failed to fetch policy: HTTP ${response.status}`);
-      }
-
-      const html = await response.text();
-
-      // Extract text content from HTML
-      policyContent = extractTextFromHtml(html);
-
-      if (!policyContent || policyContent.length < 200) {
-        throw new Error("Could not extract sufficient content from the policy page");
-      }
+      ({ text: policyContent, pdf } = await fetchPolicyDocument(url));
     } catch (fetchError) {
       console.error("[Service Worker] Fetch error:", fetchError);
-      chrome.runtime.sendMessage({
+      publishToTab(tabId, {
         type: "ANALYSIS_ERROR",
-        tabId,
         error: `Could not fetch the policy page: ${fetchError.message}. The site may block external requests.`,
-      }).catch(() => {});
+      });
       return;
     }
 
-    // Truncate if too long
-    const maxLength = 50000;
-    if (policyContent.length > maxLength) {
-      policyContent = policyContent.substring(0, maxLength) + "\n[Content truncated due to length]";
-    }
-
     // Now analyze with streaming
-    analysisInProgress.add(tabId);
+    startAnalysisRun(tabId);
 
     // Store the external URL being analyzed (different from tab URL)
     analyzedPolicyUrls.set(tabId, url);
 
     // Generate a title based on policy type
-    const policyTypeLabels = {
-      privacy: 'Privacy Policy',
-      terms: 'Terms of Service',
-      cookie: 'Cookie Policy',
-      policy: 'Policy'
-    };
-    const title = policyTypeLabels[policyType] || 'External Policy';
+    const title = DOCUMENT_TYPE_LABELS[policyType] || 'External Policy';
 
-    chrome.runtime.sendMessage({
+    publishToTab(tabId, {
       type: "ANALYSIS_STARTED",
-      tabId,
       url,
       isExternalPolicy: true,
       policyType,
-    }).catch(() => {});
+    });
 
     // Use the same analysis logic as regular policies
-    await analyzeWithOpenAI(tabId, policyContent, title, url);
+    await analyzeWithLLM(tabId, policyContent, title, url, { documentType: policyType, pdf });
 
   } catch (error) {
     console.error("[Service Worker] External policy analysis error:", error);
-    chrome.runtime.sendMessage({
+    publishToTab(tabId, {
       type: "ANALYSIS_ERROR",
-      tabId,
       error: error.message,
-    }).catch(() => {});
+      errorCategory: error.category,
+    });
   }
 }
 
-// Extract text content from HTML
-function extractTextFromHtml(html) {
-  // Remove script and style tags
-  let text = html.replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, ' ');
-  text = text.replace(/<style\b[^<]*(?:(?!<\/style>)<[^<]*)*<\/style>/gi, ' ');
+// Check the selected LLM provider's settings (returns an error message, or null if usable)
+async function getProviderError() {
+  return getConfigurationError(await getProviderSettings());
+}
 
-  // Remove HTML tags
-  text = text.replace(/<[^>]+>/g, ' ');
+// Handle opening a policy URL in a new tab with a highlight
+async function handleOpenPolicyWithHighlight(message, sendResponse) {
+  const { url, quote, anchor, level } = message;
 
-  // Decode HTML entities
-  text = text.replace(/&nbsp;/g, ' ');
-  text = text.replace(/&amp;/g, '&');
-  text = text.replace(/&lt;/g, '<');
-  text = text.replace(/&gt;/g, '>');
-  text = text.replace(/&quot;/g, '"');
-  text = text.replace(/&#39;/g, "'");
+  try {
+    // PDFs open in the extension's viewer, which finds the quote itself
+    if (message.pdf || isPdfUrl(url)) {
+      const tabId = await openPdfViewer(url, { quote, page: message.page });
+      sendResponse({ success: true, tabId });
+      return;
+    }
 
-  // Clean up whitespace
-  text = text.replace(/\s+/g, ' ').trim();
+    // Create a new tab with the policy URL
+    const newTab = await chrome.tabs.create({ url: url });
+
+    // Store the pending highlight (and the quote's anchor and risk level, if it has them) for this tab
+    if (quote) {
+      pendingHighlights.set(newTab.id, { quote, anchor: anchor || null, level: level || null });
+    }
 
-  return text;
+    sendResponse({ success: true, tabId: newTab.id });
+  } catch (error) {
+    console.error("[Service Worker] Error opening policy with highlight:", error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Show a quote in the extension's PDF viewer, reusing a viewer tab already
+// showing the same PDF. Resolves to the viewer's tab ID.
+async function openPdfViewer(url, { quote, page } = {}) {
+  const viewerPage = pdfViewerUrl(url).split("?")[0];
+  const tabs = await chrome.tabs.query({});
+  const existing = tabs.find(
+    (tab) => tab.url?.startsWith(viewerPage) && new URL(tab.url).searchParams.get("file") === url
+  );
+
+  if (!existing) {
+    const tab = await chrome.tabs.create({ url: pdfViewerUrl(url, { quote, page }) });
+    return tab.id;
+  }
+
+  await chrome.tabs.update(existing.id, { active: true });
+  await chrome.windows.update(existing.windowId, { focused: true });
+  chrome.runtime
+    .sendMessage({ type: "PDF_VIEWER_HIGHLIGHT", file: url, quote, page })
+    .catch(() => {});
+  return existing.id;
 }
 
-// Get API key from storage
-async function getApiKey() {
-  return new Promise((resolve) => {
-    chrome.storage.local.get(["openaiApiKey"], (result) => {
-      resolve(result.openaiApiKey || null);
+// List stored analyses for the history page, optionally only those containing
+// every word of `query`
+async function handleListHistory(message, sendResponse) {
+  try {
+    const entries = await getAllCachedAnalyses();
+    const query = (message.query || "").trim();
+    sendResponse({
+      success: true,
+      entries: entries
+        .filter((entry) => !query || entryMatchesQuery(entry, query))
+        .map(summarizeLibraryEntry),
     });
-  });
+  } catch (error) {
+    console.error("[Service Worker] Could not list history:", error);
+    sendResponse({ success: false, error: error.message });
+  }
 }
 
-// Store pending highlights for new tabs (quote to highlight when page loads)
-const pendingHighlights = new Map();
+// The user's rubric weights from options (privacy-score.js fills in the rest)
+async function getScoreWeights() {
+  const { scoreWeights } = await chrome.storage.local.get(["scoreWeights"]);
+  return scoreWeights || {};
+}
 
-// Handle opening a policy URL in a new tab with a highlight
-async function handleOpenPolicyWithHighlight(message, sendResponse) {
-  const { url, quote } = message;
+// Line up two to four stored analyses for the comparison page
+async function handleCompareAnalyses(message, sendResponse) {
+  const keys = message.keys || [];
+  if (keys.length < MIN_COMPARED_POLICIES || keys.length > MAX_COMPARED_POLICIES) {
+    sendResponse({
+      success: false,
+      error: `Choose ${MIN_COMPARED_POLICIES} to ${MAX_COMPARED_POLICIES} saved analyses to compare`,
+    });
+    return;
+  }
 
   try {
-    // Create a new tab with the policy URL
-    const newTab = await chrome.tabs.create({ url: url });
+    const entries = await Promise.all(keys.map((key) => getCachedAnalysisByKey(key)));
+    if (entries.some((entry) => !entry)) {
+      sendResponse({ success: false, error: "Some of these analyses are no longer saved" });
+      return;
+    }
+    const weights = await getScoreWeights();
+    const scores = entries.map((entry) => computePrivacyScore(entry.analysis || {}, weights));
+    sendResponse({ success: true, comparison: buildComparison(entries, scores) });
+  } catch (error) {
+    console.error("[Service Worker] Could not compare analyses:", error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
 
-    // Store the pending highlight for this tab
-    if (quote) {
-      pendingHighlights.set(newTab.id, quote);
+// Open a stored analysis's policy in a new tab with the analysis (and its chat)
+// already in place, so the side panel shows it without running the model again
+async function handleOpenStoredAnalysis(message, sendResponse) {
+  try {
+    const entry = await getCachedAnalysisByKey(message.key);
+    if (!entry) {
+      sendResponse({ success: false, error: "This analysis is no longer saved" });
+      return;
+    }
+
+    const url = entry.originalUrl || entry.url;
+    // Opened in the background and activated once its state is set, so the side
+    // panel finds the analysis when it switches to the tab
+    const newTab = await chrome.tabs.create({
+      url,
+      windowId: message.windowId,
+      active: false,
+    });
+    analysisResults.set(newTab.id, entry.analysis);
+    conversations.set(newTab.id, entry.conversation || []);
+    analyzedPolicyUrls.set(newTab.id, url);
+    if (entry.passages) {
+      policyPassages.set(newTab.id, entry.passages);
+    }
+    if (entry.changes) {
+      policyChanges.set(newTab.id, entry.changes);
     }
+    await chrome.tabs.update(newTab.id, { active: true });
 
     sendResponse({ success: true, tabId: newTab.id });
   } catch (error) {
-    console.error("[Service Worker] Error opening policy with highlight:", error);
+    console.error("[Service Worker] Error opening stored analysis:", error);
     sendResponse({ success: false, error: error.message });
   }
 }
 
+// Build a profile of the site open in a tab from its privacy policy, terms and
+// cookie policy, found through the page's links. Responds with the documents
+// chosen; the profile itself arrives as SITE_PROFILE_* events.
+async function handleBuildSiteProfile(message, sendResponse) {
+  const { tabId } = message;
+
+  let documents;
+  let site;
+  try {
+    const configError = await getProviderError();
+    if (configError) {
+      sendResponse({ success: false, error: configError });
+      return;
+    }
+
+    const { links, currentPage } = await chrome.tabs.sendMessage(tabId, {
+      type: "GET_LEGAL_LINKS",
+    });
+    site = siteFromUrl(currentPage.url);
+    documents = chooseProfileDocuments(links, {
+      url: currentPage.url,
+      title: currentPage.title,
+      type: currentPage.isPolicy
+        ? currentPage.documentType || guessDocumentType(currentPage.title, currentPage.url)
+        : null,
+    });
+  } catch (error) {
+    console.error("[Service Worker] Could not find the site's documents:", error);
+    sendResponse({ success: false, error: "Could not read the links on this page. Try reloading it." });
+    return;
+  }
+
+  if (documents.length === 0) {
+    sendResponse({
+      success: false,
+      error: "No links to a privacy policy, terms of service or cookie policy were found on this page.",
+    });
+    return;
+  }
+
+  sendResponse({ success: true, documents });
+  await buildSiteProfile(tabId, site, documents);
+}
+
+// Fetch and analyze each document, then merge the analyses and look for
+// contradictions between them. The result is kept per tab in siteProfiles.
+async function buildSiteProfile(tabId, site, documents) {
+  cancelSiteProfile(tabId, { reason: "superseded" });
+  const controller = new AbortController();
+  activeProfiles.set(tabId, controller);
+  const { signal } = controller;
+  const usage = { feature: "profile", site };
+  const releaseKeepAlive = holdKeepAlive();
+
+  const profile = {
+    site,
+    createdAt: Date.now(),
+    documents: documents.map(({ type, url, text, isCurrentPage }) => ({
+      type,
+      url,
+      title: text,
+      isCurrentPage,
+      analysis: null,
+      error: null,
+    })),
+    summary: "",
+    overallRating: null,
+    ratingExplanation: "",
+    contradictions: [],
+    error: null,
+  };
+  publishToTab(tabId, {
+    type: "SITE_PROFILE_STARTED",
+    documents: profile.documents.map(({ type, url, title }) => ({ type, url, title })),
+  });
+
+  try {
+    // Documents are analyzed side by side, sharing the usual number of parallel requests
+    const chunkConcurrency = Math.max(1, Math.floor(CHUNK_CONCURRENCY / documents.length));
+    const verifiers = new Map();
+    const texts = new Map();
+
+    await mapWithConcurrency(profile.documents, profile.documents.length, async (document) => {
+      publishToTab(tabId, { type: "SITE_PROFILE_PROGRESS", documentType: document.type, status: "running" });
+      try {
+        const text = await loadProfileDocumentText(tabId, document, signal);
+        texts.set(document.type, text);
+        verifiers.set(document.type, createQuoteVerifier(text));
+        document.analysis = await analyzeProfileDocument(document, text, {
+          verifier: verifiers.get(document.type),
+          concurrency: chunkConcurrency,
+          signal,
+          usage,
+        });
+        publishToTab(tabId, { type: "SITE_PROFILE_PROGRESS", documentType: document.type, status: "done" });
+      } catch (error) {
+        if (signal.aborted) throw error;
+        console.warn(`[Service Worker] Could not analyze ${document.url}:`, error);
+        document.error = error.message;
+        publishToTab(tabId, {
+          type: "SITE_PROFILE_PROGRESS",
+          documentType: document.type,
+          status: "failed",
+          error: error.message,
+        });
+      }
+    });
+    signal.throwIfAborted();
+
+    const analyzed = profile.documents.filter((document) => document.analysis);
+    if (analyzed.length === 0) {
+      throw new Error(`None of the site's documents could be analyzed: ${profile.documents[0].error}`);
+    }
+
+    if (analyzed.length === 1) {
+      Object.assign(profile, pickOverview(analyzed[0].analysis));
+    } else {
+      publishToTab(tabId, { type: "SITE_PROFILE_PROGRESS", phase: "merge" });
+      try {
+        const { content } = await streamCompletion({
+          system: SITE_PROFILE_SYSTEM_PROMPT,
+          messages: [
+            {
+              role: "user",
+              content: `Documents of ${site}:\n\n${analyzed.map(describeProfileDocument).join("\n\n")}`,
+            },
+          ],
+          maxTokens: 3072,
+          responseSchema: SITE_PROFILE_SCHEMA,
+          signal,
+          usage,
+        });
+        const merged = await parseStructuredResponse(content, SITE_PROFILE_SCHEMA, { signal, usage });
+        Object.assign(profile, pickOverview(merged));
+        profile.contradictions = merged.contradictions.map((contradiction) => ({
+          ...contradiction,
+          quotes: contradiction.quotes
+            .filter(({ documentType }) => verifiers.has(documentType))
+            .map(({ documentType, quote }) => ({
+              documentType,
+              url: profile.documents.find((document) => document.type === documentType).url,
+              quote,
+              quoteCheck: verifiers.get(documentType).verify(quote),
+            })),
+          automatic: false,
+        }));
+      } catch (error) {
+        if (signal.aborted) throw error;
+        // Each document's own analysis still stands
+        console.warn("[Service Worker] Could not merge the site profile:", error);
+        profile.error = error.message;
+        profile.summary = analyzed
+          .map((document) => `${DOCUMENT_TYPE_LABELS[document.type]}: ${document.analysis.summary}`)
+          .join("\n\n");
+        profile.overallRating = worstRating(analyzed);
+      }
+    }
+
+    // Vendors named in the cookie policy are checked against the privacy
+    // policy's own text rather than left to the model
+    const cookie = analyzed.find((document) => document.type === "cookie");
+    if (cookie && texts.has("privacy")) {
+      const unlisted = findUnlistedVendors(cookie.analysis, texts.get("privacy"));
+      if (unlisted.length > 0) {
+        const names = unlisted.map(({ vendor }) => vendor).join(", ");
+        profile.contradictions.unshift({
+          title: "Cookie vendors missing from the privacy policy",
+          description: `The cookie policy names ${names}, but the privacy policy never mentions ${
+            unlisted.length === 1 ? "it" : "them"
+          }. The privacy policy doesn't disclose everyone who receives data through cookies.`,
+          severity: "MEDIUM",
+          quotes: unlisted
+            .filter(({ quote }) => quote)
+            .map(({ quote }) => ({
+              documentType: "cookie",
+              url: cookie.url,
+              quote,
+              quoteCheck: verifiers.get("cookie").verify(quote),
+            })),
+          automatic: true,
+        });
+      }
+    }
+
+    signal.throwIfAborted();
+    siteProfiles.set(tabId, profile);
+    publishToTab(tabId, { type: "SITE_PROFILE_COMPLETE", profile });
+  } catch (error) {
+    if (signal.aborted) {
+      if (controller.cancelReason !== "superseded") {
+        publishToTab(tabId, { type: "SITE_PROFILE_CANCELLED", reason: controller.cancelReason });
+      }
+      return;
+    }
+    console.error("[Service Worker] Site profile error:", error);
+    publishToTab(tabId, {
+      type: "SITE_PROFILE_ERROR",
+      error: error.message,
+      errorCategory: error.category,
+    });
+  } finally {
+    if (activeProfiles.get(tabId) === controller) {
+      activeProfiles.delete(tabId);
+    }
+    releaseKeepAlive();
+  }
+}
+
+// The summary and rating fields of an analysis or merged profile
+function pickOverview({ summary, overallRating, ratingExplanation }) {
+  return { summary, overallRating, ratingExplanation };
+}
+
+// The text of one profile document: the open page's own extracted text when
+// it is that document, otherwise fetched like an external policy
+async function loadProfileDocumentText(tabId, document, signal) {
+  if (document.isCurrentPage) {
+    const response = await chrome.tabs.sendMessage(tabId, { type: "GET_POLICY_CONTENT" });
+    if (!response.success) throw new Error(response.error || "Could not read the page");
+    return response.content;
+  }
+  return fetchPolicyText(document.url, { signal });
+}
+
+// Analyze one of a site's documents with the analysis prompt plus what to look
+// for in its kind of document. Long documents are analyzed in parts and merged
+// without a separate reduce request; the profile's merge step summarizes them.
+// A privacy policy already analyzed with the same text is taken from the cache.
+async function analyzeProfileDocument(document, text, { verifier, concurrency, signal, usage }) {
+  if (document.type === "privacy") {
+    const { cacheEnabled } = await chrome.storage.local.get(["cacheEnabled"]);
+    if (cacheEnabled !== false) {
+      const cached = await getCachedAnalysis(document.url, await hashContent(text)).catch(() => null);
+      if (cached) return cached.analysis;
+    }
+  }
+
+  const label = DOCUMENT_TYPE_LABELS[document.type].toLowerCase();
+  const system = analysisSystemPrompt(document.type);
+  const schema = ANALYSIS_SCHEMAS[document.type];
+  const chunks = splitIntoChunks(text);
+  const sections = sectionsFromText(text);
+
+  const results = await mapWithConcurrency(chunks, concurrency, async (chunk) => {
+    const part =
+      chunks.length > 1
+        ? ` (part ${chunk.index + 1} of ${chunks.length}; only report findings supported by this part, and keep the summary to 2-3 sentences about this part)`
+        : "";
+    const { content } = await streamCompletion({
+      system,
+      messages: [
+        {
+          role: "user",
+          content: `Please analyze this ${label}${part}:
+
+URL: ${document.url}
+
+Content:
+${withSectionMarkers(chunk.text, sections, chunk.start)}`,
+        },
+      ],
+      maxTokens: 4096,
+      responseSchema: schema,
+      signal,
+      usage,
+    });
+    return parseStructuredResponse(content, schema, { signal, usage });
+  });
+  signal.throwIfAborted();
+
+  const chunkAnalyses = [];
+  results.forEach((result, index) => {
+    if (!result.error) chunkAnalyses.push({ analysis: result.value, chunkIndex: index });
+  });
+  if (chunkAnalyses.length === 0) {
+    throw results[0].error;
+  }
+
+  const analysis =
+    chunkAnalyses.length === 1
+      ? chunkAnalyses[0].analysis
+      : {
+          summary: chunkAnalyses.map(({ analysis }) => analysis.summary).join("\n\n"),
+          ...mergeChunkAnalyses(chunkAnalyses),
+          overallRating: worstRating(chunkAnalyses),
+          ratingExplanation: `The most serious rating given to any of the ${chunks.length} parts of this document.`,
+        };
+  analysis.documentType = document.type;
+  annotateQuotes(analysis, verifier);
+  assignSections(analysis, sections);
+  return analysis;
+}
+
+// Stop building a tab's site profile. Returns false if none was being built.
+function cancelSiteProfile(tabId, { reason = "user" } = {}) {
+  const controller = activeProfiles.get(tabId);
+  if (!controller) return false;
+
+  controller.cancelReason = reason;
+  controller.abort();
+  activeProfiles.delete(tabId);
+  return true;
+}
+
 // Clean up when tab is closed
-chrome.tabs.onRemoved.addListener((tabId) => {
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+  await stateReady;
+  cancelAnalysis(tabId, { reason: "closed" });
+  cancelChat(tabId, { reason: "closed" });
   conversations.delete(tabId);
   analysisResults.delete(tabId);
   analyzedPolicyUrls.delete(tabId);
   notifiedTabs.delete(tabId);
   analysisInProgress.delete(tabId);
   pendingHighlights.delete(tabId);
+  policyPassages.delete(tabId);
+  policyChanges.delete(tabId);
+  cancelSiteProfile(tabId, { reason: "closed" });
+  siteProfiles.delete(tabId);
+  clearCheckpoint(tabId);
+  forgetTabStream(tabId);
 });
 
 // Also reset notification when tab navigates to a new page
-chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
   if (changeInfo.status === "loading" && changeInfo.url) {
+    await stateReady;
+
     // Tab is navigating to a new URL, reset notification status
     notifiedTabs.delete(tabId);
+
+    // Stop work on the page that was left
+    cancelAnalysis(tabId, { reason: "navigated" });
+    cancelChat(tabId, { reason: "navigated" });
+    clearCheckpoint(tabId);
+
+    // A profile describes a whole site, so it only goes when the site changes
+    if (siteFromUrl(changeInfo.url) !== siteProfiles.get(tabId)?.site) {
+      cancelSiteProfile(tabId, { reason: "navigated" });
+      siteProfiles.delete(tabId);
+    }
   }
 });
 
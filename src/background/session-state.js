@@ -0,0 +1,244 @@
+// Session State
+// Keeps per-tab service worker state in chrome.storage.session so it survives the worker being suspended
+
+// Storage keys: collections are stored under "state:<name>" (or "state:<name>:<tabId>" per
+// entry, see SessionEntryMap), analysis checkpoints under "checkpoint:<tabId>"
+const STATE_PREFIX = "state:";
+const CHECKPOINT_PREFIX = "checkpoint:";
+
+// Extension API calls reset the worker's idle timer; Chrome stops an idle worker after 30 seconds
+const KEEPALIVE_INTERVAL_MS = 20000;
+
+// Every persisted collection, so they can be restored together
+const collections = [];
+
+// Collections changed since the last write; writes are batched per task
+const dirtyCollections = new Set();
+let flushScheduled = false;
+
+let keepAliveCount = 0;
+let keepAliveTimer = null;
+
+function markDirty(collection) {
+  dirtyCollections.add(collection);
+  if (flushScheduled) return;
+  flushScheduled = true;
+  queueMicrotask(flushCollections);
+}
+
+function flushCollections() {
+  flushScheduled = false;
+  const items = {};
+  for (const collection of dirtyCollections) {
+    items[STATE_PREFIX + collection.name] = Array.from(collection.entries());
+  }
+  dirtyCollections.clear();
+
+  chrome.storage.session
+    .set(items)
+    .catch((error) => console.warn("[Session State] Could not save state:", error));
+}
+
+// A Map that writes itself to session storage whenever it changes. Values must be
+// JSON-serializable, and values mutated in place need to be set() again to be saved.
+export class SessionMap extends Map {
+  constructor(name) {
+    super();
+    this.name = name;
+    collections.push(this);
+  }
+
+  set(key, value) {
+    super.set(key, value);
+    markDirty(this);
+    return this;
+  }
+
+  delete(key) {
+    const deleted = super.delete(key);
+    if (deleted) markDirty(this);
+    return deleted;
+  }
+
+  clear() {
+    super.clear();
+    markDirty(this);
+  }
+
+  storedEntries(stored) {
+    return stored[STATE_PREFIX + this.name] || [];
+  }
+
+  restore(entries) {
+    for (const [key, value] of entries) super.set(key, value);
+  }
+}
+
+// A Map keyed by tab ID that stores each entry under its own key, for large
+// values such as policy texts: a change writes only that tab's entry instead
+// of every tab's. When session storage is full, other tabs' entries are taken
+// out of storage (oldest first) to make room; they stay in memory until the
+// worker stops.
+export class SessionEntryMap extends Map {
+  constructor(name) {
+    super();
+    this.name = name;
+    collections.push(this);
+  }
+
+  storageKey(tabId) {
+    return `${STATE_PREFIX}${this.name}:${tabId}`;
+  }
+
+  set(tabId, value) {
+    super.set(tabId, value);
+    this.save(tabId, value);
+    return this;
+  }
+
+  delete(tabId) {
+    const deleted = super.delete(tabId);
+    if (deleted) {
+      chrome.storage.session.remove(this.storageKey(tabId)).catch(() => {});
+    }
+    return deleted;
+  }
+
+  clear() {
+    const keys = Array.from(this.keys(), (tabId) => this.storageKey(tabId));
+    super.clear();
+    chrome.storage.session.remove(keys).catch(() => {});
+  }
+
+  async save(tabId, value) {
+    const others = Array.from(this.keys()).filter((other) => other !== tabId);
+    // Stop once the entry has been replaced or deleted since
+    while (this.get(tabId) === value) {
+      try {
+        await chrome.storage.session.set({ [this.storageKey(tabId)]: value });
+        return;
+      } catch (error) {
+        if (others.length === 0) {
+          console.warn(`[Session State] Could not save ${this.name} for tab ${tabId}:`, error);
+          return;
+        }
+        await chrome.storage.session.remove(this.storageKey(others.shift())).catch(() => {});
+      }
+    }
+  }
+
+  storedEntries(stored) {
+    const prefix = `${STATE_PREFIX}${this.name}:`;
+    return Object.entries(stored)
+      .filter(([key]) => key.startsWith(prefix))
+      .map(([key, value]) => [Number(key.slice(prefix.length)), value]);
+  }
+
+  restore(entries) {
+    for (const [tabId, value] of entries) super.set(tabId, value);
+  }
+}
+
+// A Set that writes itself to session storage whenever it changes
+export class SessionSet extends Set {
+  constructor(name) {
+    super();
+    this.name = name;
+    collections.push(this);
+  }
+
+  add(value) {
+    if (!this.has(value)) {
+      super.add(value);
+      markDirty(this);
+    }
+    return this;
+  }
+
+  delete(value) {
+    const deleted = super.delete(value);
+    if (deleted) markDirty(this);
+    return deleted;
+  }
+
+  clear() {
+    super.clear();
+    markDirty(this);
+  }
+
+  storedEntries(stored) {
+    return stored[STATE_PREFIX + this.name] || [];
+  }
+
+  restore(entries) {
+    for (const [value] of entries) super.add(value);
+  }
+}
+
+// Load every collection from session storage. Must finish before the
+// collections are used, or the first change would overwrite the saved state.
+export async function restoreSessionState() {
+  const stored = await chrome.storage.session.get(null);
+  for (const collection of collections) {
+    collection.restore(collection.storedEntries(stored));
+  }
+}
+
+// Drop state kept for tabs that no longer exist (closed while the worker was stopped)
+export async function forgetClosedTabs(openTabIds) {
+  for (const collection of collections) {
+    for (const tabId of Array.from(collection.keys())) {
+      if (!openTabIds.has(tabId)) collection.delete(tabId);
+    }
+  }
+
+  const stored = await chrome.storage.session.get(null);
+  const staleCheckpoints = Object.keys(stored).filter(
+    (key) =>
+      key.startsWith(CHECKPOINT_PREFIX) &&
+      !openTabIds.has(Number(key.slice(CHECKPOINT_PREFIX.length)))
+  );
+  if (staleCheckpoints.length > 0) {
+    await chrome.storage.session.remove(staleCheckpoints);
+  }
+}
+
+// Analysis checkpoints: work finished so far on a tab's analysis, so a run cut
+// short by the worker stopping can pick up where it left off
+export async function saveCheckpoint(tabId, checkpoint) {
+  try {
+    await chrome.storage.session.set({ [CHECKPOINT_PREFIX + tabId]: checkpoint });
+  } catch (error) {
+    console.warn("[Session State] Could not save checkpoint:", error);
+  }
+}
+
+export async function loadCheckpoint(tabId) {
+  const key = CHECKPOINT_PREFIX + tabId;
+  const stored = await chrome.storage.session.get([key]);
+  return stored[key] || null;
+}
+
+export function clearCheckpoint(tabId) {
+  return chrome.storage.session.remove(CHECKPOINT_PREFIX + tabId).catch(() => {});
+}
+
+// Keep the worker from being stopped as idle while long work (waiting on a slow
+// model, backing off before a retry) runs. Returns a function that releases the hold.
+export function holdKeepAlive() {
+  if (keepAliveCount++ === 0) {
+    keepAliveTimer = setInterval(() => {
+      chrome.runtime.getPlatformInfo().catch(() => {});
+    }, KEEPALIVE_INTERVAL_MS);
+  }
+
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    if (--keepAliveCount === 0) {
+      clearInterval(keepAliveTimer);
+      keepAliveTimer = null;
+    }
+  };
+}
@@ -0,0 +1,125 @@
+// Site Profile
+// Picks a site's privacy policy, terms and cookie policy and finds where they disagree
+
+import { DOCUMENT_TYPE_LABELS } from "./policy-metadata.js";
+
+// Documents that make up a profile, in the order they're shown
+export const PROFILE_DOCUMENT_TYPES = ["privacy", "terms", "cookie"];
+
+// Recipients made only of these words are descriptions, not named vendors
+const GENERIC_RECIPIENT_WORDS = new Set(
+  `a an and or the of to for with our us we its their your other others third party parties
+   partner partners affiliate affiliates company companies provider providers service services
+   vendor vendors advertiser advertisers advertising ad ads analytics marketing social media
+   network networks platform platforms tool tools plugin plugins selected trusted certain
+   various external business businesses group subsidiaries processor processors tracking
+   cookie cookies measurement performance functional necessary strictly essential content
+   delivery payment security website websites site sites`.split(/\s+/)
+);
+
+// The registrable part of a host name: www.shop.example.com -> example.com,
+// news.example.co.uk -> example.co.uk
+function baseDomain(url) {
+  try {
+    const labels = new URL(url).hostname.split(".");
+    const secondLevel = labels[labels.length - 2] || "";
+    const keep = labels.length > 2 && secondLevel.length <= 3 && labels[labels.length - 1].length === 2 ? 3 : 2;
+    return labels.slice(-keep).join(".");
+  } catch {
+    return null;
+  }
+}
+
+// Choose one document of each type for a page's profile. `links` are the
+// page's legal links ([{ url, type, text }], best first); `currentPage`
+// ({ url, title, type }) is used for its own type when it is a policy. Links
+// to other sites (a reCAPTCHA notice linking Google's terms, say) are skipped.
+// Returns [{ type, url, text, isCurrentPage }] in PROFILE_DOCUMENT_TYPES order.
+export function chooseProfileDocuments(links, currentPage) {
+  const site = baseDomain(currentPage.url);
+  const chosen = new Map();
+
+  if (currentPage.type) {
+    chosen.set(currentPage.type, {
+      type: currentPage.type,
+      url: currentPage.url,
+      text: currentPage.title || DOCUMENT_TYPE_LABELS[currentPage.type],
+      isCurrentPage: true,
+    });
+  }
+
+  for (const link of links) {
+    if (!PROFILE_DOCUMENT_TYPES.includes(link.type) || chosen.has(link.type)) continue;
+    if (baseDomain(link.url) !== site) continue;
+    chosen.set(link.type, { type: link.type, url: link.url, text: link.text, isCurrentPage: false });
+  }
+
+  return PROFILE_DOCUMENT_TYPES.filter((type) => chosen.has(type)).map((type) => chosen.get(type));
+}
+
+// Words of a vendor name that identify it ("Google Analytics Cookies" -> ["google"])
+function vendorWords(recipient) {
+  return recipient
+    .toLowerCase()
+    .replace(/\(.*?\)/g, " ")
+    .split(/[^a-z0-9&'.-]+/)
+    .map((word) => word.replace(/^[.'-]+|[.'-]+$/g, ""))
+    .filter((word) => word.length > 1 && !GENERIC_RECIPIENT_WORDS.has(word));
+}
+
+// Named vendors in the cookie policy's findings (recipients and cookie
+// providers) that the privacy policy never mentions, by full name or by the
+// first distinctive word of the name. Returns [{ vendor, quote }].
+export function findUnlistedVendors(cookieAnalysis, privacyText) {
+  const text = privacyText.toLowerCase();
+  const unlisted = [];
+  const seen = new Set();
+  const vendors = [
+    ...(cookieAnalysis.dataSharing || []).map((item) => ({ name: item.recipient, item })),
+    ...(cookieAnalysis.cookies || []).map((item) => ({ name: item.provider, item })),
+  ];
+
+  for (const { name, item } of vendors) {
+    const vendor = (name || "").trim();
+    const words = vendorWords(vendor);
+    if (words.length === 0 || seen.has(words[0])) continue;
+    seen.add(words[0]);
+
+    const mentioned = text.includes(vendor.toLowerCase()) || new RegExp(`\\b${escapeRegExp(words[0])}\\b`).test(text);
+    if (!mentioned) {
+      unlisted.push({ vendor, quote: item.quoteCheck?.matchedText || item.quote || "" });
+    }
+  }
+  return unlisted;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// One document's findings as text for the merge prompt, with quotes so the
+// model can cite them when documents disagree
+export function describeProfileDocument(document) {
+  const { analysis } = document;
+  const finding = (label, description, quote) =>
+    `- ${label}${description ? `: ${description}` : ""}${quote ? ` ("${quote}")` : ""}`;
+
+  return [
+    `## ${DOCUMENT_TYPE_LABELS[document.type]} (${document.url})`,
+    `Rating: ${analysis.overallRating}. ${analysis.summary}`,
+    "Risks:",
+    ...(analysis.risks || []).map((risk) => finding(`[${risk.level}] ${risk.title}`, risk.description, risk.quote)),
+    "Data collected:",
+    ...(analysis.dataCollection || []).map((item) => finding(item.type, item.description, item.quote)),
+    "Shared with:",
+    ...(analysis.dataSharing || []).map((item) => finding(item.recipient, item.purpose, item.quote)),
+    "User rights:",
+    ...(analysis.userRights || []).map((item) => finding(item.right, item.description, item.quote)),
+    ...(analysis.clauses
+      ? ["Clauses:", ...analysis.clauses.map((clause) => finding(`[${clause.level}] ${clause.title}`, clause.description, clause.quote))]
+      : []),
+    ...(analysis.cookies
+      ? ["Cookies:", ...analysis.cookies.map((cookie) => finding(`${cookie.name} (${cookie.provider})`, cookie.purpose, cookie.quote))]
+      : []),
+  ].join("\n");
+}
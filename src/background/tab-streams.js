@@ -0,0 +1,96 @@
+// Tab Streams
+// Delivers per-tab events (streamed text, results, errors) over ports to the side panels showing that tab
+
+// Name of the port side panels open with chrome.runtime.connect
+export const TAB_STREAM_PORT = "tab-stream";
+
+// Events kept per tab so a panel that reconnects can replay what it missed
+const MAX_BUFFERED_EVENTS = 1000;
+
+// Sequence numbers start over when the worker restarts; a panel holding a
+// different stream id can't replay and has to reload the tab's state instead
+const streamId = crypto.randomUUID();
+
+// Per tab: { seq, events, ports }
+const streams = new Map();
+
+function getStream(tabId) {
+  if (!streams.has(tabId)) {
+    streams.set(tabId, { seq: 0, events: [], ports: new Set() });
+  }
+  return streams.get(tabId);
+}
+
+// Send an event to every panel subscribed to the tab. Each event gets the next
+// sequence number for the tab and is buffered for replay.
+export function publishToTab(tabId, event) {
+  const stream = getStream(tabId);
+  const message = { ...event, tabId, seq: ++stream.seq, streamId };
+
+  stream.events.push(message);
+  if (stream.events.length > MAX_BUFFERED_EVENTS) {
+    stream.events.splice(0, stream.events.length - MAX_BUFFERED_EVENTS);
+  }
+
+  for (const port of stream.ports) {
+    try {
+      port.postMessage(message);
+    } catch (error) {
+      // The panel went away between disconnecting and onDisconnect firing
+      stream.ports.delete(port);
+    }
+  }
+}
+
+// Drop a closed tab's buffered events
+export function forgetTabStream(tabId) {
+  streams.delete(tabId);
+}
+
+// Subscribe a port to a tab. A panel resuming after a disconnect passes the
+// last `seq` (and `streamId`) it saw and gets the events after it; when those
+// are no longer available it gets RESYNC and should reload the tab's state.
+function subscribe(port, { tabId, lastSeq, streamId: lastStreamId }) {
+  const stream = getStream(tabId);
+  stream.ports.add(port);
+  port.postMessage({ type: "SUBSCRIBED", tabId, streamId, seq: stream.seq });
+
+  if (lastSeq === undefined || lastSeq === null) return;
+
+  const oldestSeq = stream.events.length > 0 ? stream.events[0].seq : stream.seq + 1;
+  if (lastStreamId !== streamId || lastSeq > stream.seq || lastSeq < oldestSeq - 1) {
+    port.postMessage({ type: "RESYNC", tabId, streamId, seq: stream.seq });
+    return;
+  }
+
+  for (const event of stream.events) {
+    if (event.seq > lastSeq) port.postMessage(event);
+  }
+}
+
+// Each panel holds one port and is subscribed to at most one tab at a time
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== TAB_STREAM_PORT) return;
+
+  let subscribedTabId = null;
+  const unsubscribe = () => {
+    if (subscribedTabId === null) return;
+    streams.get(subscribedTabId)?.ports.delete(port);
+    subscribedTabId = null;
+  };
+
+  port.onMessage.addListener((message) => {
+    switch (message.type) {
+      case "SUBSCRIBE":
+        unsubscribe();
+        subscribedTabId = message.tabId;
+        subscribe(port, message);
+        break;
+      case "UNSUBSCRIBE":
+        unsubscribe();
+        break;
+    }
+  });
+
+  port.onDisconnect.addListener(unsubscribe);
+});
@@ -0,0 +1,235 @@
+// Usage Ledger
+// Records the tokens and cost of every model call and enforces the optional monthly budget
+
+const LEDGER_KEY = "usageLedger";
+
+// Records older than this are dropped so the ledger doesn't grow forever
+const LEDGER_RETENTION_DAYS = 400;
+
+// Output length assumed for calls that don't set a limit, when checking the budget
+const DEFAULT_OUTPUT_ESTIMATE = 1024;
+
+// Prices in US dollars per million tokens [input, output]. Models are matched by
+// the longest prefix, so dated versions ("gpt-4o-mini-2024-07-18") and Azure
+// deployments named after their model are priced too.
+const MODEL_PRICES = {
+  "gpt-4o-mini": [0.15, 0.6],
+  "gpt-4o": [2.5, 10],
+  "gpt-4.1-nano": [0.1, 0.4],
+  "gpt-4.1-mini": [0.4, 1.6],
+  "gpt-4.1": [2, 8],
+  "gpt-5-nano": [0.05, 0.4],
+  "gpt-5-mini": [0.25, 2],
+  "gpt-5": [1.25, 10],
+  "o4-mini": [1.1, 4.4],
+  "claude-3-5-haiku": [0.8, 4],
+  "claude-3-haiku": [0.25, 1.25],
+  "claude-haiku-4-5": [1, 5],
+  "claude-3-5-sonnet": [3, 15],
+  "claude-3-7-sonnet": [3, 15],
+  "claude-sonnet-4": [3, 15],
+  "claude-opus-4": [15, 75],
+};
+
+// Ledger writes are queued so parallel calls (e.g. chunk analyses) don't overwrite each other
+let writeQueue = Promise.resolve();
+
+// Worst-case costs of calls in flight, by reservation ID. They count against
+// the budget until the call's usage is in the ledger.
+const reservations = new Map();
+let nextReservationId = 1;
+
+// Rough token count for text when the provider doesn't report usage:
+// about four characters per token for English, never fewer than one per word
+export function estimateTokens(text) {
+  if (!text) return 0;
+  const words = text.trim().split(/\s+/).filter(Boolean).length;
+  return Math.max(Math.ceil(text.length / 4), words);
+}
+
+// Token estimate for a whole request (system prompt plus messages)
+export function estimatePromptTokens(system, messages) {
+  const text = [system, ...messages.map((message) => message.content)].join("\n");
+  // A few tokens of overhead per message for roles and formatting
+  return estimateTokens(text) + 4 * (messages.length + 1);
+}
+
+// Look up the price of a model, or null if it isn't known
+function getModelPrice(providerId, model) {
+  if (providerId === "local") return [0, 0];
+
+  const name = (model || "").toLowerCase();
+  const match = Object.keys(MODEL_PRICES)
+    .filter((prefix) => name.startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? MODEL_PRICES[match] : null;
+}
+
+// Cost in US dollars, or null for models without a known price
+export function computeCost(providerId, model, promptTokens, completionTokens) {
+  const price = getModelPrice(providerId, model);
+  if (!price) return null;
+  return (promptTokens * price[0] + completionTokens * price[1]) / 1e6;
+}
+
+function localDay(timestamp) {
+  const date = new Date(timestamp);
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+export function siteFromUrl(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, "") || "unknown";
+  } catch {
+    return "unknown";
+  }
+}
+
+async function readLedger() {
+  const result = await chrome.storage.local.get([LEDGER_KEY]);
+  return result[LEDGER_KEY] || [];
+}
+
+// Append one call to the ledger. `feature` is what the call was for ("analysis",
+// "chat", "simplify", "keypoints"); `estimated` marks token counts that came from
+// estimateTokens rather than the provider.
+export function recordUsage({
+  providerId,
+  model,
+  feature,
+  site,
+  promptTokens,
+  completionTokens,
+  estimated,
+}) {
+  const timestamp = Date.now();
+  const record = {
+    timestamp,
+    day: localDay(timestamp),
+    site: site || "unknown",
+    feature: feature || "other",
+    provider: providerId,
+    model,
+    promptTokens,
+    completionTokens,
+    estimated,
+    cost: computeCost(providerId, model, promptTokens, completionTokens),
+  };
+
+  writeQueue = writeQueue
+    .then(async () => {
+      const cutoff = timestamp - LEDGER_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+      const ledger = (await readLedger()).filter((entry) => entry.timestamp >= cutoff);
+      ledger.push(record);
+      await chrome.storage.local.set({ [LEDGER_KEY]: ledger });
+    })
+    .catch((error) => console.warn("[Usage Ledger] Could not record usage:", error));
+
+  return writeQueue.then(() => record);
+}
+
+function startOfMonth(timestamp = Date.now()) {
+  const date = new Date(timestamp);
+  return new Date(date.getFullYear(), date.getMonth(), 1).getTime();
+}
+
+// Spending so far this month against the budget (budget is null when none is set)
+export async function getBudgetStatus() {
+  await writeQueue;
+  const [ledger, { monthlyBudgetUsd }] = await Promise.all([
+    readLedger(),
+    chrome.storage.local.get(["monthlyBudgetUsd"]),
+  ]);
+
+  const monthStart = startOfMonth();
+  const spent = ledger
+    .filter((entry) => entry.timestamp >= monthStart)
+    .reduce((sum, entry) => sum + (entry.cost || 0), 0);
+  const budget = monthlyBudgetUsd > 0 ? monthlyBudgetUsd : null;
+
+  return {
+    spent,
+    budget,
+    remaining: budget === null ? null : Math.max(0, budget - spent),
+    exceeded: budget !== null && spent >= budget,
+  };
+}
+
+// Hold a call's worst-case cost against the budget while it runs. The check
+// and the hold happen together after reading the ledger, so calls started at
+// the same time (chunk analyses) see each other's holds instead of all passing
+// against the same spending. Returns { allowed, reservationId, spent, budget },
+// where `spent` includes the holds of other calls.
+export async function reserveBudget(estimate) {
+  const { spent, budget } = await getBudgetStatus();
+  const committed = spent + Array.from(reservations.values()).reduce((sum, cost) => sum + cost, 0);
+
+  if (budget === null) return { allowed: true, reservationId: null, spent: committed, budget };
+  if (committed + estimate > budget) return { allowed: false, reservationId: null, spent: committed, budget };
+
+  const reservationId = nextReservationId++;
+  reservations.set(reservationId, estimate);
+  return { allowed: true, reservationId, spent: committed, budget };
+}
+
+// Drop a hold once the call's usage has been recorded (after the ledger writes
+// queued so far, so the cost is always counted one way or the other)
+export function releaseBudget(reservationId) {
+  if (reservationId === null) return;
+  writeQueue.then(() => reservations.delete(reservationId));
+}
+
+// Worst-case cost of a call before it is made: the estimated prompt plus the
+// full output allowance
+export function estimateCallCost(providerId, model, system, messages, maxTokens) {
+  return computeCost(
+    providerId,
+    model,
+    estimatePromptTokens(system, messages),
+    maxTokens || DEFAULT_OUTPUT_ESTIMATE
+  );
+}
+
+// Totals grouped by "day", "site", "feature" or "model" for records newer than `since`
+export async function summarizeUsage({ groupBy = "day", since = 0 } = {}) {
+  await writeQueue;
+  const ledger = await readLedger();
+  const groups = new Map();
+  const totals = { calls: 0, promptTokens: 0, completionTokens: 0, cost: 0, unpriced: 0 };
+
+  for (const entry of ledger) {
+    if (entry.timestamp < since) continue;
+
+    const key = entry[groupBy] || "unknown";
+    if (!groups.has(key)) {
+      groups.set(key, { key, calls: 0, promptTokens: 0, completionTokens: 0, cost: 0, unpriced: 0 });
+    }
+
+    for (const target of [groups.get(key), totals]) {
+      target.calls++;
+      target.promptTokens += entry.promptTokens;
+      target.completionTokens += entry.completionTokens;
+      if (entry.cost === null) {
+        target.unpriced++;
+      } else {
+        target.cost += entry.cost;
+      }
+    }
+  }
+
+  const rows = Array.from(groups.values());
+  if (groupBy === "day") {
+    rows.sort((a, b) => b.key.localeCompare(a.key));
+  } else {
+    rows.sort((a, b) => b.cost - a.cost || b.calls - a.calls);
+  }
+
+  return { rows, totals };
+}
+
+export async function clearUsage() {
+  await writeQueue;
+  await chrome.storage.local.remove(LEDGER_KEY);
+}
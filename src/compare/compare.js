@@ -0,0 +1,211 @@
+// Comparison Page JavaScript
+// Shows two to four saved analyses side by side, links each cell to its quotes and exports the grid as CSV or Markdown
+
+// The comparison sent by the service worker (see policy-comparison.js)
+let comparison = null;
+
+document.addEventListener('DOMContentLoaded', () => {
+  setupEventListeners();
+  loadComparison();
+});
+
+function setupEventListeners() {
+  document.getElementById('differences-only').addEventListener('change', (e) => {
+    document.querySelector('.compare-table').classList.toggle('differences-hidden', e.target.checked);
+  });
+
+  document.getElementById('export-csv-btn').addEventListener('click', () => {
+    downloadFile('policy-comparison.csv', 'text/csv', toCsv(exportRows()));
+  });
+
+  document.getElementById('export-markdown-btn').addEventListener('click', () => {
+    downloadFile('policy-comparison.md', 'text/markdown', toMarkdown(exportRows()));
+  });
+}
+
+// The history page opens this page with one `key` parameter per analysis
+async function loadComparison() {
+  const keys = new URLSearchParams(location.search).getAll('key');
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'COMPARE_ANALYSES', keys });
+    if (!response.success) throw new Error(response.error);
+    comparison = response.comparison;
+    renderComparison();
+    document.getElementById('export-csv-btn').disabled = false;
+    document.getElementById('export-markdown-btn').disabled = false;
+  } catch (error) {
+    console.error('Error loading comparison:', error);
+    showMessage(`Could not compare these analyses: ${error.message}`, 'error');
+  }
+}
+
+function renderComparison() {
+  const head = document.getElementById('compare-head');
+  const headRow = document.createElement('tr');
+  headRow.appendChild(document.createElement('th')).className = 'row-label';
+  comparison.columns.forEach(column => {
+    const th = document.createElement('th');
+    th.innerHTML = `
+      <div class="column-site"></div>
+      <div class="column-title"></div>
+      <div class="column-date"></div>
+    `;
+    th.querySelector('.column-site').textContent = column.site;
+    const title = th.querySelector('.column-title');
+    title.textContent = column.title;
+    title.title = column.url;
+    th.querySelector('.column-date').textContent =
+      `Analyzed ${new Date(column.createdAt).toLocaleDateString()}`;
+    headRow.appendChild(th);
+  });
+  head.innerHTML = '';
+  head.appendChild(headRow);
+
+  const body = document.getElementById('compare-body');
+  body.innerHTML = '';
+  comparison.groups.forEach(group => {
+    if (group.rows.length === 0) return;
+
+    const groupRow = document.createElement('tr');
+    groupRow.className = 'group-row';
+    const groupHeading = document.createElement('th');
+    groupHeading.colSpan = comparison.columns.length + 1;
+    groupHeading.textContent = group.label;
+    groupRow.appendChild(groupHeading);
+    body.appendChild(groupRow);
+
+    group.rows.forEach(row => body.appendChild(renderRow(row)));
+  });
+}
+
+function renderRow(row) {
+  const tr = document.createElement('tr');
+  tr.className = row.differs ? 'differs' : 'same';
+
+  const label = document.createElement('th');
+  label.className = 'row-label';
+  label.textContent = row.label;
+  tr.appendChild(label);
+
+  row.cells.forEach((cell, index) => {
+    tr.appendChild(renderCell(cell, comparison.columns[index]));
+  });
+  return tr;
+}
+
+function renderCell(cell, column) {
+  const td = document.createElement('td');
+
+  if (cell.rating) {
+    const badge = document.createElement('span');
+    badge.className = `rating-badge ${cell.rating.toLowerCase()}`;
+    badge.textContent = cell.text;
+    td.appendChild(badge);
+  } else {
+    const text = document.createElement('div');
+    text.className = cell.evidence.length === 0 ? 'cell-text not-stated' : 'cell-text';
+    text.textContent = cell.text;
+    td.appendChild(text);
+  }
+
+  if (cell.detail) {
+    const detail = document.createElement('div');
+    detail.className = 'cell-detail';
+    detail.textContent = cell.detail;
+    td.appendChild(detail);
+  }
+
+  const quoted = cell.evidence.filter(evidence => evidence.quote);
+  if (quoted.length > 0) {
+    const links = document.createElement('div');
+    links.className = 'cell-evidence';
+    quoted.forEach(evidence => {
+      const button = document.createElement('button');
+      button.className = 'evidence-link';
+      button.textContent = `"${evidence.label || 'Quote'}"`;
+      button.title = evidence.quote;
+      button.addEventListener('click', () => openQuote(column.url, evidence.quote));
+      links.appendChild(button);
+    });
+    td.appendChild(links);
+  }
+  return td;
+}
+
+// Open the policy in a new tab with the quote highlighted
+function openQuote(url, quote) {
+  chrome.runtime.sendMessage({ type: 'OPEN_POLICY_WITH_HIGHLIGHT', url, quote }).catch(error => {
+    console.error('Error opening policy:', error);
+    showMessage('Could not open the policy', 'error');
+  });
+}
+
+// The grid as plain text for export: { header, rows: [{ differs, values }] }.
+// Respects "Only show differences".
+function exportRows() {
+  const differencesOnly = document.getElementById('differences-only').checked;
+  const header = ['Section', 'Row', ...comparison.columns.map(column => column.site)];
+  const rows = [];
+
+  comparison.groups.forEach(group => {
+    group.rows
+      .filter(row => !differencesOnly || row.differs)
+      .forEach(row => {
+        rows.push({
+          differs: row.differs,
+          values: [
+            group.label,
+            row.label,
+            ...row.cells.map(cell => cell.detail ? `${cell.text} (${cell.detail})` : cell.text)
+          ]
+        });
+      });
+  });
+  return { header, rows };
+}
+
+function toCsv({ header, rows }) {
+  const escape = value => `"${String(value).replace(/"/g, '""')}"`;
+  return [header, ...rows.map(row => row.values)]
+    .map(values => values.map(escape).join(','))
+    .join('\r\n');
+}
+
+function toMarkdown({ header, rows }) {
+  const escape = value => String(value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+  const line = values => `| ${values.map(escape).join(' | ')} |`;
+
+  return [
+    '# Policy Comparison',
+    '',
+    ...comparison.columns.map(column =>
+      `- **${column.site}**: ${column.title} (${column.url}), analyzed ${new Date(column.createdAt).toLocaleDateString()}`
+    ),
+    '',
+    line(header),
+    line(header.map(() => '---')),
+    ...rows.map(row => {
+      const [section, label, ...cells] = row.values;
+      return line([section, row.differs ? `**${label}**` : label, ...cells]);
+    }),
+    '',
+    'Rows in bold differ between policies. "Not stated" means the analysis didn\'t report it.',
+    ''
+  ].join('\n');
+}
+
+function downloadFile(filename, type, content) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function showMessage(text, type) {
+  const messageEl = document.getElementById('message');
+  messageEl.textContent = text;
+  messageEl.className = 'message ' + type;
+}
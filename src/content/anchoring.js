@@ -0,0 +1,305 @@
+// Quote Anchoring Module
+// Attaches quote anchors (text position and text quote selectors) to the live page, and again after it re-renders
+
+// Anchors located with less confidence than this count as not found
+const MIN_ANCHOR_CONFIDENCE = 0.3;
+
+// Occurrences of a quote compared before giving up on telling them apart
+const MAX_ANCHOR_CANDIDATES = 50;
+
+// Words matched at each end of a quote (or of its context) when the quote no
+// longer appears word for word
+const ANCHOR_EDGE_WORDS = 3;
+
+// Elements that don't break the flow of text; text on either side of any other element is separate
+const ANCHOR_INLINE_TAGS = new Set([
+  'A', 'ABBR', 'B', 'BDI', 'BDO', 'CITE', 'CODE', 'DATA', 'DFN', 'EM', 'FONT', 'I', 'KBD',
+  'LABEL', 'MARK', 'Q', 'S', 'SAMP', 'SMALL', 'SPAN', 'STRONG', 'SUB', 'SUP', 'TIME', 'U', 'VAR'
+]);
+
+const ANCHOR_SKIP_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'TEXTAREA']);
+
+class TextAnchorer {
+  constructor() {
+    // The page text, normalized like the quote verifier does, with the text
+    // node and offset each character came from; rebuilt after any change
+    this.index = null;
+    // Anchors of the analysis being shown, by ID, and where each was last found
+    this.anchors = new Map();
+    this.results = new Map();
+
+    new MutationObserver(() => {
+      this.index = null;
+    }).observe(document.body, { childList: true, subtree: true, characterData: true });
+  }
+
+  // Attach the anchors of an analysis and keep them to re-attach after the page
+  // changes. Returns [{ id, confidence, method }].
+  attachAll(anchors) {
+    this.anchors = new Map(anchors.map(anchor => [anchor.id, anchor]));
+    this.results = new Map();
+
+    return anchors.map(anchor => {
+      const result = this.attach(anchor);
+      this.results.set(anchor.id, result);
+      return { id: anchor.id, confidence: result.confidence, method: result.method };
+    });
+  }
+
+  // Re-attach kept anchors whose range no longer holds the text it was found
+  // on. Returns the statuses that changed.
+  reattach() {
+    const changed = [];
+    for (const [id, anchor] of this.anchors) {
+      const previous = this.results.get(id);
+      if (previous && this.rangeHolds(previous)) continue;
+
+      const result = this.attach(anchor);
+      this.results.set(id, result);
+      if (!previous || result.confidence !== previous.confidence) {
+        changed.push({ id, confidence: result.confidence, method: result.method });
+      }
+    }
+    return changed;
+  }
+
+  // Where an anchor is on the page now: { range, confidence, method }
+  locate(anchor) {
+    const kept = this.results.get(anchor.id);
+    if (kept && this.rangeHolds(kept)) return kept;
+
+    const result = this.attach(anchor);
+    if (this.anchors.has(anchor.id)) this.results.set(anchor.id, result);
+    return result;
+  }
+
+  rangeHolds(result) {
+    if (!result.range) return false;
+    const { startContainer, endContainer } = result.range;
+    return startContainer.isConnected && endContainer.isConnected &&
+      this.normalize(result.range.toString()) === result.text;
+  }
+
+  // Find an anchor in the page text. Every exact occurrence of the quote is
+  // scored by how well its surroundings match the prefix and suffix and how
+  // close it is to the expected position; when there is none, the quote's
+  // opening and closing words (or failing that its context) mark the span.
+  attach(anchor) {
+    const notFound = { range: null, text: '', confidence: 0, method: 'not_found' };
+    const exact = this.normalize(anchor.quote?.exact || '');
+    if (!exact) return notFound;
+
+    if (!this.index) this.buildIndex();
+    const { text } = this.index;
+    const context = {
+      prefix: this.normalize(anchor.quote.prefix || ''),
+      suffix: this.normalize(anchor.quote.suffix || ''),
+      expected: anchor.textLength ? anchor.position.start / anchor.textLength : null
+    };
+
+    let method = 'exact';
+    let candidates = [];
+    for (
+      let at = text.indexOf(exact);
+      at >= 0 && candidates.length < MAX_ANCHOR_CANDIDATES;
+      at = text.indexOf(exact, at + 1)
+    ) {
+      candidates.push({ start: at, end: at + exact.length, similarity: 1 });
+    }
+    if (candidates.length === 0) {
+      method = 'approximate';
+      candidates = this.findApproximate(exact, context);
+    }
+    if (candidates.length === 0) return notFound;
+
+    candidates.forEach(candidate => {
+      candidate.score = this.scoreCandidate(candidate, context);
+    });
+    candidates.sort((a, b) => b.score - a.score);
+    const [best, runnerUp] = candidates;
+
+    let confidence = method === 'exact'
+      ? 0.7 + 0.3 * best.score
+      : best.similarity * (0.4 + 0.3 * best.score);
+    // Repeated wording with surroundings just as similar could be either one
+    if (runnerUp) {
+      confidence *= 0.6 + 0.4 * Math.min(1, (best.score - runnerUp.score) * 4);
+    }
+    confidence = Math.round(confidence * 100) / 100;
+    if (confidence < MIN_ANCHOR_CONFIDENCE) return { ...notFound, confidence };
+
+    const range = this.toRange(best.start, best.end);
+    if (!range) return notFound;
+    return { range, text: this.normalize(range.toString()), confidence, method };
+  }
+
+  // Spans that start with the quote's opening words and end with its closing
+  // words, or else sit between its prefix and suffix, at about its length
+  findApproximate(exact, { prefix, suffix }) {
+    const { text } = this.index;
+    const words = exact.split(' ');
+    const edgeWords = Math.min(ANCHOR_EDGE_WORDS, Math.floor(words.length / 2));
+    const maxLength = Math.ceil(exact.length * 1.5);
+    const lengthSimilarity = length => Math.min(length, exact.length) / Math.max(length, exact.length);
+
+    const spans = (opening, closing, startOffset, similarityScale) => {
+      const found = [];
+      if (!opening || !closing) return found;
+      for (
+        let at = text.indexOf(opening);
+        at >= 0 && found.length < MAX_ANCHOR_CANDIDATES;
+        at = text.indexOf(opening, at + 1)
+      ) {
+        const start = at + startOffset;
+        const close = text.indexOf(closing, start);
+        if (close < 0 || close - start > maxLength) continue;
+        const end = similarityScale === 1 ? close + closing.length : close;
+        if (end > start) {
+          found.push({ start, end, similarity: similarityScale * lengthSimilarity(end - start) });
+        }
+      }
+      return found;
+    };
+
+    // Fewer words at each end when the wording changed near one of them
+    for (let count = edgeWords; count >= 1 && words.length >= 2; count--) {
+      const byWords = spans(words.slice(0, count).join(' '), words.slice(-count).join(' '), 0, 1);
+      if (byWords.length > 0) return byWords;
+    }
+    // Between the nearest words of the context on either side (toRange drops
+    // the spaces around it)
+    const before = prefix.split(' ').slice(-ANCHOR_EDGE_WORDS).join(' ');
+    const after = suffix.split(' ').slice(0, ANCHOR_EDGE_WORDS).join(' ');
+    return spans(before, after, before.length, 0.6);
+  }
+
+  // 0-1: how much of the prefix and suffix match the text around a span, and
+  // (for a quarter) how near it is to where the extracted text had it. The
+  // context is trimmed, so a space next to the span is skipped.
+  scoreCandidate({ start, end }, { prefix, suffix, expected }) {
+    const { text } = this.index;
+    const parts = [];
+
+    if (prefix) {
+      const beforeEnd = text[start - 1] === ' ' ? start - 1 : start;
+      const before = text.slice(Math.max(0, beforeEnd - prefix.length), beforeEnd);
+      let matched = 0;
+      while (matched < before.length && before[before.length - 1 - matched] === prefix[prefix.length - 1 - matched]) {
+        matched++;
+      }
+      parts.push(matched / prefix.length);
+    }
+    if (suffix) {
+      const afterStart = text[end] === ' ' ? end + 1 : end;
+      const after = text.slice(afterStart, afterStart + suffix.length);
+      let matched = 0;
+      while (matched < after.length && after[matched] === suffix[matched]) matched++;
+      parts.push(matched / suffix.length);
+    }
+
+    const contextScore = parts.length ? parts.reduce((sum, part) => sum + part, 0) / parts.length : 0.5;
+    const positionScore = expected === null ? 0.5 : 1 - Math.min(1, Math.abs(start / text.length - expected) * 2);
+    return 0.75 * contextScore + 0.25 * positionScore;
+  }
+
+  // Walk the visible text of the page once, normalizing it and keeping a map
+  // back to the text nodes. Separate blocks (and line breaks) become a space.
+  buildIndex() {
+    let text = '';
+    const nodes = [];
+    const offsets = [];
+    let lastBlock = null;
+
+    const addSpace = node => {
+      if (text && !text.endsWith(' ')) {
+        text += ' ';
+        nodes.push(node);
+        offsets.push(0);
+      }
+    };
+
+    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+      acceptNode: node => (node.nodeType === Node.ELEMENT_NODE && this.isSkippedElement(node)
+        ? NodeFilter.FILTER_REJECT
+        : NodeFilter.FILTER_ACCEPT)
+    });
+
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      if (node.nodeType === Node.ELEMENT_NODE) {
+        if (node.tagName === 'BR') lastBlock = null;
+        continue;
+      }
+
+      const block = this.blockOf(node);
+      if (block !== lastBlock) addSpace(node);
+      lastBlock = block;
+
+      const value = node.nodeValue;
+      for (let i = 0; i < value.length; i++) {
+        const ch = value[i];
+        if (/\s/.test(ch)) {
+          if (!text || text.endsWith(' ')) continue;
+          text += ' ';
+        } else {
+          text += this.normalizeChar(ch);
+        }
+        nodes.push(node);
+        offsets.push(i);
+      }
+    }
+
+    this.index = { text, nodes, offsets };
+  }
+
+  isSkippedElement(element) {
+    return ANCHOR_SKIP_TAGS.has(element.tagName.toUpperCase()) ||
+      element.hidden ||
+      element.getAttribute('aria-hidden') === 'true' ||
+      (element.id || '').startsWith('privacy-parser');
+  }
+
+  // The nearest ancestor that isn't inline
+  blockOf(node) {
+    let element = node.parentElement;
+    while (element && ANCHOR_INLINE_TAGS.has(element.tagName)) {
+      element = element.parentElement;
+    }
+    return element;
+  }
+
+  // A DOM range for index[start, end), without the spaces at either end
+  toRange(start, end) {
+    const { text, nodes, offsets } = this.index;
+    while (start < end && text[start] === ' ') start++;
+    while (end > start && text[end - 1] === ' ') end--;
+    if (start === end) return null;
+
+    try {
+      const range = document.createRange();
+      range.setStart(nodes[start], offsets[start]);
+      range.setEnd(nodes[end - 1], offsets[end - 1] + 1);
+      return range;
+    } catch (e) {
+      console.warn('[Anchoring] Could not build range:', e);
+      return null;
+    }
+  }
+
+  // The same normalization as the service worker's quote verifier
+  normalizeChar(ch) {
+    if (/[“”„«»]/.test(ch)) return '"';
+    if (/[‘’‚]/.test(ch)) return "'";
+    if (/[–—―]/.test(ch)) return '-';
+    return ch.toLowerCase();
+  }
+
+  normalize(text) {
+    return Array.from(text, ch => (/\s/.test(ch) ? ' ' : this.normalizeChar(ch)))
+      .join('')
+      .replace(/ +/g, ' ')
+      .trim();
+  }
+}
+
+// Export for use in content script
+window.TextAnchorer = TextAnchorer;
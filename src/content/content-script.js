@@ -15,6 +15,7 @@
   const extractor = new PolicyExtractor();
   const overlay = new PolicyOverlay();
   const highlighter = new ClauseHighlighter();
+  const anchorer = new TextAnchorer();
 
   // Store extracted content for later use
   let extractedContent = null;
@@ -407,6 +408,52 @@
     return links;
   }
 
+  // Links anywhere on the page to the site's privacy policy, terms or cookie
+  // policy, for the site profile. Footer links come first since that's where
+  // sites list their own documents; text that reads like a link label decides
+  // the type before the URL does.
+  function collectLegalLinks() {
+    const linkPatterns = [
+      { pattern: /cookie/i, type: "cookie" },
+      {
+        pattern: /terms|conditions|user\s*agreement|eula|\btos\b/i,
+        type: "terms",
+      },
+      { pattern: /privacy|data\s*(protection|policy)|gdpr/i, type: "privacy" },
+    ];
+    const anchors = [
+      ...document.querySelectorAll(
+        'footer a[href], [role="contentinfo"] a[href]'
+      ),
+      ...document.querySelectorAll("a[href]"),
+    ];
+    const pageUrl = window.location.href.split("#")[0];
+    const links = [];
+    const seenUrls = new Set();
+
+    for (const anchor of anchors) {
+      const url = anchor.href.split("#")[0];
+      if (!/^https?:/.test(url) || url === pageUrl || seenUrls.has(url))
+        continue;
+      seenUrls.add(url);
+
+      const text = (anchor.textContent || "").trim();
+      const labelText = text.length <= 60 ? text : "";
+      const match =
+        linkPatterns.find(({ pattern }) => pattern.test(labelText)) ||
+        linkPatterns.find(({ pattern }) => pattern.test(url));
+      if (match) {
+        links.push({
+          url,
+          text: labelText || getLinkTypeLabel(match.type),
+          type: match.type,
+        });
+      }
+    }
+
+    return links;
+  }
+
   function getLinkTypeLabel(type) {
     const labels = {
       privacy: "Privacy Policy",
@@ -816,6 +863,18 @@
         sendResponse({ success: true });
         break;
 
+      case "HIGHLIGHT_FINDINGS":
+        sendResponse({ success: true, shown: handleHighlightFindings(message) });
+        break;
+
+      case "ATTACH_ANCHORS":
+        sendResponse({ success: true, anchors: anchorer.attachAll(message.anchors || []) });
+        break;
+
+      case "SCROLL_TO_SECTION":
+        sendResponse({ success: handleScrollToSection(message) });
+        break;
+
       case "CLEAR_HIGHLIGHTS":
         highlighter.clearAllHighlights();
         sendResponse({ success: true });
@@ -831,6 +890,19 @@
         sendResponse({ success: true });
         break;
 
+      case "GET_LEGAL_LINKS":
+        sendResponse({
+          success: true,
+          links: collectLegalLinks(),
+          currentPage: {
+            url: window.location.href,
+            title: document.title,
+            isPolicy: detector.detect().isPolicy,
+            documentType: detector.classifyDocumentType().type,
+          },
+        });
+        break;
+
       case "GET_ENHANCED_DETECTION":
         // Return enhanced detection results
         if (!enhancedDetectionResults) {
@@ -866,6 +938,9 @@
         title: extractedContent.title,
         url: window.location.href,
         method: extractedContent.method,
+        documentType: detector.classifyDocumentType().type,
+        pdfUrl: extractedContent.pdfUrl || null,
+        sections: extractedContent.sections || [],
       });
     } catch (error) {
       sendResponse({
@@ -876,16 +951,66 @@
   }
 
   function handleHighlightClause(message) {
-    const { quote, clauseId } = message;
+    const { quote, anchor, level } = message;
+
+    // The anchor finds the right occurrence; searching for the text is the fallback
+    if (anchor) {
+      const { range } = anchorer.locate(anchor);
+      if (
+        range &&
+        highlighter.highlightRange(range, { scrollIntoView: true, duration: 5000, severity: level, anchor })
+      ) {
+        return;
+      }
+    }
 
     if (quote) {
       highlighter.highlightClause(quote, {
         scrollIntoView: true,
         duration: 5000,
+        severity: level,
       });
     }
   }
 
+  // Highlight the quotes of many findings at once, each in the color of its
+  // risk level, until they are cleared. Only anchored quotes are shown:
+  // searching the page for each one's text would take too long.
+  function handleHighlightFindings(message) {
+    highlighter.clearAllHighlights();
+
+    let shown = 0;
+    for (const { anchor, level } of message.findings || []) {
+      const { range } = anchor ? anchorer.locate(anchor) : {};
+      if (
+        range &&
+        highlighter.highlightRange(range, { scrollIntoView: false, duration: 0, severity: level, anchor })
+      ) {
+        shown++;
+      }
+    }
+    return shown;
+  }
+
+  // Scroll to a section by the ID it was given when the page was extracted.
+  // If the page has re-rendered since, the section tree is rebuilt; failing
+  // that, the heading is searched for as text.
+  function handleScrollToSection(message) {
+    const { sectionId, heading } = message;
+
+    let element = extractor.findSectionElement(sectionId);
+    if (!element) {
+      extractor.extractStructure();
+      element = extractor.findSectionElement(sectionId);
+    }
+
+    if (element) {
+      highlighter.highlightElement(element, { duration: 5000 });
+      return true;
+    }
+    return heading ? highlighter.highlightClause(heading, { scrollIntoView: true, duration: 5000 }) : false;
+  }
+
   // Watch for dynamic content changes (for SPAs)
   const observer = new MutationObserver(
     debounce(() => {
@@ -901,6 +1026,17 @@
       if (!implicitAgreementNotified) {
         checkForImplicitAgreement();
       }
+
+      // Re-attach quote anchors the changes moved, and tell the side panel how sure they are now
+      const changedAnchors = anchorer.reattach();
+      if (changedAnchors.length > 0) {
+        chrome.runtime
+          .sendMessage({ type: "ANCHOR_STATUS", anchors: changedAnchors })
+          .catch(() => {});
+      }
+
+      // Highlights painted over text the page has since replaced follow their anchors
+      highlighter.reattachRanges((anchor) => anchorer.locate(anchor).range);
     }, 2000)
   );
 
@@ -1,5 +1,5 @@
 // Privacy Policy Detection Module
-// Detects privacy policies and terms of service pages using multiple signals
+// Detects privacy policies and terms of service pages using multiple signals, and tells which kind of document they are
 
 const URL_PATTERNS = [
   /privacy[-_]?policy/i,
@@ -17,23 +17,93 @@ const URL_PATTERNS = [
   /\/user-agreement/i
 ];
 
-const TITLE_KEYWORDS = [
-  'privacy policy',
-  'privacy notice',
-  'privacy & terms',
-  'privacy –',
-  'terms of service',
-  'terms and conditions',
-  'terms of use',
-  'user agreement',
-  'data policy',
-  'cookie policy',
-  'eula',
-  'end user license agreement',
-  'data protection',
-  'legal notice',
-  'privacy statement'
-];
+// Titles naming each kind of document
+const DOCUMENT_TYPE_KEYWORDS = {
+  privacy: [
+    'privacy policy',
+    'privacy notice',
+    'privacy & terms',
+    'privacy –',
+    'data policy',
+    'data protection',
+    'privacy statement'
+  ],
+  terms: [
+    'terms of service',
+    'terms and conditions',
+    'terms of use',
+    'user agreement',
+    'legal notice'
+  ],
+  eula: [
+    'eula',
+    'end user license agreement',
+    'end-user license agreement',
+    'license agreement'
+  ],
+  cookie: [
+    'cookie policy',
+    'cookie notice',
+    'cookie statement'
+  ]
+};
+
+const TITLE_KEYWORDS = Object.values(DOCUMENT_TYPE_KEYWORDS).flat();
+
+// Addresses naming each kind of document
+const DOCUMENT_TYPE_URL_PATTERNS = {
+  privacy: /privacy|data[-_]?(protection|policy)/i,
+  terms: /terms|conditions|\/tos(\/|\?|$)|user-agreement/i,
+  eula: /eula|licen[cs]e[-_]?agreement/i,
+  cookie: /cookie/i
+};
+
+// Wording typical of each kind of document. License agreements need phrases
+// only they use: privacy policies and terms of apps also talk about installing
+// or updating "the software".
+const DOCUMENT_TYPE_CONTENT_SIGNALS = {
+  privacy: [
+    'personal data',
+    'personal information',
+    'we collect',
+    'data subject',
+    'data controller',
+    'your rights',
+    'retain your data'
+  ],
+  terms: [
+    'arbitration',
+    'class action',
+    'limitation of liability',
+    'indemnif',
+    'governing law',
+    'terminate your account',
+    'you agree'
+  ],
+  eula: [
+    'end user license agreement',
+    'end-user license agreement',
+    'licensed, not sold',
+    'licensed and not sold',
+    'decompile',
+    'disassemble',
+    'copies of the software'
+  ],
+  cookie: [
+    'strictly necessary',
+    'tracking technologies',
+    'browser settings',
+    'first-party cookies',
+    'third-party cookies',
+    'web beacons',
+    'local storage'
+  ]
+};
+
+// When two kinds of document score the same the first wins: the more specific
+// documents first, privacy policies last. A page with no signals counts as a
+// privacy policy.
+const DOCUMENT_TYPES = ['cookie', 'eula', 'terms', 'privacy'];
 
 const CONTENT_SIGNALS = [
   'we collect',
@@ -107,6 +177,35 @@ class PolicyDetector {
     };
   }
 
+  // Which kind of legal document the page is: 'privacy', 'terms', 'eula' or
+  // 'cookie'. The URL and title name it most reliably; headings and typical
+  // wording settle pages that don't say.
+  classifyDocumentType() {
+    const url = window.location.href.toLowerCase();
+    const title = document.title.toLowerCase();
+    const headings = Array.from(document.querySelectorAll('h1, h2'))
+      .map(heading => heading.textContent.toLowerCase())
+      .join('\n');
+    const bodyText = document.body.innerText.toLowerCase();
+
+    const scores = {};
+    for (const type of DOCUMENT_TYPES) {
+      const keywords = DOCUMENT_TYPE_KEYWORDS[type];
+      const signals = DOCUMENT_TYPE_CONTENT_SIGNALS[type];
+      const signalShare = signals.filter(signal => bodyText.includes(signal)).length / signals.length;
+
+      scores[type] =
+        (DOCUMENT_TYPE_URL_PATTERNS[type].test(url) ? 0.35 : 0) +
+        (keywords.some(keyword => title.includes(keyword)) ? 0.3 : 0) +
+        (keywords.some(keyword => headings.includes(keyword)) ? 0.15 : 0) +
+        signalShare * 0.2;
+    }
+
+    const best = Math.max(...Object.values(scores));
+    const type = best > 0 ? DOCUMENT_TYPES.find(candidate => scores[candidate] === best) : 'privacy';
+    return { type, scores };
+  }
+
   checkUrl() {
     const url = window.location.href.toLowerCase();
     for (const pattern of URL_PATTERNS) {
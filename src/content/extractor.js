@@ -1,12 +1,59 @@
 // Text Extraction Module
 // Extracts clean text from privacy policy pages using Readability and fallback methods
 
+// Embedded documents whose address names a PDF file
+const EMBEDDED_PDF_PATTERN = /\.pdf(?:$|[?#])/i;
+
+// Embedded PDFs smaller than this (in square pixels) are attachments, not the page's document
+const MIN_EMBEDDED_PDF_AREA = 200000;
+
+// Page furniture left out of the section tree
+const STRUCTURE_SKIP_TAGS = ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'NAV', 'HEADER', 'FOOTER', 'ASIDE', 'FORM', 'BUTTON', 'SVG', 'IFRAME'];
+
+// Containers read as one paragraph when nothing block-level is inside them
+const STRUCTURE_LEAF_TAGS = ['DIV', 'SECTION', 'ARTICLE', 'DD', 'DT', 'BLOCKQUOTE', 'PRE', 'ADDRESS', 'FIGCAPTION'];
+const STRUCTURE_BLOCK_SELECTOR = 'p, ul, ol, dl, table, h1, h2, h3, h4, h5, h6, [role="heading"], div, section, article, blockquote, pre';
+
+// Bold paragraphs this short with no closing punctuation are headings set without heading tags
+const MAX_PSEUDO_HEADING_LENGTH = 100;
+const PSEUDO_HEADING_LEVEL = 7;
+
 class PolicyExtractor {
   constructor() {
     this.minContentLength = 500;
+    // Section ID -> the element it starts at, from the last extractStructure()
+    this.sectionAnchors = new Map();
   }
 
   async extract() {
+    // PDFs have no DOM text to read; the service worker extracts them with PDF.js
+    const pdfUrl = this.findPdfUrl();
+    if (pdfUrl) {
+      return {
+        success: true,
+        method: 'pdf',
+        pdfUrl: pdfUrl,
+        title: document.title,
+        textContent: '',
+        content: '',
+        excerpt: ''
+      };
+    }
+
+    const result = this.extractText();
+
+    // Headings, paragraphs, lists and tables with stable IDs, for findings to cite
+    try {
+      result.sections = this.extractStructure();
+    } catch (e) {
+      console.warn('Structure extraction failed:', e);
+      result.sections = [];
+    }
+
+    return result;
+  }
+
+  extractText() {
     try {
       // Try Readability first
       const readabilityResult = this.extractWithReadability();
@@ -46,6 +93,31 @@ class PolicyExtractor {
     };
   }
 
+  // The address of the PDF this page shows, either as the page itself or as a
+  // large embed, or null when it isn't a PDF
+  findPdfUrl() {
+    if (document.contentType === 'application/pdf') {
+      return window.location.href;
+    }
+
+    const embeds = document.querySelectorAll('embed, object, iframe');
+    for (const embed of embeds) {
+      const src = embed.getAttribute('src') || embed.getAttribute('data') || '';
+      const type = embed.getAttribute('type') || '';
+      if (!src || (type !== 'application/pdf' && !EMBEDDED_PDF_PATTERN.test(src.split('#')[0]))) continue;
+
+      const rect = embed.getBoundingClientRect();
+      if (rect.width * rect.height >= MIN_EMBEDDED_PDF_AREA) {
+        try {
+          return new URL(src, window.location.href).href;
+        } catch (e) {
+          continue;
+        }
+      }
+    }
+    return null;
+  }
+
   extractWithReadability() {
     // Check if Readability is available
     if (typeof Readability === 'undefined') {
@@ -87,8 +159,8 @@ class PolicyExtractor {
     };
   }
 
-  extractFromDOM() {
-    // Find main content container
+  // The element holding the policy: the first main-content container, or the body
+  findMainElement() {
     const mainSelectors = [
       'main',
       'article',
@@ -102,16 +174,15 @@ class PolicyExtractor {
       '.terms-content'
     ];
 
-    let mainElement = null;
     for (const selector of mainSelectors) {
-      mainElement = document.querySelector(selector);
-      if (mainElement) break;
+      const element = document.querySelector(selector);
+      if (element) return element;
     }
+    return document.body;
+  }
 
-    // If no main element found, use body
-    if (!mainElement) {
-      mainElement = document.body;
-    }
+  extractFromDOM() {
+    const mainElement = this.findMainElement();
 
     // Clone and clean the element
     const clone = mainElement.cloneNode(true);
@@ -161,36 +232,130 @@ class PolicyExtractor {
     };
   }
 
-  // Get structured sections from the policy
-  extractSections() {
-    const sections = [];
-    const headings = document.querySelectorAll('h1, h2, h3, h4');
+  // The policy as a tree of sections, nested by heading level wherever the
+  // headings sit in the DOM: [{ id, heading, level, anchor, blocks, children }].
+  // Blocks are the section's own paragraphs, lists and tables ({ id, type,
+  // text } plus `items` or `rows`). IDs come from each section's place in the
+  // tree ("s2", then "s2.1" under it; "s0" holds text before the first heading),
+  // so they are the same every time an unchanged page is extracted. `anchor` is
+  // the heading's id attribute, when it has one, for linking to the section.
+  extractStructure() {
+    const root = { level: 0, heading: null, element: this.findMainElement(), blocks: [], children: [] };
+    const open = [root];
 
-    headings.forEach((heading, index) => {
-      const nextHeading = headings[index + 1];
-      let content = '';
+    const visit = parent => {
+      for (const element of parent.children) {
+        if (this.isSkippedElement(element)) continue;
 
-      // Get content between this heading and the next
-      let sibling = heading.nextElementSibling;
-      while (sibling && sibling !== nextHeading) {
-        if (sibling.tagName !== 'H1' && sibling.tagName !== 'H2' && sibling.tagName !== 'H3' && sibling.tagName !== 'H4') {
-          content += sibling.innerText + '\n';
+        const level = this.headingLevel(element);
+        if (level) {
+          const heading = this.cleanText(element.innerText);
+          if (!heading) continue;
+          while (open[open.length - 1].level >= level) open.pop();
+          const section = { level, heading, element, blocks: [], children: [] };
+          open[open.length - 1].children.push(section);
+          open.push(section);
+          continue;
         }
-        sibling = sibling.nextElementSibling;
-      }
 
-      if (content.trim()) {
-        sections.push({
-          heading: heading.innerText.trim(),
-          level: parseInt(heading.tagName.charAt(1)),
-          content: content.trim(),
-          element: heading
-        });
+        const block = this.readBlock(element);
+        if (block === undefined) {
+          visit(element);
+        } else if (block) {
+          open[open.length - 1].blocks.push(block);
+        }
       }
-    });
+    };
+    visit(root.element);
 
+    this.sectionAnchors = new Map();
+    const finish = (section, id) => {
+      this.sectionAnchors.set(id, section.element);
+      return {
+        id,
+        heading: section.heading,
+        level: section.level,
+        anchor: section.element.id || null,
+        blocks: section.blocks.map((block, index) => ({ id: `${id}-b${index + 1}`, ...block })),
+        children: section.children.map((child, index) => finish(child, `${id}.${index + 1}`))
+      };
+    };
+
+    const sections = root.children.map((section, index) => finish(section, `s${index + 1}`));
+    if (root.blocks.length > 0) {
+      sections.unshift(finish({ ...root, children: [] }, 's0'));
+    }
     return sections;
   }
+
+  // The element a section starts at, or null once the page has replaced it
+  findSectionElement(sectionId) {
+    const element = this.sectionAnchors.get(sectionId);
+    return element && element.isConnected ? element : null;
+  }
+
+  isSkippedElement(element) {
+    return STRUCTURE_SKIP_TAGS.includes(element.tagName.toUpperCase()) ||
+      element.hidden ||
+      element.getAttribute('aria-hidden') === 'true' ||
+      (element.id || '').startsWith('privacy-parser');
+  }
+
+  // 1-6 for headings, PSEUDO_HEADING_LEVEL for a short bold line, else 0
+  headingLevel(element) {
+    const match = element.tagName.match(/^H([1-6])$/);
+    if (match) return Number(match[1]);
+    if (element.getAttribute('role') === 'heading') {
+      return Number(element.getAttribute('aria-level')) || 2;
+    }
+
+    const bold = (element.tagName === 'P' || element.tagName === 'DIV') && element.querySelector('strong, b');
+    if (bold) {
+      const text = this.cleanText(element.innerText);
+      if (
+        text &&
+        text.length <= MAX_PSEUDO_HEADING_LENGTH &&
+        !/[.;:,]$/.test(text) &&
+        this.cleanText(bold.innerText) === text &&
+        !element.querySelector(STRUCTURE_BLOCK_SELECTOR)
+      ) {
+        return PSEUDO_HEADING_LEVEL;
+      }
+    }
+    return 0;
+  }
+
+  // A paragraph, list or table block; null for one with no text, undefined
+  // for a container whose children should be read instead
+  readBlock(element) {
+    const tag = element.tagName.toUpperCase();
+
+    if (tag === 'UL' || tag === 'OL' || tag === 'DL') {
+      const items = Array.from(element.children)
+        .filter(item => !this.isSkippedElement(item))
+        .map(item => this.cleanText(item.innerText))
+        .filter(Boolean);
+      return items.length ? { type: 'list', ordered: tag === 'OL', items, text: items.join('\n') } : null;
+    }
+
+    if (tag === 'TABLE') {
+      const rows = Array.from(element.rows)
+        .map(row => Array.from(row.cells, cell => this.cleanText(cell.innerText)))
+        .filter(cells => cells.some(Boolean));
+      return rows.length ? { type: 'table', rows, text: rows.map(cells => cells.join(' | ')).join('\n') } : null;
+    }
+
+    if (tag === 'P' || (STRUCTURE_LEAF_TAGS.includes(tag) && !element.querySelector(STRUCTURE_BLOCK_SELECTOR))) {
+      const text = this.cleanText(element.innerText);
+      return text ? { type: 'paragraph', text } : null;
+    }
+
+    return undefined;
+  }
+
+  cleanText(text) {
+    return (text || '').replace(/[^\S\n]+/g, ' ').replace(/ ?\n\s*/g, '\n').trim();
+  }
 }
 
 // Export for use in content script
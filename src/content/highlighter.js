@@ -1,11 +1,21 @@
 // Clause Highlighter Module
 // Highlights and scrolls to specific clauses in the privacy policy
 
+// Highlight colors, one per risk level of the finding a quote comes from
+// (listed from the one painted on top)
+const HIGHLIGHT_SEVERITIES = ['high', 'medium', 'low', 'default'];
+
 class ClauseHighlighter {
   constructor() {
     this.highlightClass = 'privacy-parser-highlight';
+    // Elements wrapped or given the highlight class, where the page has no CSS Custom Highlight API
     this.activeHighlights = [];
+    // Ranges painted with the CSS Custom Highlight API: { range, severity, anchor, timer }
+    this.activeRanges = [];
     this.highlightDuration = 5000; // 5 seconds
+    // Painting ranges leaves the page's DOM alone, so pages rendered by a
+    // framework keep working and keep their markup
+    this.useHighlightApi = typeof CSS !== 'undefined' && 'highlights' in CSS && typeof Highlight === 'function';
     this.injectStyles();
   }
 
@@ -13,6 +23,13 @@ class ClauseHighlighter {
     // Check if styles already injected
     if (document.getElementById('privacy-parser-highlight-styles')) return;
 
+    const colors = {
+      high: 'rgba(245, 101, 101, 0.45)',
+      medium: 'rgba(237, 137, 54, 0.4)',
+      low: 'rgba(72, 187, 120, 0.35)',
+      default: '#ffeaa7'
+    };
+
     const style = document.createElement('style');
     style.id = 'privacy-parser-highlight-styles';
     style.textContent = `
@@ -34,15 +51,43 @@ class ClauseHighlighter {
           box-shadow: none;
         }
       }
-    `;
+${HIGHLIGHT_SEVERITIES.map(severity => `
+      .${this.highlightClass}.${this.highlightClass}-${severity} {
+        background: ${colors[severity]} !important;
+      }
+
+      ::highlight(${this.highlightClass}-${severity}) {
+        background-color: ${colors[severity]};
+        color: inherit;
+      }
+`).join('')}    `;
     document.head.appendChild(style);
   }
 
+  // 'high', 'medium' or 'low' from a finding's level; anything else gets the default color
+  severityOf(level) {
+    const severity = String(level || '').toLowerCase();
+    return HIGHLIGHT_SEVERITIES.includes(severity) ? severity : 'default';
+  }
+
+  // The registered Highlight that paints ranges of one severity
+  highlightFor(severity) {
+    const name = `${this.highlightClass}-${severity}`;
+    let highlight = CSS.highlights.get(name);
+    if (!highlight) {
+      highlight = new Highlight();
+      highlight.priority = HIGHLIGHT_SEVERITIES.length - HIGHLIGHT_SEVERITIES.indexOf(severity);
+      CSS.highlights.set(name, highlight);
+    }
+    return highlight;
+  }
+
   // Highlight a specific clause by searching for its text
   highlightClause(clauseText, options = {}) {
     const {
       scrollIntoView = true,
-      duration = this.highlightDuration
+      duration = this.highlightDuration,
+      severity = 'default'
     } = options;
 
     if (!clauseText || clauseText.length < 10) {
@@ -99,8 +144,15 @@ class ClauseHighlighter {
       return false;
     }
 
+    if (this.useHighlightApi) {
+      const range = this.rangeFromMatch(match);
+      if (range) {
+        return this.highlightRange(range, { scrollIntoView, duration, severity });
+      }
+    }
+
     // Create highlight
-    const highlight = this.createHighlight(match);
+    const highlight = this.createHighlight(match, this.severityOf(severity));
 
     if (!highlight) {
       console.warn('[Highlighter] Could not create highlight element');
@@ -128,6 +180,159 @@ class ClauseHighlighter {
     return true;
   }
 
+  // Highlight the text of a DOM range (an attached quote anchor) in the color
+  // of its severity. `anchor` lets a painted range be found again after the
+  // page re-renders (see reattachRanges). Without the CSS Custom Highlight
+  // API, the part of each text node the range covers is wrapped instead.
+  highlightRange(range, options = {}) {
+    const {
+      scrollIntoView = true,
+      duration = this.highlightDuration,
+      severity = 'default',
+      anchor = null
+    } = options;
+
+    if (this.useHighlightApi) {
+      if (range.collapsed) return false;
+      const entry = { range, severity: this.severityOf(severity), anchor, timer: null };
+      this.highlightFor(entry.severity).add(range);
+      this.activeRanges.push(entry);
+
+      if (scrollIntoView) this.scrollToRange(range);
+      if (duration > 0) {
+        entry.timer = setTimeout(() => this.removeRange(entry), duration);
+      }
+      return true;
+    }
+
+    // Collect first: wrapping splits the text nodes being walked
+    const segments = this.textSegments(range);
+    const wrappers = [];
+    for (const { node, start, end } of segments) {
+      const wrapper = document.createElement('span');
+      wrapper.className = `${this.highlightClass} ${this.highlightClass}-${this.severityOf(severity)}`;
+      wrapper.setAttribute('data-privacy-parser', 'highlight');
+      try {
+        const segment = document.createRange();
+        segment.setStart(node, start);
+        segment.setEnd(node, end);
+        segment.surroundContents(wrapper);
+        wrappers.push(wrapper);
+      } catch (e) {
+        console.log('[Highlighter] Could not wrap part of the range:', e);
+      }
+    }
+
+    if (wrappers.length === 0) return false;
+
+    if (scrollIntoView) {
+      wrappers[0].scrollIntoView({
+        behavior: 'smooth',
+        block: 'center'
+      });
+    }
+
+    this.activeHighlights.push(...wrappers);
+
+    if (duration > 0) {
+      setTimeout(() => {
+        wrappers.forEach(wrapper => this.removeHighlight(wrapper));
+      }, duration);
+    }
+
+    return true;
+  }
+
+  scrollToRange(range) {
+    const { startContainer } = range;
+    const element = startContainer.nodeType === Node.ELEMENT_NODE ? startContainer : startContainer.parentElement;
+    element?.scrollIntoView({
+      behavior: 'smooth',
+      block: 'center'
+    });
+  }
+
+  // Stop painting a range
+  removeRange(entry) {
+    clearTimeout(entry.timer);
+    this.highlightFor(entry.severity).delete(entry.range);
+    const index = this.activeRanges.indexOf(entry);
+    if (index > -1) {
+      this.activeRanges.splice(index, 1);
+    }
+  }
+
+  // Painted ranges whose text the page replaced (a framework re-rendering it)
+  // end up collapsed or detached. Find their anchors again with `locate`
+  // (anchor => Range or null) and paint the new ranges; drop the rest.
+  reattachRanges(locate) {
+    for (const entry of [...this.activeRanges]) {
+      const { range } = entry;
+      if (!range.collapsed && range.startContainer.isConnected && range.endContainer.isConnected) continue;
+
+      this.highlightFor(entry.severity).delete(range);
+      const located = entry.anchor ? locate(entry.anchor) : null;
+      if (located) {
+        entry.range = located;
+        this.highlightFor(entry.severity).add(located);
+      } else {
+        this.removeRange(entry);
+      }
+    }
+  }
+
+  // The non-blank part of each text node a range covers: [{ node, start, end }]
+  textSegments(range) {
+    const { startContainer, endContainer, startOffset, endOffset } = range;
+    if (startContainer === endContainer && startContainer.nodeType === Node.TEXT_NODE) {
+      return [{ node: startContainer, start: startOffset, end: endOffset }];
+    }
+
+    const segments = [];
+    const walker = document.createTreeWalker(range.commonAncestorContainer, NodeFilter.SHOW_TEXT);
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      if (!range.intersectsNode(node)) continue;
+      const start = node === startContainer ? startOffset : 0;
+      const end = node === endContainer ? endOffset : node.length;
+      if (end > start && node.nodeValue.slice(start, end).trim()) {
+        segments.push({ node, start, end });
+      }
+    }
+    return segments;
+  }
+
+  // Highlight a whole element, such as a section heading, and scroll it to the top
+  highlightElement(element, options = {}) {
+    const { duration = this.highlightDuration } = options;
+
+    if (this.useHighlightApi) {
+      const range = document.createRange();
+      range.selectNodeContents(element);
+      this.highlightRange(range, { scrollIntoView: false, duration });
+      element.scrollIntoView({
+        behavior: 'smooth',
+        block: 'start'
+      });
+      return true;
+    }
+
+    element.classList.add(this.highlightClass);
+    element.scrollIntoView({
+      behavior: 'smooth',
+      block: 'start'
+    });
+
+    this.activeHighlights.push(element);
+
+    if (duration > 0) {
+      setTimeout(() => {
+        this.removeHighlight(element);
+      }, duration);
+    }
+
+    return true;
+  }
+
   // Normalize text for comparison
   normalizeText(text) {
     return text
@@ -335,7 +540,7 @@ class ClauseHighlighter {
           if (found) {
             const selection = window.getSelection();
             if (selection && selection.rangeCount > 0) {
-              const range = selection.getRangeAt(0);
+              const range = selection.getRangeAt(0).cloneRange();
               const container = range.commonAncestorContainer;
               
               // Get the element to highlight
@@ -349,6 +554,7 @@ class ClauseHighlighter {
               if (element) {
                 return {
                   element: element,
+                  range: range,
                   useElementDirectly: true
                 };
               }
@@ -363,10 +569,43 @@ class ClauseHighlighter {
     return null;
   }
 
-  createHighlight(match) {
+  // A DOM range over a match from findTextInPage or findWithBrowserAPI. The
+  // match's offsets are in normalized text, so they are clamped to the nodes.
+  rangeFromMatch(match) {
+    if (match.useElementDirectly) return match.range || null;
+
+    const { nodes, startOffset, length } = match;
+    if (!nodes || nodes.length === 0) return null;
+
+    try {
+      const first = nodes[0];
+      const last = nodes[nodes.length - 1];
+      const range = document.createRange();
+      range.setStart(first, Math.min(first.length, startOffset));
+      if (nodes.length === 1) {
+        range.setEnd(first, Math.min(first.length, startOffset + length));
+      } else {
+        // Count the end from the start of the last node: in the page text each
+        // earlier node takes up its normalized length plus a separating space,
+        // and the last node's leading whitespace was trimmed
+        let endOffset = startOffset + length;
+        for (const node of nodes.slice(0, -1)) {
+          endOffset -= this.normalizeText(node.textContent).length + 1;
+        }
+        endOffset += last.textContent.length - last.textContent.trimStart().length;
+        range.setEnd(last, Math.max(0, Math.min(last.length, endOffset)));
+      }
+      return range.collapsed ? null : range;
+    } catch (e) {
+      console.log('[Highlighter] Could not build a range for the match:', e);
+      return null;
+    }
+  }
+
+  createHighlight(match, severity = 'default') {
     // If we got an element directly from browser find
     if (match.useElementDirectly && match.element) {
-      match.element.classList.add(this.highlightClass);
+      match.element.classList.add(this.highlightClass, `${this.highlightClass}-${severity}`);
       return match.element;
     }
 
@@ -382,7 +621,7 @@ class ClauseHighlighter {
 
     // Create a wrapper span
     const wrapper = document.createElement('span');
-    wrapper.className = this.highlightClass;
+    wrapper.className = `${this.highlightClass} ${this.highlightClass}-${severity}`;
     wrapper.setAttribute('data-privacy-parser', 'highlight');
 
     // If it's a single node and we can wrap it precisely
@@ -425,7 +664,7 @@ class ClauseHighlighter {
       }
     }
 
-    targetElement.classList.add(this.highlightClass);
+    targetElement.classList.add(this.highlightClass, `${this.highlightClass}-${severity}`);
     return targetElement;
   }
 
@@ -449,6 +688,9 @@ class ClauseHighlighter {
         // Just remove the class
         element.classList.remove(this.highlightClass);
         element.classList.remove(`${this.highlightClass}-fade`);
+        HIGHLIGHT_SEVERITIES.forEach(severity => {
+          element.classList.remove(`${this.highlightClass}-${severity}`);
+        });
       }
 
       // Remove from active highlights
@@ -465,6 +707,7 @@ class ClauseHighlighter {
       this.removeHighlight(highlight);
     });
     this.activeHighlights = [];
+    [...this.activeRanges].forEach(entry => this.removeRange(entry));
   }
 }
 
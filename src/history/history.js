@@ -0,0 +1,320 @@
+// History Page JavaScript
+// Lists every stored analysis with search, filters, sorting, bulk delete, comparison and reopening in the side panel
+
+// Data categories reported by the service worker (see policy-library.js)
+const DATA_CATEGORY_LABELS = {
+  contact: 'Contact details',
+  location: 'Location',
+  financial: 'Financial',
+  device: 'Device & usage',
+  health: 'Health & biometrics',
+  sensitive: 'Sensitive traits',
+  children: "Children's data",
+  content: 'Messages & content'
+};
+
+const DOCUMENT_TYPE_LABELS = {
+  privacy: 'Privacy Policy',
+  terms: 'Terms of Service',
+  eula: 'License Agreement',
+  cookie: 'Cookie Policy',
+  policy: 'Policy'
+};
+
+const RATING_LABELS = {
+  GOOD: 'Good',
+  MODERATE: 'Moderate',
+  CONCERNING: 'Concerning'
+};
+
+// Worst first, for sorting by rating
+const RATING_ORDER = ['CONCERNING', 'MODERATE', 'GOOD'];
+
+// How many analyses the comparison page shows side by side (see policy-comparison.js)
+const MIN_COMPARED = 2;
+const MAX_COMPARED = 4;
+
+// Wait this long after the last keystroke before searching the stored text
+const SEARCH_DELAY_MS = 250;
+
+// Entries matching the current search, as sent by the service worker
+let historyEntries = [];
+const selectedKeys = new Set();
+let searchTimer = null;
+
+// The window this page is in, where analyses are opened
+let pageWindowId = null;
+
+document.addEventListener('DOMContentLoaded', () => {
+  populateCategoryFilter();
+  setupEventListeners();
+  chrome.windows.getCurrent().then(window => {
+    pageWindowId = window.id;
+  });
+  loadHistory();
+});
+
+function populateCategoryFilter() {
+  const select = document.getElementById('filter-category');
+  for (const [id, label] of Object.entries(DATA_CATEGORY_LABELS)) {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = label;
+    select.appendChild(option);
+  }
+}
+
+function setupEventListeners() {
+  document.getElementById('history-search').addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(loadHistory, SEARCH_DELAY_MS);
+  });
+
+  ['filter-rating', 'filter-risk', 'filter-category', 'history-sort'].forEach(id => {
+    document.getElementById(id).addEventListener('change', renderHistory);
+  });
+
+  document.getElementById('select-all').addEventListener('change', (e) => {
+    getVisibleEntries().forEach(entry => {
+      if (e.target.checked) {
+        selectedKeys.add(entry.key);
+      } else {
+        selectedKeys.delete(entry.key);
+      }
+    });
+    renderHistory();
+  });
+
+  document.getElementById('compare-selected-btn').addEventListener('click', compareSelected);
+  document.getElementById('delete-selected-btn').addEventListener('click', deleteSelected);
+
+  // Another page (or an analysis finishing) changed the stored analyses
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') loadHistory();
+  });
+}
+
+// Fetch stored analyses matching the search box; the policy text is searched
+// in the service worker so it never has to be sent here
+async function loadHistory() {
+  const query = document.getElementById('history-search').value;
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'LIST_HISTORY', query });
+    if (!response.success) throw new Error(response.error);
+    // A newer search finished first
+    if (query !== document.getElementById('history-search').value) return;
+
+    historyEntries = response.entries;
+    const storedKeys = new Set(historyEntries.map(entry => entry.key));
+    for (const key of Array.from(selectedKeys)) {
+      if (!storedKeys.has(key)) selectedKeys.delete(key);
+    }
+    renderHistory();
+  } catch (error) {
+    console.error('Error loading history:', error);
+    document.getElementById('history-count').textContent = 'Could not load saved analyses.';
+  }
+}
+
+// Entries passing the filters, in the chosen order
+function getVisibleEntries() {
+  const rating = document.getElementById('filter-rating').value;
+  const riskLevel = document.getElementById('filter-risk').value;
+  const category = document.getElementById('filter-category').value;
+  const sort = document.getElementById('history-sort').value;
+
+  const entries = historyEntries.filter(entry =>
+    (!rating || entry.overallRating === rating) &&
+    (!riskLevel || entry.riskCounts[riskLevel] > 0) &&
+    (!category || entry.dataCategories.includes(category))
+  );
+
+  return entries.sort(compareEntries(sort));
+}
+
+function compareEntries(sort) {
+  const ratingRank = entry => {
+    const rank = RATING_ORDER.indexOf(entry.overallRating);
+    return rank === -1 ? RATING_ORDER.length : rank;
+  };
+  const newestFirst = (a, b) => b.createdAt - a.createdAt;
+
+  switch (sort) {
+    case 'analyzed-asc':
+      return (a, b) => a.createdAt - b.createdAt;
+    case 'updated-desc':
+      // Policies without a readable date go last
+      return (a, b) =>
+        (b.lastUpdated?.date || '').localeCompare(a.lastUpdated?.date || '') || newestFirst(a, b);
+    case 'site':
+      return (a, b) => a.site.localeCompare(b.site) || newestFirst(a, b);
+    case 'rating':
+      return (a, b) => ratingRank(a) - ratingRank(b) || newestFirst(a, b);
+    case 'risks':
+      return (a, b) =>
+        b.riskCounts.HIGH - a.riskCounts.HIGH ||
+        b.riskCounts.MEDIUM - a.riskCounts.MEDIUM ||
+        newestFirst(a, b);
+    default:
+      return newestFirst;
+  }
+}
+
+function renderHistory() {
+  const entries = getVisibleEntries();
+  const list = document.getElementById('history-list');
+  list.innerHTML = '';
+
+  entries.forEach(entry => list.appendChild(renderEntry(entry)));
+
+  const total = historyEntries.length;
+  document.getElementById('history-count').textContent =
+    entries.length === total
+      ? `${total} saved ${total === 1 ? 'analysis' : 'analyses'}`
+      : `${entries.length} of ${total} saved analyses`;
+
+  const empty = document.getElementById('history-empty');
+  empty.textContent = historyEntries.length === 0 && !document.getElementById('history-search').value
+    ? 'No saved analyses yet. Every policy you analyze is listed here.'
+    : 'No saved analyses match.';
+  empty.classList.toggle('hidden', entries.length > 0);
+
+  const visibleSelected = entries.filter(entry => selectedKeys.has(entry.key)).length;
+  const selectAll = document.getElementById('select-all');
+  selectAll.checked = entries.length > 0 && visibleSelected === entries.length;
+  selectAll.indeterminate = visibleSelected > 0 && visibleSelected < entries.length;
+
+  const compareButton = document.getElementById('compare-selected-btn');
+  compareButton.disabled = selectedKeys.size < MIN_COMPARED || selectedKeys.size > MAX_COMPARED;
+  compareButton.title = compareButton.disabled
+    ? `Select ${MIN_COMPARED} to ${MAX_COMPARED} analyses to compare`
+    : '';
+
+  const deleteButton = document.getElementById('delete-selected-btn');
+  deleteButton.disabled = selectedKeys.size === 0;
+  deleteButton.textContent = selectedKeys.size > 0
+    ? `Delete Selected (${selectedKeys.size})`
+    : 'Delete Selected';
+}
+
+function renderEntry(entry) {
+  const row = document.createElement('tr');
+  row.innerHTML = `
+    <td><input type="checkbox" class="history-select" /></td>
+    <td>
+      <div class="history-site"></div>
+      <div class="history-title"></div>
+    </td>
+    <td class="history-type"></td>
+    <td class="history-rating"></td>
+    <td><div class="risk-counts"></div></td>
+    <td class="history-date history-analyzed"></td>
+    <td class="history-date history-updated"></td>
+    <td><button class="btn btn-primary btn-small">Open</button></td>
+  `;
+
+  const checkbox = row.querySelector('.history-select');
+  checkbox.checked = selectedKeys.has(entry.key);
+  checkbox.addEventListener('change', () => {
+    if (checkbox.checked) {
+      selectedKeys.add(entry.key);
+    } else {
+      selectedKeys.delete(entry.key);
+    }
+    renderHistory();
+  });
+
+  row.querySelector('.history-site').textContent = entry.site;
+  const title = row.querySelector('.history-title');
+  title.textContent = entry.title;
+  title.title = entry.url;
+  row.querySelector('.history-type').textContent =
+    DOCUMENT_TYPE_LABELS[entry.documentType] || DOCUMENT_TYPE_LABELS.policy;
+
+  if (entry.overallRating) {
+    const badge = document.createElement('span');
+    badge.className = `rating-badge ${entry.overallRating.toLowerCase()}`;
+    badge.textContent = RATING_LABELS[entry.overallRating] || entry.overallRating;
+    row.querySelector('.history-rating').appendChild(badge);
+  }
+
+  const riskCounts = row.querySelector('.risk-counts');
+  ['HIGH', 'MEDIUM', 'LOW'].forEach(level => {
+    const count = document.createElement('span');
+    count.className = `risk-count ${level.toLowerCase()}`;
+    count.title = `${entry.riskCounts[level]} ${level.toLowerCase()} risk(s)`;
+    count.textContent = `${entry.riskCounts[level]} ${level[0]}`;
+    riskCounts.appendChild(count);
+  });
+
+  row.querySelector('.history-analyzed').textContent =
+    new Date(entry.createdAt).toLocaleDateString();
+  row.querySelector('.history-updated').textContent = formatLastUpdated(entry.lastUpdated);
+
+  row.querySelector('button').addEventListener('click', () => openAnalysis(entry));
+  return row;
+}
+
+// The policy's own date, shown as written when it couldn't be read as a date
+function formatLastUpdated(lastUpdated) {
+  if (!lastUpdated) return 'Not stated';
+  if (!lastUpdated.date) return lastUpdated.text;
+  const [year, month, day] = lastUpdated.date.split('-').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString();
+}
+
+// Show a stored analysis in the side panel, next to its policy
+async function openAnalysis(entry) {
+  // Opening the side panel needs the click's user gesture, so it comes first
+  chrome.sidePanel.open({ windowId: pageWindowId }).catch(error => {
+    console.log('Could not open side panel:', error.message);
+  });
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'OPEN_STORED_ANALYSIS',
+      key: entry.key,
+      windowId: pageWindowId
+    });
+    if (!response.success) throw new Error(response.error);
+  } catch (error) {
+    console.error('Error opening analysis:', error);
+    showMessage(`Could not open the analysis: ${error.message}`, 'error');
+    loadHistory();
+  }
+}
+
+// Open the selected analyses side by side in a new tab
+function compareSelected() {
+  const query = Array.from(selectedKeys).map(key => `key=${encodeURIComponent(key)}`).join('&');
+  chrome.tabs.create({ url: chrome.runtime.getURL(`src/compare/compare.html?${query}`) });
+}
+
+async function deleteSelected() {
+  const keys = Array.from(selectedKeys);
+  if (keys.length === 0) return;
+  if (!confirm(`Delete ${keys.length} saved ${keys.length === 1 ? 'analysis' : 'analyses'}?`)) return;
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'DELETE_CACHE_ENTRIES', keys });
+    if (!response.success) throw new Error(response.error);
+    selectedKeys.clear();
+    showMessage(`Deleted ${keys.length} saved ${keys.length === 1 ? 'analysis' : 'analyses'}`, 'success');
+  } catch (error) {
+    console.error('Error deleting saved analyses:', error);
+    showMessage('Error deleting saved analyses', 'error');
+  }
+  loadHistory();
+}
+
+function showMessage(text, type) {
+  const messageEl = document.getElementById('message');
+  messageEl.textContent = text;
+  messageEl.className = 'message ' + type;
+
+  // Auto-hide after 3 seconds
+  setTimeout(() => {
+    messageEl.classList.add('hidden');
+  }, 3000);
+}
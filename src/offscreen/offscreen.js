@@ -0,0 +1,48 @@
+// Offscreen Document JavaScript
+// Extracts the text of PDF policies with PDF.js for the service worker, which can't start PDF.js's worker itself
+
+import * as pdfjsLib from '../lib/pdfjs/pdf.min.mjs';
+
+pdfjsLib.GlobalWorkerOptions.workerSrc = chrome.runtime.getURL('src/lib/pdfjs/pdf.worker.min.mjs');
+
+// Longer PDFs are cut off here; no policy runs this long
+const MAX_PAGES = 300;
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.target !== 'offscreen') return false;
+
+  if (message.type === 'EXTRACT_PDF_TEXT') {
+    extractPdfText(message.url)
+      .then(result => sendResponse({ success: true, ...result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+  return false;
+});
+
+// One string per page, with a line break wherever PDF.js reports the end of a line
+async function extractPdfText(url) {
+  const pdf = await pdfjsLib.getDocument({ url, withCredentials: true, isEvalSupported: false }).promise;
+
+  try {
+    const pages = [];
+    for (let pageNumber = 1; pageNumber <= Math.min(pdf.numPages, MAX_PAGES); pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const { items } = await page.getTextContent();
+      pages.push(
+        items
+          .map(item => (item.str || '') + (item.hasEOL ? '\n' : ''))
+          .join('')
+          .replace(/[^\S\n]+/g, ' ')
+          .replace(/ ?\n\s*/g, '\n')
+          .trim()
+      );
+      page.cleanup();
+    }
+
+    const { info } = await pdf.getMetadata().catch(() => ({ info: {} }));
+    return { title: info?.Title || '', pages };
+  } finally {
+    pdf.destroy();
+  }
+}
@@ -1,21 +1,66 @@
 // Options Page JavaScript
-// Handles API key storage and settings management
+// Handles LLM provider configuration, API key storage and settings management
+
+// Per-provider form fields (setting name -> input ID)
+const PROVIDER_FIELDS = {
+  openai: {
+    apiKey: 'api-key',
+    model: 'openai-model',
+    chatModel: 'openai-chat-model'
+  },
+  anthropic: {
+    apiKey: 'anthropic-api-key',
+    model: 'anthropic-model',
+    chatModel: 'anthropic-chat-model'
+  },
+  azure: {
+    apiKey: 'azure-api-key',
+    endpoint: 'azure-endpoint',
+    model: 'azure-model',
+    chatModel: 'azure-chat-model',
+    apiVersion: 'azure-api-version'
+  },
+  local: {
+    baseUrl: 'local-base-url',
+    model: 'local-model',
+    chatModel: 'local-chat-model',
+    apiKey: 'local-api-key'
+  }
+};
 
 document.addEventListener('DOMContentLoaded', () => {
   loadSettings();
   setupEventListeners();
+  loadCacheEntries();
+  loadWatchedPolicies();
+  loadUsage();
+  loadScoreRubric();
 });
 
 function setupEventListeners() {
   // Toggle password visibility
-  document.getElementById('toggle-visibility').addEventListener('click', () => {
-    const input = document.getElementById('api-key');
-    input.type = input.type === 'password' ? 'text' : 'password';
+  document.querySelectorAll('.toggle-visibility').forEach(button => {
+    button.addEventListener('click', () => {
+      const input = document.getElementById(button.dataset.target);
+      input.type = input.type === 'password' ? 'text' : 'password';
+    });
+  });
+
+  // Provider selection - show only the selected provider's fields
+  document.getElementById('llm-provider').addEventListener('change', (e) => {
+    showProviderFields(e.target.value);
+    updateApiStatus('not-configured', 'Not saved');
   });
 
   // Save button
   document.getElementById('save-btn').addEventListener('click', saveSettings);
 
+  // Privacy score weights
+  document.getElementById('reset-score-weights-btn').addEventListener('click', () => {
+    renderScoreWeights(defaultScoreWeights);
+    showMessage('Default weights restored. Save to apply them.', 'success');
+  });
+
   // Confidence threshold slider
   const slider = document.getElementById('confidence-threshold');
   const valueDisplay = document.getElementById('threshold-value');
@@ -32,30 +77,108 @@ function setupEventListeners() {
     ttsValueDisplay.textContent = (ttsSlider.value / 100).toFixed(1) + 'x';
   });
 
+  // Cache size slider
+  const cacheSlider = document.getElementById('cache-max-size');
+  const cacheValueDisplay = document.getElementById('cache-max-size-value');
+
+  cacheSlider.addEventListener('input', () => {
+    cacheValueDisplay.textContent = cacheSlider.value + ' MB';
+  });
+
+  // Clear all saved analyses
+  document.getElementById('clear-cache-btn').addEventListener('click', clearCache);
+
+  // Check watched policies right away
+  document.getElementById('check-now-btn').addEventListener('click', checkWatchedNow);
+
+  // Usage table grouping and period
+  document.getElementById('usage-group').addEventListener('change', loadUsage);
+  document.getElementById('usage-period').addEventListener('change', loadUsage);
+  document.getElementById('clear-usage-btn').addEventListener('click', clearUsage);
+
   // Auto-detect checkbox
   document.getElementById('auto-detect').addEventListener('change', (e) => {
     // Settings will be saved when user clicks save
   });
 
-  // API key input - update status on change
-  document.getElementById('api-key').addEventListener('input', () => {
-    updateApiStatus('not-configured', 'Not saved');
+  // Provider inputs - update status on change
+  Object.values(PROVIDER_FIELDS).forEach(fields => {
+    Object.values(fields).forEach(inputId => {
+      document.getElementById(inputId).addEventListener('input', () => {
+        updateApiStatus('not-configured', 'Not saved');
+      });
+    });
+  });
+}
+
+function showProviderFields(providerId) {
+  document.querySelectorAll('.provider-fields').forEach(section => {
+    section.classList.toggle('hidden', section.dataset.provider !== providerId);
   });
 }
 
+// Read the form values for one provider
+function readProviderFields(providerId) {
+  const settings = {};
+  for (const [key, inputId] of Object.entries(PROVIDER_FIELDS[providerId])) {
+    settings[key] = document.getElementById(inputId).value.trim();
+  }
+  return settings;
+}
+
+// Whether a provider has the settings it needs to make requests
+function isProviderConfigured(providerId, settings) {
+  switch (providerId) {
+    case 'azure':
+      return !!(settings.apiKey && settings.endpoint && settings.model);
+    case 'local':
+      // Falls back to the default localhost URL when left blank
+      return true;
+    default:
+      return !!settings.apiKey;
+  }
+}
+
 async function loadSettings() {
   try {
     const result = await chrome.storage.local.get([
       'openaiApiKey',
+      'llmProvider',
+      'providerSettings',
       'autoDetect',
       'confidenceThreshold',
       'defaultSimplified',
-      'ttsRate'
+      'ttsRate',
+      'cacheEnabled',
+      'cacheMaxSizeMB',
+      'keepPartialOnCancel',
+      'monthlyBudgetUsd',
+      'monitorFrequencyHours',
+      'quietHoursEnabled',
+      'quietHoursStart',
+      'quietHoursEnd'
     ]);
 
-    // API Key
+    // Provider settings
+    const providerId = result.llmProvider || 'openai';
+    const providerSettings = result.providerSettings || {};
+    document.getElementById('llm-provider').value = providerId;
+    showProviderFields(providerId);
+
+    for (const [id, fields] of Object.entries(PROVIDER_FIELDS)) {
+      const stored = providerSettings[id] || {};
+      for (const [key, inputId] of Object.entries(fields)) {
+        document.getElementById(inputId).value = stored[key] || '';
+      }
+    }
+
+    // The OpenAI key is stored at the top level for backwards compatibility
     if (result.openaiApiKey) {
       document.getElementById('api-key').value = result.openaiApiKey;
+    }
+
+    const activeSettings = readProviderFields(providerId);
+    if (isProviderConfigured(providerId, activeSettings)) {
       updateApiStatus('success', 'Configured');
     }
 
@@ -68,6 +191,12 @@ async function loadSettings() {
     document.getElementById('confidence-threshold').value = threshold;
     document.getElementById('threshold-value').textContent = threshold + '%';
 
+    // Monthly budget (empty means no limit)
+    document.getElementById('monthly-budget').value = result.monthlyBudgetUsd || '';
+
+    // Stopping an analysis or chat reply
+    document.getElementById('keep-partial').checked = result.keepPartialOnCancel !== false; // Default to true
+
     // Accessibility: Default simplified mode
     const defaultSimplified = result.defaultSimplified === true; // Default to false
     document.getElementById('default-simplified').checked = defaultSimplified;
@@ -77,6 +206,18 @@ async function loadSettings() {
     document.getElementById('tts-rate').value = ttsRate;
     document.getElementById('tts-rate-value').textContent = (ttsRate / 100).toFixed(1) + 'x';
 
+    // Analysis cache
+    document.getElementById('cache-enabled').checked = result.cacheEnabled !== false; // Default to true
+    const cacheMaxSizeMB = result.cacheMaxSizeMB || 25;
+    document.getElementById('cache-max-size').value = cacheMaxSizeMB;
+    document.getElementById('cache-max-size-value').textContent = cacheMaxSizeMB + ' MB';
+
+    // Policy monitoring
+    document.getElementById('monitor-frequency').value = String(result.monitorFrequencyHours || 24);
+    document.getElementById('quiet-hours-enabled').checked = result.quietHoursEnabled === true; // Default to false
+    document.getElementById('quiet-hours-start').value = result.quietHoursStart || '22:00';
+    document.getElementById('quiet-hours-end').value = result.quietHoursEnd || '08:00';
+
   } catch (error) {
     console.error('Error loading settings:', error);
     showMessage('Error loading settings', 'error');
@@ -84,11 +225,25 @@ async function loadSettings() {
 }
 
 async function saveSettings() {
-  const apiKey = document.getElementById('api-key').value.trim();
+  const providerId = document.getElementById('llm-provider').value;
+  const providerSettings = {};
+  for (const id of Object.keys(PROVIDER_FIELDS)) {
+    providerSettings[id] = readProviderFields(id);
+  }
+  const apiKey = providerSettings.openai.apiKey;
   const autoDetect = document.getElementById('auto-detect').checked;
   const confidenceThreshold = parseInt(document.getElementById('confidence-threshold').value);
   const defaultSimplified = document.getElementById('default-simplified').checked;
   const ttsRate = parseInt(document.getElementById('tts-rate').value);
+  const cacheEnabled = document.getElementById('cache-enabled').checked;
+  const cacheMaxSizeMB = parseInt(document.getElementById('cache-max-size').value);
+  const keepPartialOnCancel = document.getElementById('keep-partial').checked;
+  const monthlyBudgetUsd = parseFloat(document.getElementById('monthly-budget').value) || 0;
+  const monitorFrequencyHours = parseInt(document.getElementById('monitor-frequency').value);
+  const quietHoursEnabled = document.getElementById('quiet-hours-enabled').checked;
+  const quietHoursStart = document.getElementById('quiet-hours-start').value || '22:00';
+  const quietHoursEnd = document.getElementById('quiet-hours-end').value || '08:00';
+  const scoreWeights = readScoreWeights();
 
   // Validate API key format (OpenAI keys start with "sk-")
   if (apiKey && !apiKey.startsWith('sk-')) {
@@ -96,22 +251,52 @@ async function saveSettings() {
     return;
   }
 
+  // Validate Anthropic key format
+  const anthropicKey = providerSettings.anthropic.apiKey;
+  if (anthropicKey && !anthropicKey.startsWith('sk-ant-')) {
+    showMessage('Invalid API key format. Anthropic keys start with "sk-ant-"', 'error');
+    return;
+  }
+
+  // Validate URLs
+  for (const url of [providerSettings.azure.endpoint, providerSettings.local.baseUrl]) {
+    if (url && !/^https?:\/\//.test(url)) {
+      showMessage(`Invalid URL: ${url}`, 'error');
+      return;
+    }
+  }
+
+  // The OpenAI key keeps its original storage location
+  delete providerSettings.openai.apiKey;
+
   try {
     await chrome.storage.local.set({
+      llmProvider: providerId,
+      providerSettings: providerSettings,
       openaiApiKey: apiKey,
       autoDetect: autoDetect,
       confidenceThreshold: confidenceThreshold,
       defaultSimplified: defaultSimplified,
-      ttsRate: ttsRate
+      ttsRate: ttsRate,
+      cacheEnabled: cacheEnabled,
+      cacheMaxSizeMB: cacheMaxSizeMB,
+      keepPartialOnCancel: keepPartialOnCancel,
+      monthlyBudgetUsd: Math.max(0, monthlyBudgetUsd),
+      monitorFrequencyHours: monitorFrequencyHours,
+      quietHoursEnabled: quietHoursEnabled,
+      quietHoursStart: quietHoursStart,
+      quietHoursEnd: quietHoursEnd,
+      ...(scoreWeights && { scoreWeights: scoreWeights })
     });
 
-    if (apiKey) {
+    if (isProviderConfigured(providerId, readProviderFields(providerId))) {
       updateApiStatus('success', 'Configured');
     } else {
       updateApiStatus('warning', 'Not configured');
     }
 
     showMessage('Settings saved successfully!', 'success');
+    loadUsage();
   } catch (error) {
     console.error('Error saving settings:', error);
     showMessage('Error saving settings', 'error');
@@ -161,6 +346,294 @@ async function testApiConnection() {
   }
 }
 
+// The privacy score rubric from the service worker (see privacy-score.js)
+let scoreFactors = [];
+let defaultScoreWeights = {};
+let maxScoreWeight = 0;
+
+async function loadScoreRubric() {
+  const list = document.getElementById('score-weights');
+
+  try {
+    const [rubric, { scoreWeights }] = await Promise.all([
+      chrome.runtime.sendMessage({ type: 'GET_SCORE_RUBRIC' }),
+      chrome.storage.local.get(['scoreWeights'])
+    ]);
+    if (!rubric.success) throw new Error(rubric.error);
+
+    scoreFactors = rubric.factors;
+    defaultScoreWeights = rubric.defaults;
+    maxScoreWeight = rubric.maxWeight;
+    renderScoreWeights({ ...defaultScoreWeights, ...scoreWeights });
+  } catch (error) {
+    console.error('Error loading score rubric:', error);
+    list.innerHTML = '<li class="help-text">Could not load the scoring rubric.</li>';
+  }
+}
+
+function renderScoreWeights(weights) {
+  const list = document.getElementById('score-weights');
+  list.innerHTML = '';
+  scoreFactors.forEach(factor => {
+    const item = document.createElement('li');
+    item.className = 'score-weight';
+    item.innerHTML = `
+      <label class="score-weight-info">
+        <span class="score-weight-label"></span>
+        <span class="score-weight-description"></span>
+      </label>
+      <input type="number" min="0" step="1" />
+    `;
+    item.querySelector('.score-weight-label').textContent = factor.label;
+    item.querySelector('.score-weight-description').textContent = factor.description;
+    const input = item.querySelector('input');
+    input.id = `score-weight-${factor.id}`;
+    input.max = maxScoreWeight;
+    input.value = weights[factor.id];
+    input.dataset.factor = factor.id;
+    item.querySelector('label').htmlFor = input.id;
+    list.appendChild(item);
+  });
+}
+
+// The weights as entered, or null when the rubric never loaded
+function readScoreWeights() {
+  if (scoreFactors.length === 0) return null;
+
+  const weights = {};
+  document.querySelectorAll('#score-weights input').forEach(input => {
+    const value = parseFloat(input.value);
+    weights[input.dataset.factor] = Number.isFinite(value)
+      ? Math.min(maxScoreWeight, Math.max(0, value))
+      : defaultScoreWeights[input.dataset.factor];
+  });
+  return weights;
+}
+
+// Load the list of saved analyses from the service worker
+async function loadCacheEntries() {
+  const list = document.getElementById('cache-list');
+  const stats = document.getElementById('cache-stats');
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'LIST_CACHE' });
+    if (!response.success) throw new Error(response.error);
+
+    stats.textContent = `${response.stats.count} saved ${
+      response.stats.count === 1 ? 'analysis' : 'analyses'
+    } using ${formatBytes(response.stats.totalSize)}`;
+
+    list.innerHTML = '';
+    response.entries.forEach(entry => {
+      const item = document.createElement('li');
+      item.className = 'cache-entry';
+      item.innerHTML = `
+        <div class="cache-entry-info">
+          <div class="cache-entry-title"></div>
+          <div class="cache-entry-meta"></div>
+        </div>
+        <button class="btn btn-secondary btn-small">Delete</button>
+      `;
+      item.querySelector('.cache-entry-title').textContent = entry.title || entry.url;
+      item.querySelector('.cache-entry-meta').textContent = [
+        entry.overallRating,
+        new Date(entry.createdAt).toLocaleDateString(),
+        formatBytes(entry.size),
+        entry.url
+      ].filter(Boolean).join(' · ');
+
+      item.querySelector('button').addEventListener('click', async () => {
+        await chrome.runtime.sendMessage({ type: 'DELETE_CACHE_ENTRY', key: entry.key });
+        loadCacheEntries();
+      });
+
+      list.appendChild(item);
+    });
+  } catch (error) {
+    console.error('Error loading saved analyses:', error);
+    stats.textContent = 'Could not load saved analyses.';
+  }
+}
+
+async function clearCache() {
+  if (!confirm('Delete all saved analyses?')) return;
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'CLEAR_CACHE' });
+    if (!response.success) throw new Error(response.error);
+    showMessage('Saved analyses cleared', 'success');
+  } catch (error) {
+    console.error('Error clearing saved analyses:', error);
+    showMessage('Error clearing saved analyses', 'error');
+  }
+  loadCacheEntries();
+}
+
+// Load the policies checked for changes in the background
+async function loadWatchedPolicies() {
+  const list = document.getElementById('watch-list');
+  const stats = document.getElementById('watch-stats');
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'LIST_WATCHED' });
+    if (!response.success) throw new Error(response.error);
+
+    stats.textContent = response.policies.length === 0
+      ? 'No policies are watched.'
+      : `${response.policies.length} watched ${response.policies.length === 1 ? 'policy' : 'policies'}`;
+    document.getElementById('check-now-btn').disabled = response.policies.length === 0;
+
+    list.innerHTML = '';
+    response.policies.forEach(policy => {
+      const item = document.createElement('li');
+      item.className = 'cache-entry';
+      item.innerHTML = `
+        <div class="cache-entry-info">
+          <div class="cache-entry-title"></div>
+          <div class="cache-entry-meta"></div>
+        </div>
+        <button class="btn btn-secondary btn-small">Remove</button>
+      `;
+      item.querySelector('.cache-entry-title').textContent = `${policy.site}: ${policy.title}`;
+
+      const meta = item.querySelector('.cache-entry-meta');
+      meta.textContent = [
+        `Checked ${new Date(policy.lastCheckedAt).toLocaleString()}`,
+        policy.lastError
+          ? `Last check failed: ${policy.lastError}`
+          : policy.lastChangedAt
+            ? `Changed ${new Date(policy.lastChangedAt).toLocaleDateString()}`
+            : 'No changes yet'
+      ].join(' · ');
+      meta.title = policy.lastChangeSummary || policy.url;
+
+      item.querySelector('button').addEventListener('click', async () => {
+        await chrome.runtime.sendMessage({ type: 'UNWATCH_POLICY', url: policy.url });
+        loadWatchedPolicies();
+      });
+
+      list.appendChild(item);
+    });
+  } catch (error) {
+    console.error('Error loading watched policies:', error);
+    stats.textContent = 'Could not load watched policies.';
+  }
+}
+
+async function checkWatchedNow() {
+  const button = document.getElementById('check-now-btn');
+  button.disabled = true;
+  button.textContent = 'Checking...';
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'CHECK_WATCHED_NOW' });
+    if (!response.success) throw new Error(response.error);
+    showMessage(
+      response.changed === 0
+        ? 'No watched policy has changed'
+        : `${response.changed} watched ${response.changed === 1 ? 'policy has' : 'policies have'} changed`,
+      'success'
+    );
+  } catch (error) {
+    console.error('Error checking watched policies:', error);
+    showMessage('Error checking watched policies', 'error');
+  } finally {
+    button.textContent = 'Check Now';
+    loadWatchedPolicies();
+  }
+}
+
+const USAGE_GROUP_LABELS = {
+  day: 'Day',
+  site: 'Site',
+  feature: 'Feature',
+  model: 'Model'
+};
+
+// Start of the selected reporting period, as a timestamp
+function getUsagePeriodStart(period) {
+  const now = new Date();
+  if (period === 'month') return new Date(now.getFullYear(), now.getMonth(), 1).getTime();
+  if (period === '30days') return Date.now() - 30 * 24 * 60 * 60 * 1000;
+  return 0;
+}
+
+// Load the usage ledger summary from the service worker
+async function loadUsage() {
+  const groupBy = document.getElementById('usage-group').value;
+  const period = document.getElementById('usage-period').value;
+  const totalsEl = document.getElementById('usage-totals');
+  const rowsEl = document.getElementById('usage-rows');
+
+  try {
+    const [summary, budget] = await Promise.all([
+      chrome.runtime.sendMessage({
+        type: 'GET_USAGE_SUMMARY',
+        groupBy,
+        since: getUsagePeriodStart(period)
+      }),
+      chrome.runtime.sendMessage({ type: 'GET_BUDGET_STATUS' })
+    ]);
+    if (!summary.success) throw new Error(summary.error);
+
+    totalsEl.textContent = `This month: ${formatCost(budget.spent)}` +
+      (budget.budget ? ` of ${formatCost(budget.budget)} budget` : '') +
+      ` · Selected period: ${summary.totals.calls} calls, ${formatCost(summary.totals.cost)}` +
+      (summary.totals.unpriced ? ` (${summary.totals.unpriced} calls with unknown pricing)` : '');
+
+    document.getElementById('usage-group-label').textContent = USAGE_GROUP_LABELS[groupBy];
+    rowsEl.innerHTML = '';
+    summary.rows.forEach(row => {
+      const tr = document.createElement('tr');
+      [
+        row.key,
+        row.calls,
+        row.promptTokens.toLocaleString(),
+        row.completionTokens.toLocaleString(),
+        formatCost(row.cost) + (row.unpriced ? '*' : '')
+      ].forEach(value => {
+        const td = document.createElement('td');
+        td.textContent = value;
+        tr.appendChild(td);
+      });
+      rowsEl.appendChild(tr);
+    });
+
+    if (summary.rows.length === 0) {
+      rowsEl.innerHTML = '<tr><td colspan="5">No usage recorded yet.</td></tr>';
+    }
+  } catch (error) {
+    console.error('Error loading usage:', error);
+    totalsEl.textContent = 'Could not load usage.';
+  }
+}
+
+async function clearUsage() {
+  if (!confirm('Delete the usage history? This also resets this month\'s spending towards the budget.')) return;
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'CLEAR_USAGE' });
+    if (!response.success) throw new Error(response.error);
+    showMessage('Usage history cleared', 'success');
+  } catch (error) {
+    console.error('Error clearing usage:', error);
+    showMessage('Error clearing usage history', 'error');
+  }
+  loadUsage();
+}
+
+// Dollar amounts: more decimals for the small per-call costs
+function formatCost(amount) {
+  if (!amount) return '$0.00';
+  return amount < 0.01 ? '$' + amount.toFixed(4) : '$' + amount.toFixed(2);
+}
+
+function formatBytes(bytes) {
+  if (!bytes) return '0 KB';
+  if (bytes < 1024 * 1024) return Math.max(1, Math.round(bytes / 1024)) + ' KB';
+  return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+}
+
 function updateApiStatus(status, text) {
   const statusIndicator = document.getElementById('api-status');
   const statusText = statusIndicator.querySelector('.status-text');
@@ -0,0 +1,232 @@
+// PDF Viewer JavaScript
+// Shows a PDF policy with PDF.js and jumps to the page of a quote from the analysis, highlighting it
+
+import * as pdfjsLib from '../lib/pdfjs/pdf.min.mjs';
+
+pdfjsLib.GlobalWorkerOptions.workerSrc = chrome.runtime.getURL('src/lib/pdfjs/pdf.worker.min.mjs');
+
+// CSS pixels per PDF point
+const SCALE = 1.5;
+
+// Pages this far outside the window are rendered ahead of being scrolled to
+const RENDER_MARGIN = '600px';
+
+// Quotes that only approximately match the PDF are found by their opening words
+const OPENING_WORDS = 8;
+
+const params = new URLSearchParams(location.search);
+const fileUrl = params.get('file');
+
+let pdf = null;
+// One per page: { number, page, viewport, element, textContent, rendering, textDivs }
+const pageViews = [];
+
+// Resolves once every page has its placeholder, so quotes can be looked up
+let loaded = null;
+
+document.addEventListener('DOMContentLoaded', () => {
+  loaded = loadPdf();
+  setupMessageListener();
+});
+
+// The service worker sends quotes for a PDF that is already open here
+function setupMessageListener() {
+  chrome.runtime.onMessage.addListener(message => {
+    if (message.type !== 'PDF_VIEWER_HIGHLIGHT' || message.file !== fileUrl) return;
+    loaded.then(() => showQuote(message.quote, message.page));
+  });
+}
+
+async function loadPdf() {
+  if (!fileUrl) {
+    showMessage('No PDF to show.', 'error');
+    return;
+  }
+  document.getElementById('original-link').href = fileUrl;
+
+  try {
+    pdf = await pdfjsLib.getDocument({ url: fileUrl, withCredentials: true, isEvalSupported: false }).promise;
+
+    const { info } = await pdf.getMetadata().catch(() => ({ info: {} }));
+    const title = info?.Title || decodeURIComponent(new URL(fileUrl).pathname.split('/').pop()) || fileUrl;
+    document.title = `${title} - AI Privacy Policy Helper`;
+    document.getElementById('viewer-title').textContent = title;
+    setStatus(`${pdf.numPages} ${pdf.numPages === 1 ? 'page' : 'pages'}`);
+
+    await createPageViews();
+  } catch (error) {
+    console.error('Error loading PDF:', error);
+    document.getElementById('viewer-title').textContent = fileUrl;
+    showMessage(`Could not open this PDF: ${error.message}`, 'error');
+    return;
+  }
+
+  const quote = params.get('quote');
+  const page = Number(params.get('page')) || null;
+  if (quote) {
+    await showQuote(quote, page);
+  } else if (page) {
+    scrollToPage(page);
+  }
+}
+
+// A placeholder of the right size for every page; pages are drawn as they come into view
+async function createPageViews() {
+  const container = document.getElementById('pages');
+  const observer = new IntersectionObserver(
+    entries => {
+      entries
+        .filter(entry => entry.isIntersecting)
+        .forEach(entry => renderPage(pageViews[Number(entry.target.dataset.index)]));
+    },
+    { rootMargin: RENDER_MARGIN }
+  );
+
+  for (let number = 1; number <= pdf.numPages; number++) {
+    const page = await pdf.getPage(number);
+    const viewport = page.getViewport({ scale: SCALE });
+
+    const element = document.createElement('div');
+    element.className = 'pdf-page';
+    element.dataset.index = String(number - 1);
+    element.style.width = `${viewport.width}px`;
+    element.style.height = `${viewport.height}px`;
+    // PDF.js text layers size their text from this
+    element.style.setProperty('--scale-factor', String(SCALE));
+    container.appendChild(element);
+
+    pageViews.push({ number, page, viewport, element, textContent: null, rendering: null, textDivs: [] });
+    observer.observe(element);
+  }
+}
+
+function getTextContent(view) {
+  if (!view.textContent) {
+    view.textContent = view.page.getTextContent();
+  }
+  return view.textContent;
+}
+
+// Draw a page and its text layer (once)
+function renderPage(view) {
+  if (!view.rendering) {
+    view.rendering = (async () => {
+      const ratio = window.devicePixelRatio || 1;
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.floor(view.viewport.width * ratio);
+      canvas.height = Math.floor(view.viewport.height * ratio);
+      canvas.style.width = `${view.viewport.width}px`;
+      canvas.style.height = `${view.viewport.height}px`;
+      view.element.appendChild(canvas);
+
+      await view.page.render({
+        canvasContext: canvas.getContext('2d'),
+        viewport: view.viewport,
+        transform: ratio === 1 ? null : [ratio, 0, 0, ratio, 0, 0]
+      }).promise;
+
+      const layer = document.createElement('div');
+      layer.className = 'textLayer';
+      view.element.appendChild(layer);
+      const textLayer = new pdfjsLib.TextLayer({
+        textContentSource: await getTextContent(view),
+        container: layer,
+        viewport: view.viewport
+      });
+      await textLayer.render();
+      view.textDivs = textLayer.textDivs;
+    })().catch(error => {
+      console.error(`Error rendering page ${view.number}:`, error);
+    });
+  }
+  return view.rendering;
+}
+
+// Lowercase with quotes and dashes unified, the same way the quote verifier
+// compares quotes with the policy text
+function normalizeChar(ch) {
+  if (/[“”„«»]/.test(ch)) return '"';
+  if (/[‘’‚]/.test(ch)) return "'";
+  if (/[–—―]/.test(ch)) return '-';
+  if (/\s/.test(ch)) return ' ';
+  return ch.toLowerCase();
+}
+
+function normalize(text) {
+  return Array.from(text, normalizeChar).join('').replace(/ +/g, ' ').trim();
+}
+
+// A page's text normalized, with the index of the text item each character came from
+function normalizeItems(items) {
+  let text = '';
+  const owners = [];
+  items.forEach((item, index) => {
+    for (const ch of (item.str || '') + (item.hasEOL ? ' ' : '')) {
+      const normalized = normalizeChar(ch);
+      if (normalized === ' ' && (text === '' || text.endsWith(' '))) continue;
+      text += normalized;
+      owners.push(index);
+    }
+  });
+  return { text, owners };
+}
+
+// The text items a quote covers on a page, or null when it isn't there
+async function findQuoteItems(view, quote) {
+  const { items } = await getTextContent(view);
+  const { text, owners } = normalizeItems(items);
+  const needle = normalize(quote);
+
+  let start = text.indexOf(needle);
+  let length = needle.length;
+  if (start < 0) {
+    const opening = needle.split(' ').slice(0, OPENING_WORDS).join(' ');
+    start = opening.length < needle.length ? text.indexOf(opening) : -1;
+    length = opening.length;
+  }
+  if (start < 0 || !needle) return null;
+  return new Set(owners.slice(start, start + length));
+}
+
+// Find a quote (on `page` first, when given), highlight it and scroll to it
+async function showQuote(quote, page) {
+  if (!pdf || !quote) return;
+
+  const order = [...pageViews].sort((a, b) => (b.number === page) - (a.number === page));
+  for (const view of order) {
+    const itemIndexes = await findQuoteItems(view, quote);
+    if (!itemIndexes) continue;
+
+    await renderPage(view);
+    document.querySelectorAll('.quote-highlight').forEach(div => div.classList.remove('quote-highlight'));
+    const divs = Array.from(itemIndexes, index => view.textDivs[index]).filter(Boolean);
+    divs.forEach(div => div.classList.add('quote-highlight'));
+
+    (divs[0] || view.element).scrollIntoView({ behavior: 'smooth', block: 'center' });
+    setStatus(`Quote on page ${view.number} of ${pdf.numPages}`);
+    hideMessage();
+    return;
+  }
+
+  if (page) scrollToPage(page);
+  showMessage("Couldn't find this quote in the PDF. It may be worded differently in the document.", 'error');
+}
+
+function scrollToPage(number) {
+  const view = pageViews[Math.min(Math.max(number, 1), pageViews.length) - 1];
+  if (view) view.element.scrollIntoView({ block: 'start' });
+}
+
+function setStatus(text) {
+  document.getElementById('viewer-status').textContent = text;
+}
+
+function showMessage(text, type) {
+  const messageEl = document.getElementById('message');
+  messageEl.textContent = text;
+  messageEl.className = 'message ' + type;
+}
+
+function hideMessage() {
+  document.getElementById('message').className = 'message hidden';
+}
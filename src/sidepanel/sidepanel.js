@@ -3,8 +3,17 @@
 
 let currentTabId = null;
 let isAnalyzing = false;
+
+// The window this panel belongs to; the panel follows that window's active tab
+let panelWindowId = null;
+
+// Which section is showing ("initial", "loading", "results", ...), see showState
+let currentState = "initial";
 let streamingContent = "";
 
+// Per-chunk progress for long policies analyzed in parts
+let chunkProgress = [];
+
 // Track the URL of the policy that was analyzed (may differ from current tab URL for external policies)
 let analyzedPolicyUrl = null;
 
@@ -14,25 +23,73 @@ let isKeyPointsMode = false;
 let originalAnalysis = null;
 let simplifiedAnalysis = null;
 let keyPointsData = null;
+let darkPatternsData = null;
+let defaultSimplifiedMode = false;
 let ttsUtterance = null;
 let isSpeaking = false;
 
+// Each document's progress while a site profile is built
+let profileProgress = [];
+
+// Port to the service worker that delivers the current tab's events (see tab-streams.js)
+let tabStreamPort = null;
+// Last event seen on the tab stream, so a reconnect can replay what was missed
+let tabStreamSeq = null;
+let tabStreamId = null;
+
+// Delay before reconnecting after the service worker closes the port
+const TAB_STREAM_RECONNECT_MS = 500;
+
+// What the panel showed for each tab (analyses, modes, scroll position), restored
+// when the tab is activated again
+const tabViews = new Map();
+
 // Initialize
 document.addEventListener("DOMContentLoaded", async () => {
   // Get current tab
   const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
   currentTabId = tab?.id;
+  panelWindowId = tab?.windowId ?? (await chrome.windows.getCurrent()).id;
 
   // Load accessibility preferences
   await loadAccessibilityPreferences();
 
   setupEventListeners();
   setupMessageListeners();
+  setupTabListeners();
+  connectTabStream();
 
   // Check if there's an analysis in progress or existing analysis
   await checkAnalysisStatus();
+  refreshBudgetWarning();
 });
 
+// Share of the monthly budget at which the panel starts warning
+const BUDGET_WARNING_RATIO = 0.8;
+
+// Show a warning when this month's spending is near or over the budget
+async function refreshBudgetWarning() {
+  const banner = document.getElementById("budget-warning");
+  try {
+    const { budget, spent, exceeded } = await chrome.runtime.sendMessage({
+      type: "GET_BUDGET_STATUS",
+    });
+
+    if (!budget || spent < budget * BUDGET_WARNING_RATIO) {
+      banner.classList.add("hidden");
+      return;
+    }
+
+    banner.textContent = exceeded
+      ? `Monthly budget of $${budget.toFixed(2)} reached. New requests are blocked until next month or until you raise the budget in Settings.`
+      : `You've used $${spent.toFixed(2)} of your $${budget.toFixed(2)} monthly budget.`;
+    banner.classList.toggle("exceeded", exceeded);
+    banner.classList.remove("hidden");
+  } catch (error) {
+    console.log("[Side Panel] Could not check budget:", error);
+  }
+}
+
 // Load accessibility preferences from storage
 async function loadAccessibilityPreferences() {
   try {
@@ -40,6 +97,7 @@ async function loadAccessibilityPreferences() {
 
     // If default simplified is enabled, mark the button as active
     if (result.defaultSimplified) {
+      defaultSimplifiedMode = true;
       isSimplifiedMode = true;
       document.getElementById("simplify-btn").classList.add("active");
     }
@@ -53,17 +111,21 @@ async function loadAccessibilityPreferences() {
 
 // Check if analysis is in progress or already complete
 async function checkAnalysisStatus() {
+  const tabId = currentTabId;
   try {
     // First check if analysis is in progress
     const statusResponse = await chrome.runtime.sendMessage({
       type: "GET_ANALYSIS_STATUS",
-      tabId: currentTabId,
+      tabId,
     });
+    // The panel moved on to another tab while waiting
+    if (tabId !== currentTabId) return;
 
     if (statusResponse.inProgress) {
       // Analysis is in progress - show loading state
       showState("loading");
       updateStatus("Analyzing...");
+      isAnalyzing = true;
       return;
     }
 
@@ -72,7 +134,7 @@ async function checkAnalysisStatus() {
       try {
         const urlResponse = await chrome.runtime.sendMessage({
           type: "GET_POLICY_URL",
-          tabId: currentTabId,
+          tabId,
         });
         if (urlResponse.success && urlResponse.url) {
           analyzedPolicyUrl = urlResponse.url;
@@ -80,9 +142,12 @@ async function checkAnalysisStatus() {
       } catch (e) {
         console.log("Could not get policy URL:", e);
       }
+      if (tabId !== currentTabId) return;
 
       // We have existing analysis - display it
-      displayAnalysis(statusResponse.analysis);
+      await showTabAnalysis(statusResponse.analysis);
+      renderPolicyChanges(statusResponse.changes || null);
+      loadConversation(tabId);
       return;
     }
 
@@ -94,18 +159,205 @@ async function checkAnalysisStatus() {
   }
 }
 
+// Show a tab's analysis in the mode (simplified / key points) it was last left in
+async function showTabAnalysis(analysis) {
+  await displayAnalysis(isSimplifiedMode && simplifiedAnalysis ? simplifiedAnalysis : analysis);
+  if (isKeyPointsMode && keyPointsData) {
+    displayKeyPoints(keyPointsData);
+  }
+}
+
+// Show the follow-up questions and answers from a tab's conversation
+// (its first exchange is the analysis itself)
+async function loadConversation(tabId) {
+  try {
+    const { conversation } = await chrome.runtime.sendMessage({
+      type: "GET_CONVERSATION",
+      tabId,
+    });
+    if (tabId !== currentTabId || chatScope !== "tab") return;
+
+    document.getElementById("chat-messages").innerHTML = "";
+    chatStreamingElement = null;
+    setChatStreaming(false);
+    (conversation || []).slice(2).forEach((message) => {
+      const element = addChatMessage(message.content, message.role);
+      if (message.role === "assistant") {
+        renderChatAnswer(element, message);
+      }
+    });
+  } catch (error) {
+    console.log("[Side Panel] Could not load conversation:", error);
+  }
+}
+
+// Follow the active tab of the window this panel is in
+function setupTabListeners() {
+  chrome.tabs.onActivated.addListener(({ tabId, windowId }) => {
+    if (windowId === panelWindowId) {
+      switchToTab(tabId);
+    }
+  });
+
+  // Tabs can change while another window has focus (e.g. one dragged in), so check again on focus
+  chrome.windows.onFocusChanged.addListener(async (windowId) => {
+    if (windowId !== panelWindowId) return;
+    const [tab] = await chrome.tabs.query({ active: true, windowId });
+    if (tab) {
+      switchToTab(tab.id);
+    }
+  });
+
+  chrome.tabs.onRemoved.addListener((tabId) => {
+    tabViews.delete(tabId);
+  });
+}
+
+// Replace the current tab's analysis, chat and modes with another tab's
+async function switchToTab(tabId) {
+  if (!tabId || tabId === currentTabId) return;
+
+  saveTabView();
+  if (isSpeaking) {
+    stopTextToSpeech();
+  }
+
+  currentTabId = tabId;
+  subscribeToTab(tabId);
+  const view = restoreTabView(tabId);
+
+  await checkAnalysisStatus();
+  if (tabId !== currentTabId) return;
+
+  if (view.state === "darkpatterns" && darkPatternsData) {
+    displayDarkPatterns(darkPatternsData);
+  } else if (view.state === "profile") {
+    loadSiteProfile();
+  }
+  document.scrollingElement.scrollTop = view.scrollTop || 0;
+}
+
+// Remember what the panel shows for the current tab
+function saveTabView() {
+  if (!currentTabId) return;
+
+  tabViews.set(currentTabId, {
+    originalAnalysis,
+    simplifiedAnalysis,
+    keyPointsData,
+    darkPatternsData,
+    analyzedPolicyUrl,
+    isSimplifiedMode,
+    isKeyPointsMode,
+    state: currentState,
+    scrollTop: document.scrollingElement.scrollTop,
+    chatDraft: document.getElementById("chat-input").value,
+  });
+}
+
+// Reset the panel to what it last showed for `tabId` (or a fresh "not analyzed yet"
+// state). The analysis itself is then loaded by checkAnalysisStatus.
+function restoreTabView(tabId) {
+  const view = tabViews.get(tabId) || { isSimplifiedMode: defaultSimplifiedMode };
+
+  simplifiedAnalysis = view.simplifiedAnalysis || null;
+  keyPointsData = view.keyPointsData || null;
+  darkPatternsData = view.darkPatternsData || null;
+  analyzedPolicyUrl = view.analyzedPolicyUrl || null;
+  isSimplifiedMode = view.isSimplifiedMode;
+  isKeyPointsMode = view.isKeyPointsMode === true && keyPointsData !== null;
+  // Without a simplified version (the request was still running when the tab was
+  // left), start over from the original so displayAnalysis asks for one again
+  originalAnalysis =
+    isSimplifiedMode && !simplifiedAnalysis ? null : view.originalAnalysis || null;
+
+  const simplifyBtn = document.getElementById("simplify-btn");
+  simplifyBtn.classList.remove("loading");
+  simplifyBtn.classList.toggle("active", isSimplifiedMode);
+  const keypointsBtn = document.getElementById("keypoints-btn");
+  keypointsBtn.classList.remove("loading");
+  keypointsBtn.classList.toggle("active", isKeyPointsMode);
+
+  // Nothing from the previous tab's analysis or chat stays on screen
+  isAnalyzing = false;
+  streamingContent = "";
+  document.getElementById("streaming-preview").textContent = "";
+  resetChunkProgress();
+  document.getElementById("cache-note").classList.add("hidden");
+  renderPolicyChanges(null);
+  document
+    .querySelectorAll("#initial-state .detection-banner, #initial-state .warning-banner")
+    .forEach((banner) => banner.remove());
+
+  if (chatScope === "tab") {
+    document.getElementById("chat-messages").innerHTML = "";
+  }
+  chatStreamingElement = null;
+  setChatStreaming(false);
+  const chatInput = document.getElementById("chat-input");
+  chatInput.value = view.chatDraft || "";
+  document.getElementById("send-btn").disabled = chatInput.value.trim() === "";
+
+  showState("initial");
+  updateStatus("Ready to analyze");
+  return view;
+}
+
 function setupEventListeners() {
   // Analyze button
   document
     .getElementById("analyze-btn")
     .addEventListener("click", startAnalysis);
   document.getElementById("retry-btn").addEventListener("click", startAnalysis);
+  document.getElementById("error-settings-btn").addEventListener("click", () => {
+    chrome.runtime.openOptionsPage();
+  });
+  window.addEventListener("online", () => {
+    if (retryWhenOnline) {
+      retryWhenOnline = false;
+      startAnalysis();
+    }
+  });
+  document.getElementById("reanalyze-btn").addEventListener("click", () => {
+    startAnalysis({ forceRefresh: true });
+  });
+  document.getElementById("heuristic-action-btn").addEventListener("click", () => {
+    if (document.getElementById("heuristic-note").dataset.kind === "preview") {
+      stopAnalysis();
+    } else {
+      chrome.runtime.openOptionsPage();
+    }
+  });
+  document.getElementById("watch-btn").addEventListener("click", toggleWatch);
+  document.getElementById("highlight-all-btn").addEventListener("click", toggleHighlightAll);
+  document.getElementById("profile-btn").addEventListener("click", startSiteProfile);
+  document
+    .getElementById("results-profile-btn")
+    .addEventListener("click", startSiteProfile);
+  document
+    .getElementById("stop-profile-btn")
+    .addEventListener("click", () => {
+      chrome.runtime.sendMessage({ type: "CANCEL_SITE_PROFILE", tabId: currentTabId });
+    });
+  document
+    .getElementById("back-from-profile-btn")
+    .addEventListener("click", () => {
+      showState(originalAnalysis ? "results" : "initial");
+    });
+  document
+    .getElementById("stop-analysis-btn")
+    .addEventListener("click", stopAnalysis);
 
   // Settings button
   document.getElementById("settings-btn").addEventListener("click", () => {
     chrome.runtime.openOptionsPage();
   });
 
+  // History of saved analyses
+  document.getElementById("history-btn").addEventListener("click", () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL("src/history/history.html") });
+  });
+
   // Chat toggle
   document.getElementById("chat-toggle").addEventListener("click", toggleChat);
 
@@ -130,6 +382,10 @@ function setupEventListeners() {
   });
 
   sendBtn.addEventListener("click", sendChatMessage);
+  document.querySelectorAll(".chat-scope-btn").forEach((button) => {
+    button.addEventListener("click", () => setChatScope(button.dataset.scope));
+  });
+  document.getElementById("chat-stop-btn").addEventListener("click", stopChat);
 
   // Collapsible sections
   document.querySelectorAll(".section-toggle").forEach((toggle) => {
@@ -155,10 +411,25 @@ function setupEventListeners() {
   // Accessibility: Text-to-speech
   document.getElementById("tts-btn").addEventListener("click", startTextToSpeech);
   document.getElementById("tts-stop-btn").addEventListener("click", stopTextToSpeech);
+
+  // Privacy score breakdown
+  document.getElementById("score-breakdown-btn").addEventListener("click", () => {
+    document.getElementById("score-breakdown").classList.toggle("hidden");
+  });
+  document.getElementById("score-weights-btn").addEventListener("click", () => {
+    chrome.runtime.openOptionsPage();
+  });
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === "local" && changes.scoreWeights && scoredAnalysis) {
+      updatePrivacyScore(scoredAnalysis);
+    }
+  });
 }
 
+// Messages broadcast to every extension page: detection notifications from the
+// service worker and reports sent straight from content scripts
 function setupMessageListeners() {
-  chrome.runtime.onMessage.addListener((message) => {
+  chrome.runtime.onMessage.addListener((message, sender) => {
     // Handle notifications that don't need tab ID matching
     if (message.type === "POLICY_DETECTED_NOTIFICATION") {
       handlePolicyDetectedNotification(message);
@@ -170,75 +441,191 @@ function setupMessageListeners() {
       return;
     }
 
-    if (message.tabId && message.tabId !== currentTabId) return;
+    // Reports from pages other than the one being shown
+    if (sender.tab && sender.tab.id !== currentTabId) return;
 
     switch (message.type) {
-      case "ANALYSIS_STARTED":
-        // Analysis is starting - show loading state immediately
-        showState("loading");
-        streamingContent = "";
-        document.getElementById("streaming-preview").textContent = "";
-        updateStatus("Analyzing...");
-        isAnalyzing = true;
-        // Track the URL being analyzed (could be external policy URL)
-        if (message.url) {
-          analyzedPolicyUrl = message.url;
-        }
-        break;
-      case "STREAM_CHUNK":
-        // If we receive chunks but aren't in loading state, switch to it
-        if (!isAnalyzing) {
-          showState("loading");
-          streamingContent = "";
-          isAnalyzing = true;
-        }
-        handleStreamChunk(message.content);
-        break;
-      case "STREAM_COMPLETE":
-        handleStreamComplete(message.fullResponse);
-        break;
-      case "ANALYSIS_ERROR":
-        handleError(message.error);
-        break;
-      case "CHAT_CHUNK":
-        handleChatChunk(message.content);
-        break;
-      case "CHAT_COMPLETE":
-        handleChatComplete(message.fullResponse);
-        break;
-      case "SIMPLIFY_COMPLETE":
-        handleSimplifyComplete(message.simplifiedAnalysis);
-        break;
-      case "SIMPLIFY_ERROR":
-        handleSimplifyError(message.error);
-        break;
-      case "KEYPOINTS_COMPLETE":
-        handleKeyPointsComplete(message.keyPoints);
-        break;
-      case "KEYPOINTS_ERROR":
-        handleKeyPointsError(message.error);
-        break;
       case "SHOW_DARK_PATTERNS":
+        darkPatternsData = message.patterns;
         displayDarkPatterns(message.patterns);
         break;
       case "COOKIE_POPUP_DETECTED":
         handleCookiePopupDetected(message);
         break;
-      case "EXTERNAL_POLICY_LOADING":
-        handleExternalPolicyLoading(message);
+      case "ANCHOR_STATUS":
+        updateAnchorStatuses(message.anchors);
         break;
     }
   });
 }
 
+// Connect to the service worker's tab stream and subscribe to the current tab.
+// The port closes whenever the worker is stopped; reconnecting resumes from the
+// last event seen.
+function connectTabStream() {
+  tabStreamPort = chrome.runtime.connect({ name: "tab-stream" });
+  tabStreamPort.onMessage.addListener(handleTabStreamMessage);
+  tabStreamPort.onDisconnect.addListener(() => {
+    tabStreamPort = null;
+    setTimeout(connectTabStream, TAB_STREAM_RECONNECT_MS);
+  });
+  subscribeToTab(currentTabId, { resume: true });
+}
+
+// Receive events for `tabId` only, replacing any earlier subscription.
+// With `resume`, events published since the last one seen are replayed.
+function subscribeToTab(tabId, { resume = false } = {}) {
+  if (!resume) {
+    tabStreamSeq = null;
+    tabStreamId = null;
+  }
+  if (!tabStreamPort) return;
+
+  if (!tabId) {
+    tabStreamPort.postMessage({ type: "UNSUBSCRIBE" });
+    return;
+  }
+  tabStreamPort.postMessage({
+    type: "SUBSCRIBE",
+    tabId,
+    lastSeq: tabStreamSeq,
+    streamId: tabStreamId,
+  });
+}
+
+function handleTabStreamMessage(message) {
+  if (message.tabId !== currentTabId) return;
+
+  switch (message.type) {
+    case "SUBSCRIBED":
+      if (tabStreamSeq === null) {
+        tabStreamSeq = message.seq;
+        tabStreamId = message.streamId;
+      }
+      return;
+    case "RESYNC":
+      // Missed events can't be replayed (the service worker restarted), so reload the tab's state
+      tabStreamSeq = message.seq;
+      tabStreamId = message.streamId;
+      checkAnalysisStatus();
+      return;
+  }
+
+  // Already handled before a reconnect
+  if (message.seq <= tabStreamSeq) return;
+  tabStreamSeq = message.seq;
+  handleTabEvent(message);
+}
+
+// Handle an event published by the service worker for the current tab
+function handleTabEvent(message) {
+  // Spending changes after each call finishes (or is refused)
+  if (/_(COMPLETE|ERROR)$/.test(message.type)) {
+    refreshBudgetWarning();
+  }
+
+  switch (message.type) {
+    case "ANALYSIS_STARTED":
+      // Analysis is starting - show loading state immediately
+      showState("loading");
+      originalAnalysis = null;
+      simplifiedAnalysis = null;
+      keyPointsData = null;
+      streamingContent = "";
+      document.getElementById("streaming-preview").textContent = "";
+      resetChunkProgress();
+      updateStatus("Analyzing...");
+      isAnalyzing = true;
+      // Track the URL being analyzed (could be external policy URL)
+      if (message.url) {
+        analyzedPolicyUrl = message.url;
+      }
+      break;
+    case "STREAM_CHUNK":
+      // If we receive chunks but aren't in loading state, switch to it
+      if (!isAnalyzing) {
+        showState("loading");
+        streamingContent = "";
+        isAnalyzing = true;
+      }
+      handleStreamChunk(message.content);
+      break;
+    case "ANALYSIS_PROGRESS":
+      handleAnalysisProgress(message);
+      break;
+    case "HEURISTIC_PREVIEW":
+      handleHeuristicPreview(message.analysis);
+      break;
+    case "STREAM_COMPLETE":
+      handleStreamComplete(message.fullResponse, message);
+      break;
+    case "POLICY_CHANGE_DETECTED":
+      handlePolicyChangeDetected(message);
+      break;
+    case "ANALYSIS_ERROR":
+      handleError(message.error, message.errorCategory);
+      break;
+    case "STREAM_RESET":
+      streamingContent = "";
+      document.getElementById("streaming-preview").textContent = "";
+      break;
+    case "ANALYSIS_CANCELLED":
+      handleAnalysisCancelled(message);
+      break;
+    case "CHAT_CHUNK":
+      handleChatChunk(message.content);
+      break;
+    case "CHAT_COMPLETE":
+      handleChatComplete(message);
+      break;
+    case "CHAT_ERROR":
+      handleChatError(message.error, message.errorCategory);
+      break;
+    case "CHAT_RESET":
+      if (chatStreamingElement) chatStreamingElement.textContent = "";
+      break;
+    case "CHAT_CANCELLED":
+      handleChatCancelled(message);
+      break;
+    case "SIMPLIFY_COMPLETE":
+      handleSimplifyComplete(message.simplifiedAnalysis);
+      break;
+    case "SIMPLIFY_ERROR":
+      handleSimplifyError(message.error);
+      break;
+    case "KEYPOINTS_COMPLETE":
+      handleKeyPointsComplete(message.keyPoints);
+      break;
+    case "KEYPOINTS_ERROR":
+      handleKeyPointsError(message.error);
+      break;
+    case "EXTERNAL_POLICY_LOADING":
+      handleExternalPolicyLoading(message);
+      break;
+    case "SITE_PROFILE_STARTED":
+      handleSiteProfileStarted(message);
+      break;
+    case "SITE_PROFILE_PROGRESS":
+      handleSiteProfileProgress(message);
+      break;
+    case "SITE_PROFILE_COMPLETE":
+      displaySiteProfile(message.profile);
+      break;
+    case "SITE_PROFILE_ERROR":
+      showSiteProfileNote(`Couldn't build the profile: ${message.error}`);
+      break;
+    case "SITE_PROFILE_CANCELLED":
+      showSiteProfileNote("Stopped building the profile.");
+      break;
+  }
+}
+
 // Handle policy detection notification - show a prompt to analyze
 function handlePolicyDetectedNotification(message) {
   console.log("[Side Panel] Policy detected notification:", message);
 
-  // Update the current tab ID if needed
-  if (message.tabId) {
-    currentTabId = message.tabId;
-  }
+  // The panel follows the active tab; detections on other tabs wait until they're shown
+  if (message.tabId && message.tabId !== currentTabId) return;
 
   // Update the initial state to show we detected a policy
   const initialState = document.getElementById("initial-state");
@@ -272,10 +659,8 @@ function handlePolicyDetectedNotification(message) {
 function handlePolicyAgreementNotification(message) {
   console.log("[Side Panel] Policy agreement notification:", message);
 
-  // Update the current tab ID if needed
-  if (message.tabId) {
-    currentTabId = message.tabId;
-  }
+  // The panel follows the active tab; detections on other tabs wait until they're shown
+  if (message.tabId && message.tabId !== currentTabId) return;
 
   // Show a prominent warning in the side panel
   const initialState = document.getElementById("initial-state");
@@ -301,11 +686,13 @@ function handlePolicyAgreementNotification(message) {
 }
 
 async function checkExistingAnalysis() {
+  const tabId = currentTabId;
   try {
     const response = await chrome.runtime.sendMessage({
       type: "GET_ANALYSIS",
-      tabId: currentTabId,
+      tabId,
     });
+    if (tabId !== currentTabId) return;
 
     if (response.success && response.analysis) {
       // Also get the policy URL that was analyzed
@@ -328,13 +715,21 @@ async function checkExistingAnalysis() {
   }
 }
 
-async function startAnalysis() {
+// Pass { forceRefresh: true } to skip the analysis cache
+async function startAnalysis(options = {}) {
   if (isAnalyzing) return;
   isAnalyzing = true;
+  retryWhenOnline = false;
+
+  // A fresh analysis replaces any simplified / key points versions
+  originalAnalysis = null;
+  simplifiedAnalysis = null;
+  keyPointsData = null;
 
   showState("loading");
   streamingContent = "";
   document.getElementById("streaming-preview").textContent = "";
+  resetChunkProgress();
   updateStatus("Analyzing privacy policy...");
 
   // Get the current tab URL as the policy URL (for regular analysis)
@@ -349,6 +744,7 @@ async function startAnalysis() {
     await chrome.runtime.sendMessage({
       type: "ANALYZE_POLICY",
       tabId: currentTabId,
+      forceRefresh: options.forceRefresh === true,
     });
   } catch (error) {
     handleError(error.message);
@@ -366,9 +762,66 @@ function handleStreamChunk(content) {
   updateStatus("Analyzing privacy policy...");
 }
 
-function handleStreamComplete(fullResponse) {
+function resetChunkProgress() {
+  chunkProgress = [];
+  const list = document.getElementById("chunk-progress");
+  list.innerHTML = "";
+  list.classList.add("hidden");
+}
+
+// Show per-chunk progress while a long policy is analyzed in parts
+function handleAnalysisProgress(message) {
+  if (message.chunks) {
+    chunkProgress = message.chunks.map((chunk) => ({
+      ...chunk,
+      status: "pending",
+    }));
+  }
+
+  if (message.chunkIndex !== undefined && chunkProgress[message.chunkIndex]) {
+    chunkProgress[message.chunkIndex].status = message.chunkStatus;
+  }
+
+  const statusIcons = { pending: "○", running: "…", done: "✓", failed: "✗" };
+  const list = document.getElementById("chunk-progress");
+  list.classList.toggle("hidden", chunkProgress.length === 0);
+  list.innerHTML = chunkProgress
+    .map(
+      (chunk) => `
+      <li class="${chunk.status}">
+        <span class="chunk-status">${statusIcons[chunk.status]}</span>
+        <span>Part ${chunk.index + 1}${
+          chunk.heading ? ` – ${escapeHtml(chunk.heading)}` : ""
+        }</span>
+      </li>
+    `
+    )
+    .join("");
+
+  const subtitle = document.querySelector("#loading-state .loading-subtitle");
+  if (message.phase === "verify") {
+    subtitle.textContent = "Checking quotes against the policy...";
+    updateStatus("Checking quotes...");
+  } else if (message.phase === "reduce") {
+    subtitle.textContent = "Combining results...";
+    updateStatus("Combining results...");
+  } else {
+    subtitle.textContent = `Long policy: analyzed ${message.completedChunks} of ${message.totalChunks} parts`;
+    updateStatus(`Analyzing part ${message.completedChunks + 1} of ${message.totalChunks}...`);
+  }
+}
+
+function handleStreamComplete(fullResponse, details = {}) {
   isAnalyzing = false;
-  updateStatus("Analysis complete!");
+  updateStatus(details.fromCache ? "Loaded saved analysis" : "Analysis complete!");
+  updateCacheNote(details);
+  renderPolicyChanges(details.changes || null);
+
+  // Prefer the service worker's parsed (and quote-checked) analysis
+  if (details.analysis) {
+    displayAnalysis(details.analysis);
+    return;
+  }
 
   try {
     // Extract JSON from response
@@ -386,8 +839,12 @@ function handleStreamComplete(fullResponse) {
   }
 }
 
-async function displayAnalysis(analysis) {
+// Show an analysis. A `preview` (the heuristic analysis sent while the model
+// is still working) is only shown, never kept as the tab's analysis.
+async function displayAnalysis(analysis, { preview = false } = {}) {
   showState("results");
+  updateWatchButton();
+  updateHeuristicNote(analysis, preview);
 
   // Check if we need to mark quotes as external links
   let isExternalPolicy = false;
@@ -401,13 +858,14 @@ async function displayAnalysis(analysis) {
   }
 
   // Store the original analysis for toggling
-  if (!simplifiedAnalysis || analysis !== simplifiedAnalysis) {
+  if (!preview && (!simplifiedAnalysis || analysis !== simplifiedAnalysis)) {
     // This is the original analysis
     if (!originalAnalysis) {
       originalAnalysis = analysis;
 
       // If default simplified mode is on and we haven't fetched simplified yet, request it
-      if (isSimplifiedMode && !simplifiedAnalysis) {
+      // (heuristic analyses are shown because the model can't be reached)
+      if (isSimplifiedMode && !simplifiedAnalysis && analysis.source !== "heuristic") {
         // Auto-request simplified version
         const simplifyBtn = document.getElementById("simplify-btn");
         simplifyBtn.classList.add("loading");
@@ -426,6 +884,8 @@ async function displayAnalysis(analysis) {
   // Helper to get quote class
   const quoteClass = isExternalPolicy ? "external-link" : "";
 
+  shownSections = new Map((analysis.sections || []).map((section) => [section.id, section]));
+
   // Overall rating
   const ratingBadge = document.getElementById("rating-badge");
   const rating = (analysis.overallRating || "MODERATE").toLowerCase();
@@ -433,6 +893,25 @@ async function displayAnalysis(analysis) {
   ratingBadge.className = "rating-badge " + rating;
   document.getElementById("rating-explanation").textContent =
     analysis.ratingExplanation || "";
+  updatePrivacyScore(originalAnalysis || analysis);
+
+  // Note when a long policy was analyzed in parts
+  const chunkingNote = document.getElementById("chunking-note");
+  if (analysis.chunking && analysis.chunking.totalChunks > 1) {
+    const { totalChunks, failedChunks = [] } = analysis.chunking;
+    chunkingNote.textContent =
+      `Long policy analyzed in ${totalChunks} parts.` +
+      (failedChunks.length
+        ? ` ${failedChunks.length} part(s) could not be analyzed.`
+        : "");
+    chunkingNote.classList.remove("hidden");
+  } else if (analysis.partial) {
+    chunkingNote.textContent =
+      "The analysis was stopped early, so these results are incomplete.";
+    chunkingNote.classList.remove("hidden");
+  } else {
+    chunkingNote.classList.add("hidden");
+  }
 
   // Summary
   document.getElementById("summary-content").innerHTML = `<p>${escapeHtml(
@@ -458,10 +937,12 @@ async function displayAnalysis(analysis) {
         ${
           risk.quote
             ? `<div class="risk-quote ${quoteClass}" data-quote="${escapeHtml(
-                risk.quote
-              )}">"${escapeHtml(risk.quote)}"</div>`
+                getHighlightText(risk)
+              )}">"${escapeHtml(risk.quote)}"</div>${renderQuoteCheck(risk)}`
             : ""
         }
+        ${renderSectionRef(risk)}
+        ${renderSourceChunks(risk)}
       </div>
     `
       )
@@ -491,10 +972,12 @@ async function displayAnalysis(analysis) {
         ${
           item.quote
             ? `<div class="data-quote ${quoteClass}" data-quote="${escapeHtml(
-                item.quote
-              )}">"${escapeHtml(item.quote)}"</div>`
+                getHighlightText(item)
+              )}">"${escapeHtml(item.quote)}"</div>${renderQuoteCheck(item)}`
             : ""
         }
+        ${renderSectionRef(item)}
+        ${renderSourceChunks(item)}
       </div>
     `
       )
@@ -522,10 +1005,12 @@ async function displayAnalysis(analysis) {
         ${
           item.quote
             ? `<div class="data-quote ${quoteClass}" data-quote="${escapeHtml(
-                item.quote
-              )}">"${escapeHtml(item.quote)}"</div>`
+                getHighlightText(item)
+              )}">"${escapeHtml(item.quote)}"</div>${renderQuoteCheck(item)}`
             : ""
         }
+        ${renderSectionRef(item)}
+        ${renderSourceChunks(item)}
       </div>
     `
       )
@@ -552,10 +1037,12 @@ async function displayAnalysis(analysis) {
         ${
           item.quote
             ? `<div class="data-quote ${quoteClass}" data-quote="${escapeHtml(
-                item.quote
-              )}">"${escapeHtml(item.quote)}"</div>`
+                getHighlightText(item)
+              )}">"${escapeHtml(item.quote)}"</div>${renderQuoteCheck(item)}`
             : ""
         }
+        ${renderSectionRef(item)}
+        ${renderSourceChunks(item)}
       </div>
     `
       )
@@ -569,110 +1056,919 @@ async function displayAnalysis(analysis) {
   } else {
     userRightsContent.innerHTML = "<p>No user rights information found.</p>";
   }
-}
-
-function displayRawResponse(response) {
-  showState("results");
 
-  document.getElementById("rating-card").style.display = "none";
-  document.getElementById("summary-content").innerHTML = `<p>${escapeHtml(
-    response
-  )}</p>`;
+  renderDocumentTypeSections(analysis, quoteClass);
 
-  // Hide other sections
-  document.querySelectorAll(".result-section").forEach((section, index) => {
-    if (index > 0) section.style.display = "none";
+  document.querySelectorAll("#results-state .section-ref").forEach((button) => {
+    button.addEventListener("click", () => jumpToSection(button.dataset.sectionId));
   });
-}
-
-function handleError(errorMessage) {
-  isAnalyzing = false;
-  showState("error");
-  document.getElementById("error-message").textContent = errorMessage;
-  updateStatus("Error");
-}
 
-function showState(state) {
-  document
-    .getElementById("initial-state")
-    .classList.toggle("hidden", state !== "initial");
-  document
-    .getElementById("loading-state")
-    .classList.toggle("hidden", state !== "loading");
-  document
-    .getElementById("results-state")
-    .classList.toggle("hidden", state !== "results");
-  document
-    .getElementById("keypoints-state")
-    .classList.toggle("hidden", state !== "keypoints");
-  document
-    .getElementById("darkpatterns-state")
-    .classList.toggle("hidden", state !== "darkpatterns");
-  document
-    .getElementById("error-state")
-    .classList.toggle("hidden", state !== "error");
+  // Quotes can only be found on the page when the analyzed page is the one open
+  const onPage = !preview && !isExternalPolicy && analysis.sourceFormat !== "pdf";
+  if (!onPage) {
+    anchorStatuses.clear();
+  } else if (analysis === originalAnalysis || anchorStatuses.size === 0) {
+    allQuotesHighlighted = false;
+    attachQuoteAnchors(analysis);
+  } else {
+    updateAnchorStatuses([]);
+  }
+  document.getElementById("highlight-all-item").classList.toggle("hidden", !onPage);
+  updateHighlightAllButton();
 }
 
-function updateStatus(text) {
-  document.getElementById("status-text").textContent = text;
+// The analyzed policy's URL and title, for watching it
+async function getWatchTarget() {
+  const tab = await chrome.tabs.get(currentTabId);
+  const url = analyzedPolicyUrl || tab.url;
+  return { url, title: urlsMatch(url, tab.url) ? tab.title : null };
 }
 
-function toggleChat() {
-  const container = document.getElementById("chat-container");
-  const toggle = document.getElementById("chat-toggle");
-
-  container.classList.toggle("collapsed");
-  toggle.classList.toggle("active");
+// Show whether the analyzed policy is checked for changes in the background
+async function updateWatchButton() {
+  const tabId = currentTabId;
+  const button = document.getElementById("watch-btn");
+  try {
+    const { url } = await getWatchTarget();
+    const response = await chrome.runtime.sendMessage({ type: "GET_WATCH_STATUS", url });
+    if (tabId !== currentTabId) return;
+
+    button.dataset.watched = response.watched ? "true" : "false";
+    button.textContent = response.watched
+      ? "Watching for changes (stop)"
+      : "Watch for changes";
+  } catch (error) {
+    console.log("[Side Panel] Could not get watch status:", error);
+  }
 }
 
-let chatStreamingElement = null;
-
-async function sendChatMessage() {
-  const input = document.getElementById("chat-input");
-  const message = input.value.trim();
-
-  if (!message) return;
-
-  // Add user message to chat
-  addChatMessage(message, "user");
-  input.value = "";
-  input.style.height = "auto";
-  document.getElementById("send-btn").disabled = true;
-
-  // Create streaming assistant message
-  chatStreamingElement = addChatMessage("", "assistant", true);
+async function toggleWatch() {
+  const button = document.getElementById("watch-btn");
+  const watched = button.dataset.watched === "true";
+  button.disabled = true;
+  if (!watched) {
+    button.textContent = "Fetching the policy...";
+  }
 
   try {
-    await chrome.runtime.sendMessage({
-      type: "CHAT_MESSAGE",
-      tabId: currentTabId,
-      userMessage: message,
-    });
+    const { url, title } = await getWatchTarget();
+    const response = await chrome.runtime.sendMessage(
+      watched ? { type: "UNWATCH_POLICY", url } : { type: "WATCH_POLICY", url, title }
+    );
+    if (!response.success) throw new Error(response.error);
+    updateStatus(watched ? "Stopped watching this policy" : "You'll be notified when this policy changes");
   } catch (error) {
-    chatStreamingElement.textContent = "Error: " + error.message;
-    chatStreamingElement.classList.remove("streaming");
-    chatStreamingElement = null;
+    console.error("[Side Panel] Could not change watch status:", error);
+    updateStatus(`Couldn't watch this policy: ${error.message}`);
+  } finally {
+    button.disabled = false;
+    updateWatchButton();
   }
 }
 
-function handleChatChunk(content) {
-  if (chatStreamingElement) {
-    chatStreamingElement.textContent += content;
-    scrollChatToBottom();
+// Show when the displayed analysis came from the cache
+function updateCacheNote({ fromCache, cachedAt }) {
+  const note = document.getElementById("cache-note");
+  if (fromCache) {
+    const date = cachedAt ? new Date(cachedAt).toLocaleDateString() : "earlier";
+    document.getElementById("cache-note-text").textContent =
+      `Saved analysis from ${date}. The policy text hasn't changed since.`;
+    note.classList.remove("hidden");
+  } else {
+    note.classList.add("hidden");
   }
 }
 
-function handleChatComplete() {
-  if (chatStreamingElement) {
-    chatStreamingElement.classList.remove("streaming");
-    chatStreamingElement = null;
-  }
+// What the note on a heuristic analysis says, and what its button does
+const HEURISTIC_NOTES = {
+  preview: {
+    text: "Heuristic preview from common phrases. The AI analysis is still running.",
+    action: "Stop",
+  },
+  no_provider: {
+    text: "Heuristic analysis from common phrases, without AI. Set up an AI provider for a full analysis.",
+    action: "Open Settings",
+  },
+  offline: {
+    text: "Heuristic analysis from common phrases, because you're offline. It will be analyzed again when you're back online.",
+    action: null,
+  },
+};
+
+function updateHeuristicNote(analysis, preview) {
+  const note = document.getElementById("heuristic-note");
+  const kind = preview ? "preview" : analysis.source === "heuristic" ? analysis.offlineReason || "no_provider" : null;
+  note.classList.toggle("hidden", !kind);
+  if (!kind) return;
+
+  note.dataset.kind = kind;
+  document.getElementById("heuristic-note-text").textContent = HEURISTIC_NOTES[kind].text;
+  const action = document.getElementById("heuristic-action-btn");
+  action.textContent = HEURISTIC_NOTES[kind].action || "";
+  action.classList.toggle("hidden", !HEURISTIC_NOTES[kind].action);
+
+  // The "online" listener runs the analysis again
+  if (kind === "offline") retryWhenOnline = true;
 }
 
-function addChatMessage(content, role, isStreaming = false) {
-  const messagesContainer = document.getElementById("chat-messages");
-  const messageEl = document.createElement("div");
-  messageEl.className = `chat-message ${role}${
+// The heuristic analysis arrives before the model's; show it until that replaces it
+function handleHeuristicPreview(analysis) {
+  if (!isAnalyzing) return;
+  updateCacheNote({});
+  renderPolicyChanges(null);
+  displayAnalysis(analysis, { preview: true });
+  updateStatus("Showing a quick preview while the AI analysis runs...");
+}
+
+// The policy changed since it was last analyzed; the comparison arrives with the analysis
+function handlePolicyChangeDetected(message) {
+  const date = new Date(message.previousAnalyzedAt).toLocaleDateString();
+  updateStatus(
+    message.changedSections > 0
+      ? `Policy changed since ${date}, comparing versions...`
+      : `Policy reformatted since ${date}`
+  );
+}
+
+// Labels for the lists in the "What changed" view
+const CHANGE_LISTS = [
+  { key: "addedDataTypes", label: "Now collected", name: (item) => item.type },
+  { key: "removedDataTypes", label: "No longer collected", name: (item) => item.type, removed: true },
+  { key: "newRecipients", label: "Now shared with", name: (item) => item.recipient },
+  { key: "removedRecipients", label: "No longer shared with", name: (item) => item.recipient, removed: true },
+];
+
+// Show how the policy differs from the version analyzed before (hidden when
+// there was no earlier version)
+function renderPolicyChanges(changes) {
+  const section = document.getElementById("changes-section");
+  section.classList.toggle("hidden", !changes);
+  if (!changes) return;
+
+  const content = document.getElementById("changes-content");
+  const previousDate = new Date(changes.previousAnalyzedAt).toLocaleDateString();
+  const dated = changes.previousLastUpdated?.text
+    ? ` (then dated ${escapeHtml(changes.previousLastUpdated.text)})`
+    : "";
+  let html = `<p class="changes-intro">Compared with the version you analyzed on ${previousDate}${dated}.</p>`;
+
+  if (changes.changedSections === 0) {
+    content.innerHTML =
+      html + "<p>Only dates or formatting changed. The policy's wording is the same.</p>";
+    return;
+  }
+
+  const report = changes.report;
+  if (report) {
+    html += `<p class="changes-summary">${escapeHtml(report.summary)}</p>`;
+
+    html += (report.riskChanges || [])
+      .map(
+        (risk) => `
+      <div class="change-item">
+        <div class="risk-header">
+          <span class="change-direction ${risk.direction === "BETTER" ? "better" : "worse"}">${
+          risk.direction === "BETTER" ? "Better" : "Worse"
+        }</span>
+          <span class="risk-level ${(risk.level || "medium").toLowerCase()}">${risk.level || "MEDIUM"}</span>
+          <span class="risk-title">${escapeHtml(risk.title)}</span>
+        </div>
+        <p class="risk-description">${escapeHtml(risk.description)}</p>
+        ${renderChangeQuotes(risk.oldQuote, risk.newQuote)}
+      </div>
+    `
+      )
+      .join("");
+
+    for (const list of CHANGE_LISTS) {
+      const items = report[list.key] || [];
+      if (items.length === 0) continue;
+      html += `
+        <div class="change-list">
+          <div class="change-list-label">${list.label}</div>
+          ${items
+            .map(
+              (item) => `
+            <div class="change-list-item">
+              <span class="data-type">${escapeHtml(list.name(item))}</span>
+              ${item.purpose ? `<span class="data-description"> – ${escapeHtml(item.purpose)}</span>` : ""}
+              ${
+                item.quote
+                  ? list.removed
+                    ? `<div class="change-quote removed">"${escapeHtml(item.quote)}"</div>`
+                    : `<div class="change-quote added clickable-quote" data-quote="${escapeHtml(item.quote)}">"${escapeHtml(item.quote)}"</div>`
+                  : ""
+              }
+            </div>
+          `
+            )
+            .join("")}
+        </div>
+      `;
+    }
+  } else if (changes.error) {
+    html += `<p class="changes-summary">Couldn't summarize the changes (${escapeHtml(
+      changes.error
+    )}). The changed text is below.</p>`;
+  }
+
+  html += `
+    <details class="changed-sections">
+      <summary>Changed sections (${changes.changedSections} of ${
+    changes.changedSections + changes.unchangedSections
+  })</summary>
+      ${changes.sections
+        .map(
+          (changed) => `
+        <div class="changed-section">
+          <div class="changed-section-heading">${escapeHtml(changed.heading || "Introduction")}${
+            changed.status === "modified" ? "" : ` <span class="changed-section-status">${changed.status}</span>`
+          }</div>
+          ${changed.removed.map((sentence) => `<del>${escapeHtml(sentence)}</del>`).join("")}
+          ${changed.added.map((sentence) => `<ins>${escapeHtml(sentence)}</ins>`).join("")}
+        </div>
+      `
+        )
+        .join("")}
+    </details>
+  `;
+
+  content.innerHTML = html;
+  content.querySelectorAll(".change-quote.clickable-quote").forEach((quote) => {
+    quote.addEventListener("click", () => highlightQuote(quote.dataset.quote));
+  });
+}
+
+// The old and new wording of a changed clause side by side. Only the new
+// wording is on the page, so only it can be highlighted.
+function renderChangeQuotes(oldQuote, newQuote) {
+  return `
+    <div class="change-quotes">
+      <div class="change-quote removed">
+        <div class="change-quote-label">Before</div>
+        ${oldQuote ? `"${escapeHtml(oldQuote)}"` : "<em>Not in the old version</em>"}
+      </div>
+      <div class="change-quote added${newQuote ? " clickable-quote" : ""}"${
+        newQuote ? ` data-quote="${escapeHtml(newQuote)}"` : ""
+      }>
+        <div class="change-quote-label">After</div>
+        ${newQuote ? `"${escapeHtml(newQuote)}"` : "<em>No longer in the policy</em>"}
+      </div>
+    </div>
+  `;
+}
+
+// Text to search for when highlighting a quote: the matching document text
+// when the model's quote was only an approximate match
+function getHighlightText(item) {
+  return item.quoteCheck?.matchedText || item.quote;
+}
+
+// Show whether a quote was found in the policy text
+function renderQuoteCheck(item) {
+  const check = item.quoteCheck;
+  if (!check) return "";
+
+  const labels = {
+    verified: "✓ Verified",
+    approximate: `≈ Approximate (${Math.round(check.score * 100)}% match)`,
+    not_found: "✗ Not found in document",
+  };
+  const label = labels[check.status];
+  if (!label) return "";
+
+  const title =
+    check.status === "not_found"
+      ? "This quote could not be found in the policy text and may be inaccurate."
+      : item.page
+        ? `Found on page ${item.page} of the PDF.`
+        : `Found at character ${check.offset} of the policy text.`;
+
+  return `<span class="quote-check ${check.status.replace("_", "-")}" title="${escapeHtml(
+    title
+  )}">${label}${item.page ? ` · Page ${item.page}` : ""}</span>${renderAnchorStatus(item)}`;
+}
+
+// How surely each quote anchor was found on the page, by anchor ID ({ confidence, method })
+const anchorStatuses = new Map();
+
+// Confidence at or above these gets the band's label
+const ANCHOR_BANDS = [
+  { min: 0.9, className: "high", label: "On page" },
+  { min: 0.6, className: "medium", label: "Probably on page" },
+  { min: 0.01, className: "low", label: "Location uncertain" },
+  { min: 0, className: "none", label: "Not found on page" },
+];
+
+// Placeholder for where a quote was found on the page, filled in once the
+// content script reports (see updateAnchorStatuses)
+function renderAnchorStatus(item) {
+  if (!item.anchor) return "";
+  return `<span class="anchor-status hidden" data-anchor-id="${escapeHtml(item.anchor.id)}"></span>`;
+}
+
+// Ask the page to find every quote of the analysis, so each shows how surely it can be highlighted
+async function attachQuoteAnchors(analysis) {
+  const anchors = new Map();
+  for (const item of QUOTED_LISTS.flatMap((listName) => analysis[listName] || [])) {
+    if (item.anchor) anchors.set(item.anchor.id, item.anchor);
+  }
+  anchorStatuses.clear();
+  if (anchors.size === 0) return;
+
+  try {
+    const response = await chrome.tabs.sendMessage(currentTabId, {
+      type: "ATTACH_ANCHORS",
+      anchors: Array.from(anchors.values()),
+    });
+    if (response?.success) updateAnchorStatuses(response.anchors);
+  } catch (error) {
+    console.log("Could not attach quote anchors:", error.message);
+  }
+}
+
+// Whether the page shows every anchored quote highlighted (see toggleHighlightAll)
+let allQuotesHighlighted = false;
+
+// Highlight every quote of the analysis on the page at once, each in the color
+// of its finding's risk level, or clear them again
+async function toggleHighlightAll() {
+  const highlight = !allQuotesHighlighted;
+  const findings = QUOTED_LISTS.flatMap((listName) => originalAnalysis?.[listName] || [])
+    .filter((item) => item.anchor)
+    .map((item) => ({ anchor: item.anchor, level: item.level || null }));
+
+  try {
+    const response = await chrome.tabs.sendMessage(
+      currentTabId,
+      highlight ? { type: "HIGHLIGHT_FINDINGS", findings } : { type: "CLEAR_HIGHLIGHTS" }
+    );
+    allQuotesHighlighted = highlight && response?.shown > 0;
+    if (highlight) {
+      updateStatus(
+        response?.shown > 0
+          ? `Highlighted ${response.shown} of ${findings.length} quotes on the page`
+          : "None of the quotes could be found on the page"
+      );
+    }
+  } catch (error) {
+    console.log("Could not highlight the quotes:", error.message);
+    allQuotesHighlighted = false;
+  }
+  updateHighlightAllButton();
+}
+
+function updateHighlightAllButton() {
+  document.getElementById("highlight-all-btn").textContent = allQuotesHighlighted
+    ? "Clear highlights"
+    : "Highlight all quotes";
+}
+
+// Show the page's latest confidence for each anchor ([{ id, confidence, method }])
+function updateAnchorStatuses(statuses) {
+  for (const status of statuses) {
+    anchorStatuses.set(status.id, status);
+  }
+
+  document.querySelectorAll(".anchor-status").forEach((element) => {
+    const status = anchorStatuses.get(element.dataset.anchorId);
+    if (!status) return;
+    const band = ANCHOR_BANDS.find(({ min }) => status.confidence >= min);
+    element.className = `anchor-status ${band.className}`;
+    element.textContent =
+      status.confidence > 0 ? `${band.label} · ${Math.round(status.confidence * 100)}%` : band.label;
+    element.title =
+      status.method === "approximate"
+        ? "The page's wording differs a little from the analyzed text; this is the closest passage."
+        : status.confidence > 0
+          ? "How sure the extension is that it will highlight the right passage."
+          : "This quote couldn't be found on the page as it is now.";
+  });
+}
+
+// Label which parts of a long policy a finding came from
+function renderSourceChunks(item) {
+  if (!item.sourceChunks || item.sourceChunks.length === 0) return "";
+  const parts = item.sourceChunks
+    .slice()
+    .sort((a, b) => a - b)
+    .map((index) => index + 1)
+    .join(", ");
+  return `<span class="source-chunks">From part${
+    item.sourceChunks.length > 1 ? "s" : ""
+  } ${parts}</span>`;
+}
+
+// Sections of the analysis being shown, by ID, for labeling the section each finding cites
+let shownSections = new Map();
+
+// "Section 4.2 – Sharing with partners", or the heading alone when it has no number
+function sectionLabel(section) {
+  if (!section.title) return "Introduction";
+  return section.number ? `Section ${section.number} – ${section.title}` : section.title;
+}
+
+// Link to the section a finding's quote is from
+function renderSectionRef(item) {
+  const section = item.sectionId && shownSections.get(item.sectionId);
+  if (!section) return "";
+  return `<button class="section-ref" data-section-id="${escapeHtml(
+    section.id
+  )}" title="Jump to this section">${escapeHtml(sectionLabel(section))}</button>`;
+}
+
+// Scroll the policy to a section: on the page itself when it's open, otherwise
+// by opening the policy (at the heading's anchor when it has one)
+async function jumpToSection(sectionId) {
+  const section = shownSections.get(sectionId);
+  if (!section) return;
+  const heading = section.heading || "";
+
+  try {
+    if (originalAnalysis?.sourceFormat === "pdf" && analyzedPolicyUrl) {
+      await chrome.runtime.sendMessage({
+        type: "OPEN_POLICY_WITH_HIGHLIGHT",
+        url: analyzedPolicyUrl,
+        quote: heading,
+        pdf: true,
+        page: section.page,
+      });
+      return;
+    }
+
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!analyzedPolicyUrl || urlsMatch(tab?.url || "", analyzedPolicyUrl)) {
+      await chrome.tabs.sendMessage(currentTabId, {
+        type: "SCROLL_TO_SECTION",
+        sectionId,
+        heading,
+      });
+      return;
+    }
+
+    const url = section.anchor
+      ? `${analyzedPolicyUrl.split("#")[0]}#${encodeURIComponent(section.anchor)}`
+      : analyzedPolicyUrl;
+    await chrome.runtime.sendMessage({
+      type: "OPEN_POLICY_WITH_HIGHLIGHT",
+      url,
+      quote: heading,
+    });
+  } catch (error) {
+    console.error("Failed to jump to section:", error);
+  }
+}
+
+function displayRawResponse(response) {
+  showState("results");
+
+  document.getElementById("rating-card").style.display = "none";
+  document.getElementById("summary-content").innerHTML = `<p>${escapeHtml(
+    response
+  )}</p>`;
+
+  // Hide other sections
+  document.querySelectorAll(".result-section").forEach((section, index) => {
+    if (index > 0) section.style.display = "none";
+  });
+}
+
+// Whether to keep partial output when stopping (set in options, defaults to keeping it)
+async function shouldKeepPartial() {
+  const { keepPartialOnCancel } = await chrome.storage.local.get([
+    "keepPartialOnCancel",
+  ]);
+  return keepPartialOnCancel !== false;
+}
+
+async function stopAnalysis() {
+  updateStatus("Stopping...");
+  try {
+    await chrome.runtime.sendMessage({
+      type: "CANCEL_ANALYSIS",
+      tabId: currentTabId,
+      keepPartial: await shouldKeepPartial(),
+    });
+  } catch (error) {
+    console.error("[Side Panel] Could not stop analysis:", error);
+  }
+}
+
+const CANCEL_REASONS = {
+  navigated: "Analysis stopped because the page changed",
+  closed: "Analysis stopped because the tab was closed",
+  user: "Analysis stopped",
+};
+
+// Show the partial results of a stopped analysis, or go back to the start
+function handleAnalysisCancelled(message) {
+  isAnalyzing = false;
+  resetChunkProgress();
+
+  if (message.partial) {
+    handleStreamComplete(message.partial.fullResponse, {
+      analysis: message.partial.analysis,
+    });
+    updateStatus("Analysis stopped – showing partial results");
+    return;
+  }
+
+  showState("initial");
+  updateStatus(CANCEL_REASONS[message.reason] || CANCEL_REASONS.user);
+}
+
+// What to tell the user for each API error category (see api-client.js),
+// and whether fixing it means a trip to the settings page
+const ERROR_RECOVERY = {
+  invalid_key: {
+    status: "API key rejected",
+    hint: "Your provider rejected the API key. Check it in Settings.",
+    openSettings: true,
+  },
+  quota_exhausted: {
+    status: "Quota used up",
+    hint: "Your provider account is out of credit or over its spending limit. Add credit with your provider, or switch providers in Settings.",
+    openSettings: true,
+  },
+  rate_limited: {
+    status: "Rate limited",
+    hint: "Too many requests were sent in a short time. Wait a minute, then try again.",
+  },
+  context_too_long: {
+    status: "Policy too long",
+    hint: "This policy is too long for the selected model, even in smaller parts. Choose a model with a larger context window in Settings.",
+    openSettings: true,
+  },
+  network_offline: {
+    status: "Offline",
+    hint: "Could not reach the provider. The analysis will start again when you're back online.",
+  },
+  budget_exceeded: {
+    status: "Budget reached",
+    hint: "This request would go over your monthly budget. Raise or remove the budget in Settings to continue.",
+    openSettings: true,
+  },
+  server_error: {
+    status: "Provider unavailable",
+    hint: "The provider is having problems right now. Try again in a moment.",
+  },
+  stream_interrupted: {
+    status: "Response interrupted",
+    hint: "The provider kept cutting the response off partway, even after retrying. Try again in a moment.",
+  },
+};
+
+// Retry automatically once the connection comes back after a network failure
+let retryWhenOnline = false;
+
+function handleError(errorMessage, errorCategory) {
+  isAnalyzing = false;
+  showState("error");
+  document.getElementById("error-message").textContent = errorMessage;
+
+  const recovery = ERROR_RECOVERY[errorCategory];
+  const hint = document.getElementById("error-hint");
+  hint.textContent = recovery?.hint || "";
+  hint.classList.toggle("hidden", !recovery);
+  document
+    .getElementById("error-settings-btn")
+    .classList.toggle("hidden", !recovery?.openSettings);
+
+  retryWhenOnline = errorCategory === "network_offline";
+  updateStatus(recovery?.status || "Error");
+}
+
+function showState(state) {
+  currentState = state;
+  document
+    .getElementById("initial-state")
+    .classList.toggle("hidden", state !== "initial");
+  document
+    .getElementById("loading-state")
+    .classList.toggle("hidden", state !== "loading");
+  document
+    .getElementById("results-state")
+    .classList.toggle("hidden", state !== "results");
+  document
+    .getElementById("keypoints-state")
+    .classList.toggle("hidden", state !== "keypoints");
+  document
+    .getElementById("darkpatterns-state")
+    .classList.toggle("hidden", state !== "darkpatterns");
+  document
+    .getElementById("profile-state")
+    .classList.toggle("hidden", state !== "profile");
+  document
+    .getElementById("error-state")
+    .classList.toggle("hidden", state !== "error");
+}
+
+function updateStatus(text) {
+  document.getElementById("status-text").textContent = text;
+}
+
+function toggleChat() {
+  const container = document.getElementById("chat-container");
+  const toggle = document.getElementById("chat-toggle");
+
+  container.classList.toggle("collapsed");
+  toggle.classList.toggle("active");
+}
+
+let chatStreamingElement = null;
+
+// Chat scope: "tab" asks about the current tab's policy, "library" across every saved analysis
+let chatScope = "tab";
+// Questions and answers asked across the library (they don't belong to any tab)
+const libraryMessages = [];
+let libraryQuestionPending = false;
+
+const CHAT_PLACEHOLDERS = {
+  tab: "Ask a question about this policy...",
+  library: "Ask across every policy you've analyzed...",
+};
+
+async function sendChatMessage() {
+  const input = document.getElementById("chat-input");
+  const message = input.value.trim();
+
+  if (!message) return;
+  if (chatScope === "library") {
+    askLibrary(message);
+    return;
+  }
+
+  // Add user message to chat
+  addChatMessage(message, "user");
+  input.value = "";
+  input.style.height = "auto";
+  document.getElementById("send-btn").disabled = true;
+
+  // Create streaming assistant message
+  chatStreamingElement = addChatMessage("", "assistant", true);
+  setChatStreaming(true);
+
+  try {
+    await chrome.runtime.sendMessage({
+      type: "CHAT_MESSAGE",
+      tabId: currentTabId,
+      userMessage: message,
+    });
+  } catch (error) {
+    chatStreamingElement.textContent = "Error: " + error.message;
+    chatStreamingElement.classList.remove("streaming");
+    chatStreamingElement = null;
+    setChatStreaming(false);
+  }
+}
+
+// Switch the chat between the current policy and the whole library of saved analyses
+function setChatScope(scope) {
+  if (scope === chatScope) return;
+  chatScope = scope;
+
+  document.querySelectorAll(".chat-scope-btn").forEach((button) => {
+    button.classList.toggle("active", button.dataset.scope === scope);
+  });
+  document.getElementById("chat-input").placeholder = CHAT_PLACEHOLDERS[scope];
+
+  // A reply still streaming for the tab finishes in its conversation and shows when switching back
+  chatStreamingElement = null;
+  setChatStreaming(false);
+  document.getElementById("chat-messages").innerHTML = "";
+
+  if (scope === "library") {
+    libraryMessages.forEach((message) => {
+      const element = addChatMessage(message.content, message.role);
+      if (message.role === "assistant") {
+        renderLibraryAnswer(element, message);
+      }
+    });
+  } else {
+    loadConversation(currentTabId);
+  }
+}
+
+// Ask a question across every saved analysis. The answer cites passages by site
+// and includes a comparison table when the question is comparative.
+async function askLibrary(question) {
+  if (libraryQuestionPending) return;
+  libraryQuestionPending = true;
+
+  const input = document.getElementById("chat-input");
+  addChatMessage(question, "user");
+  libraryMessages.push({ role: "user", content: question });
+  input.value = "";
+  input.style.height = "auto";
+  document.getElementById("send-btn").disabled = true;
+
+  const element = addChatMessage("Searching your analyzed policies...", "assistant", true);
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: "LIBRARY_QUESTION",
+      question,
+    });
+
+    element.classList.remove("streaming");
+    if (!response.success) {
+      const hint = ERROR_RECOVERY[response.errorCategory]?.hint;
+      element.textContent = "Error: " + response.error + (hint ? " " + hint : "");
+      return;
+    }
+
+    const answer = { role: "assistant", content: response.answer, ...response };
+    libraryMessages.push(answer);
+    if (chatScope === "library") {
+      renderLibraryAnswer(element, answer);
+      scrollChatToBottom();
+    }
+  } catch (error) {
+    element.classList.remove("streaming");
+    element.textContent = "Error: " + error.message;
+  } finally {
+    libraryQuestionPending = false;
+  }
+}
+
+// Show a library answer: cited text, an optional comparison table and the sources by site
+function renderLibraryAnswer(element, answer) {
+  const openCitation = (citation) => {
+    chrome.runtime
+      .sendMessage({
+        type: "OPEN_POLICY_WITH_HIGHLIGHT",
+        url: citation.url,
+        quote: citation.quote,
+      })
+      .catch((error) => console.error("[Side Panel] Could not open policy:", error));
+  };
+
+  element.classList.add("library-answer");
+  renderChatAnswer(element, answer, openCitation);
+  const citationsByNumber = new Map(
+    (answer.citations || []).map((citation) => [citation.number, citation])
+  );
+
+  const { columns = [], rows = [] } = answer.comparison || {};
+  if (columns.length > 0 && rows.length > 0) {
+    const wrapper = document.createElement("div");
+    wrapper.className = "chat-comparison";
+    const table = document.createElement("table");
+
+    const headerRow = table.createTHead().insertRow();
+    ["Site", ...columns].forEach((column) => {
+      const th = document.createElement("th");
+      th.textContent = column;
+      headerRow.appendChild(th);
+    });
+
+    const body = table.createTBody();
+    rows.forEach((row) => {
+      const tr = body.insertRow();
+      tr.insertCell().textContent = row.site;
+      columns.forEach((column, index) => {
+        appendCitedText(tr.insertCell(), row.values[index] || "", citationsByNumber, openCitation);
+      });
+    });
+
+    wrapper.appendChild(table);
+    element.appendChild(wrapper);
+  }
+
+  if (citationsByNumber.size > 0) {
+    const sources = document.createElement("ol");
+    sources.className = "chat-sources";
+    for (const citation of citationsByNumber.values()) {
+      const item = document.createElement("li");
+      item.value = citation.number;
+      const link = document.createElement("button");
+      link.type = "button";
+      link.className = "chat-source-link";
+      link.textContent = `${citation.site}${citation.heading ? ` – ${citation.heading}` : ""}`;
+      link.title = citation.quote || citation.title || citation.url;
+      link.addEventListener("click", () => openCitation(citation));
+      item.appendChild(link);
+      sources.appendChild(item);
+    }
+    element.appendChild(sources);
+  }
+}
+
+// Swap the send button for a stop button while a reply is streaming
+function setChatStreaming(streaming) {
+  document.getElementById("send-btn").classList.toggle("hidden", streaming);
+  document.getElementById("chat-stop-btn").classList.toggle("hidden", !streaming);
+}
+
+async function stopChat() {
+  try {
+    await chrome.runtime.sendMessage({
+      type: "CANCEL_CHAT",
+      tabId: currentTabId,
+      keepPartial: await shouldKeepPartial(),
+    });
+  } catch (error) {
+    console.error("[Side Panel] Could not stop reply:", error);
+  }
+}
+
+// Mark a kept partial reply as stopped, or remove the discarded exchange
+function handleChatCancelled(message) {
+  setChatStreaming(false);
+  if (!chatStreamingElement) return;
+
+  if (message.kept) {
+    chatStreamingElement.classList.remove("streaming");
+    chatStreamingElement.classList.add("stopped");
+  } else {
+    // Put the question back in the input so it can be edited or re-sent
+    const question = chatStreamingElement.previousElementSibling;
+    if (question?.classList.contains("user")) {
+      const input = document.getElementById("chat-input");
+      input.value = question.textContent;
+      document.getElementById("send-btn").disabled = false;
+      question.remove();
+    }
+    chatStreamingElement.remove();
+  }
+  chatStreamingElement = null;
+}
+
+function handleChatChunk(content) {
+  if (chatStreamingElement) {
+    chatStreamingElement.textContent += content;
+    scrollChatToBottom();
+  }
+}
+
+function handleChatComplete({ fullResponse, citations, notAddressed }) {
+  // The reply is in the tab's conversation and shows when switching back
+  if (chatScope !== "tab") return;
+  setChatStreaming(false);
+  // Without a streaming message the reply started while another tab was being shown
+  const element = chatStreamingElement || addChatMessage("", "assistant");
+  element.classList.remove("streaming");
+  chatStreamingElement = null;
+  renderChatAnswer(element, { content: fullResponse, citations, notAddressed });
+  scrollChatToBottom();
+}
+
+// Show an answer with its numbered citations as links (by default highlighting
+// the cited passage on the page), and a note when the policy doesn't address the question
+function renderChatAnswer(
+  element,
+  { content, citations = [], notAddressed = false },
+  onCitationClick = (citation) => highlightQuote(citation.quote)
+) {
+  element.textContent = "";
+
+  if (notAddressed) {
+    const note = document.createElement("div");
+    note.className = "chat-not-addressed";
+    note.textContent =
+      chatScope === "library"
+        ? "None of your analyzed policies address this."
+        : "The policy doesn't address this.";
+    element.appendChild(note);
+  }
+
+  const citationsByNumber = new Map(citations.map((citation) => [citation.number, citation]));
+  appendCitedText(element, content, citationsByNumber, onCitationClick);
+}
+
+// Append text to an element, turning "[n]" markers for known citations into links
+function appendCitedText(element, text, citationsByNumber, onCitationClick) {
+  text.split(/(\[\d+\])/).forEach((part) => {
+    const citation = citationsByNumber.get(Number(part.match(/^\[(\d+)\]$/)?.[1]));
+    if (!citation) {
+      element.appendChild(document.createTextNode(part));
+      return;
+    }
+
+    const label = [citation.site, citation.heading].filter(Boolean).join(" – ");
+    const link = document.createElement("button");
+    link.type = "button";
+    link.className = "chat-citation";
+    link.textContent = citation.number;
+    link.title = label ? `${label}: ${citation.quote || ""}` : citation.quote || "";
+    link.addEventListener("click", () => onCitationClick(citation));
+    element.appendChild(link);
+  });
+}
+
+function handleChatError(error, errorCategory) {
+  setChatStreaming(false);
+  if (chatStreamingElement) {
+    const hint = ERROR_RECOVERY[errorCategory]?.hint;
+    chatStreamingElement.textContent = "Error: " + error + (hint ? " " + hint : "");
+    chatStreamingElement.classList.remove("streaming");
+    chatStreamingElement = null;
+  }
+}
+
+function addChatMessage(content, role, isStreaming = false) {
+  const messagesContainer = document.getElementById("chat-messages");
+  const messageEl = document.createElement("div");
+  messageEl.className = `chat-message ${role}${
     isStreaming ? " streaming" : ""
   }`;
   messageEl.textContent = content;
@@ -687,6 +1983,25 @@ function scrollChatToBottom() {
 }
 
 async function highlightQuote(quote) {
+  // The finding the quote belongs to, for its page in a PDF or its anchor on a web page
+  const item = originalAnalysis ? findQuotedItem(originalAnalysis, quote) : null;
+
+  // PDFs can't be highlighted in the browser's viewer, so they open in the extension's
+  if (originalAnalysis?.sourceFormat === "pdf" && analyzedPolicyUrl) {
+    try {
+      await chrome.runtime.sendMessage({
+        type: "OPEN_POLICY_WITH_HIGHLIGHT",
+        url: analyzedPolicyUrl,
+        quote: quote,
+        pdf: true,
+        page: item?.page || null,
+      });
+    } catch (error) {
+      console.error("Failed to open PDF viewer:", error);
+    }
+    return;
+  }
+
   try {
     // Get the current tab's URL
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
@@ -700,12 +2015,16 @@ async function highlightQuote(quote) {
         type: "OPEN_POLICY_WITH_HIGHLIGHT",
         url: analyzedPolicyUrl,
         quote: quote,
+        anchor: item?.anchor,
+        level: item?.level,
       });
     } else {
       // We're on the policy page - highlight directly
       await chrome.tabs.sendMessage(currentTabId, {
         type: "HIGHLIGHT_CLAUSE",
         quote: quote,
+        anchor: item?.anchor,
+        level: item?.level,
       });
     }
   } catch (error) {
@@ -717,6 +2036,8 @@ async function highlightQuote(quote) {
           type: "OPEN_POLICY_WITH_HIGHLIGHT",
           url: analyzedPolicyUrl,
           quote: quote,
+          anchor: item?.anchor,
+          level: item?.level,
         });
       } catch (e) {
         console.error("Failed to open policy in new tab:", e);
@@ -725,6 +2046,16 @@ async function highlightQuote(quote) {
   }
 }
 
+// Finding lists that carry a quote (the same as the service worker's QUOTED_LISTS)
+const QUOTED_LISTS = ["risks", "dataCollection", "dataSharing", "userRights", "clauses", "cookies", "consentMethods"];
+
+// The finding a highlighted quote belongs to, if any
+function findQuotedItem(analysis, quote) {
+  return QUOTED_LISTS.flatMap((listName) => analysis[listName] || []).find(
+    (candidate) => getHighlightText(candidate) === quote
+  );
+}
+
 // Helper function to check if two URLs match (ignoring fragments and minor differences)
 function urlsMatch(url1, url2) {
   if (!url1 || !url2) return false;
@@ -1078,3 +2409,514 @@ function handleExternalPolicyLoading(message) {
 
   updateStatus(`Fetching ${typeLabel}...`);
 }
+
+// ============================================
+// Privacy Score
+// ============================================
+
+// The analysis the score on screen belongs to, re-scored when the weights change
+let scoredAnalysis = null;
+
+// The score is computed by the service worker from the rubric in privacy-score.js,
+// with the weights set in options
+async function updatePrivacyScore(analysis) {
+  scoredAnalysis = analysis;
+  const container = document.getElementById("privacy-score");
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: "SCORE_ANALYSIS", analysis });
+    if (scoredAnalysis !== analysis) return;
+    if (!response?.success) throw new Error(response?.error || "No response");
+    renderPrivacyScore(response.score);
+    container.classList.remove("hidden");
+  } catch (error) {
+    console.error("[Side Panel] Could not score analysis:", error);
+    container.classList.add("hidden");
+  }
+}
+
+function renderPrivacyScore({ score, rating, factors }) {
+  const number = document.getElementById("privacy-score-number");
+  number.textContent = score;
+  number.className = `score-${rating.toLowerCase()}`;
+
+  const moved = factors.filter((factor) => factor.points > 0);
+  document.getElementById("score-factors").innerHTML = moved.length
+    ? moved
+        .map(
+          (factor) => `
+        <li class="score-factor">
+          <span class="score-points">&minus;${factor.points}</span>
+          <span class="score-factor-text">
+            <strong>${escapeHtml(factor.label)}</strong>
+            <span class="score-factor-detail">${escapeHtml(factor.detail)}</span>
+          </span>
+        </li>
+      `
+        )
+        .join("")
+    : `<li class="score-factor">Nothing was deducted</li>`;
+}
+
+// ============================================
+// Document Types
+// ============================================
+
+const DOCUMENT_TYPE_LABELS = {
+  privacy: "Privacy Policy",
+  terms: "Terms of Service",
+  eula: "License Agreement",
+  cookie: "Cookie Policy",
+};
+
+// Clauses looked for in each kind of agreement, in the order they're listed
+// (see schemas.js)
+const CLAUSE_CATEGORIES = {
+  terms: [
+    "arbitration",
+    "class_action_waiver",
+    "liability_limit",
+    "content_license",
+    "termination",
+    "auto_renewal",
+  ],
+  eula: [
+    "license_scope",
+    "usage_restrictions",
+    "automatic_updates",
+    "arbitration",
+    "class_action_waiver",
+    "liability_limit",
+    "content_license",
+    "termination",
+    "auto_renewal",
+  ],
+};
+
+const CLAUSE_LABELS = {
+  arbitration: "Mandatory arbitration",
+  class_action_waiver: "Class action waiver",
+  liability_limit: "Limited liability",
+  content_license: "License to your content",
+  termination: "Termination",
+  auto_renewal: "Automatic renewal",
+  license_scope: "What the license allows",
+  usage_restrictions: "Usage restrictions",
+  automatic_updates: "Automatic updates",
+};
+
+const COOKIE_CATEGORY_LABELS = {
+  strictly_necessary: "Strictly necessary",
+  functional: "Functional",
+  analytics: "Analytics",
+  advertising: "Advertising",
+  social_media: "Social media",
+  other: "Other",
+};
+
+const CONSENT_MODEL_LABELS = {
+  opt_in: "Opt-in: non-essential cookies wait for your consent",
+  opt_out: "Opt-out: cookies are set until you refuse them",
+  notice_only: "Notice only: you're told about cookies but not asked",
+  not_stated: "The policy doesn't say how consent is asked for",
+};
+
+function renderFindingQuote(item, className, quoteClass) {
+  if (!item.quote) return "";
+  return `<div class="${className} ${quoteClass}" data-quote="${escapeHtml(
+    getHighlightText(item)
+  )}">"${escapeHtml(item.quote)}"</div>${renderQuoteCheck(item)}`;
+}
+
+// Show the sections for the kind of document analyzed: clauses for terms of
+// service and license agreements, cookies and consent for cookie policies.
+// Privacy sections a terms or cookie document has nothing for are hidden.
+function renderDocumentTypeSections(analysis, quoteClass) {
+  const documentType = analysis.documentType || "privacy";
+
+  const typeLabel = document.getElementById("document-type-label");
+  typeLabel.textContent = DOCUMENT_TYPE_LABELS[documentType] || "";
+  typeLabel.classList.toggle("hidden", documentType === "privacy");
+
+  [
+    ["data-collection-section", analysis.dataCollection],
+    ["data-sharing-section", analysis.dataSharing],
+    ["user-rights-section", analysis.userRights],
+  ].forEach(([id, items]) => {
+    document
+      .getElementById(id)
+      .classList.toggle("hidden", documentType !== "privacy" && !items?.length);
+  });
+
+  const clausesSection = document.getElementById("clauses-section");
+  clausesSection.classList.toggle("hidden", !CLAUSE_CATEGORIES[documentType]);
+  if (CLAUSE_CATEGORIES[documentType]) {
+    renderClauses(analysis.clauses || [], CLAUSE_CATEGORIES[documentType], quoteClass);
+  }
+
+  const cookiesSection = document.getElementById("cookies-section");
+  cookiesSection.classList.toggle("hidden", documentType !== "cookie");
+  if (documentType === "cookie") {
+    renderCookies(analysis, quoteClass);
+  }
+
+  [clausesSection, cookiesSection].forEach((section) => {
+    section.querySelectorAll(".risk-quote, .data-quote").forEach((quote) => {
+      quote.addEventListener("click", () => highlightQuote(quote.dataset.quote));
+    });
+  });
+}
+
+// Every clause category, found or not: a missing arbitration clause is worth knowing too
+function renderClauses(clauses, categories, quoteClass) {
+  document.getElementById("clauses-content").innerHTML = categories
+    .map((category) => {
+      const found = clauses.filter((clause) => clause.category === category);
+      if (found.length === 0) {
+        return `
+      <div class="clause-item not-found">
+        <span class="clause-category">${CLAUSE_LABELS[category]}</span>
+        <span class="clause-status">Not found in this document</span>
+      </div>
+    `;
+      }
+
+      return found
+        .map(
+          (clause) => `
+      <div class="risk-item clause-item">
+        <div class="risk-header">
+          <span class="risk-level ${(clause.level || "medium").toLowerCase()}">${clause.level || "MEDIUM"}</span>
+          <span class="risk-title">${escapeHtml(clause.title || CLAUSE_LABELS[category])}</span>
+        </div>
+        <div class="clause-category">${CLAUSE_LABELS[category]}</div>
+        <p class="risk-description">${escapeHtml(clause.description || "")}</p>
+        ${renderFindingQuote(clause, "risk-quote", quoteClass)}
+        ${renderSectionRef(clause)}
+        ${renderSourceChunks(clause)}
+      </div>
+    `
+        )
+        .join("");
+    })
+    .join("");
+}
+
+// The consent model, the ways to give or refuse consent, then the cookies by category
+function renderCookies(analysis, quoteClass) {
+  const cookies = analysis.cookies || [];
+  const consentMethods = analysis.consentMethods || [];
+
+  const methods = consentMethods
+    .map(
+      (item) => `
+      <div class="data-item">
+        <div class="data-type">${escapeHtml(item.method || "Consent")}</div>
+        <p class="data-description">${escapeHtml(item.description || "")}</p>
+        ${renderFindingQuote(item, "data-quote", quoteClass)}
+        ${renderSectionRef(item)}
+        ${renderSourceChunks(item)}
+      </div>
+    `
+    )
+    .join("");
+
+  const groups = Object.keys(COOKIE_CATEGORY_LABELS)
+    .map((category) => {
+      const inCategory = cookies.filter((cookie) => (cookie.category || "other") === category);
+      if (inCategory.length === 0) return "";
+      return `
+      <h3 class="cookie-category">${COOKIE_CATEGORY_LABELS[category]} (${inCategory.length})</h3>
+      ${inCategory
+        .map(
+          (cookie) => `
+        <div class="data-item">
+          <div class="data-type">${escapeHtml(cookie.name || "Unnamed cookie")}</div>
+          <div class="cookie-meta">${escapeHtml(
+            [cookie.provider, cookie.duration].filter(Boolean).join(" · ")
+          )}</div>
+          <p class="data-description">${escapeHtml(cookie.purpose || "")}</p>
+          ${renderFindingQuote(cookie, "data-quote", quoteClass)}
+          ${renderSectionRef(cookie)}
+          ${renderSourceChunks(cookie)}
+        </div>
+      `
+        )
+        .join("")}
+    `;
+    })
+    .join("");
+
+  document.getElementById("cookies-content").innerHTML = `
+    <p class="consent-model">${escapeHtml(
+      CONSENT_MODEL_LABELS[analysis.consentModel] || CONSENT_MODEL_LABELS.not_stated
+    )}</p>
+    ${methods}
+    ${groups || "<p>No cookies are listed in this policy.</p>"}
+  `;
+}
+
+// ============================================
+// Site Profile
+// ============================================
+
+// Analyze the site's privacy policy, terms and cookie policy together
+async function startSiteProfile() {
+  resetSiteProfileView();
+  showState("profile");
+  updateStatus("Finding the site's policies...");
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: "BUILD_SITE_PROFILE",
+      tabId: currentTabId,
+    });
+    if (!response.success) throw new Error(response.error);
+  } catch (error) {
+    console.error("[Side Panel] Could not build site profile:", error);
+    showSiteProfileNote(error.message);
+  }
+}
+
+// Show the tab's finished profile, or its progress when it's still being built
+async function loadSiteProfile() {
+  const tabId = currentTabId;
+  try {
+    const response = await chrome.runtime.sendMessage({ type: "GET_SITE_PROFILE", tabId });
+    if (tabId !== currentTabId) return;
+
+    if (response.profile && !response.inProgress) {
+      displaySiteProfile(response.profile);
+    } else if (response.inProgress) {
+      resetSiteProfileView();
+      showState("profile");
+      document.getElementById("stop-profile-btn").classList.remove("hidden");
+      updateStatus("Building site profile...");
+    }
+  } catch (error) {
+    console.log("[Side Panel] Could not load site profile:", error);
+  }
+}
+
+function resetSiteProfileView() {
+  profileProgress = [];
+  document.getElementById("profile-site").textContent = "Site profile";
+  document.getElementById("profile-rating-badge").classList.add("hidden");
+  document.getElementById("profile-rating-explanation").textContent = "";
+  document.getElementById("profile-note").classList.add("hidden");
+  document.getElementById("profile-progress").innerHTML = "";
+  document.getElementById("profile-contradictions-section").classList.add("hidden");
+  document.getElementById("profile-summary-section").classList.add("hidden");
+  document.getElementById("profile-documents").innerHTML = "";
+  document.getElementById("stop-profile-btn").classList.add("hidden");
+}
+
+function showSiteProfileNote(text) {
+  const note = document.getElementById("profile-note");
+  note.textContent = text;
+  note.classList.remove("hidden");
+  document.getElementById("stop-profile-btn").classList.add("hidden");
+  updateStatus(text);
+}
+
+function handleSiteProfileStarted(message) {
+  resetSiteProfileView();
+  showState("profile");
+  profileProgress = message.documents.map((item) => ({ ...item, status: "pending" }));
+  document.getElementById("stop-profile-btn").classList.remove("hidden");
+  renderProfileProgress();
+  updateStatus(`Analyzing ${profileProgress.length} document(s)...`);
+}
+
+function handleSiteProfileProgress(message) {
+  if (message.phase === "merge") {
+    updateStatus("Comparing the documents...");
+    return;
+  }
+
+  const progress = profileProgress.find((item) => item.type === message.documentType);
+  if (progress) {
+    progress.status = message.status;
+    progress.error = message.error || null;
+  }
+  renderProfileProgress();
+}
+
+function renderProfileProgress() {
+  const statusIcons = { pending: "○", running: "…", done: "✓", failed: "✗" };
+  document.getElementById("profile-progress").innerHTML = profileProgress
+    .map(
+      (item) => `
+      <li class="${item.status}" title="${escapeHtml(item.error || item.url)}">
+        <span class="chunk-status">${statusIcons[item.status]}</span>
+        <span>${DOCUMENT_TYPE_LABELS[item.type]}</span>
+      </li>
+    `
+    )
+    .join("");
+}
+
+function displaySiteProfile(profile) {
+  showState("profile");
+  profileProgress = [];
+  document.getElementById("profile-progress").innerHTML = "";
+  document.getElementById("stop-profile-btn").classList.add("hidden");
+  updateStatus("Site profile complete");
+
+  document.getElementById("profile-site").textContent = `Site profile: ${profile.site}`;
+  const badge = document.getElementById("profile-rating-badge");
+  badge.textContent = profile.overallRating;
+  badge.className = `rating-badge ${profile.overallRating.toLowerCase()}`;
+  document.getElementById("profile-rating-explanation").textContent = profile.ratingExplanation || "";
+
+  const failed = profile.documents.filter((item) => item.error);
+  const note = document.getElementById("profile-note");
+  note.textContent = [
+    failed.length > 0
+      ? `Couldn't analyze the ${failed.map((item) => DOCUMENT_TYPE_LABELS[item.type]).join(" or ")}.`
+      : "",
+    profile.error ? "The documents couldn't be compared, so contradictions may be missing." : "",
+  ]
+    .filter(Boolean)
+    .join(" ");
+  note.classList.toggle("hidden", !note.textContent);
+
+  document.getElementById("profile-summary").innerHTML = profile.summary
+    .split("\n\n")
+    .map((paragraph) => `<p>${escapeHtml(paragraph)}</p>`)
+    .join("");
+  document.getElementById("profile-summary-section").classList.remove("hidden");
+
+  renderProfileContradictions(profile);
+  renderProfileDocuments(profile);
+}
+
+// Where the documents disagree, quoting each side
+function renderProfileContradictions(profile) {
+  const section = document.getElementById("profile-contradictions-section");
+  const content = document.getElementById("profile-contradictions");
+  const analyzedCount = profile.documents.filter((item) => item.analysis).length;
+  section.classList.toggle("hidden", analyzedCount < 2);
+
+  if (profile.contradictions.length === 0) {
+    content.innerHTML = "<p>No contradictions found between the documents.</p>";
+    return;
+  }
+
+  content.innerHTML = profile.contradictions
+    .map(
+      (contradiction) => `
+      <div class="risk-item">
+        <div class="risk-header">
+          <span class="risk-level ${contradiction.severity.toLowerCase()}">${contradiction.severity}</span>
+          <span class="risk-title">${escapeHtml(contradiction.title)}</span>
+        </div>
+        <p class="risk-description">${escapeHtml(contradiction.description)}</p>
+        ${contradiction.quotes
+          .map(
+            (quote) => `
+          <div class="profile-quote-label">${DOCUMENT_TYPE_LABELS[quote.documentType]}</div>
+          <div class="risk-quote external-link" data-url="${escapeHtml(quote.url)}" data-quote="${escapeHtml(
+              getHighlightText(quote)
+            )}">"${escapeHtml(quote.quote)}"</div>${renderQuoteCheck(quote)}
+        `
+          )
+          .join("")}
+        ${contradiction.automatic ? '<span class="source-chunks">Found by comparing the documents\' text</span>' : ""}
+      </div>
+    `
+    )
+    .join("");
+  bindProfileQuotes(content);
+}
+
+// A card per document with its rating, summary and risks
+function renderProfileDocuments(profile) {
+  const container = document.getElementById("profile-documents");
+  container.innerHTML = profile.documents
+    .map((item) => {
+      const label = DOCUMENT_TYPE_LABELS[item.type];
+      const link = `<a class="profile-document-link" href="${escapeHtml(item.url)}" target="_blank" rel="noopener">${escapeHtml(
+        item.title || item.url
+      )}</a>`;
+
+      if (!item.analysis) {
+        return `
+        <div class="result-section profile-document">
+          <h2 class="section-title">${label}</h2>
+          ${link}
+          <p class="section-content">Couldn't analyze this document: ${escapeHtml(item.error)}</p>
+        </div>
+      `;
+      }
+
+      const { analysis } = item;
+      const recipients = (analysis.dataSharing || []).map((sharing) => sharing.recipient);
+      return `
+        <details class="result-section profile-document">
+          <summary class="section-title">
+            ${label}
+            <span class="risk-level ${analysis.overallRating === "GOOD" ? "low" : analysis.overallRating === "MODERATE" ? "medium" : "high"}">${analysis.overallRating}</span>
+          </summary>
+          ${link}
+          <div class="section-content">
+            <p>${escapeHtml(analysis.summary)}</p>
+            ${
+              recipients.length > 0
+                ? `<p><strong>${item.type === "cookie" ? "Cookie vendors" : "Shared with"}:</strong> ${escapeHtml(recipients.join(", "))}</p>`
+                : ""
+            }
+            ${(analysis.risks || [])
+              .map(
+                (risk) => `
+              <div class="risk-item">
+                <div class="risk-header">
+                  <span class="risk-level ${(risk.level || "medium").toLowerCase()}">${risk.level || "MEDIUM"}</span>
+                  <span class="risk-title">${escapeHtml(risk.title)}</span>
+                </div>
+                <p class="risk-description">${escapeHtml(risk.description)}</p>
+                ${
+                  risk.quote
+                    ? `<div class="risk-quote external-link" data-url="${escapeHtml(item.url)}" data-quote="${escapeHtml(
+                        getHighlightText(risk)
+                      )}">"${escapeHtml(risk.quote)}"</div>${renderQuoteCheck(risk)}`
+                    : ""
+                }
+              </div>
+            `
+              )
+              .join("")}
+          </div>
+        </details>
+      `;
+    })
+    .join("");
+  bindProfileQuotes(container);
+}
+
+// Quotes in the profile come from several documents: highlight on the page
+// when it is that document, otherwise open the document and highlight there
+function bindProfileQuotes(container) {
+  container.querySelectorAll(".risk-quote[data-url]").forEach((quote) => {
+    quote.addEventListener("click", async () => {
+      const { url } = quote.dataset;
+      try {
+        const tab = await chrome.tabs.get(currentTabId);
+        if (urlsMatch(tab.url, url)) {
+          await chrome.tabs.sendMessage(currentTabId, {
+            type: "HIGHLIGHT_CLAUSE",
+            quote: quote.dataset.quote,
+          });
+          return;
+        }
+      } catch (error) {
+        console.log("[Side Panel] Could not highlight on this page:", error);
+      }
+      chrome.runtime.sendMessage({
+        type: "OPEN_POLICY_WITH_HIGHLIGHT",
+        url,
+        quote: quote.dataset.quote,
+      });
+    });
+  });
+}
@@ -0,0 +1,232 @@
+// Policy Monitor Tests
+// Serves a policy from a local HTTP fixture server, changes it, and checks what the monitor makes of it
+//
+// Run with: node --test test/*.test.mjs
+
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+
+// The parts of the extension APIs the monitor uses, recording what it does with them
+const storage = {};
+const alarms = new Map();
+const notifications = [];
+const listenable = () => ({ addListener() {} });
+
+globalThis.chrome = {
+  storage: {
+    local: {
+      async get(keys) {
+        return Object.fromEntries([keys].flat().filter((key) => key in storage).map((key) => [key, storage[key]]));
+      },
+      async set(items) {
+        Object.assign(storage, structuredClone(items));
+      },
+      async remove(keys) {
+        [keys].flat().forEach((key) => delete storage[key]);
+      },
+    },
+    onChanged: listenable(),
+  },
+  alarms: {
+    async get(name) {
+      return alarms.get(name);
+    },
+    async create(name, info) {
+      alarms.set(name, info);
+    },
+    async clear(name) {
+      return alarms.delete(name);
+    },
+    onAlarm: listenable(),
+  },
+  notifications: {
+    create(id, options) {
+      notifications.push({ id, options });
+    },
+    clear() {},
+    onClicked: listenable(),
+  },
+  runtime: {
+    getURL: (path) => `chrome-extension://test/${path}`,
+    onInstalled: listenable(),
+    onStartup: listenable(),
+  },
+  tabs: { create() {} },
+};
+
+// Imported after the fake APIs exist, since the monitor adds its listeners on load
+const { extractTextFromHtml, fetchPolicyDocument } = await import("../src/background/policy-fetch.js");
+const { watchPolicy, checkWatchedPolicies, listWatchedPolicies } = await import(
+  "../src/background/policy-monitor.js"
+);
+
+const SHARING_ADDITION = "We now share your purchase history with advertising partners.";
+
+function policyPage({ changed = false } = {}) {
+  return `<!DOCTYPE html>
+<html>
+  <head>
+    <title>Example Privacy Policy</title>
+    <style>body { font-family: sans-serif; }</style>
+    <script>window.analytics = { track() {} };</script>
+  </head>
+  <body>
+    <h1>Privacy Policy</h1>
+    <h2>1. Information We Collect</h2>
+    <p>We collect the name, email address and payment details you give us when you create an account.</p>
+    <p>We also collect the pages you visit &amp; the device you use, through cookies.</p>
+    <h2>2. How We Share Information</h2>
+    <p>We share information with service providers who process payments and deliver orders for us.</p>
+    ${changed ? `<p>${SHARING_ADDITION}</p>` : ""}
+    <h2>3. Your Rights</h2>
+    <p>You can ask for a copy of your data or for it to be deleted by writing to privacy@example.com.</p>
+  </body>
+</html>`;
+}
+
+// The fixture server: /policy serves the current version, /short a page too
+// small to be a policy, /slow never answers, anything else is a 404
+let policyHtml = policyPage();
+let server;
+let baseUrl;
+
+before(async () => {
+  server = http.createServer((request, response) => {
+    if (request.url === "/policy") {
+      response.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+      response.end(policyHtml);
+    } else if (request.url === "/slow") {
+      // Left hanging until the client gives up
+    } else if (request.url === "/short") {
+      response.writeHead(200, { "Content-Type": "text/html" });
+      response.end("<p>Loading...</p>");
+    } else {
+      response.writeHead(404, { "Content-Type": "text/plain" });
+      response.end("Not found");
+    }
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  return new Promise((resolve) => server.close(resolve));
+});
+
+beforeEach(() => {
+  Object.keys(storage).forEach((key) => delete storage[key]);
+  alarms.clear();
+  notifications.length = 0;
+  policyHtml = policyPage();
+});
+
+// "HH:MM" for a time `minutes` from now
+function clockTime(minutes) {
+  const date = new Date(Date.now() + minutes * 60000);
+  return `${String(date.getHours()).padStart(2, "0")}:${String(date.getMinutes()).padStart(2, "0")}`;
+}
+
+test("extractTextFromHtml keeps blocks on their own lines and drops scripts and styles", () => {
+  const text = extractTextFromHtml(policyPage());
+
+  assert.ok(text.startsWith("Example Privacy Policy"));
+  assert.ok(text.split("\n").includes("2. How We Share Information"));
+  assert.ok(text.includes("the pages you visit & the device you use"));
+  assert.ok(!text.includes("analytics"));
+  assert.ok(!text.includes("font-family"));
+});
+
+test("fetchPolicyDocument returns the text of a page", async () => {
+  const { text, pdf } = await fetchPolicyDocument(`${baseUrl}/policy`);
+
+  assert.equal(pdf, null);
+  assert.equal(text, extractTextFromHtml(policyHtml));
+});
+
+test("fetchPolicyDocument rejects missing pages and pages with too little text", async () => {
+  await assert.rejects(fetchPolicyDocument(`${baseUrl}/missing`), /HTTP 404/);
+  await assert.rejects(fetchPolicyDocument(`${baseUrl}/short`), /sufficient content/);
+});
+
+test("fetchPolicyDocument gives up on a page that doesn't answer in time", async () => {
+  await assert.rejects(
+    fetchPolicyDocument(`${baseUrl}/slow`, { signal: AbortSignal.timeout(200) }),
+    { name: "TimeoutError" }
+  );
+});
+
+test("an unchanged policy is not reported", async () => {
+  await watchPolicy({ url: `${baseUrl}/policy`, title: "Example" });
+  const [watched] = await listWatchedPolicies();
+
+  assert.equal(await checkWatchedPolicies(), 0);
+  const [checked] = await listWatchedPolicies();
+  assert.equal(checked.contentHash, watched.contentHash);
+  assert.equal(checked.lastChangedAt, null);
+  assert.equal(notifications.length, 0);
+  assert.ok(alarms.has("policy-monitor"));
+});
+
+test("a changed policy is summarized and notified", async () => {
+  const url = `${baseUrl}/policy`;
+  await watchPolicy({ url, title: "Example" });
+  const [watched] = await listWatchedPolicies();
+
+  policyHtml = policyPage({ changed: true });
+  assert.equal(await checkWatchedPolicies(), 1);
+
+  const [checked] = await listWatchedPolicies();
+  assert.notEqual(checked.contentHash, watched.contentHash);
+  assert.equal(checked.lastChangedAt, checked.lastCheckedAt);
+  assert.equal(checked.lastError, null);
+  assert.match(checked.lastChangeSummary, /^1 sentence\(s\) added and 0 removed in 1 section\(s\)/);
+  assert.match(checked.lastChangeSummary, /"2\. How We Share Information"/);
+  assert.ok(checked.lastChangeSummary.endsWith(`New: "${SHARING_ADDITION}"`));
+
+  assert.equal(notifications.length, 1);
+  assert.equal(notifications[0].id, `policy-change:${url}`);
+  assert.equal(notifications[0].options.message, checked.lastChangeSummary);
+
+  // The new version is the one compared against next time
+  assert.equal(await checkWatchedPolicies(), 0);
+});
+
+test("a policy that can't be fetched keeps its version and records the error", async () => {
+  await watchPolicy({ url: `${baseUrl}/policy`, title: "Example" });
+  const [watched] = await listWatchedPolicies();
+
+  // The page disappears: the watched policy now points at a 404
+  storage.watchedPolicies[0].url = `${baseUrl}/policy-moved`;
+  assert.equal(await checkWatchedPolicies(), 0);
+
+  const [checked] = await listWatchedPolicies();
+  assert.equal(checked.lastError, "Failed to fetch policy: HTTP 404");
+  assert.equal(checked.contentHash, watched.contentHash);
+  assert.equal(notifications.length, 0);
+
+  // The error clears once the page is back
+  storage.watchedPolicies[0].url = `${baseUrl}/policy`;
+  await checkWatchedPolicies();
+  assert.equal((await listWatchedPolicies())[0].lastError, null);
+});
+
+test("changes found during quiet hours are held until they end", async () => {
+  const url = `${baseUrl}/policy`;
+  await watchPolicy({ url, title: "Example" });
+  Object.assign(storage, {
+    quietHoursEnabled: true,
+    quietHoursStart: clockTime(-60),
+    quietHoursEnd: clockTime(60),
+  });
+
+  policyHtml = policyPage({ changed: true });
+  assert.equal(await checkWatchedPolicies(), 1);
+
+  assert.equal(notifications.length, 0);
+  assert.deepEqual(storage.heldChangeNotifications, [url]);
+  const release = alarms.get("policy-monitor-quiet-hours");
+  assert.ok(release.when > Date.now());
+  assert.ok(release.when <= Date.now() + 61 * 60000);
+});
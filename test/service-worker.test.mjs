@@ -0,0 +1,277 @@
+// Service Worker Tests
+// Runs analyses end to end through the message handlers, with the model served by a local
+// OpenAI-compatible fixture server
+//
+// Run with: node --test test/*.test.mjs
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+
+// The parts of the extension APIs the worker uses. Tabs show the policies in `pages`.
+const localStorage = {};
+const sessionStorage = {};
+const pages = new Map();
+const listenable = () => ({ addListener() {} });
+let messageListener;
+let connectListener;
+
+function storageArea(items) {
+  return {
+    async get(keys) {
+      if (keys === null) return structuredClone(items);
+      return Object.fromEntries(
+        [keys].flat().filter((key) => key in items).map((key) => [key, structuredClone(items[key])])
+      );
+    },
+    async set(values) {
+      Object.assign(items, structuredClone(values));
+    },
+    async remove(keys) {
+      [keys].flat().forEach((key) => delete items[key]);
+    },
+  };
+}
+
+globalThis.chrome = {
+  storage: {
+    local: storageArea(localStorage),
+    session: storageArea(sessionStorage),
+    onChanged: listenable(),
+  },
+  runtime: {
+    onMessage: { addListener: (listener) => (messageListener = listener) },
+    onConnect: { addListener: (listener) => (connectListener = listener) },
+    onInstalled: listenable(),
+    onStartup: listenable(),
+    getURL: (path) => `chrome-extension://test/${path}`,
+    async getPlatformInfo() {
+      return {};
+    },
+  },
+  tabs: {
+    async get(tabId) {
+      return { id: tabId, url: pages.get(tabId).url, title: pages.get(tabId).title };
+    },
+    async query() {
+      return Array.from(pages.keys(), (id) => ({ id }));
+    },
+    async sendMessage(tabId, message) {
+      if (message.type !== "GET_POLICY_CONTENT") return undefined;
+      const { url, title, content } = pages.get(tabId);
+      return { success: true, url, title, content, documentType: "privacy", sections: [] };
+    },
+    create() {},
+    update() {},
+    onRemoved: listenable(),
+    onUpdated: listenable(),
+  },
+  windows: {
+    async getCurrent() {
+      return { id: 1 };
+    },
+  },
+  sidePanel: {
+    async setPanelBehavior() {},
+    async open() {},
+  },
+  action: {
+    setBadgeText() {},
+    setBadgeBackgroundColor() {},
+    setTitle() {},
+    onClicked: listenable(),
+  },
+  alarms: { onAlarm: listenable() },
+  notifications: { onClicked: listenable() },
+};
+
+// Node 20 has no navigator, and later versions have one without onLine
+Object.defineProperty(globalThis, "navigator", { value: { onLine: true }, configurable: true });
+
+// The worker logs every message it handles; errors still show
+console.log = () => {};
+console.warn = () => {};
+
+// The fixture model: each request is recorded and answered with the text `answer` returns for it
+const requests = [];
+let answer = () => "{}";
+let server;
+
+before(async () => {
+  server = http.createServer(async (request, response) => {
+    let body = "";
+    for await (const chunk of request) body += chunk;
+    const { messages } = JSON.parse(body);
+    const modelRequest = {
+      system: messages[0].content,
+      prompt: messages[messages.length - 1].content,
+    };
+    requests.push(modelRequest);
+
+    // Streamed in a few pieces, the way a real server sends it
+    const text = answer(modelRequest);
+    response.writeHead(200, { "Content-Type": "text/event-stream" });
+    for (let start = 0; start < text.length; start += 200) {
+      const delta = { choices: [{ delta: { content: text.slice(start, start + 200) } }] };
+      response.write(`data: ${JSON.stringify(delta)}\n\n`);
+    }
+    response.end("data: [DONE]\n\n");
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  Object.assign(localStorage, {
+    llmProvider: "local",
+    providerSettings: { local: { baseUrl: `http://127.0.0.1:${server.address().port}/v1` } },
+    // There is no IndexedDB here, and every run should reach the model
+    cacheEnabled: false,
+  });
+
+  // Imported after the fake APIs exist, since the worker adds its listeners on load
+  await import("../src/background/service-worker.js");
+});
+
+after(() => {
+  server.closeAllConnections();
+  return new Promise((resolve) => server.close(resolve));
+});
+
+const POLICY_SECTIONS = [
+  [
+    "Information We Collect",
+    "We collect your name, email address and payment details when you create an account. We also collect your precise location while the app is open.",
+  ],
+  [
+    "How We Share Information",
+    "We share your purchase history with advertising partners. Payment processors receive the details needed to complete an order.",
+  ],
+  [
+    "Your Rights",
+    "You can request a copy of your data or ask us to delete it by writing to privacy@example.com.",
+  ],
+];
+
+function policyText(sections = POLICY_SECTIONS) {
+  return sections.map(([heading, text], index) => `${index + 1}. ${heading}\n${text}`).join("\n\n");
+}
+
+function analysisAnswer({ risks = [], dataSharing = [] } = {}) {
+  return JSON.stringify({
+    summary: "The app collects account, payment and location data and shares purchases with advertisers.",
+    risks: risks.map((risk) => ({ level: "HIGH", description: "", sectionId: "", ...risk })),
+    dataCollection: [
+      {
+        type: "Contact details",
+        description: "Name and email address",
+        quote: "We collect your name, email address and payment details when you create an account.",
+        sectionId: "",
+      },
+    ],
+    dataSharing,
+    userRights: [],
+    overallRating: "CONCERNING",
+    ratingExplanation: "Purchase history goes to advertisers.",
+  });
+}
+
+let nextTabId = 1;
+
+// Open a tab showing `content` and analyze it. Resolves with the event that ends the run.
+function analyzeTab(content, title = "Example Privacy Policy") {
+  const tabId = nextTabId++;
+  pages.set(tabId, { url: `https://example.com/privacy/${tabId}`, title, content });
+
+  return new Promise((resolve) => {
+    const port = {
+      name: "tab-stream",
+      postMessage(event) {
+        if (["STREAM_COMPLETE", "ANALYSIS_ERROR", "ANALYSIS_CANCELLED"].includes(event.type)) {
+          resolve(event);
+        }
+      },
+      onMessage: { addListener: (listener) => (port.send = listener) },
+      onDisconnect: listenable(),
+    };
+    connectListener(port);
+    port.send({ type: "SUBSCRIBE", tabId });
+    messageListener({ type: "ANALYZE_POLICY", tabId }, {}, () => {});
+  });
+}
+
+test("a policy is analyzed in one request to the provider", async () => {
+  requests.length = 0;
+  answer = () =>
+    analysisAnswer({
+      risks: [{ title: "Sold to advertisers", quote: "We share your purchase history with advertising partners." }],
+    });
+
+  const event = await analyzeTab(policyText());
+
+  assert.equal(event.type, "STREAM_COMPLETE", event.error);
+  assert.equal(requests.length, 1);
+  assert.match(requests[0].prompt, /Title: Example Privacy Policy/);
+  assert.match(requests[0].prompt, /We share your purchase history/);
+
+  const { analysis } = event;
+  assert.equal(analysis.documentType, "privacy");
+  assert.equal(analysis.overallRating, "CONCERNING");
+  assert.equal(analysis.risks[0].quoteCheck.status, "verified");
+  assert.equal(analysis.dataCollection[0].quoteCheck.status, "verified");
+});
+
+test("a long policy is analyzed in parts and merged", async () => {
+  requests.length = 0;
+  answer = ({ system }) =>
+    system.includes("analyzed in several parts")
+      ? JSON.stringify({
+          summary: "Overall: account, payment and location data is collected.",
+          overallRating: "MODERATE",
+          ratingExplanation: "Merged from every part.",
+        })
+      : analysisAnswer();
+
+  // Well past one chunk's length, in sections the chunks can split on
+  const filler = "This paragraph describes our practices in more detail for the purposes of this section. ".repeat(60);
+  const sections = Array.from({ length: 12 }, (_, index) => [
+    `Topic ${index + 1}`,
+    `${POLICY_SECTIONS[index % POLICY_SECTIONS.length][1]}\n${filler}`,
+  ]);
+
+  const event = await analyzeTab(policyText(sections));
+
+  assert.equal(event.type, "STREAM_COMPLETE", event.error);
+  const { chunking } = event.analysis;
+  assert.ok(chunking.totalChunks > 1);
+  assert.deepEqual(chunking.failedChunks, []);
+  // One request per part, then one for the overall assessment
+  assert.equal(requests.length, chunking.totalChunks + 1);
+  assert.equal(event.analysis.summary, "Overall: account, payment and location data is collected.");
+  assert.equal(event.analysis.overallRating, "MODERATE");
+});
+
+test("a quote that isn't in the policy is asked for again with the passage the finding is about", async () => {
+  requests.length = 0;
+  // Shares no word with the policy, so there is no near match to point the model at
+  const madeUp = "Biometric templates get auctioned weekly.";
+  const actual = "We also collect your precise location while the app is open.";
+  answer = ({ system }) =>
+    system.includes("checking citations")
+      ? JSON.stringify({ quotes: [{ id: 0, quote: actual }] })
+      : analysisAnswer({
+          risks: [{ title: "Precise location tracking", description: "The app tracks your precise location.", quote: madeUp }],
+        });
+
+  const event = await analyzeTab(policyText());
+
+  assert.equal(event.type, "STREAM_COMPLETE", event.error);
+  assert.equal(requests.length, 2);
+  assert.match(requests[1].prompt, /Finding 0: Precise location tracking/);
+  assert.ok(requests[1].prompt.includes(`Quote given: "${madeUp}"`));
+  assert.ok(requests[1].prompt.includes(POLICY_SECTIONS[0][1]));
+
+  const [risk] = event.analysis.risks;
+  assert.equal(risk.quote, actual);
+  assert.equal(risk.quoteCheck.status, "verified");
+  assert.equal(risk.quoteCheck.repaired, true);
+  // The quote that was found to begin with isn't asked about
+  assert.ok(!requests[1].prompt.includes("Contact details"));
+});